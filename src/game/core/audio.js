@@ -10,6 +10,7 @@ import * as THREE from 'three';
 import * as Tone from 'tone';
 import { debugInfo, debugError } from '../utils/debug.js';
 import { AUDIO } from '../utils/constants.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
 
 // Audio synthesizers
 let rollingSynth = null;
@@ -19,7 +20,10 @@ let attractionHum = null;
 
 // Audio state tracking
 let lastCollectionSoundTime = 0;
+let lastShedSoundTime = -Infinity;
+let eventSubscriptions = [];
 let isAudioInitialized = false;
+let isMuted = false;
 
 /**
  * Initialize the Tone.js audio system
@@ -71,6 +75,8 @@ export async function initializeAudio() {
         }).toDestination();
         attractionHum.start();
 
+        subscribeToGameEvents();
+
         isAudioInitialized = true;
         debugInfo("Audio system initialized successfully");
         return true;
@@ -80,6 +86,24 @@ export async function initializeAudio() {
     }
 }
 
+/**
+ * Play the collection and shed sounds in response to the katamari's events, and stop the rolling sound when a level is won
+ */
+function subscribeToGameEvents() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, ({ item }) => playCollectionSound(item.size)),
+        subscribe(GAME_EVENTS.ITEM_SHED, ({ time }) => {
+            // One crash can shed several times in a row; only the first one is heard
+            if (time - lastShedSoundTime > AUDIO.SHED_COOLDOWN) {
+                playShedSound();
+                lastShedSoundTime = time;
+            }
+        }),
+        subscribe(GAME_EVENTS.LEVEL_COMPLETED, () => stopRollingSound())
+    ];
+}
+
 /**
  * Play rolling sound based on movement speed
  * Adjusts volume and playback rate based on speed
@@ -199,6 +223,39 @@ export function updateAttractionHum(attractedItemsCount, totalAttractionForce) {
     }
 }
 
+/**
+ * Silence the attraction hum while the game is not being played
+ * The next updateAttractionHum() call brings it back.
+ */
+export function silenceAttractionHum() {
+    if (!isAudioInitialized || !Tone) return;
+
+    attractionHum.volume.value = -Infinity;
+}
+
+/**
+ * Mute or unmute all game audio
+ * @param {boolean} muted - True to silence all sound output
+ */
+export function setAudioMuted(muted) {
+    isMuted = muted;
+
+    try {
+        Tone.Destination.mute = muted;
+        debugInfo(`Audio ${muted ? 'muted' : 'unmuted'}`);
+    } catch (error) {
+        debugError("Error changing audio mute state:", error);
+    }
+}
+
+/**
+ * Get the current audio mute state
+ * @returns {boolean} True if audio is muted
+ */
+export function isAudioMuted() {
+    return isMuted;
+}
+
 /**
  * Get the current audio initialization state
  * @returns {boolean} True if audio system is initialized
@@ -235,6 +292,9 @@ export function cleanupAudio() {
             attractionHum.dispose();
             attractionHum = null;
         }
+
+        eventSubscriptions.forEach(unsubscribe => unsubscribe());
+        eventSubscriptions = [];
         
         isAudioInitialized = false;
         debugInfo("Audio system cleaned up");
@@ -262,6 +322,7 @@ export function getAudioSynthesizers() {
  */
 export function resetAudioState() {
     lastCollectionSoundTime = 0;
+    lastShedSoundTime = -Infinity;
 }
 
 /**
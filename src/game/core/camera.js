@@ -0,0 +1,233 @@
+/**
+ * Camera Controller Module
+ * Orbits the camera around the katamari with yaw/pitch driven by player input (mouse drag,
+ * right stick, two-finger touch), pulls it in front of obstacles between it and the katamari,
+ * scales its distance with the katamari's size and can swing it behind the direction of travel.
+ */
+
+import * as THREE from 'three';
+import { debugInfo } from '../utils/debug.js';
+import { CAMERA } from '../utils/constants.js';
+
+// Camera being controlled and the provider of objects it must not look through
+let camera = null;
+let getObstacles = () => [];
+
+// Orbit state: yaw 0 places the camera on the +Z side of the katamari, positive pitch above it
+const orbit = {
+    yaw: 0,
+    pitch: CAMERA.DEFAULT_PITCH,
+    distance: 0,
+    zoomIndex: 0,
+    autoAlign: false,
+    lastManualOrbitTime: -Infinity
+};
+
+// Point the camera orbits around and looks at; trails the katamari for smooth following
+const focus = new THREE.Vector3();
+const raycaster = new THREE.Raycaster();
+
+/**
+ * Initialize the camera controller
+ * @param {THREE.Camera} cameraInstance - Camera to control
+ * @param {Object} options - Controller options
+ * @param {Function} options.getObstacles - Returns the objects the camera pulls in front of (e.g. mountains, buildings)
+ */
+function initializeCameraController(cameraInstance, options = {}) {
+    camera = cameraInstance;
+    getObstacles = options.getObstacles || (() => []);
+
+    orbit.yaw = 0;
+    orbit.pitch = CAMERA.DEFAULT_PITCH;
+    orbit.distance = 0;
+    orbit.zoomIndex = 0;
+    orbit.lastManualOrbitTime = -Infinity;
+    focus.set(CAMERA.LOOK_AT_POSITION.x, CAMERA.LOOK_AT_POSITION.y, CAMERA.LOOK_AT_POSITION.z);
+
+    debugInfo("Camera controller initialized");
+}
+
+/**
+ * Get the orbit distance for a katamari size at the current zoom level
+ * @param {number} radius - Katamari radius
+ * @returns {number} Distance from the katamari to the camera
+ */
+function getCameraDistance(radius) {
+    const horizontal = CAMERA.BASE_DISTANCE + radius * CAMERA.DISTANCE_MULTIPLIER;
+    const height = CAMERA.HEIGHT_OFFSET + radius;
+    return Math.sqrt(horizontal * horizontal + height * height) * CAMERA.ZOOM_LEVELS[orbit.zoomIndex];
+}
+
+/**
+ * Get the unit vector from the orbit focus towards the camera
+ * @returns {THREE.Vector3} Orbit direction for the current yaw and pitch
+ */
+function getOrbitDirection() {
+    const horizontal = Math.cos(orbit.pitch);
+    return new THREE.Vector3(
+        Math.sin(orbit.yaw) * horizontal,
+        Math.sin(orbit.pitch),
+        Math.cos(orbit.yaw) * horizontal
+    );
+}
+
+/**
+ * Apply player orbit input
+ * @param {Object} input - Orbit input: drag (pixels since the last frame) and stick (-1 to 1) on each axis
+ * @param {number} deltaTime - Time since the last frame (seconds)
+ * @param {number} now - Current time in milliseconds
+ */
+function applyOrbitInput(input, deltaTime, now) {
+    const { dragX = 0, dragY = 0, stickX = 0, stickY = 0 } = input;
+
+    // Dragging or pushing right turns the view right; dragging down or pulling the stick back raises the camera
+    const yawDelta = -dragX * CAMERA.DRAG_SENSITIVITY - stickX * CAMERA.STICK_ORBIT_SPEED * deltaTime;
+    const pitchDelta = dragY * CAMERA.DRAG_SENSITIVITY - stickY * CAMERA.STICK_ORBIT_SPEED * deltaTime;
+    if (yawDelta === 0 && pitchDelta === 0) {
+        return;
+    }
+
+    orbit.yaw += yawDelta;
+    orbit.pitch = THREE.MathUtils.clamp(orbit.pitch + pitchDelta, CAMERA.MIN_PITCH, CAMERA.MAX_PITCH);
+    orbit.lastManualOrbitTime = now;
+}
+
+/**
+ * Turn the orbit towards a yaw along the shortest way round
+ * @param {number} targetYaw - Yaw to turn towards (radians)
+ * @param {number} deltaTime - Time since the last frame (seconds)
+ */
+function alignYaw(targetYaw, deltaTime) {
+    const difference = Math.atan2(Math.sin(targetYaw - orbit.yaw), Math.cos(targetYaw - orbit.yaw));
+    orbit.yaw += difference * Math.min(1, CAMERA.AUTO_ALIGN_SPEED * deltaTime);
+}
+
+/**
+ * Find how far the camera can be from the focus without an obstacle in between
+ * @param {THREE.Vector3} origin - Orbit focus
+ * @param {THREE.Vector3} direction - Unit vector towards the camera
+ * @param {number} distance - Desired distance
+ * @returns {number} Desired distance, or the distance just in front of the nearest obstacle
+ */
+function getClearDistance(origin, direction, distance) {
+    // Skip obstacles that cannot reach the ray; objects without a size (e.g. mountains) are always tested
+    const obstacles = getObstacles().filter(object => {
+        if (!object) return false;
+        const size = object.userData?.size;
+        if (!size) return true;
+        const reach = distance + size;
+        return object.position.distanceToSquared(origin) <= reach * reach;
+    });
+    if (obstacles.length === 0) {
+        return distance;
+    }
+
+    raycaster.set(origin, direction);
+    raycaster.near = 0;
+    raycaster.far = distance;
+
+    const [hit] = raycaster.intersectObjects(obstacles, true);
+    if (!hit) {
+        return distance;
+    }
+    return Math.max(CAMERA.MIN_DISTANCE, hit.distance - CAMERA.COLLISION_PADDING);
+}
+
+/**
+ * Move the camera for this frame
+ * @param {THREE.Vector3} target - Katamari position
+ * @param {Object} options - Frame state
+ * @param {number} options.radius - Katamari radius
+ * @param {Object} options.velocity - Katamari velocity, used to auto-align behind the direction of travel
+ * @param {number|null} options.heading - Tank-control heading to keep the camera behind, or null
+ * @param {Object} options.input - Orbit input {dragX, dragY, stickX, stickY}
+ * @param {number} options.deltaTime - Time since the last frame (seconds)
+ * @param {number} options.now - Current time in milliseconds
+ */
+function updateCameraController(target, options = {}) {
+    if (!camera || !target) return;
+
+    const {
+        radius = 1,
+        velocity = null,
+        heading = null,
+        input = {},
+        deltaTime = 1 / 60,
+        now = performance.now()
+    } = options;
+
+    applyOrbitInput(input, deltaTime, now);
+
+    // Tank controls keep the camera behind the heading; otherwise it can follow the direction of travel
+    // once the player has left the orbit alone for a moment
+    if (heading !== null) {
+        alignYaw(heading, deltaTime);
+    } else if (orbit.autoAlign && velocity && now - orbit.lastManualOrbitTime > CAMERA.AUTO_ALIGN_DELAY) {
+        const speed = Math.sqrt(velocity.x * velocity.x + velocity.z * velocity.z);
+        if (speed > CAMERA.AUTO_ALIGN_MIN_SPEED) {
+            alignYaw(Math.atan2(-velocity.x, -velocity.z), deltaTime);
+        }
+    }
+
+    focus.lerp(target, CAMERA.LOOK_AT_LERP_SPEED);
+
+    const direction = getOrbitDirection();
+    const clearDistance = getClearDistance(focus, direction, getCameraDistance(radius));
+
+    // Pull in at once so the camera never ends up inside an obstacle, but ease back out
+    if (orbit.distance === 0 || clearDistance < orbit.distance) {
+        orbit.distance = clearDistance;
+    } else {
+        orbit.distance = THREE.MathUtils.lerp(orbit.distance, clearDistance, CAMERA.FOLLOW_LERP_SPEED);
+    }
+
+    camera.position.copy(focus).addScaledVector(direction, orbit.distance);
+    camera.position.y = Math.max(camera.position.y, CAMERA.MIN_HEIGHT);
+    camera.lookAt(focus);
+}
+
+/**
+ * Switch to the next zoom level in CAMERA.ZOOM_LEVELS
+ * @returns {number} Index of the new zoom level
+ */
+function cycleCameraZoom() {
+    orbit.zoomIndex = (orbit.zoomIndex + 1) % CAMERA.ZOOM_LEVELS.length;
+    return orbit.zoomIndex;
+}
+
+/**
+ * Enable or disable swinging the camera behind the direction of travel
+ * @param {boolean} enabled - Whether to auto-align
+ */
+function setCameraAutoAlign(enabled) {
+    orbit.autoAlign = Boolean(enabled);
+    debugInfo(`Camera auto-align ${orbit.autoAlign ? 'ON' : 'OFF'}`);
+}
+
+/**
+ * Check if the camera auto-aligns behind the direction of travel
+ * @returns {boolean} Whether auto-align is enabled
+ */
+function isCameraAutoAlignEnabled() {
+    return orbit.autoAlign;
+}
+
+/**
+ * Get the current orbit
+ * @returns {Object} Orbit state {yaw, pitch, distance, zoomIndex}
+ */
+function getCameraOrbit() {
+    const { yaw, pitch, distance, zoomIndex } = orbit;
+    return { yaw, pitch, distance, zoomIndex };
+}
+
+// Export all camera controller functions
+export {
+    initializeCameraController,
+    updateCameraController,
+    getCameraDistance,
+    cycleCameraZoom,
+    setCameraAutoAlign,
+    isCameraAutoAlignEnabled,
+    getCameraOrbit
+};
@@ -0,0 +1,222 @@
+/**
+ * Instanced Item Module
+ * Hands out the instance slots of an InstancedMesh to the items it draws. Freed slots go on a free
+ * list for the next item, and the mesh's draw count only covers slots up to the highest one in use,
+ * so despawned items at the end of the range are not drawn at all. Each instance has its own opacity
+ * in a per-instance attribute, so items fade in independently of the other instances of their mesh.
+ */
+
+import * as THREE from 'three';
+import { debugWarn } from '../utils/debug.js';
+
+// Name of the per-instance opacity attribute read by the instanced material
+export const INSTANCE_OPACITY_ATTRIBUTE = 'instanceOpacity';
+
+// Reused to compose instance matrices
+const dummy = new THREE.Object3D();
+
+/**
+ * Make a material multiply its opacity by the per-instance opacity attribute
+ * @param {THREE.Material} material - Material of an instanced mesh
+ */
+function enableInstanceOpacity(material) {
+    const previousOnBeforeCompile = material.onBeforeCompile;
+
+    material.transparent = true;
+    material.opacity = 1;
+    material.onBeforeCompile = (shader, renderer) => {
+        if (typeof previousOnBeforeCompile === 'function') {
+            previousOnBeforeCompile(shader, renderer);
+        }
+
+        shader.vertexShader = `attribute float ${INSTANCE_OPACITY_ATTRIBUTE};\nvarying float vInstanceOpacity;\n` +
+            shader.vertexShader.replace('#include <begin_vertex>', `#include <begin_vertex>\n\tvInstanceOpacity = ${INSTANCE_OPACITY_ATTRIBUTE};`);
+        shader.fragmentShader = 'varying float vInstanceOpacity;\n' +
+            shader.fragmentShader.replace('#include <color_fragment>', '#include <color_fragment>\n\tdiffuseColor.a *= vInstanceOpacity;');
+    };
+    material.customProgramCacheKey = () => INSTANCE_OPACITY_ATTRIBUTE;
+    material.needsUpdate = true;
+}
+
+/**
+ * InstancedItemManager allocates the instance slots of one InstancedMesh
+ */
+export class InstancedItemManager {
+    /**
+     * @param {THREE.InstancedMesh} instancedMesh - Mesh whose instances are managed
+     * @param {number} capacity - Number of instances the mesh was created with
+     */
+    constructor(instancedMesh, capacity = instancedMesh.count) {
+        this.mesh = instancedMesh;
+        this.capacity = capacity;
+
+        this.freeSlots = []; // Freed slots below the draw count, most recently freed last
+        this.isFree = new Uint8Array(capacity);
+        this.activeCount = 0;
+
+        this.opacity = new THREE.InstancedBufferAttribute(new Float32Array(capacity), 1);
+        this.opacity.setUsage(THREE.DynamicDrawUsage);
+        instancedMesh.geometry.setAttribute(INSTANCE_OPACITY_ATTRIBUTE, this.opacity);
+        enableInstanceOpacity(instancedMesh.material);
+
+        instancedMesh.count = 0;
+    }
+
+    /**
+     * Number of slots drawn: every slot up to the highest one in use
+     * @returns {number} Draw count
+     */
+    get count() {
+        return this.mesh.count;
+    }
+
+    /**
+     * Take a slot for a new instance, fully transparent until its opacity is set
+     * @returns {number} The slot, or -1 if every slot is in use
+     */
+    allocate() {
+        let slot = -1;
+
+        while (this.freeSlots.length > 0) {
+            const candidate = this.freeSlots.pop();
+            // Slots trimmed off the draw count since they were freed are taken from the end instead
+            if (candidate < this.mesh.count && this.isFree[candidate]) {
+                slot = candidate;
+                break;
+            }
+        }
+
+        if (slot === -1) {
+            if (this.mesh.count >= this.capacity) {
+                debugWarn(`Maximum instances reached: ${this.capacity}`);
+                return -1;
+            }
+            slot = this.mesh.count++;
+        }
+
+        this.isFree[slot] = 0;
+        this.activeCount++;
+        this.setOpacity(slot, 0);
+        return slot;
+    }
+
+    /**
+     * Give a slot back, hiding its instance
+     * @param {number} slot - Slot returned by allocate()
+     * @returns {boolean} True if the slot was in use
+     */
+    free(slot) {
+        if (!this.isInUse(slot)) {
+            debugWarn(`Cannot free instance slot ${slot}: not in use`);
+            return false;
+        }
+
+        this.hide(slot);
+        this.isFree[slot] = 1;
+        this.activeCount--;
+
+        if (slot === this.mesh.count - 1) {
+            // Stop drawing the free slots at the end of the range
+            while (this.mesh.count > 0 && this.isFree[this.mesh.count - 1]) {
+                this.isFree[--this.mesh.count] = 0;
+            }
+        } else {
+            this.freeSlots.push(slot);
+        }
+        return true;
+    }
+
+    /**
+     * Check whether a slot is allocated
+     * @param {number} slot - Slot index
+     * @returns {boolean} True if the slot is in use
+     */
+    isInUse(slot) {
+        return Number.isInteger(slot) && slot >= 0 && slot < this.mesh.count && !this.isFree[slot];
+    }
+
+    /**
+     * Place an instance
+     * @param {number} slot - Slot in use
+     * @param {THREE.Vector3|CANNON.Vec3} position - Instance position
+     * @param {THREE.Quaternion|CANNON.Quaternion} quaternion - Instance rotation
+     * @param {number} scale - Uniform instance scale
+     */
+    setTransform(slot, position, quaternion, scale) {
+        dummy.position.copy(position);
+        dummy.quaternion.copy(quaternion);
+        dummy.scale.setScalar(scale);
+        dummy.updateMatrix();
+        this.mesh.setMatrixAt(slot, dummy.matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+    }
+
+    /**
+     * Tint an instance, if the mesh has instance colors
+     * @param {number} slot - Slot in use
+     * @param {number} color - Hex color
+     */
+    setColor(slot, color) {
+        if (!this.mesh.instanceColor) return;
+
+        const colorObj = new THREE.Color(color);
+        this.mesh.instanceColor.setXYZ(slot, colorObj.r, colorObj.g, colorObj.b);
+        this.mesh.instanceColor.needsUpdate = true;
+    }
+
+    /**
+     * Set an instance's opacity, multiplied with the material's
+     * @param {number} slot - Slot in use
+     * @param {number} opacity - Opacity from 0 to 1
+     */
+    setOpacity(slot, opacity) {
+        this.opacity.array[slot] = opacity;
+        this.opacity.needsUpdate = true;
+    }
+
+    /**
+     * Get an instance's opacity
+     * @param {number} slot - Slot index
+     * @returns {number} Opacity from 0 to 1
+     */
+    getOpacity(slot) {
+        return this.opacity.array[slot];
+    }
+
+    /**
+     * Hide an instance by scaling it to nothing
+     * @param {number} slot - Slot index
+     */
+    hide(slot) {
+        dummy.position.set(0, 0, 0);
+        dummy.quaternion.set(0, 0, 0, 1);
+        dummy.scale.set(0, 0, 0);
+        dummy.updateMatrix();
+        this.mesh.setMatrixAt(slot, dummy.matrix);
+        this.mesh.instanceMatrix.needsUpdate = true;
+        this.setOpacity(slot, 0);
+
+        if (this.mesh.instanceColor) {
+            this.mesh.instanceColor.setXYZ(slot, 0, 0, 0);
+            this.mesh.instanceColor.needsUpdate = true;
+        }
+    }
+
+    /**
+     * Free every slot; nothing is drawn until slots are allocated again
+     */
+    reset() {
+        this.freeSlots.length = 0;
+        this.isFree.fill(0);
+        this.activeCount = 0;
+        this.mesh.count = 0;
+    }
+
+    /**
+     * Remove the opacity attribute from the mesh's geometry, which may outlive the mesh (shared model geometry)
+     */
+    dispose() {
+        this.reset();
+        this.mesh.geometry.deleteAttribute(INSTANCE_OPACITY_ATTRIBUTE);
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Item Model Loading Module
+ * Loads optional glTF/GLB models for catalog items from src/assets/models (bundled by Vite)
+ * and derives the geometry and collision data the item builders need.
+ * Items whose model is missing or fails to load keep their procedural parts.
+ */
+
+import * as THREE from 'three';
+import { debugInfo, debugWarn, debugError } from '../utils/debug.js';
+
+// Model files bundled by Vite, keyed by file name (e.g. "car.glb")
+const BUNDLED_MODEL_URLS = Object.fromEntries(
+    Object.entries(import.meta.glob('../../assets/models/*.{glb,gltf}', { eager: true, query: '?url', import: 'default' }))
+        .map(([path, url]) => [path.split('/').pop(), url])
+);
+
+// Model loading state
+let loader = null;
+let modelUrls = BUNDLED_MODEL_URLS;
+const modelCache = new Map();
+
+/**
+ * Initialize the model loader
+ * @param {Object} options - Loader options
+ * @param {Object} options.loader - Loader with a loadAsync(url) method (defaults to a lazily created GLTFLoader)
+ * @param {Object} options.urls - Model URLs keyed by file name (defaults to the bundled models)
+ */
+function initializeModelLoader(options = {}) {
+    clearModelCache();
+    loader = options.loader || null;
+    modelUrls = options.urls || BUNDLED_MODEL_URLS;
+
+    debugInfo(`Model loader initialized with ${Object.keys(modelUrls).length} bundled model(s)`);
+}
+
+/**
+ * Get the glTF loader, creating it on first use so the loader code is only fetched when models exist
+ * @returns {Promise<Object>} The loader
+ */
+async function getLoader() {
+    if (!loader) {
+        const { GLTFLoader } = await import('three/examples/jsm/loaders/GLTFLoader.js');
+        loader = new GLTFLoader();
+    }
+    return loader;
+}
+
+/**
+ * Derive render and collision data from a loaded model scene
+ * The model is re-centred on its bounding box so it lines up with the physics body.
+ * @param {THREE.Object3D} root - Root of the loaded model
+ * @returns {Object|null} Model data {scene, geometry, material, collision, meshCount}, or null if the model has no meshes
+ */
+function extractModelData(root) {
+    root.updateMatrixWorld(true);
+
+    const meshes = [];
+    root.traverse(child => {
+        if (child.isMesh) meshes.push(child);
+    });
+    if (meshes.length === 0) {
+        return null;
+    }
+
+    const bounds = new THREE.Box3().setFromObject(root);
+    const center = bounds.getCenter(new THREE.Vector3());
+    const size = bounds.getSize(new THREE.Vector3());
+
+    // A single mesh can be drawn through an InstancedMesh; bake its transform into one geometry
+    let geometry = null;
+    let material = null;
+    if (meshes.length === 1) {
+        const [mesh] = meshes;
+        geometry = mesh.geometry.clone();
+        geometry.applyMatrix4(mesh.matrixWorld);
+        geometry.translate(-center.x, -center.y, -center.z);
+        material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+    }
+
+    root.position.sub(center);
+    const pivot = new THREE.Group();
+    pivot.add(root);
+
+    return {
+        scene: pivot,
+        geometry,
+        material,
+        collision: { type: 'box', halfExtents: [size.x / 2, size.y / 2, size.z / 2] },
+        meshCount: meshes.length
+    };
+}
+
+/**
+ * Load one model into the cache
+ * @param {string} modelName - Model file name
+ * @returns {Promise<Object|null>} The model data, or null if the model is unavailable
+ */
+async function loadModel(modelName) {
+    const url = modelUrls[modelName];
+    if (!url) {
+        debugWarn(`Model not bundled: ${modelName}, using procedural builder`);
+        return null;
+    }
+
+    try {
+        const gltfLoader = await getLoader();
+        const gltf = await gltfLoader.loadAsync(url);
+        const data = extractModelData(gltf.scene);
+        if (!data) {
+            debugWarn(`Model has no meshes: ${modelName}, using procedural builder`);
+            return null;
+        }
+
+        modelCache.set(modelName, data);
+        debugInfo(`Loaded model ${modelName} (${data.meshCount} mesh(es))`);
+        return data;
+    } catch (error) {
+        debugError(`Failed to load model ${modelName}, using procedural builder:`, error);
+        return null;
+    }
+}
+
+/**
+ * Load the models referenced by item definitions
+ * Definitions without a model, or whose model fails to load, are left to the procedural builders.
+ * @param {Array<Object>} definitions - Item definitions from the catalog
+ * @returns {Promise<number>} Number of models available after loading
+ */
+async function loadItemModels(definitions) {
+    const modelNames = [...new Set(definitions.map(definition => definition.model).filter(Boolean))];
+    const pending = modelNames.filter(modelName => !modelCache.has(modelName));
+
+    await Promise.all(pending.map(loadModel));
+
+    return modelNames.filter(modelName => modelCache.has(modelName)).length;
+}
+
+/**
+ * Get the loaded data of a model
+ * @param {string} modelName - Model file name
+ * @returns {Object|null} Model data, or null if the model is not loaded
+ */
+function getModelData(modelName) {
+    return (modelName && modelCache.get(modelName)) || null;
+}
+
+/**
+ * Get the single-mesh geometry of a model for instancing
+ * @param {string} modelName - Model file name
+ * @returns {THREE.BufferGeometry|null} The geometry, or null if the model is not loaded or has several meshes
+ */
+function getModelGeometry(modelName) {
+    return getModelData(modelName)?.geometry || null;
+}
+
+/**
+ * Dispose of all loaded models
+ */
+function clearModelCache() {
+    for (const data of modelCache.values()) {
+        if (data.geometry) {
+            data.geometry.dispose();
+        }
+        data.scene.traverse(child => {
+            if (!child.isMesh) return;
+            child.geometry.dispose();
+            (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => material.dispose());
+        });
+    }
+    modelCache.clear();
+}
+
+// Export all model loading functions
+export {
+    initializeModelLoader,
+    loadItemModels,
+    extractModelData,
+    getModelData,
+    getModelGeometry,
+    clearModelCache
+};
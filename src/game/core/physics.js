@@ -5,14 +5,23 @@
 
 import * as CANNON from 'cannon-es';
 import { debugLog, debugWarn, debugError, debugInfo } from '../utils/debug.js';
-import { recordPhysicsStepTime } from '../utils/performance.js';
-import { PHYSICS } from '../utils/constants.js';
+import { recordPhysicsStepTime, trackObjectPool } from '../utils/performance.js';
+import { ObjectPool } from '../utils/pool.js';
+import { PHYSICS, PERFORMANCE } from '../utils/constants.js';
 
 // Physics world and state
 let world = null;
 let physicsBodies = [];
 let physicsTimeAccumulator = 0;
 
+// Released item bodies, reused with new shapes instead of allocating a body per spawned item
+const bodyPool = new ObjectPool({
+    create: () => new CANNON.Body({ mass: 1 }),
+    reset: resetPooledBody,
+    maxSize: PERFORMANCE.BODY_POOL_SIZE
+});
+trackObjectPool('physicsBodies', bodyPool);
+
 // Performance monitoring
 let physicsPerformanceStats = {
     lastStepTime: 0,
@@ -173,6 +182,48 @@ export function removePhysicsBody(body) {
     }
 }
 
+/**
+ * Get a dynamic body without shapes, reused from the body pool if one is available
+ * Set its shapes, mass (then call updateMassProperties), position and material before adding it to the world.
+ * @returns {CANNON.Body} The body
+ */
+export function acquirePooledBody() {
+    return bodyPool.acquire();
+}
+
+/**
+ * Remove a body from the world and release it into the body pool
+ * @param {CANNON.Body} body - Body acquired with acquirePooledBody
+ * @returns {boolean} True if the body was kept for reuse
+ */
+export function releasePooledBody(body) {
+    if (!body) {
+        return false;
+    }
+
+    removePhysicsBody(body);
+    return bodyPool.release(body);
+}
+
+/**
+ * Clear a released body's shapes, motion and user data so it can be reused
+ * @param {CANNON.Body} body - Body released into the pool
+ */
+function resetPooledBody(body) {
+    while (body.shapes.length > 0) {
+        body.removeShape(body.shapes[body.shapes.length - 1]);
+    }
+
+    body.position.set(0, 0, 0);
+    body.quaternion.set(0, 0, 0, 1);
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    // Forces need no reset: the world clears them after every step
+    body.material = null;
+    body.userData = null;
+    body.sleepState = CANNON.Body.AWAKE;
+}
+
 /**
  * Get all tracked physics bodies
  * @returns {CANNON.Body[]} Array of tracked physics bodies
@@ -289,8 +340,10 @@ export function createPlaneBody(position, userData = {}) {
  * Simplified physics body activation - optimized for performance
  * @param {CANNON.Vec3} referencePosition - Reference position (typically katamari position)
  * @param {number} activeDistance - Distance within which bodies should be active
+ * @param {SpatialHash} bodyIndex - Optional spatial index of objects carrying their physics body in
+ * userData.cannonBody (such as the items system's index), queried instead of checking every body
  */
-export function managePhysicsBodyActivation(referencePosition, activeDistance = PHYSICS.ACTIVE_DISTANCE) {
+export function managePhysicsBodyActivation(referencePosition, activeDistance = PHYSICS.ACTIVE_DISTANCE, bodyIndex = null) {
     if (!referencePosition) {
         return;
     }
@@ -298,26 +351,48 @@ export function managePhysicsBodyActivation(referencePosition, activeDistance =
     // Simplified activation - only process every few frames to reduce overhead
     if (Math.random() > 0.1) return; // Only run 10% of the time
     
-    for (const body of physicsBodies) {
-        if (!body.userData || body.userData.isStatic || body.userData.isKatamari) {
-            continue;
+    if (bodyIndex) {
+        for (const object of bodyIndex.queryRadius(referencePosition, activeDistance)) {
+            updateBodyActivation(object.userData.cannonBody, true);
         }
-        
+        // Only sleep bodies that are very far away
+        for (const object of bodyIndex.queryOutside(referencePosition, activeDistance * 2)) {
+            updateBodyActivation(object.userData.cannonBody, false);
+        }
+        return;
+    }
+    
+    for (const body of physicsBodies) {
         const distance = referencePosition.distanceTo(body.position);
         
         if (distance <= activeDistance) {
-            if (body.sleepState === CANNON.Body.SLEEPING) {
-                body.wakeUp();
-            }
+            updateBodyActivation(body, true);
         } else if (distance > activeDistance * 2) {
             // Only sleep bodies that are very far away
-            if (body.sleepState === CANNON.Body.AWAKE && body.velocity.length() < 0.1) {
-                body.sleep();
-            }
+            updateBodyActivation(body, false);
         }
     }
 }
 
+/**
+ * Wake a sleeping body near the reference position, or put a far, slow-moving body to sleep
+ * @param {CANNON.Body} body - Physics body
+ * @param {boolean} isNear - True if the body is within the active distance
+ */
+function updateBodyActivation(body, isNear) {
+    if (!body || !body.userData || body.userData.isStatic || body.userData.isKatamari) {
+        return;
+    }
+    
+    if (isNear) {
+        if (body.sleepState === CANNON.Body.SLEEPING) {
+            body.wakeUp();
+        }
+    } else if (body.sleepState === CANNON.Body.AWAKE && body.velocity.length() < 0.1) {
+        body.sleep();
+    }
+}
+
 /**
  * Handle collision events for a physics body
  * @param {CANNON.Body} body - The physics body to add collision handling to
@@ -418,14 +493,23 @@ export function updateKatamariPhysics(katamariBody, newRadius) {
         return;
     }
     
-    // Create new shape with updated radius
-    const newShape = new CANNON.Sphere(newRadius);
-    
     // Calculate new mass using the same formula as creation
     const newMass = 12.5 * Math.pow(newRadius, 3);
     
-    // Update the body
-    updateBodyShapeAndMass(katamariBody, newShape, newMass);
+    if (katamariBody.shapes.length > 1) {
+        // Resize the core sphere in place so the lump shapes after it are kept
+        const coreShape = katamariBody.shapes[0];
+        coreShape.radius = newRadius;
+        coreShape.updateBoundingSphereRadius();
+
+        katamariBody.mass = newMass;
+        katamariBody.updateMassProperties();
+        katamariBody.updateBoundingRadius();
+        katamariBody.aabbNeedsUpdate = true;
+    } else {
+        // Update the body with a new shape at the updated radius
+        updateBodyShapeAndMass(katamariBody, new CANNON.Sphere(newRadius), newMass);
+    }
     
     // Ensure the Katamari doesn't sink into the ground
     katamariBody.position.y = Math.max(newRadius, katamariBody.position.y);
@@ -433,6 +517,43 @@ export function updateKatamariPhysics(katamariBody, newRadius) {
     debugInfo(`Katamari physics updated: radius=${newRadius.toFixed(2)}m, mass=${newMass.toFixed(2)}kg, Y-pos=${katamariBody.position.y.toFixed(2)}m`);
 }
 
+/**
+ * Set the collision lumps of the Katamari body: extra spheres around its core sphere
+ * Lump shapes are reused by index, so they can follow their items every frame without reallocating.
+ * @param {CANNON.Body} katamariBody - The Katamari physics body (core sphere first)
+ * @param {Array<Object>} lumps - Lumps as {radius, offset}, with offsets in body-local coordinates
+ */
+export function setKatamariLumps(katamariBody, lumps) {
+    if (!katamariBody) {
+        debugError("Cannot set Katamari lumps: body is null or undefined");
+        return;
+    }
+
+    // Nothing to add and nothing to remove
+    if (lumps.length === 0 && katamariBody.shapes.length <= 1) {
+        return;
+    }
+
+    while (katamariBody.shapes.length > lumps.length + 1) {
+        katamariBody.removeShape(katamariBody.shapes[katamariBody.shapes.length - 1]);
+    }
+    while (katamariBody.shapes.length < lumps.length + 1) {
+        katamariBody.addShape(new CANNON.Sphere(1));
+    }
+
+    lumps.forEach((lump, index) => {
+        const shape = katamariBody.shapes[index + 1];
+        shape.radius = lump.radius;
+        shape.updateBoundingSphereRadius();
+        katamariBody.shapeOffsets[index + 1].set(lump.offset.x, lump.offset.y, lump.offset.z);
+    });
+
+    // Lumps widen the body, so its inertia grows and it wobbles as they roll over the ground
+    katamariBody.updateMassProperties();
+    katamariBody.updateBoundingRadius();
+    katamariBody.aabbNeedsUpdate = true;
+}
+
 /**
  * Apply impulse to a physics body
  * @param {CANNON.Body} body - The physics body
@@ -531,10 +652,10 @@ function logPhysicsPerformanceStats() {
 
 /**
  * Get current physics performance statistics
- * @returns {Object} Current physics performance stats
+ * @returns {Object} Current physics performance stats, with the body pool statistics as bodyPool
  */
 export function getPhysicsPerformanceStats() {
-    return { ...physicsPerformanceStats };
+    return { ...physicsPerformanceStats, bodyPool: bodyPool.getStats() };
 }
 
 /**
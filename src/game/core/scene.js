@@ -6,6 +6,7 @@
 import * as THREE from 'three';
 import { debugLog, debugWarn, debugError, debugInfo } from '../utils/debug.js';
 import { RENDERING, LIGHTING, CAMERA, ITEM_GENERATION } from '../utils/constants.js';
+import { getModelGeometry } from './models.js';
 
 // Scene management state
 let scene, camera, renderer;
@@ -16,23 +17,31 @@ const frustum = new THREE.Frustum();
 
 /**
  * Initialize the Three.js scene, camera, and renderer
+ * @param {Object} options - Scene options
+ * @param {boolean} options.headless - Create the scene and camera without a renderer or any DOM access (headless simulation)
  */
-function initializeScene() {
+function initializeScene(options = {}) {
     debugInfo("Initializing Three.js scene...");
     
     // Create scene
     scene = new THREE.Scene();
     
-    // Create camera
+    // Create camera; a headless camera has no window to match, so it keeps a square aspect
     camera = new THREE.PerspectiveCamera(
         RENDERING.CAMERA_FOV, 
-        window.innerWidth / window.innerHeight, 
+        options.headless ? 1 : window.innerWidth / window.innerHeight, 
         RENDERING.CAMERA_NEAR, 
         RENDERING.CAMERA_FAR
     );
     camera.position.set(CAMERA.INITIAL_POSITION.x, CAMERA.INITIAL_POSITION.y, CAMERA.INITIAL_POSITION.z);
     camera.lookAt(CAMERA.LOOK_AT_POSITION.x, CAMERA.LOOK_AT_POSITION.y, CAMERA.LOOK_AT_POSITION.z);
     
+    if (options.headless) {
+        renderer = null;
+        debugInfo("Three.js scene initialized without a renderer (headless)");
+        return;
+    }
+    
     // Create renderer
     renderer = new THREE.WebGLRenderer({ antialias: true });
     renderer.setSize(window.innerWidth, window.innerHeight);
@@ -91,8 +100,8 @@ function setupLighting() {
 
 /**
  * Create or get an instanced mesh for performance optimization
- * @param {string} geometryType - Type of geometry (sphere, box, etc.)
- * @param {Object} geometryParams - Parameters for geometry creation
+ * @param {string} geometryType - Type of geometry (sphere, box, cylinder, or model for a loaded item model)
+ * @param {Object} geometryParams - Parameters for geometry creation ({ model } names the model file)
  * @param {THREE.Material} material - Material for the mesh
  * @param {number} maxInstances - Maximum number of instances
  * @returns {THREE.InstancedMesh} The instanced mesh
@@ -126,6 +135,14 @@ function getInstancedMesh(geometryType, geometryParams, material, maxInstances =
                     geometryParams.radialSegments || ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS
                 );
                 break;
+            case 'model':
+                // Shared with the model cache, which owns and disposes it
+                geometry = getModelGeometry(geometryParams.model);
+                if (!geometry) {
+                    debugError(`Model geometry not loaded: ${geometryParams.model}`);
+                    return null;
+                }
+                break;
             default:
                 debugError(`Unknown geometry type: ${geometryType}`);
                 return null;
@@ -150,6 +167,32 @@ function getInstancedMesh(geometryType, geometryParams, material, maxInstances =
     return instancedMeshes[key];
 }
 
+/**
+ * Remove an instanced mesh created by getInstancedMesh and dispose of its resources
+ * Model geometry is left to the model cache.
+ * @param {string} geometryType - Type of geometry the mesh was created with
+ * @param {Object} geometryParams - Parameters the mesh was created with
+ */
+function removeInstancedMesh(geometryType, geometryParams) {
+    const key = `${geometryType}_${JSON.stringify(geometryParams)}`;
+    const instancedMesh = instancedMeshes[key];
+    if (!instancedMesh) {
+        return;
+    }
+
+    scene.remove(instancedMesh);
+    if (geometryType !== 'model') {
+        instancedGeometries[key].dispose();
+    }
+    instancedMaterials[key].dispose();
+
+    delete instancedGeometries[key];
+    delete instancedMaterials[key];
+    delete instancedMeshes[key];
+
+    debugLog(`Removed instanced mesh: ${key}`);
+}
+
 /**
  * Update instanced mesh with new instance data
  * @param {string} meshKey - Key identifying the instanced mesh
@@ -241,9 +284,11 @@ function renderScene() {
 function cleanup() {
     debugInfo("Cleaning up scene resources...");
     
-    // Dispose of geometries
-    Object.values(instancedGeometries).forEach(geometry => {
-        geometry.dispose();
+    // Dispose of geometries (model geometry belongs to the model cache)
+    Object.entries(instancedGeometries).forEach(([key, geometry]) => {
+        if (!key.startsWith('model_')) {
+            geometry.dispose();
+        }
     });
     
     // Dispose of materials
@@ -311,6 +356,7 @@ export {
     initializeScene,
     setupLighting,
     getInstancedMesh,
+    removeInstancedMesh,
     updateInstancedMesh,
     performFrustumCulling,
     handleWindowResize,
@@ -0,0 +1,333 @@
+/**
+ * Headless Game Simulation
+ * Steps the game loop's gameplay - physics, katamari movement, item collection, chunk streaming, and the
+ * level timer and win/fail checks - with a fixed timestep and scripted input, without a renderer, DOM
+ * or audio, so balance and regression tests can run real cannon-es physics in Node.
+ * Game time follows the simulation rather than the wall clock, so a seeded run is repeatable step for step.
+ * The game systems keep module-level state, so only one simulation (or game) can run at a time.
+ */
+
+import { debugInfo, debugWarn } from '../utils/debug.js';
+import { SIMULATION, WORLD } from '../utils/constants.js';
+import { setGameTimeSource } from '../utils/clock.js';
+import { initializeScene, cleanup as cleanupScene, getScene, getCamera } from './scene.js';
+import { initializePhysicsWorld, getPhysicsWorld, updatePhysics, resetPhysicsTimeAccumulator, cleanupPhysics } from './physics.js';
+import { initializeCameraController, updateCameraController } from './camera.js';
+import {
+    initializeItemsSystem,
+    getItemsToCollect,
+    processPendingItems,
+    synchronizeItemsWithPhysics,
+    attractItemsToKatamari,
+    cleanupItemsSystem
+} from '../entities/items.js';
+import { initializeEnvironment, updateMountainPassability, getMountains, cleanupEnvironment } from '../entities/environment.js';
+import { Katamari } from '../entities/katamari.js';
+import {
+    initializeLevelSystem,
+    generateNewLevel,
+    checkFailCondition,
+    updateLevelTimer,
+    getTimeRemaining,
+    getLevelResults,
+    getCurrentLevel,
+    getCurrentTheme,
+    getTargetKatamariSize,
+    getLevelSeed,
+    setCurrentLevel,
+    cleanupLevelSystem
+} from '../systems/level.js';
+import { initializeChunkSystem, updateChunks, cleanupChunkSystem } from '../systems/chunks.js';
+import { initializePowerUpSystem, updatePowerUps, getActivePowerUps, clearPowerUps, cleanupPowerUpSystem } from '../systems/powerups.js';
+import { initializeScoreSystem, getScore, cleanupScoreSystem } from '../systems/score.js';
+
+// Input applied when a script gives none: no movement
+const NO_INPUT = Object.freeze({ x: 0, y: 0, magnitude: 0 });
+
+/**
+ * Turn a scripted input into a function of simulation time
+ * @param {Function|Array<Object>|null} script - Function (time, simulation) => input, or timed segments
+ * [{duration, input}] played in order; the input is NO_INPUT once the segments run out
+ * @returns {Function} Function (time, simulation) => input
+ */
+function createInputScript(script) {
+    if (typeof script === 'function') {
+        return script;
+    }
+    if (!Array.isArray(script)) {
+        return () => NO_INPUT;
+    }
+
+    return (time) => {
+        let segmentEnd = 0;
+        for (const segment of script) {
+            segmentEnd += segment.duration;
+            if (time < segmentEnd) {
+                return segment.input;
+            }
+        }
+        return NO_INPUT;
+    };
+}
+
+/**
+ * Copy a vector-like object into a plain {x, y, z} object
+ * @param {Object} vector - THREE or CANNON vector
+ * @returns {Object} Plain vector
+ */
+function toPlainVector(vector) {
+    return { x: vector.x, y: vector.y, z: vector.z };
+}
+
+/**
+ * GameSimulation runs levels headlessly with a fixed timestep and scripted input
+ */
+export class GameSimulation {
+    /**
+     * @param {Object} options - Simulation options
+     * @param {number|string} options.seed - Seed of the first level; a fresh seed is picked if omitted
+     * @param {number} options.level - Level to start at
+     * @param {number} options.timeStep - Fixed timestep of each step (seconds)
+     * @param {string} options.controlScheme - 'standard' (input {x, y, magnitude}, camera-relative)
+     * or 'tank' (input {left, right})
+     * @param {Function|Array<Object>} options.input - Scripted input: a function (time, simulation) => input,
+     * or timed segments [{duration, input}] played in order
+     */
+    constructor(options = {}) {
+        this.seed = options.seed;
+        this.initialLevel = options.level || 1;
+        this.timeStep = options.timeStep || SIMULATION.TIME_STEP;
+        this.controlScheme = options.controlScheme === 'tank' ? 'tank' : 'standard';
+        this.inputScript = createInputScript(options.input);
+
+        this.katamari = null;
+        this.stepCount = 0;
+        this.time = 0; // Seconds simulated in the current level
+        this.totalTime = 0; // Seconds simulated across all levels; the game clock never runs backwards
+        this.isRunning = false;
+    }
+
+    /**
+     * Set up the game systems headlessly and generate the first level
+     * @returns {Promise<Object>} Snapshot of the level before the first step
+     */
+    async start() {
+        debugInfo("Starting headless game simulation...");
+
+        // Gameplay timers read simulated time from here on
+        setGameTimeSource(() => this.getGameTime());
+
+        initializeScene({ headless: true });
+        initializePhysicsWorld();
+        resetPhysicsTimeAccumulator();
+        initializeCameraController(getCamera(), {
+            getObstacles: () => [
+                ...getMountains(),
+                ...getItemsToCollect().filter(item => this.katamari && !this.katamari.canCollectItem(item.userData.size))
+            ]
+        });
+
+        initializeItemsSystem();
+        initializeChunkSystem();
+        initializeEnvironment();
+        initializeLevelSystem();
+        setCurrentLevel(this.initialLevel);
+        initializePowerUpSystem();
+        initializeScoreSystem();
+
+        this.isRunning = true;
+        return this.generateLevel({ seed: this.seed });
+    }
+
+    /**
+     * Generate the level system's current level: the next level after a win, the same level otherwise
+     * @param {Object} options - Generation options
+     * @param {number|string} options.seed - Seed to generate the level from; a fresh seed is picked if omitted
+     * @returns {Promise<Object>} Snapshot of the level before the first step
+     */
+    async generateLevel(options = {}) {
+        if (!this.isRunning) {
+            debugWarn("Cannot generate a level before the simulation has started");
+            return null;
+        }
+
+        this.stepCount = 0;
+        this.time = 0;
+        await generateNewLevel(() => this.createKatamari(), { seed: options.seed, headless: true });
+
+        debugInfo(`Simulating level ${getCurrentLevel()} with seed ${getLevelSeed()}`);
+        return this.getSnapshot();
+    }
+
+    /**
+     * Replace the katamari for a new level
+     */
+    createKatamari() {
+        if (this.katamari) {
+            this.katamari.dispose();
+        }
+
+        this.katamari = new Katamari(getScene(), getPhysicsWorld());
+        clearPowerUps();
+    }
+
+    /**
+     * Get the game time read by the gameplay timers
+     * @returns {number} Time in milliseconds
+     */
+    getGameTime() {
+        return SIMULATION.START_TIME + this.totalTime * 1000;
+    }
+
+    /**
+     * Check whether the current level has been completed or failed
+     * @returns {boolean} True once the level has results
+     */
+    isLevelOver() {
+        return getLevelResults() !== null;
+    }
+
+    /**
+     * Advance the simulation by one fixed timestep, in the order the game loop runs each frame
+     * @param {Object} input - Input for this step; the scripted input is used if omitted
+     * @returns {boolean} True if the step ran (false before start, after dispose or once the level is over)
+     */
+    step(input = null) {
+        if (!this.isRunning || !this.katamari || this.isLevelOver()) {
+            return false;
+        }
+
+        const deltaTime = this.timeStep;
+        const katamari = this.katamari;
+        const stepInput = input || this.inputScript(this.time, this) || NO_INPUT;
+
+        this.time += deltaTime;
+        this.totalTime += deltaTime;
+        this.stepCount++;
+
+        // Body activation is left to cannon-es's own sleeping, as the game loop only manages it on a random
+        // tenth of its frames
+        updatePhysics(deltaTime);
+        updatePowerUps();
+
+        if (this.controlScheme === 'tank') {
+            katamari.handleTankMovement({ left: stepInput.left || 0, right: stepInput.right || 0 }, deltaTime);
+        } else {
+            const x = stepInput.x || 0;
+            const y = stepInput.y || 0;
+            const magnitude = stepInput.magnitude ?? Math.min(1, Math.hypot(x, y));
+            katamari.handleMovement({ x, y, magnitude }, getCamera());
+        }
+
+        katamari.update(WORLD.MAP_BOUNDARY);
+
+        processPendingItems();
+        synchronizeItemsWithPhysics();
+        updateChunks(katamari.getThreePosition(), getCurrentTheme(), katamari.radius);
+        attractItemsToKatamari(katamari);
+
+        updateLevelTimer(deltaTime);
+        checkFailCondition(katamari.radius, katamari.itemsCollectedCount);
+
+        updateMountainPassability(katamari.radius);
+
+        updateCameraController(katamari.getThreePosition(), {
+            radius: katamari.radius,
+            velocity: katamari.body.velocity,
+            heading: this.controlScheme === 'tank' ? katamari.heading : null,
+            deltaTime,
+            now: this.getGameTime()
+        });
+
+        return true;
+    }
+
+    /**
+     * Step until the level is over, a stop condition is met or the step limit is reached
+     * @param {Object} options - Run options
+     * @param {number} options.duration - Seconds to simulate
+     * @param {number} options.steps - Steps to simulate (used if no duration is given)
+     * @param {Function} options.until - Stops the run once it returns true for the snapshot after a step
+     * @param {number} options.snapshotInterval - Take a snapshot every this many steps (0 for the final snapshot only)
+     * @returns {Array<Object>} Snapshots taken during the run, ending with the final state
+     */
+    run(options = {}) {
+        const { duration, until = null, snapshotInterval = 0 } = options;
+        let maxSteps = duration !== undefined ? Math.round(duration / this.timeStep) : (options.steps ?? SIMULATION.MAX_RUN_STEPS);
+        maxSteps = Math.min(Math.max(0, maxSteps), SIMULATION.MAX_RUN_STEPS);
+
+        const snapshots = [];
+        for (let i = 0; i < maxSteps; i++) {
+            if (!this.step()) break;
+
+            const isSnapshotStep = snapshotInterval > 0 && this.stepCount % snapshotInterval === 0;
+            if (isSnapshotStep || until) {
+                const snapshot = this.getSnapshot();
+                if (isSnapshotStep) snapshots.push(snapshot);
+                if (until && until(snapshot)) break;
+            }
+        }
+
+        const finalSnapshot = this.getSnapshot();
+        if (snapshots.length === 0 || snapshots[snapshots.length - 1].step !== finalSnapshot.step) {
+            snapshots.push(finalSnapshot);
+        }
+        return snapshots;
+    }
+
+    /**
+     * Get a plain snapshot of the simulation state
+     * @returns {Object} Step, time, level, seed, theme, katamari state, item count, target size, time remaining,
+     * score, active power-ups and the level results (null while the level is in progress)
+     */
+    getSnapshot() {
+        const katamari = this.katamari;
+        const theme = getCurrentTheme();
+        const results = getLevelResults();
+
+        return {
+            step: this.stepCount,
+            time: this.time,
+            level: getCurrentLevel(),
+            seed: getLevelSeed(),
+            themeName: theme ? theme.themeName : null,
+            katamari: katamari ? {
+                position: toPlainVector(katamari.body.position),
+                velocity: toPlainVector(katamari.body.velocity),
+                radius: katamari.radius,
+                itemsCollected: katamari.itemsCollectedCount,
+                attachedCount: katamari.attachmentCount
+            } : null,
+            itemsInWorld: getItemsToCollect().length,
+            targetSize: getTargetKatamariSize(),
+            timeRemaining: getTimeRemaining(),
+            score: getScore(),
+            powerUps: Object.keys(getActivePowerUps()),
+            results: results ? { ...results } : null
+        };
+    }
+
+    /**
+     * Tear down the simulated world and hand the gameplay timers back to the wall clock
+     */
+    dispose() {
+        if (this.katamari) {
+            this.katamari.dispose();
+            this.katamari = null;
+        }
+
+        cleanupItemsSystem();
+        cleanupChunkSystem();
+        cleanupEnvironment();
+        cleanupLevelSystem();
+        cleanupPowerUpSystem();
+        cleanupScoreSystem();
+        cleanupPhysics();
+        cleanupScene();
+
+        setGameTimeSource(null);
+        this.isRunning = false;
+
+        debugInfo("Headless game simulation disposed");
+    }
+}
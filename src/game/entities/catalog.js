@@ -0,0 +1,705 @@
+/**
+ * Item catalog for the Katamari game
+ * Declares every collectible item as data (parts, size, physics, colors, themes)
+ * so new items can be added without touching the item builder in items.js
+ */
+
+import { THEMES, SCORE, SPAWN_TABLES } from '../utils/constants.js';
+
+// Default color palette; parts without an explicit color use a color picked from the item's palette
+const DEFAULT_PALETTE = [0xFF6347, 0x6A5ACD, 0x3CB371, 0xFFD700, 0xBA55D3, 0x4682B4, 0xD2B48C, 0xFFA07A, 0x20B2AA, 0xFF69B4];
+
+// Physics body mass per unit of item size, unless an item overrides it
+const DEFAULT_MASS_FACTOR = 5;
+
+// Number of size-relative dimensions each primitive takes
+const PRIMITIVE_DIMENSIONS = {
+    box: 3, // width, height, depth
+    sphere: 1, // radius
+    cylinder: 3, // radiusTop, radiusBottom, height
+    cone: 2, // radius, height
+    torus: 2, // radius, tube
+    octahedron: 1, // radius
+    icosahedron: 1, // radius
+    dodecahedron: 1 // radius
+};
+
+// Collision shapes and the size-relative fields each one requires
+// (compound builds one shape per colliding part, so it needs no fields of its own)
+const COLLISION_FIELDS = {
+    box: ['halfExtents'],
+    sphere: ['radius'],
+    cylinder: ['radiusTop', 'radiusBottom', 'height'],
+    compound: []
+};
+
+// Theme names used as item tags
+const GREEN_EARTH = 'Our Green Earth';
+const URBAN_JUNGLE = 'Urban Jungle';
+const COSMIC_DEBRIS = 'Cosmic Debris';
+
+/**
+ * Item definitions
+ *
+ * name       - Display name, referenced by THEMES[].items
+ * themes     - Themes the item appears in
+ * instanced  - Rendered through a shared InstancedMesh (single-part items only)
+ * sizeRange  - [min, max] base size; all part dimensions, positions and collision sizes are multiples of it
+ * sizeScale  - Collectible size as a multiple of the base size
+ * massFactor - Physics mass per unit of collectible size (defaults to DEFAULT_MASS_FACTOR)
+ * rarity     - Key of SCORE.RARITY_MULTIPLIERS scaling the points the item is worth (defaults to 'common')
+ * palette    - Colors to pick the item color from (defaults to DEFAULT_PALETTE)
+ * collision  - Physics shape: box { halfExtents }, sphere { radius }, cylinder { radiusTop, radiusBottom, height, segments },
+ *              or compound to give every colliding part its own shape (regular items only)
+ * parts      - Visual parts: { primitive, dimensions, segments, detail, color, roughness, metalness, emissive,
+ *              position | positions, rotation, shadows, collides }; `positions` repeats the part at each offset,
+ *              `collides: false` leaves thin details out of a compound collision
+ * model      - Optional glTF/GLB file in src/assets/models that replaces the parts (and collision) once loaded;
+ *              the parts stay as the fallback when the file is missing or fails to load
+ * modelScale - Model units per unit of base size (defaults to 1)
+ */
+const ITEM_CATALOG = [
+    // Instanced items
+    {
+        name: 'Rock',
+        themes: [GREEN_EARTH],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 0.7,
+        collision: { type: 'sphere', radius: 0.7 },
+        parts: [{ primitive: 'sphere', dimensions: [0.7], segments: 16 }]
+    },
+    {
+        name: 'Bush',
+        themes: [GREEN_EARTH],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 0.8,
+        collision: { type: 'sphere', radius: 0.8 },
+        parts: [{ primitive: 'sphere', dimensions: [0.8], segments: 24 }]
+    },
+    {
+        name: 'Flower',
+        themes: [GREEN_EARTH],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1.5,
+        collision: { type: 'cylinder', radiusTop: 0.2, radiusBottom: 0.2, height: 1.5, segments: 8 },
+        parts: [{ primitive: 'cylinder', dimensions: [0.2, 0.2, 1.5], segments: 8 }]
+    },
+    {
+        name: 'Mushroom',
+        themes: [GREEN_EARTH],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1.2,
+        collision: { type: 'cylinder', radiusTop: 0.6, radiusBottom: 0.3, height: 1.2, segments: 16 },
+        parts: [{ primitive: 'cylinder', dimensions: [0.6, 0.3, 1.2], segments: 16 }]
+    },
+    {
+        name: 'Traffic Cone',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 0.5,
+        collision: { type: 'cylinder', radiusTop: 0, radiusBottom: 0.5, height: 1.5, segments: 16 },
+        parts: [{ primitive: 'cone', dimensions: [0.5, 1.5], segments: 16 }]
+    },
+    {
+        name: 'Garden Gnome',
+        themes: [GREEN_EARTH],
+        rarity: 'uncommon',
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 0.5,
+        collision: { type: 'sphere', radius: 0.5 },
+        parts: [{ primitive: 'sphere', dimensions: [0.5], segments: 16 }]
+    },
+    {
+        name: 'Bird Bath',
+        themes: [GREEN_EARTH],
+        rarity: 'uncommon',
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1.4,
+        collision: { type: 'cylinder', radiusTop: 0.7, radiusBottom: 0.6, height: 1.4, segments: 16 },
+        parts: [{ primitive: 'cylinder', dimensions: [0.7, 0.6, 1.4], segments: 16 }]
+    },
+    {
+        name: 'Asteroid',
+        themes: [COSMIC_DEBRIS],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1,
+        collision: { type: 'sphere', radius: 1 },
+        parts: [{ primitive: 'icosahedron', dimensions: [1], detail: 0 }]
+    },
+    {
+        name: 'Space Debris',
+        themes: [COSMIC_DEBRIS],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1,
+        collision: { type: 'box', halfExtents: [0.5, 0.5, 0.5] },
+        parts: [{ primitive: 'box', dimensions: [1, 1, 1] }]
+    },
+    {
+        name: 'Comet Fragment',
+        themes: [COSMIC_DEBRIS],
+        rarity: 'uncommon',
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1,
+        collision: { type: 'sphere', radius: 1 },
+        parts: [{ primitive: 'icosahedron', dimensions: [1], detail: 1 }]
+    },
+    {
+        name: 'Moon Rock',
+        themes: [COSMIC_DEBRIS],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 1,
+        collision: { type: 'sphere', radius: 1 },
+        parts: [{ primitive: 'dodecahedron', dimensions: [1], detail: 0 }]
+    },
+    {
+        name: 'Star Dust Cluster',
+        themes: [COSMIC_DEBRIS],
+        instanced: true,
+        sizeRange: [0.4, 1.6],
+        sizeScale: 0.5,
+        collision: { type: 'sphere', radius: 0.5 },
+        parts: [{ primitive: 'sphere', dimensions: [0.5], segments: 8 }]
+    },
+
+    // Regular items
+    {
+        name: 'Car',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.8, 2.3],
+        sizeScale: 1.2,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [2, 0.8, 1], roughness: 0.6, shadows: true }, // Body
+            { primitive: 'box', dimensions: [1.2, 0.6, 0.8], roughness: 0.6, position: [0, 0.7, 0], shadows: true }, // Cabin
+            {
+                primitive: 'cylinder', dimensions: [0.25, 0.25, 0.2], segments: 16, color: 0x333333, roughness: 0.8,
+                rotation: [0, 0, Math.PI / 2],
+                positions: [[0.7, -0.2, 0.5], [-0.7, -0.2, 0.5], [0.7, -0.2, -0.5], [-0.7, -0.2, -0.5]]
+            } // Wheels
+        ]
+    },
+    {
+        name: 'Tree',
+        themes: [GREEN_EARTH],
+        sizeRange: [1.5, 4.0],
+        sizeScale: 1,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cylinder', dimensions: [0.08, 0.12, 1.2], segments: 8, color: 0x8B4513, roughness: 0.7, position: [0, 0.6, 0], shadows: true }, // Trunk
+            { primitive: 'cone', dimensions: [0.4, 0.8], segments: 16, color: 0x228B22, roughness: 0.5, position: [0, 1.2, 0], shadows: true } // Foliage
+        ]
+    },
+    {
+        name: 'House',
+        themes: [GREEN_EARTH],
+        sizeRange: [1.0, 2.8],
+        sizeScale: 1,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [1.5, 1.2, 1.5], color: 0xF5DEB3, roughness: 0.7, shadows: true }, // Walls
+            { primitive: 'cone', dimensions: [1.2, 0.8], segments: 4, color: 0xA0522D, roughness: 0.7, rotation: [0, Math.PI / 4, 0], position: [0, 1.2, 0], shadows: true } // Roof
+        ]
+    },
+    {
+        name: 'Bench',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.8, 2.3],
+        sizeScale: 0.8,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [2, 0.1, 0.4], roughness: 0.7, position: [0, 0.4, 0], shadows: true }, // Seat
+            { primitive: 'box', dimensions: [2, 0.6, 0.1], roughness: 0.7, position: [0, 0.7, -0.15], shadows: true }, // Back
+            {
+                primitive: 'box', dimensions: [0.1, 0.4, 0.1], color: 0x8B4513, roughness: 0.8,
+                positions: [[-0.8, 0.2, 0.15], [0.8, 0.2, 0.15], [-0.8, 0.2, -0.15], [0.8, 0.2, -0.15]]
+            } // Legs
+        ]
+    },
+    {
+        name: 'Lamp Post',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [1.5, 3.5],
+        sizeScale: 1.2,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cylinder', dimensions: [0.05, 0.08, 3], segments: 8, color: 0x666666, roughness: 0.8, position: [0, 1.5, 0], shadows: true }, // Post
+            { primitive: 'sphere', dimensions: [0.2], segments: 16, color: 0xFFFFAA, roughness: 0.3, position: [0, 2.8, 0], shadows: true } // Lamp
+        ]
+    },
+    {
+        name: 'Trash Can',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.6, 1.8],
+        sizeScale: 0.9,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cylinder', dimensions: [0.4, 0.5, 1.2], segments: 16, color: 0x444444, roughness: 0.7, position: [0, 0.6, 0], shadows: true }, // Body
+            { primitive: 'cylinder', dimensions: [0.45, 0.45, 0.1], segments: 16, color: 0x333333, roughness: 0.7, position: [0, 1.25, 0], shadows: true } // Lid
+        ]
+    },
+    {
+        name: 'Mailbox',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.5, 1.5],
+        sizeScale: 0.7,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cylinder', dimensions: [0.03, 0.03, 1.2], segments: 8, color: 0x8B4513, roughness: 0.8, position: [0, 0.6, 0], shadows: true }, // Post
+            { primitive: 'box', dimensions: [0.6, 0.3, 0.4], roughness: 0.6, position: [0, 1.0, 0], shadows: true } // Box
+        ]
+    },
+    {
+        name: 'Picnic Table',
+        themes: [GREEN_EARTH],
+        sizeRange: [1.0, 2.5],
+        sizeScale: 1.2,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [2, 0.1, 1], color: 0x8B4513, roughness: 0.8, position: [0, 0.7, 0], shadows: true }, // Table top
+            { primitive: 'box', dimensions: [1.8, 0.08, 0.3], color: 0x8B4513, roughness: 0.8, positions: [[0, 0.4, 0.65], [0, 0.4, -0.65]] }, // Benches
+            {
+                primitive: 'box', dimensions: [0.1, 0.7, 0.1], color: 0x654321, roughness: 0.8,
+                positions: [[-0.8, 0.35, 0.4], [0.8, 0.35, 0.4], [-0.8, 0.35, -0.4], [0.8, 0.35, -0.4]]
+            } // Legs
+        ]
+    },
+    {
+        name: 'Fire Hydrant',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.6, 1.6],
+        sizeScale: 0.8,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cylinder', dimensions: [0.3, 0.35, 1.0], segments: 8, color: 0xFF0000, roughness: 0.6, position: [0, 0.5, 0], shadows: true }, // Body
+            { primitive: 'cylinder', dimensions: [0.25, 0.3, 0.2], segments: 8, color: 0xCC0000, roughness: 0.6, position: [0, 1.1, 0], shadows: true }, // Cap
+            {
+                primitive: 'cylinder', dimensions: [0.08, 0.08, 0.2], segments: 8, color: 0x888888, roughness: 0.7,
+                rotation: [0, 0, Math.PI / 2],
+                positions: [[0.4, 0.7, 0], [-0.4, 0.7, 0]]
+            } // Side outlets
+        ]
+    },
+    {
+        name: 'Hot Dog Stand',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        rarity: 'uncommon',
+        sizeRange: [1.0, 2.5],
+        sizeScale: 1,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [1.5, 0.8, 1.0], color: 0xFFFFFF, roughness: 0.6, position: [0, 0.4, 0], shadows: true }, // Cart
+            { primitive: 'cone', dimensions: [1.2, 0.3], segments: 16, color: 0xFF6347, roughness: 0.5, position: [0, 1.5, 0], shadows: true }, // Umbrella
+            { primitive: 'cylinder', dimensions: [0.02, 0.02, 1.0], segments: 8, color: 0x888888, roughness: 0.8, position: [0, 1.0, 0], collides: false } // Pole
+        ]
+    },
+    {
+        name: 'Newspaper Stand',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.8, 1.8],
+        sizeScale: 0.7,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [0.8, 1.2, 0.4], color: 0x4169E1, roughness: 0.6, position: [0, 0.6, 0], shadows: true }, // Box
+            { primitive: 'box', dimensions: [0.82, 0.8, 0.02], color: 0x87CEEB, roughness: 0.1, position: [0, 0.8, 0.21], collides: false } // Glass front
+        ]
+    },
+    {
+        name: 'Bicycle',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.8, 2.0],
+        sizeScale: 0.9,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [1.5, 0.05, 0.05], roughness: 0.6, position: [0, 0.5, 0], shadows: true }, // Frame
+            {
+                primitive: 'torus', dimensions: [0.3, 0.05], segments: 16, color: 0x333333, roughness: 0.8,
+                rotation: [0, Math.PI / 2, 0],
+                positions: [[0.6, 0.3, 0], [-0.6, 0.3, 0]]
+            }, // Wheels
+            { primitive: 'cylinder', dimensions: [0.02, 0.02, 0.4], segments: 8, color: 0x888888, roughness: 0.7, rotation: [0, 0, Math.PI / 2], position: [0.6, 0.8, 0], collides: false } // Handlebars
+        ]
+    },
+    {
+        name: 'Skateboard',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.4, 1.2],
+        sizeScale: 0.6,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [2, 0.05, 0.3], roughness: 0.7, position: [0, 0.1, 0], shadows: true }, // Deck
+            {
+                primitive: 'cylinder', dimensions: [0.08, 0.08, 0.05], segments: 16, color: 0x444444, roughness: 0.8,
+                rotation: [Math.PI / 2, 0, 0],
+                positions: [[-0.7, 0.05, 0.1], [0.7, 0.05, 0.1], [-0.7, 0.05, -0.1], [0.7, 0.05, -0.1]]
+            } // Wheels
+        ]
+    },
+    {
+        name: 'Shopping Cart',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [0.8, 2.0],
+        sizeScale: 0.8,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [1.0, 0.6, 0.8], color: 0x888888, roughness: 0.7, position: [0, 0.5, 0], shadows: true }, // Basket
+            { primitive: 'cylinder', dimensions: [0.02, 0.02, 1.0], segments: 8, color: 0x666666, roughness: 0.8, rotation: [0, 0, Math.PI / 2], position: [-0.7, 0.9, 0], collides: false }, // Handle
+            {
+                primitive: 'cylinder', dimensions: [0.08, 0.08, 0.05], segments: 16, color: 0x333333, roughness: 0.8,
+                rotation: [Math.PI / 2, 0, 0],
+                positions: [[-0.4, 0.08, 0.35], [0.4, 0.08, 0.35], [-0.4, 0.08, -0.35], [0.4, 0.08, -0.35]]
+            } // Wheels
+        ]
+    },
+    {
+        name: 'Satellite',
+        themes: [COSMIC_DEBRIS],
+        rarity: 'uncommon',
+        sizeRange: [1.5, 3.5],
+        sizeScale: 1.5,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [1.0, 0.8, 1.2], color: 0xC0C0C0, roughness: 0.3, shadows: true }, // Body
+            { primitive: 'box', dimensions: [2.5, 0.05, 1.5], color: 0x000080, roughness: 0.2, positions: [[1.75, 0, 0], [-1.75, 0, 0]] }, // Solar panels
+            { primitive: 'cylinder', dimensions: [0.02, 0.02, 1.5], segments: 8, color: 0x888888, roughness: 0.7, position: [0, 1.15, 0], collides: false } // Antenna
+        ]
+    },
+    {
+        name: 'Alien Artifact',
+        themes: [COSMIC_DEBRIS],
+        rarity: 'rare',
+        sizeRange: [1.0, 2.5],
+        sizeScale: 1,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'octahedron', dimensions: [0.8], color: 0x00FF00, roughness: 0.1, emissive: 0x002200, position: [0, 0.4, 0], shadows: true }, // Crystal
+            { primitive: 'cylinder', dimensions: [0.6, 0.8, 0.3], segments: 8, color: 0x444444, roughness: 0.3, metalness: 0.8, position: [0, 0.15, 0], shadows: true } // Base
+        ]
+    },
+    {
+        name: 'Space Probe',
+        themes: [COSMIC_DEBRIS],
+        rarity: 'rare',
+        sizeRange: [1.5, 3.5],
+        sizeScale: 1.3,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'cone', dimensions: [0.4, 2.0], segments: 8, color: 0xFFFFFF, roughness: 0.4, position: [0, 1.0, 0], shadows: true }, // Body
+            { primitive: 'cone', dimensions: [0.6, 0.2], segments: 16, color: 0xC0C0C0, roughness: 0.3, rotation: [Math.PI, 0, 0], position: [0, 2.2, 0] }, // Dish antenna
+            { primitive: 'cylinder', dimensions: [0.15, 0.2, 0.5], segments: 8, color: 0x666666, roughness: 0.6, position: [0, -0.25, 0] } // Thruster
+        ]
+    },
+    {
+        name: 'Bus',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [3, 7],
+        sizeScale: 1.5,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'box', dimensions: [3, 1.2, 1], roughness: 0.6, shadows: true }, // Body
+            {
+                primitive: 'cylinder', dimensions: [0.3, 0.3, 0.3], segments: 16, color: 0x333333, roughness: 0.8,
+                rotation: [0, 0, Math.PI / 2],
+                positions: [[1.2, -0.4, 0.4], [-1.2, -0.4, 0.4], [1.2, -0.4, -0.4], [-1.2, -0.4, -0.4]]
+            } // Wheels
+        ]
+    },
+    {
+        name: 'Building',
+        themes: [GREEN_EARTH, URBAN_JUNGLE],
+        sizeRange: [8, 18],
+        sizeScale: 2,
+        collision: { type: 'box', halfExtents: [0.5, 1.5, 0.5] },
+        parts: [
+            { primitive: 'box', dimensions: [1, 3, 1], roughness: 0.8, shadows: true } // Structure
+        ]
+    },
+    {
+        name: 'Space Station',
+        themes: [COSMIC_DEBRIS],
+        sizeRange: [12, 27],
+        sizeScale: 2.5,
+        collision: { type: 'compound' },
+        parts: [
+            { primitive: 'sphere', dimensions: [0.5], segments: 32, color: 0xCCCCCC, roughness: 0.4, shadows: true }, // Hub
+            { primitive: 'box', dimensions: [3, 0.1, 1.5], color: 0x000080, roughness: 0.2, positions: [[2, 0, 0], [-2, 0, 0]] } // Solar panels
+        ]
+    }
+];
+
+/**
+ * Convert an item display name into the id of its instanced mesh (e.g. 'Traffic Cone' -> 'trafficCone')
+ * @param {string} name - Item display name
+ * @returns {string} camelCase instanced mesh id
+ */
+function toInstancedId(name) {
+    return name
+        .split(/\s+/)
+        .filter(Boolean)
+        .map((word, index) => index === 0
+            ? word.toLowerCase()
+            : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join('');
+}
+
+/**
+ * Build the map of instanced item names to their instanced mesh ids
+ * @param {Array<Object>} catalog - Item definitions
+ * @returns {Object} Map of display name to instanced mesh id
+ */
+function buildInstancedItemMap(catalog) {
+    const map = {};
+    for (const definition of catalog) {
+        if (definition.instanced) {
+            map[definition.name] = toInstancedId(definition.name);
+        }
+    }
+    return map;
+}
+
+// Maps display names of instanced items to their instanced mesh ids, derived from the catalog
+const INSTANCED_ITEM_MAP = buildInstancedItemMap(ITEM_CATALOG);
+
+// Item definitions indexed by name
+const catalogByName = new Map(ITEM_CATALOG.map(definition => [definition.name, definition]));
+
+/**
+ * Check whether a value is an array of numbers with the given length
+ */
+function isNumberArray(value, length) {
+    return Array.isArray(value) && value.length === length && value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+/**
+ * Validate a single item definition against the catalog schema
+ * @param {Object} definition - Item definition
+ * @returns {Array<string>} Validation errors (empty if the definition is valid)
+ */
+function validateItemDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return ['Item definition must be an object'];
+    }
+
+    const label = typeof definition.name === 'string' && definition.name.trim() !== '' ? definition.name : '(unnamed)';
+    const fail = (message) => errors.push(`${label}: ${message}`);
+
+    if (label === '(unnamed)') {
+        fail('name must be a non-empty string');
+    }
+
+    if (!Array.isArray(definition.themes) || definition.themes.length === 0 || !definition.themes.every(theme => typeof theme === 'string')) {
+        fail('themes must be a non-empty array of theme names');
+    }
+
+    if (!isNumberArray(definition.sizeRange, 2) || definition.sizeRange[0] <= 0 || definition.sizeRange[1] < definition.sizeRange[0]) {
+        fail('sizeRange must be [min, max] with 0 < min <= max');
+    }
+
+    if (typeof definition.sizeScale !== 'number' || !(definition.sizeScale > 0)) {
+        fail('sizeScale must be a positive number');
+    }
+
+    if (definition.massFactor !== undefined && !(typeof definition.massFactor === 'number' && definition.massFactor > 0)) {
+        fail('massFactor must be a positive number');
+    }
+
+    if (definition.rarity !== undefined && !Object.hasOwn(SCORE.RARITY_MULTIPLIERS, definition.rarity)) {
+        fail(`rarity must be one of ${Object.keys(SCORE.RARITY_MULTIPLIERS).join(', ')}`);
+    }
+
+    if (definition.palette !== undefined && (!Array.isArray(definition.palette) || definition.palette.length === 0 || !definition.palette.every(color => typeof color === 'number'))) {
+        fail('palette must be a non-empty array of colors');
+    }
+
+    if (definition.model !== undefined && !(typeof definition.model === 'string' && /\.(glb|gltf)$/i.test(definition.model))) {
+        fail('model must be a .glb or .gltf file name');
+    }
+
+    if (definition.modelScale !== undefined && !(typeof definition.modelScale === 'number' && definition.modelScale > 0)) {
+        fail('modelScale must be a positive number');
+    }
+
+    const collision = definition.collision;
+    const collisionFields = collision && COLLISION_FIELDS[collision.type];
+    if (!collisionFields) {
+        fail(`collision type must be one of ${Object.keys(COLLISION_FIELDS).join(', ')}`);
+    } else if (collision.type === 'box' && !isNumberArray(collision.halfExtents, 3)) {
+        fail('box collision needs halfExtents [x, y, z]');
+    } else if (collision.type !== 'box' && !collisionFields.every(field => typeof collision[field] === 'number' && collision[field] >= 0)) {
+        fail(`${collision.type} collision needs ${collisionFields.join(', ')}`);
+    }
+
+    if (!Array.isArray(definition.parts) || definition.parts.length === 0) {
+        fail('parts must be a non-empty array');
+        return errors;
+    }
+
+    if (definition.instanced && collision?.type === 'compound') {
+        fail('instanced items cannot use compound collision');
+    }
+
+    if (collision?.type === 'compound' && !definition.parts.some(part => part.collides !== false)) {
+        fail('compound collision needs at least one colliding part');
+    }
+
+    if (definition.instanced && (definition.parts.length !== 1 || definition.parts[0].position || definition.parts[0].positions || definition.parts[0].rotation)) {
+        fail('instanced items must have exactly one untransformed part');
+    }
+
+    definition.parts.forEach((part, index) => {
+        const dimensionCount = PRIMITIVE_DIMENSIONS[part.primitive];
+        if (!dimensionCount) {
+            fail(`part ${index} has unknown primitive "${part.primitive}"`);
+        } else if (!isNumberArray(part.dimensions, dimensionCount)) {
+            fail(`part ${index} (${part.primitive}) needs ${dimensionCount} dimension(s)`);
+        }
+
+        if (part.position !== undefined && !isNumberArray(part.position, 3)) {
+            fail(`part ${index} position must be [x, y, z]`);
+        }
+        if (part.positions !== undefined && (!Array.isArray(part.positions) || part.positions.length === 0 || !part.positions.every(position => isNumberArray(position, 3)))) {
+            fail(`part ${index} positions must be a non-empty array of [x, y, z]`);
+        }
+        if (part.rotation !== undefined && !isNumberArray(part.rotation, 3)) {
+            fail(`part ${index} rotation must be [x, y, z]`);
+        }
+        if (part.collides !== undefined && typeof part.collides !== 'boolean') {
+            fail(`part ${index} collides must be a boolean`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a theme's spawn table: ascending radius bands with positive weights for items in the theme,
+ * and every theme item spawning in at least one band
+ * @param {Object} theme - Theme definition
+ * @param {Array<Object>} bands - The theme's spawn table bands
+ * @returns {Array<string>} Validation errors (empty if the spawn table is valid)
+ */
+function validateSpawnTable(theme, bands) {
+    const errors = [];
+    const fail = (message) => errors.push(`${theme.themeName} spawn table: ${message}`);
+
+    if (!Array.isArray(bands) || bands.length === 0) {
+        fail('must be a non-empty array of radius bands');
+        return errors;
+    }
+
+    const spawned = new Set();
+    bands.forEach((band, index) => {
+        if (typeof band?.minRadius !== 'number' || band.minRadius < 0) {
+            fail(`band ${index} minRadius must be a non-negative number`);
+        } else if (index > 0 && !(band.minRadius > bands[index - 1]?.minRadius)) {
+            fail(`band ${index} minRadius must be greater than the previous band's`);
+        }
+
+        for (const [itemName, weight] of Object.entries(band?.weights || {})) {
+            if (!theme.items.includes(itemName)) {
+                fail(`item "${itemName}" is not in the theme's item list`);
+            } else if (typeof weight !== 'number' || !(weight > 0)) {
+                fail(`weight of "${itemName}" in band ${index} must be a positive number`);
+            } else {
+                spawned.add(itemName);
+            }
+        }
+    });
+
+    for (const itemName of theme.items) {
+        if (!spawned.has(itemName)) {
+            fail(`item "${itemName}" never spawns`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Validate a whole catalog: every definition, unique names, and agreement with the theme item lists and spawn tables
+ * @param {Array<Object>} catalog - Item definitions
+ * @param {Array<Object>} themes - Theme definitions whose item lists should match the catalog's theme tags
+ * @param {Object} spawnTables - Spawn tables by theme name; themes without one spawn their items uniformly
+ * @returns {Array<string>} Validation errors (empty if the catalog is valid)
+ */
+function validateCatalog(catalog = ITEM_CATALOG, themes = THEMES, spawnTables = SPAWN_TABLES) {
+    const errors = [];
+    const seenNames = new Set();
+
+    for (const definition of catalog) {
+        errors.push(...validateItemDefinition(definition));
+
+        if (definition && seenNames.has(definition.name)) {
+            errors.push(`${definition.name}: duplicate item name`);
+        }
+        seenNames.add(definition?.name);
+    }
+
+    for (const theme of themes) {
+        const tagged = catalog.filter(definition => definition?.themes?.includes(theme.themeName)).map(definition => definition.name);
+
+        for (const itemName of theme.items) {
+            if (!seenNames.has(itemName)) {
+                errors.push(`${theme.themeName}: item "${itemName}" is not in the catalog`);
+            } else if (!tagged.includes(itemName)) {
+                errors.push(`${itemName}: missing theme tag "${theme.themeName}"`);
+            }
+        }
+
+        for (const itemName of tagged) {
+            if (!theme.items.includes(itemName)) {
+                errors.push(`${itemName}: tagged for "${theme.themeName}" but not in its item list`);
+            }
+        }
+
+        if (spawnTables[theme.themeName]) {
+            errors.push(...validateSpawnTable(theme, spawnTables[theme.themeName]));
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Look up an item definition by display name
+ * @param {string} name - Item display name
+ * @returns {Object|null} Item definition, or null if the item is not in the catalog
+ */
+function getItemDefinition(name) {
+    return catalogByName.get(name) || null;
+}
+
+/**
+ * Get the names of all catalog items tagged for a theme
+ * @param {string} themeName - Theme name
+ * @returns {Array<string>} Item display names
+ */
+function getItemNamesForTheme(themeName) {
+    return ITEM_CATALOG.filter(definition => definition.themes.includes(themeName)).map(definition => definition.name);
+}
+
+// Export the catalog and its helpers
+export {
+    ITEM_CATALOG,
+    INSTANCED_ITEM_MAP,
+    DEFAULT_PALETTE,
+    DEFAULT_MASS_FACTOR,
+    PRIMITIVE_DIMENSIONS,
+    toInstancedId,
+    validateItemDefinition,
+    validateCatalog,
+    getItemDefinition,
+    getItemNamesForTheme
+};
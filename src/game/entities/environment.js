@@ -8,6 +8,8 @@ import * as CANNON from 'cannon-es';
 import { debugLog, debugWarn, debugError, debugInfo } from '../utils/debug.js';
 import { getScene } from '../core/scene.js';
 import { getPhysicsWorld, addPhysicsBody } from '../core/physics.js';
+import { ENVIRONMENT } from '../utils/constants.js';
+import { random, createRandom, getSeed } from '../utils/random.js';
 
 // Environment state
 let ground = null;
@@ -33,6 +35,7 @@ export function createEnvironment(theme) {
     
     // Remove old environment objects
     scene.children.filter(obj => obj.userData.isEnvironment).forEach(obj => scene.remove(obj));
+    removeMountainBodies();
     mountains = []; // Ensure mountains array is cleared
     debugInfo("createEnvironment: Old environment objects removed.");
 
@@ -60,12 +63,12 @@ function createClouds() {
     });
     
     for (let i = 0; i < 15; i++) {
-        const cloudGeo = new THREE.SphereGeometry(Math.random() * 8 + 5, 16, 16);
+        const cloudGeo = new THREE.SphereGeometry(random() * 8 + 5, 16, 16);
         const cloud = new THREE.Mesh(cloudGeo, cloudMat);
         cloud.position.set(
-            (Math.random() - 0.5) * 400, 
-            50 + Math.random() * 30, 
-            (Math.random() - 0.5) * 400
+            (random() - 0.5) * 400, 
+            50 + random() * 30, 
+            (random() - 0.5) * 400
         );
         cloud.userData.isEnvironment = true;
         scene.add(cloud);
@@ -86,23 +89,24 @@ function createMountains(theme) {
     const safeZoneRadius = 50; // Define a radius around the origin where mountains shouldn't spawn
 
     for (let i = 0; i < 8; i++) {
-        const h = Math.random() * 50 + 30;
-        const r = Math.random() * 40 + 20;
+        const h = random() * 50 + 30;
+        const r = random() * 40 + 20;
         const mountainGeo = new THREE.ConeGeometry(r, h, 16);
         const mountain = new THREE.Mesh(mountainGeo, mountainMat);
         
         mountain.castShadow = mountain.receiveShadow = true;
         mountain.userData.isEnvironment = true;
         mountain.userData.size = r; // Store the effective radius for collision
-        mountain.userData.minSizeToPass = r * 1.8; // Katamari must be at least 1.8x mountain radius to pass
+        mountain.userData.minSizeToPass = r * ENVIRONMENT.MOUNTAIN_PASS_SIZE_RATIO; // Katamari must outgrow the mountain to pass
+        mountain.userData.isPassable = false;
 
         let xPos, zPos;
         let positionFound = false;
         
         // Try to find a position outside the safe zone
         while (!positionFound) {
-            xPos = (Math.random() - 0.5) * 500;
-            zPos = (Math.random() - 0.5) * 500;
+            xPos = (random() - 0.5) * 500;
+            zPos = (random() - 0.5) * 500;
             // Check if the mountain's base is outside the safe zone
             if (Math.sqrt(xPos * xPos + zPos * zPos) > safeZoneRadius) {
                 positionFound = true;
@@ -112,11 +116,93 @@ function createMountains(theme) {
         mountain.position.set(xPos, h / 2 - 0.1, zPos);
         scene.add(mountain);
         mountains.push(mountain); // Add to mountains array
+
+        mountain.userData.cannonBody = createMountainBody(mountain, r, h, i);
     }
     
     debugInfo("createEnvironment: Mountains created.");
 }
 
+/**
+ * Create a static physics body approximating a mountain cone so it blocks the katamari
+ * @param {THREE.Mesh} mountain - Mountain mesh
+ * @param {number} radius - Base radius of the cone
+ * @param {number} height - Height of the cone
+ * @param {number} index - Mountain index, used for naming
+ * @returns {CANNON.Body} The mountain physics body
+ */
+function createMountainBody(mountain, radius, height, index) {
+    // cannon-es has no cone shape; a cylinder with a narrow top is a close convex fit
+    const mountainBody = new CANNON.Body({ mass: 0 });
+    mountainBody.addShape(new CANNON.Cylinder(radius * ENVIRONMENT.MOUNTAIN_PEAK_RADIUS_RATIO, radius, height, 16));
+    mountainBody.position.set(mountain.position.x, mountain.position.y, mountain.position.z);
+    mountainBody.userData = {
+        name: `mountain-${index}`,
+        isStatic: true,
+        isMountain: true,
+        isPassable: false,
+        threeMesh: mountain
+    };
+
+    // Static scenery is not tracked in physicsBodies, same as the ground
+    addPhysicsBody(mountainBody, false);
+    return mountainBody;
+}
+
+/**
+ * Remove the physics bodies of the current mountains from the world
+ */
+function removeMountainBodies() {
+    const world = getPhysicsWorld();
+
+    for (const mountain of mountains) {
+        const mountainBody = mountain.userData.cannonBody;
+        if (mountainBody && world) {
+            world.removeBody(mountainBody);
+        }
+        mountain.userData.cannonBody = null;
+    }
+}
+
+/**
+ * Let the katamari roll through mountains it has outgrown.
+ * Passed mountains stop responding to collisions and fade to translucent.
+ * @param {number} katamariRadius - Current katamari radius
+ * @returns {number} Number of mountains that became passable during this call
+ */
+export function updateMountainPassability(katamariRadius) {
+    let newlyPassable = 0;
+
+    for (const mountain of mountains) {
+        if (mountain.userData.isPassable || katamariRadius < mountain.userData.minSizeToPass) {
+            continue;
+        }
+
+        mountain.userData.isPassable = true;
+
+        const mountainBody = mountain.userData.cannonBody;
+        if (mountainBody) {
+            mountainBody.collisionResponse = false;
+            mountainBody.userData.isPassable = true;
+        }
+
+        // Mountains share one material, so give the passed one its own translucent copy
+        mountain.material = new THREE.MeshStandardMaterial({
+            color: mountain.material.color,
+            roughness: 0.8,
+            transparent: true,
+            opacity: ENVIRONMENT.MOUNTAIN_PASSED_OPACITY,
+            depthWrite: false
+        });
+        mountain.castShadow = false;
+
+        newlyPassable++;
+        debugInfo(`Mountain ${mountainBody?.userData.name || ''} is now passable (katamari radius ${katamariRadius.toFixed(1)})`);
+    }
+
+    return newlyPassable;
+}
+
 /**
  * Create the ground plane
  */
@@ -139,10 +225,12 @@ export function createGround(theme) {
     // Create ground texture
     const groundColor1 = new THREE.Color(theme.groundColor);
     const groundColor2 = groundColor1.clone().lerp(new THREE.Color(0x000000), 0.1);
-    const groundTexture = generateGroundTexture(groundColor1, groundColor2);
+    // The texture is drawn on a canvas; without a DOM (headless simulation) the ground is a flat color
+    const groundMat = typeof document !== 'undefined'
+        ? new THREE.MeshLambertMaterial({ map: generateGroundTexture(groundColor1, groundColor2) })
+        : new THREE.MeshLambertMaterial({ color: groundColor1 });
     
     // Create ground mesh
-    const groundMat = new THREE.MeshLambertMaterial({ map: groundTexture });
     const groundGeo = new THREE.PlaneGeometry(500, 500);
     ground = new THREE.Mesh(groundGeo, groundMat);
     ground.rotation.x = -Math.PI / 2;
@@ -205,6 +293,8 @@ export function createGround(theme) {
  * Generate a procedural ground texture
  */
 function generateGroundTexture(color1, color2) {
+    // Drawn from its own generator so leaving the texture out (headless simulation) keeps the level layout
+    const textureRandom = createRandom(`${getSeed()}:ground`);
     const canvas = document.createElement('canvas');
     const size = 512;
     canvas.width = canvas.height = size;
@@ -223,7 +313,7 @@ function generateGroundTexture(color1, color2) {
     const data = imageData.data;
     
     for (let i = 0; i < data.length; i += 4) {
-        const noise = (Math.random() - 0.5) * 30;
+        const noise = (textureRandom() - 0.5) * 30;
         data[i] = Math.max(0, Math.min(255, data[i] + noise));     // Red
         data[i + 1] = Math.max(0, Math.min(255, data[i + 1] + noise)); // Green
         data[i + 2] = Math.max(0, Math.min(255, data[i + 2] + noise)); // Blue
@@ -258,7 +348,7 @@ export function checkMountainCollisions(katamariPosition, katamariRadius) {
         // Check if katamari is colliding with mountain
         if (distance < mountainRadius + katamariRadius) {
             // Check if katamari is large enough to pass through
-            if (katamariRadius >= mountain.userData.minSizeToPass) {
+            if (mountain.userData.isPassable || katamariRadius >= mountain.userData.minSizeToPass) {
                 // Katamari can pass through - no collision
                 continue;
             } else {
@@ -318,6 +408,9 @@ export function cleanupEnvironment() {
         groundBody = null;
     }
     
+    // Remove mountain bodies before their meshes
+    removeMountainBodies();
+
     // Remove environment objects
     scene.children.filter(obj => obj.userData.isEnvironment).forEach(obj => {
         scene.remove(obj);
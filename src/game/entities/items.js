@@ -6,12 +6,22 @@
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
 import { debugLog, debugWarn, debugError, debugInfo } from '../utils/debug.js';
-import { INSTANCED_ITEM_MAP, RENDERING, ITEM_GENERATION, WORLD } from '../utils/constants.js';
-import { getScene, getInstancedMesh, updateInstancedMesh, getCamera } from '../core/scene.js';
+import { RENDERING, ITEM_GENERATION, WORLD, POWER_UPS, SPAWN_TABLES, PERFORMANCE } from '../utils/constants.js';
+import { random } from '../utils/random.js';
+import { SpatialHash } from '../utils/spatial.js';
+import { ObjectPool } from '../utils/pool.js';
+import { trackObjectPool } from '../utils/performance.js';
+import { INSTANCED_ITEM_MAP, DEFAULT_PALETTE, DEFAULT_MASS_FACTOR, getItemDefinition, validateCatalog } from './catalog.js';
+import { getScene, getInstancedMesh, removeInstancedMesh, updateInstancedMesh, getCamera } from '../core/scene.js';
+import { getModelData } from '../core/models.js';
+import { InstancedItemManager } from '../core/instances.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+import { getGameTime } from '../utils/clock.js';
 import {
     getPhysicsWorld,
     addPhysicsBody,
-    removePhysicsBody,
+    acquirePooledBody,
+    releasePooledBody,
     removeAllPhysicsBodies,
     removePhysicsBodiesByCondition,
     validateAndFixPhysicsWorld
@@ -20,18 +30,31 @@ import {
 // Item management state
 let itemsToCollect = [];
 let powerUpItems = [];
-let lastGenerationPosition = new THREE.Vector3();
+
+// Spatial index of the items in the world, kept at the items' positions as of the last physics sync
+const itemIndex = new SpatialHash(PERFORMANCE.SPATIAL_CELL_SIZE);
+
+// Despawned item meshes kept for reuse, keyed by item type and build (see getItemPool)
+const itemPools = new Map();
+trackObjectPool('items', { getStats: getItemPoolStats });
+
+// Physics material shared by every item body
+const itemPhysicsMaterial = new CANNON.Material('item', {
+    friction: 0.4,
+    restitution: 0.3 // Moderate bounciness
+});
+
+// Items collected and shed by the katamari, queued from the event bus because bodies cannot be
+// added to or removed from the physics world during the step that reports the collision
+let pendingCollectedItems = [];
+let pendingShedItems = [];
+let eventSubscriptions = [];
 
 // Instanced mesh management
 const instancedGeometries = {};
 const instancedMaterials = {};
 const instancedMeshes = {};
-
-// Constants for item generation - authentic PlayStation game balance
-const GENERATION_DISTANCE_THRESHOLD = 60; // Reduced for more frequent item availability
-
-// Item colors for variety
-const ITEM_COLORS = [0xFF6347, 0x6A5ACD, 0x3CB371, 0xFFD700, 0xBA55D3, 0x4682B4, 0xD2B48C, 0xFFA07A, 0x20B2AA, 0xFF69B4];
+const instanceManagers = {}; // Instance slot allocation and per-instance opacity of each instanced mesh
 
 /**
  * Calculate a position that's outside the camera's field of view
@@ -43,8 +66,8 @@ function getOffCameraPosition(centerPosition, spawnRadius, minDistance = 0) {
     const camera = getCamera();
     if (!camera) {
         // Fallback to random position if camera not available
-        const angle = Math.random() * Math.PI * 2;
-        const distance = Math.random() * spawnRadius;
+        const angle = random() * Math.PI * 2;
+        const distance = random() * spawnRadius;
         return new THREE.Vector3(
             centerPosition.x + Math.cos(angle) * distance,
             centerPosition.y,
@@ -83,7 +106,7 @@ function getOffCameraPosition(centerPosition, spawnRadius, minDistance = 0) {
 
     if (invisibleArcSize > 0) {
         // Pick a random point in the invisible arc
-        const randomInInvisibleArc = Math.random() * invisibleArcSize;
+        const randomInInvisibleArc = random() * invisibleArcSize;
         spawnAngle = visibleArcEnd + randomInInvisibleArc;
 
         // Normalize angle to [-π, π] range
@@ -91,13 +114,13 @@ function getOffCameraPosition(centerPosition, spawnRadius, minDistance = 0) {
         while (spawnAngle < -Math.PI) spawnAngle += 2 * Math.PI;
     } else {
         // Fallback: spawn behind the camera
-        spawnAngle = cameraAngle + Math.PI + (Math.random() - 0.5) * Math.PI / 2;
+        spawnAngle = cameraAngle + Math.PI + (random() - 0.5) * Math.PI / 2;
     }
 
     // Calculate distance with some variation, respecting minimum distance
     const effectiveMinDistance = Math.max(minDistance, spawnRadius * 0.5);
     const maxDistance = spawnRadius;
-    const distance = effectiveMinDistance + Math.random() * (maxDistance - effectiveMinDistance);
+    const distance = effectiveMinDistance + random() * (maxDistance - effectiveMinDistance);
 
     // Calculate final position
     const x = centerPosition.x + Math.cos(spawnAngle) * distance;
@@ -113,37 +136,126 @@ export function initializeItemsSystem() {
     debugInfo("Initializing items system...");
     itemsToCollect = [];
     powerUpItems = [];
-    lastGenerationPosition.set(0, 0, 0);
+    itemIndex.clear();
+    pendingCollectedItems = [];
+    pendingShedItems = [];
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, ({ item }) => {
+            if (item.mesh) pendingCollectedItems.push(item.mesh);
+        }),
+        subscribe(GAME_EVENTS.ITEM_SHED, ({ items }) => {
+            pendingShedItems.push(...items);
+        })
+    ];
 
     // Clear existing instanced meshes
     clearInstancedMeshes();
 
+    // Report catalog problems early instead of as missing items mid-level
+    const catalogErrors = validateCatalog();
+    if (catalogErrors.length > 0) {
+        debugWarn(`Item catalog has ${catalogErrors.length} problem(s):`, catalogErrors);
+    }
+
     debugInfo("Items system initialized");
 }
 
+/**
+ * Get the item mix a theme spawns around a katamari of the given size
+ * Weights blend between the spawn table's radius bands either side of the radius; themes without a
+ * spawn table spawn all their items with equal weight.
+ * @param {Object} theme - Theme definition
+ * @param {number} katamariRadius - Current katamari radius
+ * @returns {Object} {itemNames, weights}: the items that can spawn and their weights (null for equal weights)
+ */
+export function getSpawnTable(theme, katamariRadius) {
+    const themeItems = theme.items;
+    const bands = SPAWN_TABLES[theme.themeName];
+    if (!bands || bands.length === 0) {
+        return { itemNames: themeItems, weights: null };
+    }
+
+    let bandIndex = 0;
+    while (bandIndex < bands.length - 1 && bands[bandIndex + 1].minRadius <= katamariRadius) {
+        bandIndex++;
+    }
+    const band = bands[bandIndex];
+    const nextBand = bands[bandIndex + 1];
+    const blend = nextBand
+        ? THREE.MathUtils.clamp((katamariRadius - band.minRadius) / (nextBand.minRadius - band.minRadius), 0, 1)
+        : 0;
+
+    const itemNames = [];
+    const weights = [];
+    for (const itemName of themeItems) {
+        const weight = (band.weights[itemName] || 0) * (1 - blend) + ((nextBand && nextBand.weights[itemName]) || 0) * blend;
+        if (weight > 0) {
+            itemNames.push(itemName);
+            weights.push(weight);
+        }
+    }
+
+    return { itemNames, weights };
+}
+
+/**
+ * Pick an index with probability proportional to its weight
+ * @param {Array<number>|null} weights - Weight per index, or null for equal weights
+ * @param {number} totalWeight - Sum of the weights
+ * @param {number} count - Number of indices
+ * @param {Function} rng - Random number generator returning values in [0, 1)
+ * @returns {number} The picked index
+ */
+function pickWeightedIndex(weights, totalWeight, count, rng = random) {
+    if (!weights) {
+        return Math.floor(rng() * count);
+    }
+
+    let roll = rng() * totalWeight;
+    for (let i = 0; i < count - 1; i++) {
+        roll -= weights[i];
+        if (roll < 0) return i;
+    }
+    return count - 1;
+}
+
+/**
+ * Pick an item from a spawn table
+ * @param {Object} spawnTable - {itemNames, weights} from getSpawnTable
+ * @param {Function} rng - Random number generator returning values in [0, 1); the level's seeded random by default
+ * @returns {string} Item name
+ */
+export function pickSpawnTableItem(spawnTable, rng = random) {
+    const { itemNames, weights } = spawnTable;
+    const totalWeight = weights ? weights.reduce((sum, weight) => sum + weight, 0) : 0;
+    return itemNames[pickWeightedIndex(weights, totalWeight, itemNames.length, rng)];
+}
+
 /**
  * Create collectible items around a center position
+ * @param {Array<number>} itemWeights - Spawn weight per entry of itemNames (see getSpawnTable); items are picked uniformly if omitted
  */
-export function createCollectibleItems(count, itemNames, centerPosition = new THREE.Vector3(0, 0, 0), spawnRadius = 100, allowOnCamera = false, minDistance = 0) {
+export function createCollectibleItems(count, itemNames, centerPosition = new THREE.Vector3(0, 0, 0), spawnRadius = 100, allowOnCamera = false, minDistance = 0, itemWeights = null) {
     debugInfo(`createCollectibleItems: Attempting to create ${count} items from ${itemNames.length} types: [${itemNames.join(', ')}]`);
     if (!itemNames || itemNames.length === 0) {
         debugWarn("createCollectibleItems: itemNames array is empty or undefined. Cannot create items.");
         return;
     }
 
-    const scene = getScene();
-    const world = getPhysicsWorld();
-
-    // Initialize instanced meshes if they don't exist
-    initializeInstancedMeshes(itemNames);
-
-    const dummy = new THREE.Object3D(); // For setting instance matrix
+    let weights = itemWeights;
+    if (weights && weights.length !== itemNames.length) {
+        debugWarn(`createCollectibleItems: ${weights.length} weights for ${itemNames.length} item types; picking items uniformly.`);
+        weights = null;
+    }
+    const totalWeight = weights ? weights.reduce((sum, weight) => sum + weight, 0) : 0;
 
     // Track item type distribution for debugging
     const itemTypeCount = {};
 
     for (let i = 0; i < count; i++) {
-        const randomIndex = Math.floor(Math.random() * itemNames.length);
+        const randomIndex = pickWeightedIndex(weights, totalWeight, itemNames.length);
         const itemName = itemNames[randomIndex];
 
         // Track item distribution
@@ -151,47 +263,13 @@ export function createCollectibleItems(count, itemNames, centerPosition = new TH
 
         debugInfo(`Attempting to create item ${i + 1}/${count}: ${itemName} (index ${randomIndex}/${itemNames.length - 1})`);
 
-        let threeMesh;
-        let cannonShape;
-        let size;
-
-        const color = ITEM_COLORS[Math.floor(Math.random() * ITEM_COLORS.length)];
-
-        // Check if the item can be instanced
-        const instancedId = INSTANCED_ITEM_MAP[itemName];
-        const isInstanced = !!instancedId;
-
-        if (isInstanced) {
-            // Create instanced item
-            const result = createInstancedItem(itemName, instancedId, color, dummy);
-            if (!result) continue;
-
-            threeMesh = result.threeMesh;
-            cannonShape = result.cannonShape;
-            size = result.size;
-        } else {
-            // Create regular item
-            const result = createRegularItem(itemName, color);
-            if (!result) continue;
-
-            threeMesh = result.threeMesh;
-            cannonShape = result.cannonShape;
-            size = result.size;
-
-            // Ensure regular items have size in userData
-            threeMesh.userData.size = size;
-            threeMesh.userData.isCollectible = true;
-
-            debugInfo(`Created regular item: ${itemName}, size: ${size.toFixed(2)}`);
-        }
-
-        // Position the item with proper ground clearance
+        // Position the item
         let x, z;
         if (allowOnCamera) {
             // Allow items to spawn anywhere around the center (including on-camera)
-            const angle = Math.random() * Math.PI * 2;
+            const angle = random() * Math.PI * 2;
             // Ensure distance is at least minDistance away from center
-            const distance = minDistance + Math.random() * (spawnRadius - minDistance);
+            const distance = minDistance + random() * (spawnRadius - minDistance);
             x = centerPosition.x + Math.cos(angle) * distance;
             z = centerPosition.z + Math.sin(angle) * distance;
         } else {
@@ -201,680 +279,998 @@ export function createCollectibleItems(count, itemNames, centerPosition = new TH
             z = offCameraPosition.z;
         }
 
-        // Clamp to map boundaries
-        const clampedX = THREE.MathUtils.clamp(x, -WORLD.MAP_BOUNDARY, WORLD.MAP_BOUNDARY);
-        const clampedZ = THREE.MathUtils.clamp(z, -WORLD.MAP_BOUNDARY, WORLD.MAP_BOUNDARY);
+        const record = rollItemRecord(itemName, { x, z });
+        if (record) {
+            spawnItemFromRecord(record, i);
+        }
+    }
+
+    debugInfo(`Created ${count} collectible items around position (${centerPosition.x.toFixed(1)}, ${centerPosition.z.toFixed(1)})`);
+    debugInfo(`Item distribution:`, itemTypeCount);
+}
 
-        // Ensure items spawn above ground level with proper Y coordinates
-        // Use size-based positioning with additional height for falling effect
-        const groundLevel = 0; // Ground is at Y=0
-        const minHeight = size * 0.5; // Half the item size above ground
-        const maxHeight = size * 0.5 + 5; // Add up to 5 units for falling effect
-        const yPosition = groundLevel + minHeight + Math.random() * (maxHeight - minHeight);
+/**
+ * Roll everything about a new item except its place: whether a power-up pickup replaces it, its size,
+ * its color and its drop height
+ * @param {string} itemName - Catalog item name
+ * @param {Object} position - Ground position {x, z} of the item
+ * @param {Function} rng - Random number generator returning values in [0, 1); the level's seeded random by default
+ * @returns {Object|null} Item record {name, powerUpType, scale, color, position, quaternion} for spawnItemFromRecord,
+ * or null if the item is not in the catalog
+ */
+export function rollItemRecord(itemName, position, rng = random) {
+    const definition = getItemDefinition(itemName);
+    const palette = definition?.palette || DEFAULT_PALETTE;
+    const color = palette[Math.floor(rng() * palette.length)];
+
+    // Occasionally replace the item with a power-up pickup
+    const powerUpType = rng() < POWER_UPS.SPAWN_CHANCE
+        ? POWER_UPS.TYPES[Math.floor(rng() * POWER_UPS.TYPES.length)]
+        : null;
+
+    let scale = null;
+    let size = POWER_UPS.PICKUP_SIZE;
+    if (!powerUpType) {
+        if (!definition) {
+            debugWarn(`Unknown item type: ${itemName}`);
+            return null;
+        }
 
-        threeMesh.position.set(clampedX, yPosition, clampedZ);
+        const [minSize, maxSize] = definition.sizeRange;
+        scale = minSize + rng() * (maxSize - minSize);
+        size = Math.max(0.1, scale * definition.sizeScale);
+    }
 
-        // Create physics body with proper error handling
-        try {
-            const itemBody = new CANNON.Body({
-                mass: size * 5, // Use size-based mass like in working backup
-                shape: cannonShape
-            });
+    // Drop the item from up to 5 units above its resting height for a falling effect
+    const y = size * 0.5 + rng() * 5;
 
-            // Ensure initial position is above ground level
-            const groundClearance = size + 0.1; // Add small buffer above ground
-            const initialY = Math.max(groundClearance, threeMesh.position.y);
+    return {
+        name: itemName,
+        powerUpType,
+        scale,
+        color,
+        position: { x: position.x, y, z: position.z },
+        quaternion: null
+    };
+}
 
-            itemBody.position.set(
-                threeMesh.position.x,
-                initialY,
-                threeMesh.position.z
-            );
-            itemBody.quaternion.copy(threeMesh.quaternion);
+/**
+ * Get the record of an item in the world, as it is now, so it can be spawned again later
+ * @param {THREE.Object3D} item - Item in the world
+ * @returns {Object} Item record {name, powerUpType, scale, color, position, quaternion}
+ */
+export function getItemRecord(item) {
+    const { name, powerUpType, baseScale, color } = item.userData;
+    return {
+        name: name || null,
+        powerUpType: powerUpType || null,
+        scale: baseScale ?? null,
+        color: color ?? null,
+        position: { x: item.position.x, y: item.position.y, z: item.position.z },
+        quaternion: { x: item.quaternion.x, y: item.quaternion.y, z: item.quaternion.z, w: item.quaternion.w }
+    };
+}
 
-            // Set proper initial velocity and damping settings
-            itemBody.velocity.set(0, 0, 0); // Start with zero velocity
-            itemBody.angularVelocity.set(0, 0, 0); // No initial rotation
+/**
+ * Spawn an item into the world from its record
+ * @param {Object} record - Item record from rollItemRecord or getItemRecord
+ * @param {number} index - Index of the item in its batch, used in its physics body name
+ * @returns {THREE.Object3D|null} The item, or null if it could not be built
+ */
+export function spawnItemFromRecord(record, index = 0) {
+    const { name: itemName, powerUpType, color } = record;
+    const scene = getScene();
 
-            // Apply damping to prevent excessive bouncing and spinning
-            itemBody.linearDamping = ITEM_GENERATION.LINEAR_DAMPING; // Light linear damping
-            itemBody.angularDamping = ITEM_GENERATION.ANGULAR_DAMPING; // Light angular damping
+    let threeMesh;
+    let cannonShape;
+    let size;
 
-            // Set material properties for realistic physics interaction
-            itemBody.material = new CANNON.Material('item', {
-                friction: 0.4,
-                restitution: 0.3 // Moderate bounciness
-            });
+    // Power-ups are always regular meshes
+    const isInstanced = !powerUpType && !!INSTANCED_ITEM_MAP[itemName];
 
-            itemBody.userData = {
-                threeMesh: threeMesh,
-                name: `item-${itemName}-${i}`,
-                isCollectible: true
-            };
-            threeMesh.userData.cannonBody = itemBody;
-
-            // CRITICAL: Ensure size is set on threeMesh userData (final safety check)
-            if (!threeMesh.userData.size || threeMesh.userData.size <= 0) {
-                threeMesh.userData.size = size;
-                debugWarn(`CRITICAL FIX: Set missing size for ${itemName}: ${size.toFixed(2)}`);
-            }
+    if (powerUpType) {
+        const result = createPowerUpItem(powerUpType);
+        threeMesh = result.mesh;
+        cannonShape = result.shape;
+        size = result.size;
 
-            // Add collision event handler for item-ground interactions
-            const itemCollisionHandler = (event) => {
-                handleItemCollision(itemBody, event);
-            };
-            itemBody.addEventListener('collide', itemCollisionHandler);
+        debugInfo(`Created power-up item: ${powerUpType}`);
+    } else {
+        const definition = getItemDefinition(itemName);
+        if (!definition) {
+            debugWarn(`Unknown item type: ${itemName}`);
+            return null;
+        }
 
-            // Store collision handler reference for cleanup
-            itemBody.userData.collisionHandler = itemCollisionHandler;
+        // Initialize the item's instanced mesh if it doesn't exist
+        if (isInstanced) {
+            initializeInstancedMeshes([itemName]);
+        }
 
-            // Verify physics world exists before adding
-            if (!world) {
-                debugError(`Physics world not available when creating item ${itemName}`);
-                continue;
-            }
+        const result = buildCatalogItem(definition, color, record.scale);
+        if (!result) return null;
 
-            // Add to physics world with validation
-            addPhysicsBody(itemBody);
+        threeMesh = result.threeMesh;
+        cannonShape = result.cannonShape;
+        size = result.size;
 
-            // Verify the body was actually added to the world
-            if (!world.bodies.includes(itemBody)) {
-                debugError(`Failed to add physics body to world for item ${itemName}`);
-                continue;
-            }
+        debugInfo(`Created ${isInstanced ? 'instanced' : 'regular'} item: ${itemName}, size: ${size.toFixed(2)}`);
+    }
 
-            debugInfo(`Successfully created and added physics body for ${itemName} (size: ${size.toFixed(2)}) at position (${itemBody.position.x.toFixed(2)}, ${itemBody.position.y.toFixed(2)}, ${itemBody.position.z.toFixed(2)})`);
+    // Clamp to map boundaries, with the item at or above its recorded height
+    const clampedX = THREE.MathUtils.clamp(record.position.x, -WORLD.MAP_BOUNDARY, WORLD.MAP_BOUNDARY);
+    const clampedZ = THREE.MathUtils.clamp(record.position.z, -WORLD.MAP_BOUNDARY, WORLD.MAP_BOUNDARY);
+    threeMesh.position.set(clampedX, Math.max(size * 0.5, record.position.y), clampedZ);
+    if (record.quaternion) {
+        threeMesh.quaternion.set(record.quaternion.x, record.quaternion.y, record.quaternion.z, record.quaternion.w);
+    }
 
-        } catch (error) {
-            debugError(`Failed to create physics body for item ${itemName}:`, error);
-            continue; // Skip this item if physics body creation fails
-        }
+    // Create physics body with proper error handling
+    const bodyName = powerUpType ? `powerUp-${powerUpType}-${index}` : `item-${itemName}-${index}`;
+    if (!createItemBody(threeMesh, cannonShape, size, bodyName, getPhysicsWorld())) {
+        return null; // Skip this item if physics body creation fails
+    }
 
-        // Handle instanced mesh positioning
-        if (isInstanced) {
-            const instancedMesh = instancedMeshes[instancedId];
-            if (instancedMesh) {
-                const instanceIndex = getNextInstanceIndex(instancedId);
-                threeMesh.userData.instanceIndex = instanceIndex;
-
-                // Set instance matrix
-                dummy.position.copy(threeMesh.position);
-                dummy.quaternion.copy(threeMesh.quaternion);
-                dummy.scale.setScalar(size);
-                dummy.updateMatrix();
-                instancedMesh.setMatrixAt(instanceIndex, dummy.matrix);
-                instancedMesh.instanceMatrix.needsUpdate = true;
-
-                // Set instance color if available
-                if (instancedMesh.instanceColor) {
-                    const colorObj = new THREE.Color(color);
-                    instancedMesh.instanceColor.setXYZ(instanceIndex, colorObj.r, colorObj.g, colorObj.b);
-                    instancedMesh.instanceColor.needsUpdate = true;
-                }
+    // Handle instanced mesh positioning
+    if (isInstanced) {
+        const instances = instanceManagers[INSTANCED_ITEM_MAP[itemName]];
+        if (instances) {
+            const instanceIndex = instances.allocate();
+            threeMesh.userData.instanceIndex = instanceIndex;
+
+            if (instanceIndex !== -1) {
+                instances.setTransform(instanceIndex, threeMesh.position, threeMesh.quaternion, threeMesh.userData.instanceScale);
+                instances.setColor(instanceIndex, color);
             }
-        } else {
-            scene.add(threeMesh);
         }
+    } else {
+        scene.add(threeMesh);
+    }
 
-        // Add fade-in properties
-        threeMesh.userData.isFadingIn = true;
-        threeMesh.userData.fadeStartTime = Date.now();
+    // Add fade-in properties
+    threeMesh.userData.isFadingIn = true;
+    threeMesh.userData.fadeStartTime = getGameTime();
 
-        // Ensure size is set for all items (safety check)
-        if (!threeMesh.userData.size || threeMesh.userData.size <= 0) {
-            threeMesh.userData.size = size;
-            debugWarn(`Fixed missing size for item ${itemName}: ${size.toFixed(2)}`);
-        }
+    // Ensure size is set for all items (safety check)
+    if (!threeMesh.userData.size || threeMesh.userData.size <= 0) {
+        threeMesh.userData.size = size;
+        debugWarn(`Fixed missing size for item ${itemName}: ${size.toFixed(2)}`);
+    }
 
-        // Mark as collectible for collision detection
-        threeMesh.userData.isCollectible = true;
+    // Mark as collectible for collision detection
+    threeMesh.userData.isCollectible = true;
 
-        itemsToCollect.push(threeMesh);
+    itemsToCollect.push(threeMesh);
+    itemIndex.insert(threeMesh, threeMesh.position);
+    if (powerUpType) {
+        powerUpItems.push(threeMesh);
     }
 
-    debugInfo(`Created ${count} collectible items around position (${centerPosition.x.toFixed(1)}, ${centerPosition.z.toFixed(1)})`);
-    debugInfo(`Item distribution:`, itemTypeCount);
+    return threeMesh;
 }
 
 /**
- * Initialize instanced meshes for efficient rendering
+ * Create the physics body for an item mesh and add it to the world
+ * @param {THREE.Object3D} threeMesh - The item's visual mesh (already positioned)
+ * @param {CANNON.Shape|Array<Object>} cannonShape - The item's collision shape, or {shape, offset, orientation} entries for a compound body
+ * @param {number} size - The item's size
+ * @param {string} name - Name stored on the body for debugging
+ * @param {CANNON.World} world - The physics world
+ * @returns {CANNON.Body|null} The created body, or null if creation failed
  */
-function initializeInstancedMeshes(itemNames) {
-    const scene = getScene();
+function createItemBody(threeMesh, cannonShape, size, name, world) {
+    // Verify physics world exists before taking a body from the pool
+    if (!world) {
+        debugError(`Physics world not available when creating item ${name}`);
+        return null;
+    }
 
-    for (const itemName of itemNames) {
-        const id = INSTANCED_ITEM_MAP[itemName];
-        if (!id || instancedMeshes[id]) continue;
+    try {
+        const itemBody = acquirePooledBody();
+        itemBody.mass = size * (threeMesh.userData.massFactor ?? DEFAULT_MASS_FACTOR); // Size-based mass, scaled per item type by the catalog
 
-        let geometry, material;
-        const color = ITEM_COLORS[Math.floor(Math.random() * ITEM_COLORS.length)];
-        const mat = new THREE.MeshStandardMaterial({ color: color, roughness: 0.6, transparent: true, opacity: 0 });
-
-        switch (itemName) {
-            case 'Rock':
-                geometry = new THREE.SphereGeometry(0.7, 16, 16);
-                break;
-            case 'Bush':
-                geometry = new THREE.SphereGeometry(0.8, 24, 24);
-                break;
-            case 'Flower':
-                geometry = new THREE.CylinderGeometry(0.2, 0.2, 1.5, 8);
-                break;
-            case 'Mushroom':
-                geometry = new THREE.CylinderGeometry(0.6, 0.3, 1.2, 16);
-                break;
-            case 'Traffic Cone':
-                geometry = new THREE.ConeGeometry(0.5, 1.5, 16);
-                break;
-            case 'Garden Gnome':
-                geometry = new THREE.SphereGeometry(0.5, 16, 16);
-                break;
-            case 'Bird Bath':
-                geometry = new THREE.CylinderGeometry(0.7, 0.6, 1.4, 16);
-                break;
-            case 'Asteroid':
-                geometry = new THREE.IcosahedronGeometry(1, 0);
-                break;
-            case 'Space Debris':
-                geometry = new THREE.BoxGeometry(1, 1, 1);
-                break;
-            case 'Comet Fragment':
-                geometry = new THREE.IcosahedronGeometry(1, 1);
-                break;
-            case 'Moon Rock':
-                geometry = new THREE.DodecahedronGeometry(1, 0);
-                break;
-            case 'Star Dust Cluster':
-                geometry = new THREE.SphereGeometry(0.5, 8, 8);
-                break;
-            default:
-                continue;
+        // Compound bodies get one shape per part, offset like the part's meshes
+        if (Array.isArray(cannonShape)) {
+            for (const { shape, offset, orientation } of cannonShape) {
+                itemBody.addShape(shape, offset, orientation);
+            }
+        } else {
+            itemBody.addShape(cannonShape);
         }
+        itemBody.updateMassProperties();
 
-        instancedGeometries[id] = geometry;
-        instancedMaterials[id] = mat;
-        instancedMeshes[id] = new THREE.InstancedMesh(geometry, mat, RENDERING.MAX_INSTANCES);
-        instancedMeshes[id].instanceMatrix.setUsage(THREE.DynamicDrawUsage);
-        instancedMeshes[id].castShadow = true;
-        instancedMeshes[id].receiveShadow = true;
-        instancedMeshes[id].userData.instanceCount = 0; // Track used instances
-        scene.add(instancedMeshes[id]);
-    }
-}
+        // Ensure initial position is above ground level
+        const groundClearance = size + 0.1; // Add small buffer above ground
+        const initialY = Math.max(groundClearance, threeMesh.position.y);
 
-/**
- * Create an instanced item
- */
-function createInstancedItem(itemName, instancedId, color, dummy) {
-    const size = Math.random() * 1.2 + 0.4; // Reduced for authentic PlayStation game balance
-    const baseGeometry = instancedGeometries[instancedId];
+        itemBody.position.set(
+            threeMesh.position.x,
+            initialY,
+            threeMesh.position.z
+        );
+        itemBody.quaternion.copy(threeMesh.quaternion);
 
-    if (!baseGeometry) {
-        debugWarn(`Base geometry not found for instanced item: ${itemName}`);
-        return null;
-    }
+        // Set proper initial velocity and damping settings
+        itemBody.velocity.set(0, 0, 0); // Start with zero velocity
+        itemBody.angularVelocity.set(0, 0, 0); // No initial rotation
 
-    // Determine cannon shape based on geometry type
-    let cannonShape;
-    if (baseGeometry.type === 'SphereGeometry' || baseGeometry.type === 'IcosahedronGeometry' || baseGeometry.type === 'DodecahedronGeometry') {
-        cannonShape = new CANNON.Sphere(size * baseGeometry.parameters.radius);
-    } else if (baseGeometry.type === 'BoxGeometry') {
-        cannonShape = new CANNON.Box(new CANNON.Vec3(
-            size * baseGeometry.parameters.width * 0.5,
-            size * baseGeometry.parameters.height * 0.5,
-            size * baseGeometry.parameters.depth * 0.5
-        ));
-    } else if (baseGeometry.type === 'CylinderGeometry') {
-        cannonShape = new CANNON.Cylinder(
-            size * baseGeometry.parameters.radiusTop,
-            size * baseGeometry.parameters.radiusBottom,
-            size * baseGeometry.parameters.height,
-            baseGeometry.parameters.radialSegments
-        );
-    } else if (baseGeometry.type === 'ConeGeometry') {
-        cannonShape = new CANNON.Cylinder(
-            0,
-            size * baseGeometry.parameters.radius,
-            size * baseGeometry.parameters.height,
-            baseGeometry.parameters.radialSegments
-        );
-    } else {
-        cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.5, size * 0.5, size * 0.5));
-    }
+        // Apply damping to prevent excessive bouncing and spinning
+        itemBody.linearDamping = ITEM_GENERATION.LINEAR_DAMPING; // Light linear damping
+        itemBody.angularDamping = ITEM_GENERATION.ANGULAR_DAMPING; // Light angular damping
+
+        // Set material properties for realistic physics interaction
+        itemBody.material = itemPhysicsMaterial;
+
+        itemBody.userData = {
+            threeMesh: threeMesh,
+            name,
+            isCollectible: true
+        };
+        threeMesh.userData.cannonBody = itemBody;
+
+        // CRITICAL: Ensure size is set on threeMesh userData (final safety check)
+        if (!threeMesh.userData.size || threeMesh.userData.size <= 0) {
+            threeMesh.userData.size = size;
+            debugWarn(`CRITICAL FIX: Set missing size for ${name}: ${size.toFixed(2)}`);
+        }
+
+        // Add collision event handler for item-ground interactions
+        const itemCollisionHandler = (event) => {
+            handleItemCollision(itemBody, event);
+        };
+        itemBody.addEventListener('collide', itemCollisionHandler);
 
-    // Create placeholder mesh for physics and user data
-    const threeMesh = new THREE.Mesh();
-    threeMesh.userData.isInstanced = true;
-    threeMesh.userData.instancedId = instancedId;
-    threeMesh.userData.instanceIndex = -1;
-
-    // Ensure size is always a valid number
-    let finalSize = size;
-    if (baseGeometry.parameters) {
-        const geometrySize = baseGeometry.parameters.radius || baseGeometry.parameters.height || baseGeometry.parameters.width || 1;
-        finalSize = size * geometrySize;
+        // Store collision handler reference for cleanup
+        itemBody.userData.collisionHandler = itemCollisionHandler;
+
+        // Add to physics world with validation
+        addPhysicsBody(itemBody);
+
+        // Verify the body was actually added to the world
+        if (!world.bodies.includes(itemBody)) {
+            debugError(`Failed to add physics body to world for item ${name}`);
+            threeMesh.userData.cannonBody = null;
+            releasePooledBody(itemBody);
+            return null;
+        }
+
+        debugInfo(`Successfully created and added physics body for ${name} (size: ${size.toFixed(2)}) at position (${itemBody.position.x.toFixed(2)}, ${itemBody.position.y.toFixed(2)}, ${itemBody.position.z.toFixed(2)})`);
+        return itemBody;
+    } catch (error) {
+        debugError(`Failed to create physics body for item ${name}:`, error);
+        return null;
     }
+}
 
-    // Ensure size is never zero or negative
-    threeMesh.userData.size = Math.max(0.1, finalSize);
-    threeMesh.userData.cannonShape = cannonShape;
-    threeMesh.userData.color = color;
+/**
+ * Remove the items collected and respawn the items shed since the last frame; called once per frame
+ * after the physics step
+ * @returns {Object} Number of items removed and respawned
+ */
+export function processPendingItems() {
+    const collectedItems = pendingCollectedItems;
+    const shedItems = pendingShedItems;
+    pendingCollectedItems = [];
+    pendingShedItems = [];
 
-    return { threeMesh, cannonShape, size };
+    collectedItems.forEach(removeCollectedItem);
+    const respawned = respawnShedItems(shedItems);
+
+    return { removed: collectedItems.length, respawned };
 }
 
 /**
- * Create a regular (non-instanced) item with complex geometry
+ * Move the item meshes, and their instances in instanced meshes, to their physics bodies; called once per
+ * frame after the physics step
  */
-function createRegularItem(itemName, color) {
-    let threeMesh = null;
-    let cannonShape;
-    let size = 1;
-
-    switch (itemName) {
-        case 'Car':
-            const carResult = createCarItem(color);
-            threeMesh = carResult.mesh;
-            cannonShape = carResult.shape;
-            size = carResult.size;
-            break;
-        case 'Tree':
-            const treeResult = createTreeItem(color);
-            threeMesh = treeResult.mesh;
-            cannonShape = treeResult.shape;
-            size = treeResult.size;
-            break;
-        case 'House':
-            const houseResult = createHouseItem(color);
-            threeMesh = houseResult.mesh;
-            cannonShape = houseResult.shape;
-            size = houseResult.size;
-            break;
-        case 'Bench':
-            const benchResult = createBenchItem(color);
-            threeMesh = benchResult.mesh;
-            cannonShape = benchResult.shape;
-            size = benchResult.size;
-            break;
-        case 'Lamp Post':
-            const lampResult = createLampPostItem(color);
-            threeMesh = lampResult.mesh;
-            cannonShape = lampResult.shape;
-            size = lampResult.size;
-            break;
-        case 'Trash Can':
-            const trashResult = createTrashCanItem(color);
-            threeMesh = trashResult.mesh;
-            cannonShape = trashResult.shape;
-            size = trashResult.size;
-            break;
-        case 'Mailbox':
-            const mailboxResult = createMailboxItem(color);
-            threeMesh = mailboxResult.mesh;
-            cannonShape = mailboxResult.shape;
-            size = mailboxResult.size;
-            break;
-        case 'Picnic Table':
-            const picnicResult = createPicnicTableItem(color);
-            threeMesh = picnicResult.mesh;
-            cannonShape = picnicResult.shape;
-            size = picnicResult.size;
-            break;
-        case 'Fire Hydrant':
-            const hydrantResult = createFireHydrantItem(color);
-            threeMesh = hydrantResult.mesh;
-            cannonShape = hydrantResult.shape;
-            size = hydrantResult.size;
-            break;
-        case 'Hot Dog Stand':
-            const hotdogResult = createHotDogStandItem(color);
-            threeMesh = hotdogResult.mesh;
-            cannonShape = hotdogResult.shape;
-            size = hotdogResult.size;
-            break;
-        case 'Newspaper Stand':
-            const newsResult = createNewsStandItem(color);
-            threeMesh = newsResult.mesh;
-            cannonShape = newsResult.shape;
-            size = newsResult.size;
-            break;
-        case 'Bicycle':
-            const bikeResult = createBicycleItem(color);
-            threeMesh = bikeResult.mesh;
-            cannonShape = bikeResult.shape;
-            size = bikeResult.size;
-            break;
-        case 'Skateboard':
-            const skateResult = createSkateboardItem(color);
-            threeMesh = skateResult.mesh;
-            cannonShape = skateResult.shape;
-            size = skateResult.size;
-            break;
-        case 'Shopping Cart':
-            const cartResult = createShoppingCartItem(color);
-            threeMesh = cartResult.mesh;
-            cannonShape = cartResult.shape;
-            size = cartResult.size;
-            break;
-        case 'Satellite':
-            const satelliteResult = createSatelliteItem(color);
-            threeMesh = satelliteResult.mesh;
-            cannonShape = satelliteResult.shape;
-            size = satelliteResult.size;
-            break;
-        case 'Alien Artifact':
-            const artifactResult = createAlienArtifactItem(color);
-            threeMesh = artifactResult.mesh;
-            cannonShape = artifactResult.shape;
-            size = artifactResult.size;
-            break;
-        case 'Space Probe':
-            const probeResult = createSpaceProbeItem(color);
-            threeMesh = probeResult.mesh;
-            cannonShape = probeResult.shape;
-            size = probeResult.size;
-            break;
-        case 'Bus':
-            const busResult = createBusItem(color);
-            threeMesh = busResult.mesh;
-            cannonShape = busResult.shape;
-            size = busResult.size;
-            break;
-        case 'Building':
-            const buildingResult = createBuildingItem(color);
-            threeMesh = buildingResult.mesh;
-            cannonShape = buildingResult.shape;
-            size = buildingResult.size;
-            break;
-        case 'Space Station':
-            const stationResult = createSpaceStationItem(color);
-            threeMesh = stationResult.mesh;
-            cannonShape = stationResult.shape;
-            size = stationResult.size;
-            break;
-        // Add more complex items as needed
-        default:
-            debugWarn(`Unknown regular item type: ${itemName}`);
-            return null;
-    }
+export function synchronizeItemsWithPhysics() {
+    for (const item of itemsToCollect) {
+        const cannonBody = item.userData.cannonBody;
+        if (!cannonBody) continue;
 
-    // Ensure the threeMesh has the size in userData for all regular items
-    if (threeMesh) {
-        // Initialize userData if it doesn't exist
-        if (!threeMesh.userData) {
-            threeMesh.userData = {};
-        }
-        threeMesh.userData.size = size;
-        threeMesh.userData.isCollectible = true;
+        // Update visual mesh position to match physics body
+        item.position.copy(cannonBody.position);
+        item.quaternion.copy(cannonBody.quaternion);
+        itemIndex.update(item, item.position);
 
-        // For Groups, ensure the root group has the size data
-        if (threeMesh.isGroup) {
-            threeMesh.userData.size = size;
-            threeMesh.userData.isCollectible = true;
+        // Handle instanced mesh synchronization
+        if (item.userData.isInstanced) {
+            const instances = instanceManagers[item.userData.instancedId];
+            if (instances && item.userData.instanceIndex !== -1) {
+                instances.setTransform(item.userData.instanceIndex, cannonBody.position, cannonBody.quaternion, item.userData.instanceScale || item.userData.size || 1);
+            }
         }
+    }
+}
 
-        debugInfo(`Set size ${size.toFixed(2)} for regular item ${itemName} (isGroup: ${threeMesh.isGroup})`);
+/**
+ * Pull the items in the katamari's attraction range towards it; called once per frame
+ * Only items too big to roll up are pulled, unless a vacuum boost is active.
+ * @param {Katamari} katamari - Katamari attracting the items
+ * @returns {number} Number of items in attraction range
+ */
+export function attractItemsToKatamari(katamari) {
+    const katamariPosition = katamari.getThreePosition();
+    const attractionRange = katamari.getAttractionRange();
+    const attractionForce = katamari.getAttractionForce();
+    const isVacuumActive = katamari.hasPowerUp('vacuumBoost');
+
+    const itemsInRange = itemIndex.queryRadius(katamariPosition, attractionRange);
+
+    for (const item of itemsInRange) {
+        // Apply attraction force for items that are too big to collect immediately
+        // (a vacuum boost pulls in everything within range)
+        if (isVacuumActive || !katamari.canCollectItem(item.userData.size)) {
+            const distance = katamariPosition.distanceTo(item.position);
+            const direction = new THREE.Vector3().subVectors(katamariPosition, item.position);
+            const attractionStrength = Math.max(0, 1 - distance / attractionRange) * attractionForce;
+            direction.normalize().multiplyScalar(attractionStrength);
+            item.position.add(direction);
+            itemIndex.update(item, item.position);
+
+            // Update physics body position to match
+            if (item.userData.cannonBody) {
+                item.userData.cannonBody.position.copy(item.position);
+            }
+        }
     }
 
-    return { threeMesh, cannonShape, size };
+    return itemsInRange.length;
 }
 
 /**
- * Create a car item with detailed geometry
+ * Remove a collected item from the world
+ * Rolled-up items stay attached to the katamari, so only their physics body and their place in the
+ * world are removed; power-up pickups are consumed and fully disposed of.
+ * @param {THREE.Object3D} item - Collected item
  */
-function createCarItem(color) {
-    const size = Math.random() * 1.5 + 0.8; // Reduced for authentic PlayStation game balance
-    const itemGroup = new THREE.Group();
+function removeCollectedItem(item) {
+    if (item.userData.isPowerUp) {
+        cleanupCollectedItems([item]);
+        return;
+    }
 
-    // Main body
-    const carBodyGeo = new THREE.BoxGeometry(size * 2, size * 0.8, size);
-    const carBodyMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, transparent: true, opacity: 0 });
-    const carBody = new THREE.Mesh(carBodyGeo, carBodyMat);
-    carBody.castShadow = carBody.receiveShadow = true;
-    itemGroup.add(carBody);
-
-    // Cabin
-    const carCabinGeo = new THREE.BoxGeometry(size * 1.2, size * 0.6, size * 0.8);
-    const carCabinMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, transparent: true, opacity: 0 });
-    const carCabin = new THREE.Mesh(carCabinGeo, carCabinMat);
-    carCabin.castShadow = carCabin.receiveShadow = true;
-    carCabin.position.y = size * 0.7;
-    itemGroup.add(carCabin);
-
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(size * 0.25, size * 0.25, size * 0.2, 16);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8, transparent: true, opacity: 0 });
-    const wheelPositions = [[0.7, 0.5], [-0.7, 0.5], [0.7, -0.5], [-0.7, -0.5]];
-
-    wheelPositions.forEach(([dx, dz]) => {
-        const wheel = new THREE.Mesh(wheelGeo, wheelMat);
-        wheel.rotation.z = Math.PI / 2;
-        wheel.position.set(size * dx, -size * 0.2, size * dz);
-        itemGroup.add(wheel);
-    });
+    const body = item.userData.cannonBody;
+    const world = getPhysicsWorld();
+    if (body && world) {
+        if (body.userData && body.userData.collisionHandler) {
+            body.removeEventListener('collide', body.userData.collisionHandler);
+            debugLog(`Removed collision handler for collected item ${body.userData.name}`);
+        }
+        world.removeBody(body);
+    }
 
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size, size * 0.4, size * 0.5));
+    // Free the item's instance (the katamari draws its own copy), or take the item out of the scene
+    if (item.userData.isInstanced) {
+        freeItemInstance(item);
+    } else {
+        getScene().remove(item);
+    }
 
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.2 // Reduced from 2x to make cars more collectible
-    };
+    removeItemFromCollection(item);
 }
 
 /**
- * Create a tree item with detailed geometry
+ * Respawn items shed by the katamari as loose physics items
+ * @param {Array<Object>} shedItems - Entries of { mesh, position, velocity } from itemShed events
+ * @returns {number} Number of items respawned
  */
-function createTreeItem(color) {
-    const size = Math.random() * 2.5 + 1.5; // Reduced for authentic PlayStation game balance
-    const itemGroup = new THREE.Group();
+export function respawnShedItems(shedItems) {
+    if (!shedItems || shedItems.length === 0) return 0;
 
-    // Trunk
-    const trunkGeo = new THREE.CylinderGeometry(size * 0.08, size * 0.12, size * 1.2, 8);
-    const trunkMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.7, transparent: true, opacity: 0 });
-    const trunk = new THREE.Mesh(trunkGeo, trunkMat);
-    trunk.castShadow = trunk.receiveShadow = true;
-    trunk.position.y = size * 0.6;
-    itemGroup.add(trunk);
+    const scene = getScene();
+    const world = getPhysicsWorld();
+    let respawnedCount = 0;
+
+    for (const { mesh, position, velocity } of shedItems) {
+        const size = mesh.userData.size;
+
+        // Reuse the item's original collision shapes when they are still known
+        const previousBody = mesh.userData.cannonBody;
+        const previousShapes = (previousBody && previousBody.shapes) || [];
+        const cannonShape = previousShapes.length > 1
+            ? previousShapes.map((shape, index) => ({
+                shape,
+                offset: previousBody.shapeOffsets[index],
+                orientation: previousBody.shapeOrientations[index]
+            }))
+            : previousShapes[0] || new CANNON.Sphere(size * 0.5);
+
+        mesh.position.copy(position);
+        const itemBody = createItemBody(mesh, cannonShape, size, `shed-${mesh.userData.name || 'item'}-${respawnedCount}`, world);
+        if (!itemBody) continue;
+
+        // Keep the ejection position even if it is close to the ground and fling the item away
+        itemBody.position.set(position.x, Math.max(size * 0.5, position.y), position.z);
+        itemBody.velocity.set(velocity.x, velocity.y, velocity.z);
+
+        mesh.userData.isCollectible = true;
+        mesh.userData.isCollected = false;
+        mesh.userData.isFadingIn = false;
+        scene.add(mesh);
+
+        itemsToCollect.push(mesh);
+        itemIndex.insert(mesh, mesh.position);
+        respawnedCount++;
+    }
 
-    // Foliage
-    const foliageMat = new THREE.MeshStandardMaterial({ color: 0x228B22, roughness: 0.5, transparent: true, opacity: 0 });
-    const foliageGeo = new THREE.ConeGeometry(size * 0.4, size * 0.8, 16);
-    const foliage = new THREE.Mesh(foliageGeo, foliageMat);
-    foliage.castShadow = foliage.receiveShadow = true;
-    foliage.position.y = size * 1.2;
-    itemGroup.add(foliage);
+    debugInfo(`Respawned ${respawnedCount} shed items`);
+    return respawnedCount;
+}
 
-    const cannonShape = new CANNON.Cylinder(size * 0.12, size * 0.4, size * 2, 8);
+// Geometry constructors for catalog primitives; dimensions arrive already scaled, segment counts do not
+const PRIMITIVE_GEOMETRIES = {
+    box: ([width, height, depth]) => new THREE.BoxGeometry(width, height, depth),
+    sphere: ([radius], part) => new THREE.SphereGeometry(
+        radius,
+        part.segments ?? ITEM_GENERATION.SPHERE_WIDTH_SEGMENTS,
+        part.segments ?? ITEM_GENERATION.SPHERE_HEIGHT_SEGMENTS
+    ),
+    cylinder: ([radiusTop, radiusBottom, height], part) => new THREE.CylinderGeometry(
+        radiusTop,
+        radiusBottom,
+        height,
+        part.segments ?? ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS
+    ),
+    cone: ([radius, height], part) => new THREE.ConeGeometry(radius, height, part.segments ?? ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS),
+    torus: ([radius, tube], part) => new THREE.TorusGeometry(radius, tube, 8, part.segments ?? 16),
+    octahedron: ([radius], part) => new THREE.OctahedronGeometry(radius, part.detail ?? 0),
+    icosahedron: ([radius], part) => new THREE.IcosahedronGeometry(radius, part.detail ?? 0),
+    dodecahedron: ([radius], part) => new THREE.DodecahedronGeometry(radius, part.detail ?? 0)
+};
+
+// Physics shapes standing in for catalog primitives in compound collisions; dimensions arrive already scaled.
+// Round parts use the low item segment count whatever their visual detail, polyhedra collide as spheres
+// and tori as flat cylinders around their axis
+const PRIMITIVE_SHAPES = {
+    box: ([width, height, depth]) => new CANNON.Box(new CANNON.Vec3(width / 2, height / 2, depth / 2)),
+    sphere: ([radius]) => new CANNON.Sphere(radius),
+    cylinder: ([radiusTop, radiusBottom, height]) => new CANNON.Cylinder(radiusTop, radiusBottom, height, ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS),
+    cone: ([radius, height]) => new CANNON.Cylinder(0, radius, height, ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS),
+    torus: ([radius, tube]) => new CANNON.Cylinder(radius + tube, radius + tube, tube * 2, ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS),
+    octahedron: ([radius]) => new CANNON.Sphere(radius),
+    icosahedron: ([radius]) => new CANNON.Sphere(radius),
+    dodecahedron: ([radius]) => new CANNON.Sphere(radius)
+};
 
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.0 // Reduced from 1.5x to make trees more collectible
-    };
+/**
+ * Pick a color for an item from its catalog palette
+ * @param {Object|null} definition - Item definition from the catalog
+ * @returns {number} Hex color
+ */
+function pickItemColor(definition) {
+    const palette = definition?.palette || DEFAULT_PALETTE;
+    return palette[Math.floor(random() * palette.length)];
 }
 
 /**
- * Create a house item with detailed geometry
+ * Create the geometry of a catalog part
+ * @param {Object} part - Part definition from the catalog
+ * @param {number} scale - Base size the part's dimensions are multiples of
+ * @returns {THREE.BufferGeometry} The part geometry
  */
-function createHouseItem(color) {
-    const size = Math.random() * 1.8 + 1.0; // Reduced for authentic PlayStation game balance
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const mainBodyGeo = new THREE.BoxGeometry(size * 1.5, size * 1.2, size * 1.5);
-    const mainBodyMat = new THREE.MeshStandardMaterial({ color: 0xF5DEB3, roughness: 0.7, transparent: true, opacity: 0 });
-    const mainBody = new THREE.Mesh(mainBodyGeo, mainBodyMat);
-    mainBody.castShadow = mainBody.receiveShadow = true;
-    itemGroup.add(mainBody);
+function createPartGeometry(part, scale) {
+    const dimensions = part.dimensions.map(dimension => dimension * scale);
+    return PRIMITIVE_GEOMETRIES[part.primitive](dimensions, part);
+}
 
-    // Roof
-    const roofGeo = new THREE.ConeGeometry(size * 1.2, size * 0.8, 4);
-    const roofMat = new THREE.MeshStandardMaterial({ color: 0xA0522D, roughness: 0.7, transparent: true, opacity: 0 });
-    const roof = new THREE.Mesh(roofGeo, roofMat);
-    roof.rotation.y = Math.PI / 4;
-    roof.position.y = size * 1.2;
-    roof.castShadow = roof.receiveShadow = true;
-    itemGroup.add(roof);
+/**
+ * Create the starting (fully transparent) material of a catalog part
+ * @param {Object} part - Part definition from the catalog
+ * @param {number} itemColor - Color picked for the item, used when the part has no color of its own
+ * @returns {THREE.MeshStandardMaterial} The part material
+ */
+function createPartMaterial(part, itemColor) {
+    const options = {
+        color: part.color ?? itemColor,
+        roughness: part.roughness ?? 0.6,
+        transparent: true,
+        opacity: 0
+    };
+    if (part.metalness !== undefined) options.metalness = part.metalness;
+    if (part.emissive !== undefined) options.emissive = part.emissive;
 
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.75, size * 0.75, size * 0.75));
+    return new THREE.MeshStandardMaterial(options);
+}
 
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.0 // Reduced from 1.5x to make houses more collectible
-    };
+/**
+ * Create the starting (fully transparent) material of a model mesh
+ * @param {THREE.Material} material - Material loaded with the model
+ * @returns {THREE.Material} A copy of the material that can fade in independently
+ */
+function createModelMaterial(material) {
+    const modelMaterial = material.clone();
+    modelMaterial.transparent = true;
+    modelMaterial.opacity = 0;
+    return modelMaterial;
 }
 
 /**
- * Handle collision events for items (primarily item-ground interactions)
- * @param {CANNON.Body} itemBody - The item's physics body
- * @param {Object} event - The collision event
+ * Create one physics shape per colliding catalog part, placed like the part's meshes
+ * @param {Array<Object>} parts - Part definitions from the catalog
+ * @param {number} scale - Base size the part dimensions and positions are multiples of
+ * @returns {Array<Object>} Shapes with their body offset and orientation ({shape, offset, orientation})
  */
-function handleItemCollision(itemBody, event) {
-    const otherBody = event.target === itemBody ? event.body : event.target;
+function createCompoundShape(parts, scale) {
+    const shapes = [];
 
-    // Check if collision is with ground
-    if (otherBody.userData && otherBody.userData.isGround) {
-        // Item has hit the ground - ensure it stays grounded
-        const itemThreeMesh = itemBody.userData.threeMesh;
-        if (itemThreeMesh) {
-            // Prevent items from bouncing too much on ground
-            if (itemBody.velocity.y < -0.5) {
-                itemBody.velocity.y *= 0.5; // Reduce downward velocity
-            }
+    for (const part of parts) {
+        if (part.collides === false) continue;
 
-            // Add slight damping when on ground to prevent sliding
-            if (Math.abs(itemBody.position.y - itemThreeMesh.userData.size * 0.5) < 0.1) {
-                itemBody.linearDamping = Math.max(itemBody.linearDamping, 0.3);
-                itemBody.angularDamping = Math.max(itemBody.angularDamping, 0.3);
-            }
+        const dimensions = part.dimensions.map(dimension => dimension * scale);
+        const [rx, ry, rz] = part.rotation || [0, 0, 0];
+        let orientation = new CANNON.Quaternion().setFromEuler(rx, ry, rz);
 
-            debugLog(`Item ${itemBody.userData.name} collided with ground at Y=${itemBody.position.y.toFixed(2)}`);
+        // Cannon cylinders stand along Y, while a torus lies around Z
+        if (part.primitive === 'torus') {
+            orientation = orientation.mult(new CANNON.Quaternion().setFromEuler(Math.PI / 2, 0, 0));
+        }
+
+        for (const [x, y, z] of part.positions || [part.position || [0, 0, 0]]) {
+            shapes.push({
+                shape: PRIMITIVE_SHAPES[part.primitive](dimensions),
+                offset: new CANNON.Vec3(x * scale, y * scale, z * scale),
+                orientation
+            });
         }
     }
 
-    // Handle other collision types if needed (item-item, etc.)
-    // This can be expanded for more complex interactions
+    return shapes;
 }
 
 /**
- * Get the next available instance index for an instanced mesh
+ * Create the physics shape of a catalog item
+ * @param {Object} collision - Collision definition from the catalog
+ * @param {number} scale - Base size the collision sizes are multiples of
+ * @param {Array<Object>} parts - Part definitions, used by compound collisions
+ * @returns {CANNON.Shape|Array<Object>} The physics shape, or the shapes of a compound collision
  */
-function getNextInstanceIndex(instancedId) {
-    const instancedMesh = instancedMeshes[instancedId];
-    if (!instancedMesh) return -1;
-
-    const currentCount = instancedMesh.userData.instanceCount || 0;
-    if (currentCount >= RENDERING.MAX_INSTANCES) {
-        debugWarn(`Maximum instances reached for ${instancedId}`);
-        return -1;
+function createCollisionShape(collision, scale, parts = []) {
+    switch (collision.type) {
+        case 'compound':
+            return createCompoundShape(parts, scale);
+        case 'sphere':
+            return new CANNON.Sphere(collision.radius * scale);
+        case 'cylinder':
+            return new CANNON.Cylinder(
+                collision.radiusTop * scale,
+                collision.radiusBottom * scale,
+                collision.height * scale,
+                collision.segments ?? ITEM_GENERATION.CYLINDER_RADIAL_SEGMENTS
+            );
+        case 'box':
+        default: {
+            const [x, y, z] = collision.halfExtents || [0.5, 0.5, 0.5];
+            return new CANNON.Box(new CANNON.Vec3(x * scale, y * scale, z * scale));
+        }
     }
-
-    instancedMesh.userData.instanceCount = currentCount + 1;
-    return currentCount;
 }
 
 /**
- * Update item fade-in effects
+ * Build the visual group of a regular item from its catalog parts
+ * @param {Object} definition - Item definition from the catalog
+ * @param {number} color - Color picked for the item
+ * @param {number} scale - Base size the item is built at
+ * @returns {THREE.Group} The item group
  */
-export function updateItemFadeIn() {
-    for (const item of itemsToCollect) {
-        if (item.userData.isFadingIn) {
-            const elapsed = Date.now() - item.userData.fadeStartTime;
-            const progress = Math.min(elapsed / RENDERING.ITEM_FADE_DURATION, 1);
-            const opacity = progress;
-
-            if (item.userData.isInstanced) {
-                // Handle instanced mesh fade-in
-                const instancedMesh = instancedMeshes[item.userData.instancedId];
-                if (instancedMesh && item.userData.instanceIndex !== -1) {
-                    // Update material opacity (affects all instances)
-                    instancedMesh.material.opacity = Math.max(instancedMesh.material.opacity, opacity);
-                }
-            } else {
-                // Handle regular mesh fade-in
-                item.traverse(child => {
-                    if (child.material) {
-                        child.material.opacity = opacity;
-                    }
-                });
+function buildItemGroup(definition, color, scale) {
+    // The parts are built at unit size in a scaled wrapper, like models, so the katamari can rescale
+    // the item when it is attached and a pooled item can be reused at another size
+    const itemGroup = new THREE.Group();
+    const partsGroup = new THREE.Group();
+    partsGroup.scale.setScalar(scale);
+    itemGroup.add(partsGroup);
+
+    for (const part of definition.parts) {
+        // Repeated parts (wheels, legs, panels) share one geometry and material
+        const geometry = createPartGeometry(part, 1);
+        const material = createPartMaterial(part, color);
+        const positions = part.positions || [part.position || [0, 0, 0]];
+
+        for (const [x, y, z] of positions) {
+            const mesh = new THREE.Mesh(geometry, material);
+            mesh.position.set(x, y, z);
+            if (part.rotation) {
+                mesh.rotation.set(part.rotation[0], part.rotation[1], part.rotation[2]);
             }
-
-            if (progress >= 1) {
-                item.userData.isFadingIn = false;
+            if (part.shadows) {
+                mesh.castShadow = mesh.receiveShadow = true;
             }
+            partsGroup.add(mesh);
         }
     }
+
+    return itemGroup;
 }
 
 /**
- * Generate items dynamically based on katamari position
+ * Build the visual group of a regular item from its loaded model
+ * The model sits in an unscaled wrapper so the katamari can rescale the item when it is attached.
+ * @param {Object} modelData - Loaded model data from the model cache
+ * @param {number} scale - Scale of the model
+ * @returns {THREE.Group} The item group
  */
-export function generateItemsAroundKatamari(katamariPosition, currentTheme, katamariRadius = 2) {
-    if (katamariPosition.distanceTo(lastGenerationPosition) > GENERATION_DISTANCE_THRESHOLD) {
-        debugInfo("Generating new items due to travel distance.");
-
-        // Authentic item generation - more items needed due to slower growth
-        const baseItemCount = 35; // Increased to compensate for slower growth
-        const scaledItemCount = Math.min(60, baseItemCount + Math.floor(katamariRadius * 3)); // Up to 60 items max
-
-        createCollectibleItems(scaledItemCount, currentTheme.items, katamariPosition, 120, false, 8); // Larger spawn radius and min distance
-        lastGenerationPosition.copy(katamariPosition);
+function buildModelGroup(modelData, scale) {
+    const itemGroup = new THREE.Group();
+    const model = modelData.scene.clone();
+    model.scale.setScalar(scale);
+
+    // Each item owns copies of the model resources, since collected items are disposed one by one
+    model.traverse(child => {
+        if (!child.isMesh) return;
+        child.geometry = child.geometry.clone();
+        child.material = Array.isArray(child.material) ? child.material.map(createModelMaterial) : createModelMaterial(child.material);
+        child.castShadow = child.receiveShadow = true;
+    });
 
-        debugInfo(`Generated ${scaledItemCount} items for katamari radius ${katamariRadius.toFixed(2)}`);
-    }
+    itemGroup.add(model);
+    return itemGroup;
 }
 
 /**
- * Clean up items that are too far from the katamari with proper resource disposal
+ * Initialize instanced meshes for efficient rendering
  */
-export function cleanupOldItems(katamariPosition) {
+function initializeInstancedMeshes(itemNames) {
     const scene = getScene();
-    let cleanedUpCount = 0;
 
-    for (let i = itemsToCollect.length - 1; i >= 0; i--) {
-        const itemThreeMesh = itemsToCollect[i];
-
-        if (katamariPosition.distanceTo(itemThreeMesh.position) > ITEM_GENERATION.CLEANUP_DISTANCE_THRESHOLD) {
-            // Remove physics body using the improved cleanup function
-            const itemCannonBody = itemThreeMesh.userData.cannonBody;
-            if (itemCannonBody) {
-                // Remove collision handler first to prevent issues
-                if (itemCannonBody.userData && itemCannonBody.userData.collisionHandler) {
-                    itemCannonBody.removeEventListener('collide', itemCannonBody.userData.collisionHandler);
-                    itemCannonBody.userData.collisionHandler = null;
-                }
-                removePhysicsBody(itemCannonBody);
+    for (const itemName of itemNames) {
+        const id = INSTANCED_ITEM_MAP[itemName];
+        if (!id || instancedMeshes[id]) continue;
+
+        // Instanced items are a single part built at unit size and scaled per instance
+        const definition = getItemDefinition(itemName);
+
+        // Loaded single-mesh models share their geometry through the scene's instanced mesh cache
+        const modelData = getModelData(definition.model);
+        if (modelData?.geometry) {
+            const modelMesh = getInstancedMesh('model', { model: definition.model }, createModelMaterial(modelData.material));
+            if (modelMesh) {
+                modelMesh.userData.model = definition.model;
+                instancedMeshes[id] = modelMesh;
+                instanceManagers[id] = new InstancedItemManager(modelMesh, RENDERING.MAX_INSTANCES);
+                continue;
             }
+        } else if (modelData) {
+            debugWarn(`Model ${definition.model} has several meshes and cannot be instanced, using procedural part for ${itemName}`);
+        }
 
-            // Handle visual cleanup with proper resource disposal
-            if (itemThreeMesh.userData.isInstanced) {
-                // Use the improved instanced mesh disposal function
-                disposeInstancedMeshInstance(itemThreeMesh.userData.instancedId, itemThreeMesh.userData.instanceIndex);
-            } else {
-                // Dispose of regular mesh resources
-                disposeItemMesh(itemThreeMesh);
-                scene.remove(itemThreeMesh);
+        const part = definition.parts[0];
+        const geometry = createPartGeometry(part, 1);
+        const mat = createPartMaterial(part, pickItemColor(definition));
+
+        instancedGeometries[id] = geometry;
+        instancedMaterials[id] = mat;
+        instancedMeshes[id] = new THREE.InstancedMesh(geometry, mat, RENDERING.MAX_INSTANCES);
+        instancedMeshes[id].instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+        instancedMeshes[id].castShadow = true;
+        instancedMeshes[id].receiveShadow = true;
+        instanceManagers[id] = new InstancedItemManager(instancedMeshes[id], RENDERING.MAX_INSTANCES);
+        scene.add(instancedMeshes[id]);
+    }
+}
+
+/**
+ * Create an item from its catalog definition
+ * Instanced items get a placeholder mesh (rendered through their InstancedMesh), regular items get a full group.
+ * Items with a loaded model use it and its derived collision box instead of their procedural parts.
+ * @param {Object} definition - Item definition from the catalog
+ * @param {number} color - Color picked for the item
+ * @param {number} scale - Base size rolled from the item's size range
+ * @returns {Object|null} Mesh, physics shape and collectible size of the item, or null on failure
+ */
+function buildCatalogItem(definition, color, scale) {
+    const size = Math.max(0.1, scale * definition.sizeScale);
+    const instancedId = definition.instanced ? INSTANCED_ITEM_MAP[definition.name] : null;
+
+    // Instanced items only use their model if their InstancedMesh was built from it
+    const modelData = getModelData(definition.model);
+    const useModel = !!modelData && (!instancedId || !!instancedMeshes[instancedId]?.userData.model);
+    const modelScale = scale * (definition.modelScale ?? 1);
+    const cannonShape = useModel
+        ? createCollisionShape(modelData.collision, modelScale)
+        : createCollisionShape(definition.collision, scale, definition.parts);
+
+    let threeMesh;
+    if (instancedId) {
+        if (!instancedMeshes[instancedId]) {
+            debugWarn(`Base geometry not found for instanced item: ${definition.name}`);
+            return null;
+        }
+
+        // Placeholder mesh for physics and user data
+        const poolKey = `${definition.name}:instanced`;
+        threeMesh = getItemPool(poolKey, () => new THREE.Mesh()).acquire();
+        threeMesh.userData.poolKey = poolKey;
+        threeMesh.userData.isInstanced = true;
+        threeMesh.userData.instancedId = instancedId;
+        threeMesh.userData.instanceIndex = -1;
+        threeMesh.userData.instanceScale = useModel ? modelScale : scale;
+        threeMesh.userData.cannonShape = cannonShape;
+    } else if (useModel) {
+        const poolKey = `${definition.name}:model`;
+        threeMesh = getItemPool(poolKey, (_, itemScale) => buildModelGroup(modelData, itemScale), reuseItemGroup).acquire(color, modelScale);
+        threeMesh.userData.poolKey = poolKey;
+    } else {
+        // Part colors are baked into the materials, so each color has its own pool
+        const poolKey = `${definition.name}:parts:${color}`;
+        threeMesh = getItemPool(poolKey, (itemColor, itemScale) => buildItemGroup(definition, itemColor, itemScale), reuseItemGroup).acquire(color, scale);
+        threeMesh.userData.poolKey = poolKey;
+    }
+
+    threeMesh.userData.name = definition.name;
+    threeMesh.userData.size = size;
+    threeMesh.userData.baseScale = scale;
+    threeMesh.userData.color = color;
+    threeMesh.userData.massFactor = definition.massFactor ?? DEFAULT_MASS_FACTOR;
+    threeMesh.userData.isCollectible = true;
+
+    return { threeMesh, cannonShape, size };
+}
+
+/**
+ * Build a standalone, fully opaque copy of an item for previews such as the Katamari-pedia
+ * The preview has no physics body and is never added to the world. It is built at the middle of the
+ * item's size range in its first palette color, so it does not draw from the level's seeded random.
+ * @param {string} name - Item display name
+ * @returns {THREE.Group|null} The preview group, or null if the item is not in the catalog
+ */
+export function createItemPreview(name) {
+    const definition = getItemDefinition(name);
+    if (!definition) {
+        debugWarn(`Cannot preview unknown item: ${name}`);
+        return null;
+    }
+
+    const [minSize, maxSize] = definition.sizeRange;
+    const scale = (minSize + maxSize) / 2;
+    const modelData = getModelData(definition.model);
+    const preview = modelData
+        ? buildModelGroup(modelData, scale * (definition.modelScale ?? 1))
+        : buildItemGroup(definition, (definition.palette || DEFAULT_PALETTE)[0], scale);
+
+    preview.traverse(child => {
+        if (!child.material) return;
+        (Array.isArray(child.material) ? child.material : [child.material]).forEach(material => {
+            material.opacity = 1;
+            material.transparent = false;
+        });
+    });
+
+    preview.userData.name = definition.name;
+    preview.userData.size = Math.max(0.1, scale * definition.sizeScale);
+    return preview;
+}
+
+/**
+ * Dispose of an item preview built by createItemPreview
+ * @param {THREE.Group} preview - The preview group
+ */
+export function disposeItemPreview(preview) {
+    disposeItemMesh(preview);
+}
+
+/**
+ * Create a power-up pickup: a glowing octahedron tinted by power-up type
+ * @param {string} powerUpType - Power-up type from POWER_UPS.TYPES
+ * @returns {Object} Mesh, physics shape and size of the pickup
+ */
+function createPowerUpItem(powerUpType) {
+    const size = POWER_UPS.PICKUP_SIZE;
+    const poolKey = `powerUp:${powerUpType}`;
+    const itemGroup = getItemPool(poolKey, () => buildPowerUpGroup(powerUpType, size), reuseItemGroup).acquire();
+
+    itemGroup.userData.poolKey = poolKey;
+    itemGroup.userData.size = size;
+    itemGroup.userData.isPowerUp = true;
+    itemGroup.userData.powerUpType = powerUpType;
+
+    const cannonShape = new CANNON.Sphere(size * 0.5);
+
+    return {
+        mesh: itemGroup,
+        shape: cannonShape,
+        size
+    };
+}
+
+/**
+ * Build the visual group of a power-up pickup
+ * @param {string} powerUpType - Power-up type from POWER_UPS.TYPES
+ * @param {number} size - Pickup size
+ * @returns {THREE.Group} The pickup group
+ */
+function buildPowerUpGroup(powerUpType, size) {
+    const color = POWER_UPS.COLORS[powerUpType] || 0xFFFFFF;
+    const itemGroup = new THREE.Group();
+
+    const pickupGeo = new THREE.OctahedronGeometry(size * 0.5, 0);
+    const pickupMat = new THREE.MeshStandardMaterial({
+        color,
+        emissive: color,
+        emissiveIntensity: 0.6,
+        roughness: 0.3,
+        transparent: true,
+        opacity: 0
+    });
+    const pickup = new THREE.Mesh(pickupGeo, pickupMat);
+    pickup.castShadow = true;
+    itemGroup.add(pickup);
+
+    return itemGroup;
+}
+
+/**
+ * Get the pool of despawned meshes of one kind of item, creating it on first use
+ * @param {string} key - Item type and build, such as "Rock:instanced", "Car:parts:16711680" or "powerUp:magnetism"
+ * @param {Function} create - Builds a new mesh from the arguments given to acquire()
+ * @param {Function} reuse - Prepares a pooled mesh for reuse from the arguments given to acquire()
+ * @returns {ObjectPool} The pool
+ */
+function getItemPool(key, create, reuse = null) {
+    let pool = itemPools.get(key);
+    if (!pool) {
+        pool = new ObjectPool({
+            create,
+            reuse,
+            reset: resetPooledItem,
+            dispose: disposeItemMesh,
+            maxSize: PERFORMANCE.ITEM_POOL_SIZE
+        });
+        itemPools.set(key, pool);
+    }
+    return pool;
+}
+
+/**
+ * Prepare a pooled item group for reuse: rescale its parts or model and make it fully transparent for its fade-in
+ * @param {THREE.Group} itemGroup - Pooled item group
+ * @param {number} color - Color of the item (baked into the pooled materials)
+ * @param {number} scale - Scale of the parts or model wrapped in the group
+ */
+function reuseItemGroup(itemGroup, color, scale) {
+    if (scale !== undefined) {
+        itemGroup.children[0].scale.setScalar(scale);
+    }
+
+    itemGroup.traverse(child => {
+        if (!child.material) return;
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+            material.opacity = 0;
+        });
+    });
+}
+
+/**
+ * Clear a despawned item's state as it is released into its pool
+ * @param {THREE.Object3D} item - Despawned item
+ */
+function resetPooledItem(item) {
+    item.userData = {};
+    item.position.set(0, 0, 0);
+    item.quaternion.set(0, 0, 0, 1);
+    item.scale.set(1, 1, 1);
+}
+
+/**
+ * Release a despawned item's mesh into its pool, or dispose of it if it has no pool or the pool is full
+ * @param {THREE.Object3D} item - Despawned item, already taken out of the scene
+ */
+function releaseItemMesh(item) {
+    const pool = itemPools.get(item.userData.poolKey);
+    if (pool) {
+        pool.release(item);
+    } else {
+        disposeItemMesh(item);
+    }
+}
+
+/**
+ * Get the statistics of the item pools, totalled over every item type
+ * @returns {Object} Pools, meshes available for reuse and the counts of meshes created, reused, released and discarded
+ */
+export function getItemPoolStats() {
+    const totals = { pools: itemPools.size, available: 0, created: 0, reused: 0, released: 0, discarded: 0 };
+    for (const pool of itemPools.values()) {
+        const stats = pool.getStats();
+        totals.available += stats.available;
+        totals.created += stats.created;
+        totals.reused += stats.reused;
+        totals.released += stats.released;
+        totals.discarded += stats.discarded;
+    }
+    return totals;
+}
+
+/**
+ * Handle collision events for items (primarily item-ground interactions)
+ * @param {CANNON.Body} itemBody - The item's physics body
+ * @param {Object} event - The collision event
+ */
+function handleItemCollision(itemBody, event) {
+    const otherBody = event.target === itemBody ? event.body : event.target;
+
+    // Check if collision is with ground
+    if (otherBody.userData && otherBody.userData.isGround) {
+        // Item has hit the ground - ensure it stays grounded
+        const itemThreeMesh = itemBody.userData.threeMesh;
+        if (itemThreeMesh) {
+            // Prevent items from bouncing too much on ground
+            if (itemBody.velocity.y < -0.5) {
+                itemBody.velocity.y *= 0.5; // Reduce downward velocity
             }
 
-            // Clear item references to prevent memory leaks
-            if (itemThreeMesh.userData) {
-                itemThreeMesh.userData.cannonBody = null;
-                itemThreeMesh.userData.threeMesh = null;
+            // Add slight damping when on ground to prevent sliding
+            if (Math.abs(itemBody.position.y - itemThreeMesh.userData.size * 0.5) < 0.1) {
+                itemBody.linearDamping = Math.max(itemBody.linearDamping, 0.3);
+                itemBody.angularDamping = Math.max(itemBody.angularDamping, 0.3);
             }
 
-            itemsToCollect.splice(i, 1);
-            cleanedUpCount++;
+            debugLog(`Item ${itemBody.userData.name} collided with ground at Y=${itemBody.position.y.toFixed(2)}`);
         }
     }
 
-    if (cleanedUpCount > 0) {
-        debugInfo(`Cleaned up ${cleanedUpCount} old items with proper resource disposal`);
+    // Handle other collision types if needed (item-item, etc.)
+    // This can be expanded for more complex interactions
+}
 
-        // Validate physics world integrity after cleanup
-        validateAndFixPhysicsWorld();
+/**
+ * Update item fade-in effects
+ */
+export function updateItemFadeIn() {
+    for (const item of itemsToCollect) {
+        if (item.userData.isFadingIn) {
+            const elapsed = getGameTime() - item.userData.fadeStartTime;
+            const progress = Math.min(elapsed / RENDERING.ITEM_FADE_DURATION, 1);
+            const opacity = progress;
+
+            if (item.userData.isInstanced) {
+                // Fade in the item's own instance
+                const instances = instanceManagers[item.userData.instancedId];
+                if (instances && item.userData.instanceIndex !== -1) {
+                    instances.setOpacity(item.userData.instanceIndex, opacity);
+                }
+            } else {
+                // Handle regular mesh fade-in
+                item.traverse(child => {
+                    if (child.material) {
+                        child.material.opacity = opacity;
+                    }
+                });
+            }
+
+            if (progress >= 1) {
+                item.userData.isFadingIn = false;
+            }
+        }
+    }
+}
+
+/**
+ * Remove an item from the world, such as when its chunk is unloaded
+ * Its mesh and physics body are released into their pools for the next items spawned.
+ * @param {THREE.Object3D} item - Item in the world
+ */
+export function despawnItem(item) {
+    // Release the physics body; this also removes its collision handler
+    const itemCannonBody = item.userData.cannonBody;
+    if (itemCannonBody) {
+        releasePooledBody(itemCannonBody);
+    }
+
+    // Free the item's instance, or take the item out of the scene
+    if (item.userData.isInstanced) {
+        freeItemInstance(item);
+    } else {
+        getScene().remove(item);
     }
+
+    // Clear item references to prevent memory leaks
+    item.userData.cannonBody = null;
+    item.userData.threeMesh = null;
+
+    removeItemFromCollection(item);
+    releaseItemMesh(item);
 }
 
 /**
@@ -914,64 +1310,16 @@ function disposeItemMesh(itemMesh) {
 }
 
 /**
- * Properly dispose of instanced mesh instances when items are removed
- * @param {string} instancedId - The instanced mesh ID
- * @param {number} instanceIndex - The instance index to remove
- */
-function disposeInstancedMeshInstance(instancedId, instanceIndex) {
-    const instancedMesh = instancedMeshes[instancedId];
-    if (!instancedMesh || instanceIndex === -1) return;
-
-    // Hide the instance by setting scale to zero
-    const dummy = new THREE.Object3D();
-    dummy.scale.set(0, 0, 0);
-    dummy.updateMatrix();
-    instancedMesh.setMatrixAt(instanceIndex, dummy.matrix);
-    instancedMesh.instanceMatrix.needsUpdate = true;
-
-    // Clear instance color if available
-    if (instancedMesh.instanceColor) {
-        instancedMesh.instanceColor.setXYZ(instanceIndex, 0, 0, 0);
-        instancedMesh.instanceColor.needsUpdate = true;
-    }
-
-    // Decrement instance count for reuse
-    if (instancedMesh.userData.instanceCount > 0) {
-        instancedMesh.userData.instanceCount--;
-    }
-
-    debugLog(`Disposed instanced mesh instance: ${instancedId}[${instanceIndex}]`);
-}
-
-/**
- * Update instance matrix for hidden/removed items correctly
- * @param {string} instancedId - The instanced mesh ID
- * @param {number} instanceIndex - The instance index to update
- * @param {THREE.Vector3} position - New position (or null to hide)
- * @param {THREE.Quaternion} quaternion - New rotation (or null to hide)
- * @param {number} scale - New scale (or 0 to hide)
+ * Give an instanced item's instance slot back to its instanced mesh, hiding the instance
+ * @param {THREE.Object3D} item - Instanced item
  */
-function updateInstancedMeshMatrix(instancedId, instanceIndex, position = null, quaternion = null, scale = 0) {
-    const instancedMesh = instancedMeshes[instancedId];
-    if (!instancedMesh || instanceIndex === -1) return;
-
-    const dummy = new THREE.Object3D();
+function freeItemInstance(item) {
+    const instances = instanceManagers[item.userData.instancedId];
+    if (!instances || item.userData.instanceIndex === -1) return;
 
-    if (position && quaternion && scale > 0) {
-        // Show/update the instance
-        dummy.position.copy(position);
-        dummy.quaternion.copy(quaternion);
-        dummy.scale.setScalar(scale);
-    } else {
-        // Hide the instance
-        dummy.scale.set(0, 0, 0);
-    }
-
-    dummy.updateMatrix();
-    instancedMesh.setMatrixAt(instanceIndex, dummy.matrix);
-    instancedMesh.instanceMatrix.needsUpdate = true;
-
-    debugLog(`Updated instanced mesh matrix: ${instancedId}[${instanceIndex}] scale=${scale}`);
+    instances.free(item.userData.instanceIndex);
+    debugLog(`Freed instanced mesh instance: ${item.userData.instancedId}[${item.userData.instanceIndex}]`);
+    item.userData.instanceIndex = -1;
 }
 
 /**
@@ -980,33 +1328,10 @@ function updateInstancedMeshMatrix(instancedId, instanceIndex, position = null,
 export function resetInstancedMeshes() {
     debugInfo("Resetting instanced meshes for level restart...");
 
-    for (const key in instancedMeshes) {
-        const instancedMesh = instancedMeshes[key];
-        if (instancedMesh) {
-            // Reset all instances to hidden state
-            const dummy = new THREE.Object3D();
-            dummy.scale.set(0, 0, 0);
-            dummy.updateMatrix();
-
-            for (let i = 0; i < RENDERING.MAX_INSTANCES; i++) {
-                instancedMesh.setMatrixAt(i, dummy.matrix);
-            }
-
-            instancedMesh.instanceMatrix.needsUpdate = true;
-
-            // Reset instance color if available
-            if (instancedMesh.instanceColor) {
-                for (let i = 0; i < RENDERING.MAX_INSTANCES; i++) {
-                    instancedMesh.instanceColor.setXYZ(i, 0, 0, 0);
-                }
-                instancedMesh.instanceColor.needsUpdate = true;
-            }
-
-            // Reset instance count
-            instancedMesh.userData.instanceCount = 0;
-
-            debugLog(`Reset instanced mesh: ${key}`);
-        }
+    for (const key in instanceManagers) {
+        // Free every slot; the mesh draws nothing until items are spawned again
+        instanceManagers[key].reset();
+        debugLog(`Reset instanced mesh: ${key}`);
     }
 
     debugInfo("Instanced meshes reset for level restart");
@@ -1025,6 +1350,20 @@ function clearInstancedMeshes() {
         if (instancedMeshes[key]) {
             const instancedMesh = instancedMeshes[key];
 
+            // Take the instance opacity attribute off the geometry, which model meshes share
+            if (instanceManagers[key]) {
+                instanceManagers[key].dispose();
+                delete instanceManagers[key];
+            }
+
+            // Model meshes belong to the scene's instanced mesh cache, which keeps the shared geometry
+            if (instancedMesh.userData.model) {
+                removeInstancedMesh('model', { model: instancedMesh.userData.model });
+                delete instancedMeshes[key];
+                debugLog(`Removed model instanced mesh: ${key}`);
+                continue;
+            }
+
             // Remove from scene
             scene.remove(instancedMesh);
 
@@ -1090,6 +1429,34 @@ export function getItemsToCollect() {
     return itemsToCollect;
 }
 
+/**
+ * Get the items within a radius of a point, from the items' spatial index
+ * @param {Object} position - Query point {x, y, z}
+ * @param {number} radius - Query radius
+ * @returns {Array<THREE.Object3D>} Items at their last synchronized positions within the radius
+ */
+export function getItemsWithinRadius(position, radius) {
+    return itemIndex.queryRadius(position, radius);
+}
+
+/**
+ * Get the items further than a radius from a point, from the items' spatial index
+ * @param {Object} position - Query point {x, y, z}
+ * @param {number} radius - Query radius
+ * @returns {Array<THREE.Object3D>} Items at their last synchronized positions outside the radius
+ */
+export function getItemsOutsideRadius(position, radius) {
+    return itemIndex.queryOutside(position, radius);
+}
+
+/**
+ * Get the items' spatial index, for systems that query it directly (such as physics body activation)
+ * @returns {SpatialHash} Spatial index of the items in the world
+ */
+export function getItemSpatialIndex() {
+    return itemIndex;
+}
+
 /**
  * Get instanced mesh by ID
  * @param {string} instancedId - The instanced mesh ID
@@ -1103,17 +1470,25 @@ export function getInstancedMeshById(instancedId) {
  * Remove item from collection
  */
 export function removeItemFromCollection(item) {
+    itemIndex.remove(item);
+
     const index = itemsToCollect.indexOf(item);
     if (index !== -1) {
         itemsToCollect.splice(index, 1);
     }
+
+    const powerUpIndex = powerUpItems.indexOf(item);
+    if (powerUpIndex !== -1) {
+        powerUpItems.splice(powerUpIndex, 1);
+    }
 }
 
 /**
- * Reset the last generation position
+ * Get power-up pickups currently in the world
+ * @returns {Array<THREE.Object3D>} Power-up pickup meshes
  */
-export function resetLastGenerationPosition(position) {
-    lastGenerationPosition.copy(position);
+export function getPowerUpItems() {
+    return powerUpItems;
 }
 
 /**
@@ -1144,18 +1519,15 @@ export function cleanupCollectedItems(collectedItems) {
     let cleanedUpCount = 0;
 
     for (const item of collectedItems) {
-        // Remove physics body using improved cleanup
+        // Release the physics body into the body pool
         if (item.userData.cannonBody) {
-            removePhysicsBody(item.userData.cannonBody);
+            releasePooledBody(item.userData.cannonBody);
         }
 
         // Handle visual cleanup
         if (item.userData.isInstanced) {
-            // Use the improved instanced mesh disposal function
-            disposeInstancedMeshInstance(item.userData.instancedId, item.userData.instanceIndex);
+            freeItemInstance(item);
         } else {
-            // Dispose of regular mesh resources
-            disposeItemMesh(item);
             scene.remove(item);
         }
 
@@ -1165,12 +1537,13 @@ export function cleanupCollectedItems(collectedItems) {
             item.userData.threeMesh = null;
         }
 
-        // Remove from items array
+        // Remove from items array and release the mesh into its pool
         removeItemFromCollection(item);
+        releaseItemMesh(item);
         cleanedUpCount++;
     }
 
-    debugInfo(`Cleaned up ${cleanedUpCount} collected items with proper resource disposal`);
+    debugInfo(`Cleaned up ${cleanedUpCount} collected items, releasing their meshes and bodies for reuse`);
 
     // Validate physics world integrity after cleanup
     validateAndFixPhysicsWorld();
@@ -1187,9 +1560,9 @@ export function cleanupItemsSystem() {
     // Remove all item physics bodies using the improved cleanup function
     removeAllItemPhysicsBodies();
 
-    // Clean up visual resources for all items
+    // Clean up visual resources for all items (power-ups are handled below)
     itemsToCollect.forEach(item => {
-        if (!item.userData.isInstanced) {
+        if (!item.userData.isInstanced && !item.userData.isPowerUp) {
             // Dispose of regular mesh resources
             disposeItemMesh(item);
             scene.remove(item);
@@ -1208,664 +1581,22 @@ export function cleanupItemsSystem() {
         scene.remove(item);
     });
 
-    // Clear arrays
+    // Clear arrays; queued collections and sheds belong to the level being cleaned up
     itemsToCollect.length = 0;
     powerUpItems.length = 0;
+    itemIndex.clear();
+    pendingCollectedItems = [];
+    pendingShedItems = [];
+
+    // Dispose of the pooled meshes; the next level may draw from other themes' items
+    itemPools.forEach(pool => pool.clear());
+    itemPools.clear();
 
     // Clear instanced meshes with proper resource disposal
     clearInstancedMeshes();
 
-    // Reset generation position
-    lastGenerationPosition.set(0, 0, 0);
-
     // Final validation of physics world integrity
     const validationResults = validateAndFixPhysicsWorld();
 
     debugInfo(`Comprehensive items system cleanup completed. Validation results: ${JSON.stringify(validationResults)}`);
 }
-
-/**
- * Create a bench item with detailed geometry
- */
-function createBenchItem(color) {
-    const size = Math.random() * 1.5 + 0.8;
-    const itemGroup = new THREE.Group();
-
-    // Bench seat
-    const seatGeo = new THREE.BoxGeometry(size * 2, size * 0.1, size * 0.4);
-    const seatMat = new THREE.MeshStandardMaterial({ color, roughness: 0.7, transparent: true, opacity: 0 });
-    const seat = new THREE.Mesh(seatGeo, seatMat);
-    seat.castShadow = seat.receiveShadow = true;
-    seat.position.y = size * 0.4;
-    itemGroup.add(seat);
-
-    // Bench back
-    const backGeo = new THREE.BoxGeometry(size * 2, size * 0.6, size * 0.1);
-    const backMat = new THREE.MeshStandardMaterial({ color, roughness: 0.7, transparent: true, opacity: 0 });
-    const back = new THREE.Mesh(backGeo, backMat);
-    back.castShadow = back.receiveShadow = true;
-    back.position.set(0, size * 0.7, -size * 0.15);
-    itemGroup.add(back);
-
-    // Legs
-    const legGeo = new THREE.BoxGeometry(size * 0.1, size * 0.4, size * 0.1);
-    const legMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8, transparent: true, opacity: 0 });
-    const legPositions = [[-0.8, 0.15], [0.8, 0.15], [-0.8, -0.15], [0.8, -0.15]];
-
-    legPositions.forEach(([dx, dz]) => {
-        const leg = new THREE.Mesh(legGeo, legMat);
-        leg.position.set(size * dx, size * 0.2, size * dz);
-        itemGroup.add(leg);
-    });
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size, size * 0.3, size * 0.2));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.8
-    };
-}
-
-/**
- * Create a lamp post item with detailed geometry
- */
-function createLampPostItem(color) {
-    const size = Math.random() * 2 + 1.5;
-    const itemGroup = new THREE.Group();
-
-    // Post
-    const postGeo = new THREE.CylinderGeometry(size * 0.05, size * 0.08, size * 3, 8);
-    const postMat = new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.8, transparent: true, opacity: 0 });
-    const post = new THREE.Mesh(postGeo, postMat);
-    post.castShadow = post.receiveShadow = true;
-    post.position.y = size * 1.5;
-    itemGroup.add(post);
-
-    // Lamp
-    const lampGeo = new THREE.SphereGeometry(size * 0.2, 16, 16);
-    const lampMat = new THREE.MeshStandardMaterial({ color: 0xFFFFAA, roughness: 0.3, transparent: true, opacity: 0 });
-    const lamp = new THREE.Mesh(lampGeo, lampMat);
-    lamp.castShadow = lamp.receiveShadow = true;
-    lamp.position.y = size * 2.8;
-    itemGroup.add(lamp);
-
-    const cannonShape = new CANNON.Cylinder(size * 0.08, size * 0.2, size * 3, 8);
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.2
-    };
-}
-
-/**
- * Create a trash can item with detailed geometry
- */
-function createTrashCanItem(color) {
-    const size = Math.random() * 1.2 + 0.6;
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const bodyGeo = new THREE.CylinderGeometry(size * 0.4, size * 0.5, size * 1.2, 16);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.7, transparent: true, opacity: 0 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.castShadow = body.receiveShadow = true;
-    body.position.y = size * 0.6;
-    itemGroup.add(body);
-
-    // Lid
-    const lidGeo = new THREE.CylinderGeometry(size * 0.45, size * 0.45, size * 0.1, 16);
-    const lidMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.7, transparent: true, opacity: 0 });
-    const lid = new THREE.Mesh(lidGeo, lidMat);
-    lid.castShadow = lid.receiveShadow = true;
-    lid.position.y = size * 1.25;
-    itemGroup.add(lid);
-
-    const cannonShape = new CANNON.Cylinder(size * 0.5, size * 0.45, size * 1.3, 16);
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.9
-    };
-}
-
-/**
- * Create a mailbox item with detailed geometry
- */
-function createMailboxItem(color) {
-    const size = Math.random() * 1.0 + 0.5;
-    const itemGroup = new THREE.Group();
-
-    // Post
-    const postGeo = new THREE.CylinderGeometry(size * 0.03, size * 0.03, size * 1.2, 8);
-    const postMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8, transparent: true, opacity: 0 });
-    const post = new THREE.Mesh(postGeo, postMat);
-    post.castShadow = post.receiveShadow = true;
-    post.position.y = size * 0.6;
-    itemGroup.add(post);
-
-    // Mailbox body
-    const boxGeo = new THREE.BoxGeometry(size * 0.6, size * 0.3, size * 0.4);
-    const boxMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, transparent: true, opacity: 0 });
-    const box = new THREE.Mesh(boxGeo, boxMat);
-    box.castShadow = box.receiveShadow = true;
-    box.position.y = size * 1.0;
-    itemGroup.add(box);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.3, size * 0.6, size * 0.2));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.7
-    };
-}
-
-/**
- * Create a picnic table item with detailed geometry
- */
-function createPicnicTableItem(color) {
-    const size = Math.random() * 1.5 + 1.0;
-    const itemGroup = new THREE.Group();
-
-    // Table top
-    const topGeo = new THREE.BoxGeometry(size * 2, size * 0.1, size * 1);
-    const topMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8, transparent: true, opacity: 0 });
-    const top = new THREE.Mesh(topGeo, topMat);
-    top.castShadow = top.receiveShadow = true;
-    top.position.y = size * 0.7;
-    itemGroup.add(top);
-
-    // Benches
-    const benchGeo = new THREE.BoxGeometry(size * 1.8, size * 0.08, size * 0.3);
-    const benchMat = new THREE.MeshStandardMaterial({ color: 0x8B4513, roughness: 0.8, transparent: true, opacity: 0 });
-
-    const bench1 = new THREE.Mesh(benchGeo, benchMat);
-    bench1.position.set(0, size * 0.4, size * 0.65);
-    itemGroup.add(bench1);
-
-    const bench2 = new THREE.Mesh(benchGeo, benchMat);
-    bench2.position.set(0, size * 0.4, -size * 0.65);
-    itemGroup.add(bench2);
-
-    // Legs
-    const legGeo = new THREE.BoxGeometry(size * 0.1, size * 0.7, size * 0.1);
-    const legMat = new THREE.MeshStandardMaterial({ color: 0x654321, roughness: 0.8, transparent: true, opacity: 0 });
-    const legPositions = [[-0.8, 0.4], [0.8, 0.4], [-0.8, -0.4], [0.8, -0.4]];
-
-    legPositions.forEach(([dx, dz]) => {
-        const leg = new THREE.Mesh(legGeo, legMat);
-        leg.position.set(size * dx, size * 0.35, size * dz);
-        itemGroup.add(leg);
-    });
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size, size * 0.4, size * 0.5));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.2
-    };
-}
-
-/**
- * Create a fire hydrant item with detailed geometry
- */
-function createFireHydrantItem(color) {
-    const size = Math.random() * 1.0 + 0.6;
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const bodyGeo = new THREE.CylinderGeometry(size * 0.3, size * 0.35, size * 1.0, 8);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: 0xFF0000, roughness: 0.6, transparent: true, opacity: 0 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.castShadow = body.receiveShadow = true;
-    body.position.y = size * 0.5;
-    itemGroup.add(body);
-
-    // Top cap
-    const capGeo = new THREE.CylinderGeometry(size * 0.25, size * 0.3, size * 0.2, 8);
-    const capMat = new THREE.MeshStandardMaterial({ color: 0xCC0000, roughness: 0.6, transparent: true, opacity: 0 });
-    const cap = new THREE.Mesh(capGeo, capMat);
-    cap.castShadow = cap.receiveShadow = true;
-    cap.position.y = size * 1.1;
-    itemGroup.add(cap);
-
-    // Side outlets
-    const outletGeo = new THREE.CylinderGeometry(size * 0.08, size * 0.08, size * 0.2, 8);
-    const outletMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.7, transparent: true, opacity: 0 });
-
-    const outlet1 = new THREE.Mesh(outletGeo, outletMat);
-    outlet1.rotation.z = Math.PI / 2;
-    outlet1.position.set(size * 0.4, size * 0.7, 0);
-    itemGroup.add(outlet1);
-
-    const outlet2 = new THREE.Mesh(outletGeo, outletMat);
-    outlet2.rotation.z = -Math.PI / 2;
-    outlet2.position.set(-size * 0.4, size * 0.7, 0);
-    itemGroup.add(outlet2);
-
-    const cannonShape = new CANNON.Cylinder(size * 0.35, size * 0.25, size * 1.2, 8);
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.8
-    };
-}
-
-/**
- * Create a hot dog stand item with detailed geometry
- */
-function createHotDogStandItem(color) {
-    const size = Math.random() * 1.5 + 1.0;
-    const itemGroup = new THREE.Group();
-
-    // Cart base
-    const baseGeo = new THREE.BoxGeometry(size * 1.5, size * 0.8, size * 1.0);
-    const baseMat = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.6, transparent: true, opacity: 0 });
-    const base = new THREE.Mesh(baseGeo, baseMat);
-    base.castShadow = base.receiveShadow = true;
-    base.position.y = size * 0.4;
-    itemGroup.add(base);
-
-    // Umbrella
-    const umbrellaGeo = new THREE.ConeGeometry(size * 1.2, size * 0.3, 16);
-    const umbrellaMat = new THREE.MeshStandardMaterial({ color: 0xFF6347, roughness: 0.5, transparent: true, opacity: 0 });
-    const umbrella = new THREE.Mesh(umbrellaGeo, umbrellaMat);
-    umbrella.castShadow = umbrella.receiveShadow = true;
-    umbrella.position.y = size * 1.5;
-    itemGroup.add(umbrella);
-
-    // Pole
-    const poleGeo = new THREE.CylinderGeometry(size * 0.02, size * 0.02, size * 1.0, 8);
-    const poleMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.8, transparent: true, opacity: 0 });
-    const pole = new THREE.Mesh(poleGeo, poleMat);
-    pole.position.y = size * 1.0;
-    itemGroup.add(pole);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.75, size * 0.4, size * 0.5));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.0
-    };
-}
-
-/**
- * Create a newspaper stand item with detailed geometry
- */
-function createNewsStandItem(color) {
-    const size = Math.random() * 1.0 + 0.8;
-    const itemGroup = new THREE.Group();
-
-    // Main box
-    const boxGeo = new THREE.BoxGeometry(size * 0.8, size * 1.2, size * 0.4);
-    const boxMat = new THREE.MeshStandardMaterial({ color: 0x4169E1, roughness: 0.6, transparent: true, opacity: 0 });
-    const box = new THREE.Mesh(boxGeo, boxMat);
-    box.castShadow = box.receiveShadow = true;
-    box.position.y = size * 0.6;
-    itemGroup.add(box);
-
-    // Glass front
-    const glassGeo = new THREE.BoxGeometry(size * 0.82, size * 0.8, size * 0.02);
-    const glassMat = new THREE.MeshStandardMaterial({ color: 0x87CEEB, roughness: 0.1, transparent: true, opacity: 0.3 });
-    const glass = new THREE.Mesh(glassGeo, glassMat);
-    glass.position.set(0, size * 0.8, size * 0.21);
-    itemGroup.add(glass);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.4, size * 0.6, size * 0.2));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.7
-    };
-}
-
-/**
- * Create a bicycle item with detailed geometry
- */
-function createBicycleItem(color) {
-    const size = Math.random() * 1.2 + 0.8;
-    const itemGroup = new THREE.Group();
-
-    // Frame
-    const frameGeo = new THREE.BoxGeometry(size * 1.5, size * 0.05, size * 0.05);
-    const frameMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, transparent: true, opacity: 0 });
-    const frame = new THREE.Mesh(frameGeo, frameMat);
-    frame.castShadow = frame.receiveShadow = true;
-    frame.position.y = size * 0.5;
-    itemGroup.add(frame);
-
-    // Wheels
-    const wheelGeo = new THREE.TorusGeometry(size * 0.3, size * 0.05, 8, 16);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8, transparent: true, opacity: 0 });
-
-    const frontWheel = new THREE.Mesh(wheelGeo, wheelMat);
-    frontWheel.rotation.y = Math.PI / 2;
-    frontWheel.position.set(size * 0.6, size * 0.3, 0);
-    itemGroup.add(frontWheel);
-
-    const backWheel = new THREE.Mesh(wheelGeo, wheelMat);
-    backWheel.rotation.y = Math.PI / 2;
-    backWheel.position.set(-size * 0.6, size * 0.3, 0);
-    itemGroup.add(backWheel);
-
-    // Handlebars
-    const handleGeo = new THREE.CylinderGeometry(size * 0.02, size * 0.02, size * 0.4, 8);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.7, transparent: true, opacity: 0 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.z = Math.PI / 2;
-    handle.position.set(size * 0.6, size * 0.8, 0);
-    itemGroup.add(handle);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.75, size * 0.3, size * 0.15));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.9
-    };
-}
-
-/**
- * Create a skateboard item with detailed geometry
- */
-function createSkateboardItem(color) {
-    const size = Math.random() * 0.8 + 0.4;
-    const itemGroup = new THREE.Group();
-
-    // Deck
-    const deckGeo = new THREE.BoxGeometry(size * 2, size * 0.05, size * 0.3);
-    const deckMat = new THREE.MeshStandardMaterial({ color, roughness: 0.7, transparent: true, opacity: 0 });
-    const deck = new THREE.Mesh(deckGeo, deckMat);
-    deck.castShadow = deck.receiveShadow = true;
-    deck.position.y = size * 0.1;
-    itemGroup.add(deck);
-
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(size * 0.08, size * 0.08, size * 0.05, 16);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x444444, roughness: 0.8, transparent: true, opacity: 0 });
-    const wheelPositions = [[-0.7, 0.1], [0.7, 0.1], [-0.7, -0.1], [0.7, -0.1]];
-
-    wheelPositions.forEach(([dx, dz]) => {
-        const wheel = new THREE.Mesh(wheelGeo, wheelMat);
-        wheel.rotation.x = Math.PI / 2;
-        wheel.position.set(size * dx, size * 0.05, size * dz);
-        itemGroup.add(wheel);
-    });
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size, size * 0.05, size * 0.15));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.6
-    };
-}
-
-/**
- * Create a shopping cart item with detailed geometry
- */
-function createShoppingCartItem(color) {
-    const size = Math.random() * 1.2 + 0.8;
-    const itemGroup = new THREE.Group();
-
-    // Basket
-    const basketGeo = new THREE.BoxGeometry(size * 1.0, size * 0.6, size * 0.8);
-    const basketMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.7, transparent: true, opacity: 0 });
-    const basket = new THREE.Mesh(basketGeo, basketMat);
-    basket.castShadow = basket.receiveShadow = true;
-    basket.position.y = size * 0.5;
-    itemGroup.add(basket);
-
-    // Handle
-    const handleGeo = new THREE.CylinderGeometry(size * 0.02, size * 0.02, size * 1.0, 8);
-    const handleMat = new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.8, transparent: true, opacity: 0 });
-    const handle = new THREE.Mesh(handleGeo, handleMat);
-    handle.rotation.z = Math.PI / 2;
-    handle.position.set(-size * 0.7, size * 0.9, 0);
-    itemGroup.add(handle);
-
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(size * 0.08, size * 0.08, size * 0.05, 16);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8, transparent: true, opacity: 0 });
-    const wheelPositions = [[-0.4, 0.35], [0.4, 0.35], [-0.4, -0.35], [0.4, -0.35]];
-
-    wheelPositions.forEach(([dx, dz]) => {
-        const wheel = new THREE.Mesh(wheelGeo, wheelMat);
-        wheel.rotation.x = Math.PI / 2;
-        wheel.position.set(size * dx, size * 0.08, size * dz);
-        itemGroup.add(wheel);
-    });
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.5, size * 0.3, size * 0.4));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 0.8
-    };
-}
-
-/**
- * Create a satellite item with detailed geometry
- */
-function createSatelliteItem(color) {
-    const size = Math.random() * 2 + 1.5;
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const bodyGeo = new THREE.BoxGeometry(size * 1.0, size * 0.8, size * 1.2);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: 0xC0C0C0, roughness: 0.3, transparent: true, opacity: 0 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.castShadow = body.receiveShadow = true;
-    itemGroup.add(body);
-
-    // Solar panels
-    const panelGeo = new THREE.BoxGeometry(size * 2.5, size * 0.05, size * 1.5);
-    const panelMat = new THREE.MeshStandardMaterial({ color: 0x000080, roughness: 0.2, transparent: true, opacity: 0 });
-
-    const panel1 = new THREE.Mesh(panelGeo, panelMat);
-    panel1.position.set(size * 1.75, 0, 0);
-    itemGroup.add(panel1);
-
-    const panel2 = new THREE.Mesh(panelGeo, panelMat);
-    panel2.position.set(-size * 1.75, 0, 0);
-    itemGroup.add(panel2);
-
-    // Antenna
-    const antennaGeo = new THREE.CylinderGeometry(size * 0.02, size * 0.02, size * 1.5, 8);
-    const antennaMat = new THREE.MeshStandardMaterial({ color: 0x888888, roughness: 0.7, transparent: true, opacity: 0 });
-    const antenna = new THREE.Mesh(antennaGeo, antennaMat);
-    antenna.position.y = size * 1.15;
-    itemGroup.add(antenna);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 1.25, size * 0.4, size * 0.6));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.5
-    };
-}
-
-/**
- * Create an alien artifact item with detailed geometry
- */
-function createAlienArtifactItem(color) {
-    const size = Math.random() * 1.5 + 1.0;
-    const itemGroup = new THREE.Group();
-
-    // Main crystal
-    const crystalGeo = new THREE.OctahedronGeometry(size * 0.8);
-    const crystalMat = new THREE.MeshStandardMaterial({
-        color: 0x00FF00,
-        roughness: 0.1,
-        transparent: true,
-        opacity: 0.8,
-        emissive: 0x002200
-    });
-    const crystal = new THREE.Mesh(crystalGeo, crystalMat);
-    crystal.castShadow = crystal.receiveShadow = true;
-    crystal.position.y = size * 0.4;
-    itemGroup.add(crystal);
-
-    // Base
-    const baseGeo = new THREE.CylinderGeometry(size * 0.6, size * 0.8, size * 0.3, 8);
-    const baseMat = new THREE.MeshStandardMaterial({
-        color: 0x444444,
-        roughness: 0.3,
-        transparent: true,
-        opacity: 0,
-        metalness: 0.8
-    });
-    const base = new THREE.Mesh(baseGeo, baseMat);
-    base.castShadow = base.receiveShadow = true;
-    base.position.y = size * 0.15;
-    itemGroup.add(base);
-
-    const cannonShape = new CANNON.Sphere(size * 0.8);
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.0
-    };
-}
-
-/**
- * Create a space probe item with detailed geometry
- */
-function createSpaceProbeItem(color) {
-    const size = Math.random() * 2 + 1.5;
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const bodyGeo = new THREE.ConeGeometry(size * 0.4, size * 2.0, 8);
-    const bodyMat = new THREE.MeshStandardMaterial({ color: 0xFFFFFF, roughness: 0.4, transparent: true, opacity: 0 });
-    const body = new THREE.Mesh(bodyGeo, bodyMat);
-    body.castShadow = body.receiveShadow = true;
-    body.position.y = size * 1.0;
-    itemGroup.add(body);
-
-    // Dish antenna
-    const dishGeo = new THREE.ConeGeometry(size * 0.6, size * 0.2, 16);
-    const dishMat = new THREE.MeshStandardMaterial({ color: 0xC0C0C0, roughness: 0.3, transparent: true, opacity: 0 });
-    const dish = new THREE.Mesh(dishGeo, dishMat);
-    dish.rotation.x = Math.PI;
-    dish.position.y = size * 2.2;
-    itemGroup.add(dish);
-
-    // Thruster
-    const thrusterGeo = new THREE.CylinderGeometry(size * 0.15, size * 0.2, size * 0.5, 8);
-    const thrusterMat = new THREE.MeshStandardMaterial({ color: 0x666666, roughness: 0.6, transparent: true, opacity: 0 });
-    const thruster = new THREE.Mesh(thrusterGeo, thrusterMat);
-    thruster.position.y = -size * 0.25;
-    itemGroup.add(thruster);
-
-    const cannonShape = new CANNON.Cylinder(size * 0.4, size * 0.15, size * 2.5, 8);
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.3
-    };
-}
-
-/**
- * Create a bus item with detailed geometry
- */
-function createBusItem(color) {
-    const size = Math.random() * 4 + 3;
-    const itemGroup = new THREE.Group();
-
-    // Main body
-    const busBodyGeo = new THREE.BoxGeometry(size * 3, size * 1.2, size);
-    const busBodyMat = new THREE.MeshStandardMaterial({ color, roughness: 0.6, transparent: true, opacity: 0 });
-    const busBody = new THREE.Mesh(busBodyGeo, busBodyMat);
-    busBody.castShadow = busBody.receiveShadow = true;
-    itemGroup.add(busBody);
-
-    // Wheels
-    const wheelGeo = new THREE.CylinderGeometry(size * 0.3, size * 0.3, size * 0.3, 16);
-    const wheelMat = new THREE.MeshStandardMaterial({ color: 0x333333, roughness: 0.8, transparent: true, opacity: 0 });
-    const wheelPositions = [[1.2, 0.4], [-1.2, 0.4], [1.2, -0.4], [-1.2, -0.4]];
-
-    wheelPositions.forEach(([dx, dz]) => {
-        const wheel = new THREE.Mesh(wheelGeo, wheelMat);
-        wheel.rotation.z = Math.PI / 2;
-        wheel.position.set(size * dx, -size * 0.4, size * dz);
-        itemGroup.add(wheel);
-    });
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 1.5, size * 0.6, size * 0.5));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 1.5
-    };
-}
-
-/**
- * Create a building item with detailed geometry
- */
-function createBuildingItem(color) {
-    const size = Math.random() * 10 + 8;
-    const itemGroup = new THREE.Group();
-
-    // Main structure
-    const buildingGeo = new THREE.BoxGeometry(size, size * 3, size);
-    const buildingMat = new THREE.MeshStandardMaterial({ color, roughness: 0.8, transparent: true, opacity: 0 });
-    const building = new THREE.Mesh(buildingGeo, buildingMat);
-    building.castShadow = building.receiveShadow = true;
-    itemGroup.add(building);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 0.5, size * 1.5, size * 0.5));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 2
-    };
-}
-
-/**
- * Create a space station item with detailed geometry
- */
-function createSpaceStationItem(color) {
-    const size = Math.random() * 15 + 12;
-    const itemGroup = new THREE.Group();
-
-    // Central hub
-    const hubGeo = new THREE.SphereGeometry(size * 0.5, 32, 32);
-    const hubMat = new THREE.MeshStandardMaterial({ color: 0xCCCCCC, roughness: 0.4, transparent: true, opacity: 0 });
-    const hub = new THREE.Mesh(hubGeo, hubMat);
-    hub.castShadow = hub.receiveShadow = true;
-    itemGroup.add(hub);
-
-    // Solar panels
-    const panelGeo = new THREE.BoxGeometry(size * 3, size * 0.1, size * 1.5);
-    const panelMat = new THREE.MeshStandardMaterial({ color: 0x000080, roughness: 0.2, transparent: true, opacity: 0 });
-
-    const panel1 = new THREE.Mesh(panelGeo, panelMat);
-    panel1.position.set(size * 2, 0, 0);
-    itemGroup.add(panel1);
-
-    const panel2 = new THREE.Mesh(panelGeo, panelMat);
-    panel2.position.set(-size * 2, 0, 0);
-    itemGroup.add(panel2);
-
-    const cannonShape = new CANNON.Box(new CANNON.Vec3(size * 2.5, size * 0.5, size * 0.75));
-
-    return {
-        mesh: itemGroup,
-        shape: cannonShape,
-        size: size * 2.5
-    };
-}
@@ -6,9 +6,13 @@
 
 import * as THREE from 'three';
 import * as CANNON from 'cannon-es';
-import { createKatamariBody, updateKatamariPhysics, removePhysicsBody, addPhysicsBody } from '../core/physics.js';
+import { createKatamariBody, updateKatamariPhysics, setKatamariLumps, removePhysicsBody, addPhysicsBody } from '../core/physics.js';
 import { debugInfo, debugWarn, debugError, debugLog } from '../utils/debug.js';
-import { KATAMARI, COLLECTION, VISUAL, MOVEMENT } from '../utils/constants.js';
+import { KATAMARI, COLLECTION, SHEDDING, VISUAL, MOVEMENT, POWER_UPS } from '../utils/constants.js';
+import { random, createRandom, getSeed } from '../utils/random.js';
+import { activatePowerUp, isPowerUpActive } from '../systems/powerups.js';
+import { GAME_EVENTS, publish } from '../utils/events.js';
+import { getGameTime } from '../utils/clock.js';
 
 /**
  * Katamari class manages the player-controlled ball entity
@@ -30,10 +34,23 @@ export class Katamari {
         this.targetRadius = KATAMARI.INITIAL_RADIUS;
         this.itemsCollectedCount = 0;
 
+        // Items ever attached; each attached item keeps its attach index so replays can hide items attached later
+        this.attachmentCount = 0;
+
+        // Index of the next entry in KATAMARI.SIZE_MILESTONES to announce
+        this.nextMilestoneIndex = 0;
+
         // Movement state
         this.isMovingInput = false;
         this.currentAcceleration = 0;
 
+        // Tank-control state: heading is the yaw the katamari rolls along (0 faces -Z, positive turns left)
+        this.heading = 0;
+        this.dashTimeRemaining = 0;
+
+        // Shedding state
+        this.lastShedTime = 0;
+
         // Initialize the katamari
         this.init();
     }
@@ -61,7 +78,8 @@ export class Katamari {
 
         // Create the core ball geometry and material
         const katGeo = new THREE.SphereGeometry(this.radius, VISUAL.KATAMARI_GEOMETRY_SEGMENTS, VISUAL.KATAMARI_GEOMETRY_SEGMENTS);
-        const katamariTexture = new THREE.CanvasTexture(this.generateKatamariTexture());
+        // The globe texture is drawn on a canvas, so there is none without a DOM (headless simulation)
+        const katamariTexture = typeof document !== 'undefined' ? new THREE.CanvasTexture(this.generateKatamariTexture()) : null;
         const katMat = new THREE.MeshStandardMaterial({
             map: katamariTexture,
             roughness: VISUAL.KATAMARI_MATERIAL_ROUGHNESS,
@@ -110,6 +128,8 @@ export class Katamari {
      * Generate the katamari texture - Earth globe style
      */
     generateKatamariTexture() {
+        // Drawn from its own generator so leaving the texture out (headless simulation) keeps the level layout
+        const textureRandom = createRandom(`${getSeed()}:katamari`);
         const canvas = document.createElement('canvas');
         canvas.width = 512;
         canvas.height = 512;
@@ -123,9 +143,9 @@ export class Katamari {
         // Add lighter ocean areas
         ctx.fillStyle = '#2563eb'; // Lighter blue
         for (let i = 0; i < 20; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const radius = Math.random() * 40 + 20;
+            const x = textureRandom() * canvas.width;
+            const y = textureRandom() * canvas.height;
+            const radius = textureRandom() * 40 + 20;
             ctx.beginPath();
             ctx.arc(x, y, radius, 0, Math.PI * 2);
             ctx.fill();
@@ -136,17 +156,17 @@ export class Katamari {
 
         // Large continents
         for (let i = 0; i < 8; i++) {
-            ctx.fillStyle = continentColors[Math.floor(Math.random() * continentColors.length)];
-            const centerX = Math.random() * canvas.width;
-            const centerY = Math.random() * canvas.height;
-            const baseRadius = Math.random() * 60 + 40;
+            ctx.fillStyle = continentColors[Math.floor(textureRandom() * continentColors.length)];
+            const centerX = textureRandom() * canvas.width;
+            const centerY = textureRandom() * canvas.height;
+            const baseRadius = textureRandom() * 60 + 40;
 
             // Create irregular continent shape
             ctx.beginPath();
-            const points = 12 + Math.floor(Math.random() * 8);
+            const points = 12 + Math.floor(textureRandom() * 8);
             for (let j = 0; j < points; j++) {
                 const angle = (j / points) * Math.PI * 2;
-                const radiusVariation = 0.6 + Math.random() * 0.8;
+                const radiusVariation = 0.6 + textureRandom() * 0.8;
                 const radius = baseRadius * radiusVariation;
                 const x = centerX + Math.cos(angle) * radius;
                 const y = centerY + Math.sin(angle) * radius;
@@ -163,10 +183,10 @@ export class Katamari {
 
         // Smaller islands
         for (let i = 0; i < 25; i++) {
-            ctx.fillStyle = continentColors[Math.floor(Math.random() * continentColors.length)];
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const radius = Math.random() * 15 + 5;
+            ctx.fillStyle = continentColors[Math.floor(textureRandom() * continentColors.length)];
+            const x = textureRandom() * canvas.width;
+            const y = textureRandom() * canvas.height;
+            const radius = textureRandom() * 15 + 5;
 
             ctx.beginPath();
             ctx.arc(x, y, radius, 0, Math.PI * 2);
@@ -176,14 +196,14 @@ export class Katamari {
         // Add mountain ranges (darker green/brown)
         ctx.fillStyle = '#166534';
         for (let i = 0; i < 15; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const width = Math.random() * 30 + 10;
-            const height = Math.random() * 8 + 3;
+            const x = textureRandom() * canvas.width;
+            const y = textureRandom() * canvas.height;
+            const width = textureRandom() * 30 + 10;
+            const height = textureRandom() * 8 + 3;
 
             ctx.save();
             ctx.translate(x, y);
-            ctx.rotate(Math.random() * Math.PI * 2);
+            ctx.rotate(textureRandom() * Math.PI * 2);
             ctx.fillRect(-width / 2, -height / 2, width, height);
             ctx.restore();
         }
@@ -202,9 +222,9 @@ export class Katamari {
         // Add cloud patterns (semi-transparent white)
         ctx.fillStyle = 'rgba(255, 255, 255, 0.3)';
         for (let i = 0; i < 30; i++) {
-            const x = Math.random() * canvas.width;
-            const y = Math.random() * canvas.height;
-            const radius = Math.random() * 25 + 10;
+            const x = textureRandom() * canvas.width;
+            const y = textureRandom() * canvas.height;
+            const radius = textureRandom() * 25 + 10;
 
             ctx.beginPath();
             ctx.arc(x, y, radius, 0, Math.PI * 2);
@@ -228,9 +248,11 @@ export class Katamari {
 
     /**
      * Handle movement input and apply forces to the katamari - optimized for performance
+     * @param {Object} movementInput - Analog movement from getMovementInput: x (right), y (forward) and magnitude (0-1)
+     * @param {THREE.Camera} camera - Camera the movement is relative to
      */
-    handleMovement(movementInput, camera, useGyroscope) {
-        const { keys, touchInput, gyro } = movementInput;
+    handleMovement(movementInput, camera) {
+        const { x, y, magnitude } = movementInput;
 
         // Calculate camera-relative directions
         const cameraDirection = new THREE.Vector3();
@@ -240,59 +262,86 @@ export class Katamari {
 
         const rightDirection = new THREE.Vector3().crossVectors(new THREE.Vector3(0, 1, 0), cameraDirection).normalize();
 
-        let desiredMovementDirection = new CANNON.Vec3(0, 0, 0);
-        this.isMovingInput = false;
+        // The torque rolls the katamari against this direction, hence the flipped forward axis
+        const desiredMovementDirection = new CANNON.Vec3(
+            cameraDirection.x * -y + rightDirection.x * x,
+            0,
+            cameraDirection.z * -y + rightDirection.z * x
+        );
 
-        // Simplified acceleration calculation - much higher base values for responsive movement
-        this.currentAcceleration = Math.min(MOVEMENT.BASE_ACCELERATION + (this.radius * MOVEMENT.ACCELERATION_RADIUS_MULTIPLIER), MOVEMENT.MAX_ACCELERATION);
+        // Speed boost scales both acceleration and the speed cap
+        const speedMultiplier = isPowerUpActive('speedBoost') ? POWER_UPS.SPEED_BOOST_MULTIPLIER : 1;
 
-        // Handle gyroscope input
-        if (useGyroscope && gyro.normalizedGamma !== undefined && gyro.normalizedBeta !== undefined) {
-            const forwardBackwardTilt = -gyro.normalizedGamma;
-            const leftRightTilt = gyro.normalizedBeta;
+        this.applyRollingTorque(desiredMovementDirection, magnitude, speedMultiplier);
+    }
 
-            desiredMovementDirection.x += cameraDirection.x * forwardBackwardTilt * MOVEMENT.GYRO_SENSITIVITY;
-            desiredMovementDirection.z += cameraDirection.z * forwardBackwardTilt * MOVEMENT.GYRO_SENSITIVITY;
-            desiredMovementDirection.x -= rightDirection.x * leftRightTilt * MOVEMENT.GYRO_SENSITIVITY;
-            desiredMovementDirection.z -= rightDirection.z * leftRightTilt * MOVEMENT.GYRO_SENSITIVITY;
+    /**
+     * Handle tank-control input: the two sides drive forward torque along the heading and turn the heading
+     * @param {Object} tankInput - Tank input from getTankInput: left and right, each -1 (back) to 1 (forward)
+     * @param {number} deltaTime - Time since the last frame (seconds)
+     */
+    handleTankMovement(tankInput, deltaTime) {
+        const { left, right } = tankInput;
+
+        // Pushing the sides in opposite directions turns; pushing them together rolls
+        this.heading += ((right - left) / 2) * MOVEMENT.TANK_TURN_SPEED * deltaTime;
+        let throttle = (left + right) / 2;
+
+        let speedMultiplier = isPowerUpActive('speedBoost') ? POWER_UPS.SPEED_BOOST_MULTIPLIER : 1;
+        if (this.dashTimeRemaining > 0) {
+            this.dashTimeRemaining = Math.max(0, this.dashTimeRemaining - deltaTime * 1000);
+            throttle = 1;
+            speedMultiplier *= MOVEMENT.DASH_SPEED_MULTIPLIER;
+        }
 
-            if (Math.abs(forwardBackwardTilt) > MOVEMENT.GYRO_THRESHOLD || Math.abs(leftRightTilt) > MOVEMENT.GYRO_THRESHOLD) {
-                this.isMovingInput = true;
-            }
-        } else {
-            // Handle keyboard input
-            let forward = 0, sideways = 0;
-
-            if (keys['w'] || keys['arrowup']) forward = -1;
-            if (keys['s'] || keys['arrowdown']) forward = 1;
-            if (keys['a'] || keys['arrowleft']) sideways = -1;
-            if (keys['d'] || keys['arrowright']) sideways = 1;
-
-            if (forward !== 0 || sideways !== 0) {
-                desiredMovementDirection.x = cameraDirection.x * forward + rightDirection.x * sideways;
-                desiredMovementDirection.z = cameraDirection.z * forward + rightDirection.z * sideways;
-                this.isMovingInput = true;
-            }
+        // The torque rolls the katamari against this direction
+        const forward = this.getHeadingDirection();
+        const desiredMovementDirection = new CANNON.Vec3(-forward.x * throttle, 0, -forward.z * throttle);
 
-            // Handle touch input
-            if (touchInput.active) {
-                const touchDeadZone = Math.min(30, window.innerWidth * 0.05);
-                const touchSensitivity = 1.5; // Increased sensitivity
+        this.applyRollingTorque(desiredMovementDirection, Math.abs(throttle), speedMultiplier);
+    }
 
-                const deltaX = touchInput.currentX - touchInput.startX;
-                const deltaY = touchInput.currentY - touchInput.startY;
-                const length = Math.sqrt(deltaX * deltaX + deltaY * deltaY);
+    /**
+     * Get the horizontal direction the katamari faces in tank controls
+     * @returns {THREE.Vector3} Unit vector along the heading
+     */
+    getHeadingDirection() {
+        return new THREE.Vector3(-Math.sin(this.heading), 0, -Math.cos(this.heading));
+    }
 
-                if (length > touchDeadZone) {
-                    const normalizedDeltaX = deltaX / length;
-                    const normalizedDeltaY = deltaY / length;
+    /**
+     * Start a tank-control dash: a short burst of full forward throttle with a raised speed cap
+     */
+    startDash() {
+        this.dashTimeRemaining = MOVEMENT.DASH_DURATION;
+    }
 
-                    desiredMovementDirection.x += (-cameraDirection.x * normalizedDeltaY + rightDirection.x * normalizedDeltaX) * touchSensitivity;
-                    desiredMovementDirection.z += (-cameraDirection.z * normalizedDeltaY + rightDirection.z * normalizedDeltaX) * touchSensitivity;
-                    this.isMovingInput = true;
-                }
-            }
-        }
+    /**
+     * Check if a dash is in progress
+     * @returns {boolean} Whether the katamari is dashing
+     */
+    isDashing() {
+        return this.dashTimeRemaining > 0;
+    }
+
+    /**
+     * Turn the tank-control heading around
+     */
+    quickTurn() {
+        this.heading += Math.PI;
+    }
+
+    /**
+     * Roll the katamari with torque and clamp its speed
+     * @param {CANNON.Vec3} desiredMovementDirection - Horizontal direction opposite to the intended roll
+     * @param {number} strength - Input strength (0-1); 0 means no input
+     * @param {number} speedMultiplier - Multiplier for acceleration and the speed cap
+     */
+    applyRollingTorque(desiredMovementDirection, strength, speedMultiplier) {
+        this.isMovingInput = strength > 0;
+
+        // Simplified acceleration calculation - much higher base values for responsive movement
+        this.currentAcceleration = Math.min(MOVEMENT.BASE_ACCELERATION + (this.radius * MOVEMENT.ACCELERATION_RADIUS_MULTIPLIER), MOVEMENT.MAX_ACCELERATION) * speedMultiplier;
 
         // Apply movement forces - using ONLY torque like the working backup
         if (this.isMovingInput) {
@@ -300,7 +349,8 @@ export class Katamari {
 
             // Calculate torque for rolling motion (like in the working backup)
             // Torque = Force * Radius (simplified for a sphere rolling on a plane)
-            const torqueMagnitude = this.currentAcceleration * this.body.mass * this.radius * MOVEMENT.TORQUE_MULTIPLIER;
+            // Analog input (sticks, touch, tilt) rolls proportionally slower when only partly pushed
+            const torqueMagnitude = this.currentAcceleration * this.body.mass * this.radius * MOVEMENT.TORQUE_MULTIPLIER * Math.min(strength, 1);
 
             // The axis of rotation should be perpendicular to the desired movement direction and the 'up' vector
             const rotationAxis = new CANNON.Vec3();
@@ -324,9 +374,10 @@ export class Katamari {
         }
 
         // Simplified velocity clamping
+        const maxSpeed = MOVEMENT.MAX_SPEED * speedMultiplier;
         const currentSpeed = this.body.velocity.length();
-        if (currentSpeed > MOVEMENT.MAX_SPEED) {
-            this.body.velocity.scale(MOVEMENT.MAX_SPEED / currentSpeed, this.body.velocity);
+        if (currentSpeed > maxSpeed) {
+            this.body.velocity.scale(maxSpeed / currentSpeed, this.body.velocity);
         }
 
         const currentAngularSpeed = this.body.angularVelocity.length();
@@ -358,9 +409,9 @@ export class Katamari {
         // Update visual position to match clamped physics body position
         this.group.position.copy(this.body.position);
 
-        // Handle size growth animation with dynamic speed
-        if (this.radius < this.targetRadius) {
-            const growthDifference = this.targetRadius - this.radius;
+        // Handle size growth (or shrink after shedding) animation with dynamic speed
+        if (this.radius !== this.targetRadius) {
+            const growthDifference = Math.abs(this.targetRadius - this.radius);
 
             // Dynamic lerp speed - faster for larger differences, slower as we approach target
             // This creates a more satisfying growth curve similar to the original game
@@ -392,8 +443,23 @@ export class Katamari {
             }
         }
 
+        this.checkSizeMilestones();
+
         // Handle attached item orbiting and compression animation (like original game)
         this.updateAttachedItems();
+        this.updateLumps();
+    }
+
+    /**
+     * Publish a sizeMilestone event for each milestone the katamari has grown past for the first time
+     */
+    checkSizeMilestones() {
+        const milestones = KATAMARI.SIZE_MILESTONES;
+        while (this.nextMilestoneIndex < milestones.length && this.radius >= milestones[this.nextMilestoneIndex]) {
+            const milestone = milestones[this.nextMilestoneIndex++];
+            debugInfo(`Katamari reached the ${milestone}m milestone`);
+            publish(GAME_EVENTS.SIZE_MILESTONE, { milestone, radius: this.radius });
+        }
     }
 
     /**
@@ -435,6 +501,27 @@ export class Katamari {
         }
     }
 
+    /**
+     * Give large attached items collision lumps so the katamari bumps and wobbles over what sticks out of it
+     * As the ball grows and compression shrinks the items, they drop below the size threshold and their lumps merge back into the core
+     */
+    updateLumps() {
+        const lumps = [];
+
+        for (const child of this.group.children) {
+            if (child.name === 'core' || !child.userData.isAttachedToKatamari) continue;
+
+            const compressedSize = (child.userData.initialSize || child.userData.size || 0) * child.scale.x;
+            if (compressedSize < this.radius * COLLECTION.LUMP_SIZE_RATIO) continue;
+
+            // Attached items live in the group's local space, which matches the body's
+            lumps.push({ radius: compressedSize * COLLECTION.LUMP_RADIUS_FACTOR, offset: child.position });
+        }
+
+        lumps.sort((a, b) => b.radius - a.radius);
+        setKatamariLumps(this.body, lumps.slice(0, COLLECTION.MAX_LUMPS));
+    }
+
     /**
      * Update the physics properties of the katamari
      */
@@ -462,8 +549,9 @@ export class Katamari {
 
     /**
      * Grow the katamari by collecting an item - authentic PlayStation game formula
+     * Publishes an itemCollected event; the items system removes the item from the world in response.
      */
-    collectItem(itemSize, volumeContributionFactor = COLLECTION.VOLUME_CONTRIBUTION_FACTOR) {
+    collectItem(itemSize, volumeContributionFactor = COLLECTION.VOLUME_CONTRIBUTION_FACTOR, itemMesh = null) {
         const oldRadius = this.radius;
         
         // Authentic katamari growth formula with diminishing returns
@@ -491,6 +579,16 @@ export class Katamari {
         this.itemsCollectedCount++;
 
         debugInfo(`Item collected! Size: ${itemSize.toFixed(2)}, Contribution: ${(volumeContribution/itemVolume*100).toFixed(1)}%, Target radius: ${this.targetRadius.toFixed(2)}m (current: ${this.radius.toFixed(2)}m), Items: ${this.itemsCollectedCount}`);
+
+        publish(GAME_EVENTS.ITEM_COLLECTED, {
+            item: { name: itemMesh?.userData.name ?? null, size: itemSize, isPowerUp: false, mesh: itemMesh },
+            katamariRadius: oldRadius,
+            targetRadius: this.targetRadius,
+            itemsCollected: this.itemsCollectedCount,
+            time: getGameTime()
+        });
+
+        return volumeContribution;
     }
 
     /**
@@ -503,7 +601,7 @@ export class Katamari {
         if (itemMesh.userData.isInstanced) {
             // For instanced items, create a new mesh to attach to katamari
             attachedMesh = this.createAttachedItemMesh(itemMesh);
-            if (!attachedMesh) return;
+            if (!attachedMesh) return null;
             
             this.group.add(attachedMesh);
         } else {
@@ -531,14 +629,17 @@ export class Katamari {
         attachedMesh.userData.isAttachedToKatamari = true;
         attachedMesh.userData.initialLocalPosition = localDirection.clone();
         attachedMesh.userData.initialSize = attachedMesh.userData.size; // Store original size
-        attachedMesh.userData.rotationSpeed = (Math.random() * (COLLECTION.ORBITAL_SPEED_RANGE[1] - COLLECTION.ORBITAL_SPEED_RANGE[0]) + COLLECTION.ORBITAL_SPEED_RANGE[0]); // Random speed for individual rotation
+        attachedMesh.userData.rotationSpeed = (random() * (COLLECTION.ORBITAL_SPEED_RANGE[1] - COLLECTION.ORBITAL_SPEED_RANGE[0]) + COLLECTION.ORBITAL_SPEED_RANGE[0]); // Random speed for individual rotation
         attachedMesh.userData.currentOrbitalAngle = 0; // Initialize orbital angle
+        attachedMesh.userData.attachIndex = this.attachmentCount++;
 
         // Apply compression scale to the item for visual effect, but keep items larger
         const compressionScale = Math.max(COLLECTION.MIN_COMPRESSION_SCALE, COLLECTION.ATTACHMENT_SCALE * compressionFactor);
         attachedMesh.scale.set(compressionScale, compressionScale, compressionScale);
 
         debugInfo(`Item attached to katamari with compression: scale=${compressionScale.toFixed(2)}, distance=${minOrbitalDistance.toFixed(2)}`);
+
+        return attachedMesh;
     }
 
     /**
@@ -580,8 +681,12 @@ export class Katamari {
             const attachedMesh = new THREE.Mesh(geometry, material);
             attachedMesh.castShadow = true;
             attachedMesh.receiveShadow = true;
+            attachedMesh.userData.name = originalItemMesh.userData.name;
             attachedMesh.userData.size = size;
             attachedMesh.userData.originalInstancedId = instancedId;
+            // Keep what the item was rolled as, so it keeps its size and color if it is shed and its chunk is stored
+            attachedMesh.userData.baseScale = originalItemMesh.userData.baseScale;
+            attachedMesh.userData.color = originalItemMesh.userData.color;
 
             return attachedMesh;
         } catch (error) {
@@ -607,6 +712,43 @@ export class Katamari {
         }
     }
 
+    /**
+     * Pose the katamari's visuals from a replay frame without touching its physics body
+     * Items attached after the frame are hidden until the replay reaches them.
+     */
+    showReplayFrame(frame) {
+        this.group.position.set(frame.position.x, frame.position.y, frame.position.z);
+        this.group.quaternion.set(frame.quaternion.x, frame.quaternion.y, frame.quaternion.z, frame.quaternion.w);
+
+        if (Math.abs(frame.radius - this.radius) > 0.001) {
+            this.radius = frame.radius;
+            this.updateVisuals();
+        }
+
+        for (const child of this.group.children) {
+            if (child.name === 'core' || child.userData.attachIndex === undefined) continue;
+            child.visible = child.userData.attachIndex < frame.attachedCount;
+        }
+
+        this.updateAttachedItems();
+    }
+
+    /**
+     * Return the visuals to the physics body after a replay, at the katamari's full size with every attached item shown
+     */
+    endReplay() {
+        this.group.position.copy(this.body.position);
+        this.group.quaternion.copy(this.body.quaternion);
+        this.radius = this.targetRadius;
+        this.updateVisuals();
+
+        for (const child of this.group.children) {
+            child.visible = true;
+        }
+
+        this.updateAttachedItems();
+    }
+
     /**
      * Handle collision events
      */
@@ -620,6 +762,16 @@ export class Katamari {
             return;
         }
 
+        // Mountains can never be rolled up, but crashing into them knocks items loose
+        // until the katamari has outgrown them and rolls straight through
+        if (otherBody.userData.isMountain) {
+            if (otherBody.userData.isPassable) {
+                return;
+            }
+            this.handleImpact(contact, this.getContactPoint(contact, otherBody));
+            return;
+        }
+
         const itemThreeMesh = otherBody.userData.threeMesh;
         let itemSize = itemThreeMesh.userData.size;
 
@@ -660,6 +812,17 @@ export class Katamari {
             return;
         }
 
+        // Recently shed items cannot be rolled straight back up
+        if (itemThreeMesh.userData.collectibleAfter && getGameTime() < itemThreeMesh.userData.collectibleAfter) {
+            return;
+        }
+
+        // Power-up pickups are consumed on contact regardless of size
+        if (itemThreeMesh.userData.isPowerUp) {
+            this.collectPowerUp(itemThreeMesh, otherBody);
+            return;
+        }
+
         debugInfo(`Collision detected with item: ${otherBody.userData.name}, size: ${itemSize.toFixed(2)}m, katamari radius: ${this.radius.toFixed(2)}m`);
         debugInfo(`Item isCollectible: ${itemThreeMesh.userData.isCollectible}, isCollected: ${itemThreeMesh.userData.isCollected}`);
         debugInfo(`Can collect check: katamari radius ${this.radius.toFixed(2)} >= item size * 0.5 (${(itemSize * 0.5).toFixed(2)}) = ${this.canCollectItem(itemSize)}`);
@@ -667,12 +830,15 @@ export class Katamari {
         // Check if katamari can collect the item (using same logic as working backup)
         if (this.canCollectItem(itemSize)) {
             // Collect the item (grow katamari)
-            this.collectItem(itemSize);
+            const volumeContribution = this.collectItem(itemSize, COLLECTION.VOLUME_CONTRIBUTION_FACTOR, itemThreeMesh);
 
-            // Attach the item visually to the katamari
-            this.attachItem(itemThreeMesh, itemThreeMesh.position.clone());
+            // Attach the item visually to the katamari, remembering how much it grew us so shedding can undo it
+            const attachedMesh = this.attachItem(itemThreeMesh, itemThreeMesh.position.clone());
+            if (attachedMesh) {
+                attachedMesh.userData.volumeContribution = volumeContribution;
+            }
 
-            // Mark item as collected so it can be removed from the world
+            // Mark item as collected so it is not collected twice before it is removed from the world
             itemThreeMesh.userData.isCollected = true;
             otherBody.userData.isCollected = true;
 
@@ -684,9 +850,10 @@ export class Katamari {
 
             debugInfo(`Item collected via collision! Size: ${itemSize.toFixed(2)}m, new katamari radius: ${this.radius.toFixed(2)}m, items collected: ${this.itemsCollectedCount}`);
         } else {
-            // Katamari is too small, bounce off the item (like in working backup)
+            // Katamari is too small, bounce off the part of the item it hit (like in working backup)
+            const contactPoint = this.getContactPoint(contact, otherBody);
             const pushDirection = new THREE.Vector3()
-                .subVectors(this.getThreePosition(), itemThreeMesh.position)
+                .subVectors(this.getThreePosition(), contactPoint)
                 .normalize();
             const pushForce = pushDirection.multiplyScalar(2); // Use same force as backup
 
@@ -695,9 +862,155 @@ export class Katamari {
             this.body.applyImpulse(impulse, new CANNON.Vec3(0, 0, 0));
 
             debugInfo(`Katamari bounced off larger item (size: ${itemSize.toFixed(2)}m vs katamari: ${this.radius.toFixed(2)}m)`);
+            publish(GAME_EVENTS.KATAMARI_BOUNCED, { itemSize, katamariRadius: this.radius, time: getGameTime() });
+
+            // Hitting it hard enough knocks attached items loose
+            this.handleImpact(contact, contactPoint);
         }
     }
 
+    /**
+     * Get the world position where another body was touched, so compound items report the part that was hit
+     * Falls back to the body's visual position when the contact carries no geometry (e.g. synthetic events)
+     */
+    getContactPoint(contact, otherBody) {
+        const fallback = otherBody.userData.threeMesh.position;
+        if (!contact || !contact.ri || !contact.rj) {
+            return fallback.clone();
+        }
+
+        // ri/rj run from each body's centre to the contact point
+        const [body, offset] = contact.bi === otherBody ? [contact.bi, contact.ri] : [contact.bj, contact.rj];
+        if (!body) {
+            return fallback.clone();
+        }
+        return new THREE.Vector3(
+            body.position.x + offset.x,
+            body.position.y + offset.y,
+            body.position.z + offset.z
+        );
+    }
+
+    /**
+     * Handle a crash into something the katamari cannot roll up, shedding items on hard impacts
+     */
+    handleImpact(contact, obstaclePosition) {
+        // Prefer the closing speed along the contact normal; fall back to overall speed
+        const impactSpeed = contact && typeof contact.getImpactVelocityAlongNormal === 'function'
+            ? Math.abs(contact.getImpactVelocityAlongNormal())
+            : this.getVelocityMagnitude();
+
+        if (impactSpeed < SHEDDING.MIN_IMPACT_SPEED) {
+            return 0;
+        }
+
+        const now = getGameTime();
+        if (now - this.lastShedTime < SHEDDING.COOLDOWN) {
+            return 0;
+        }
+
+        const shedCount = Math.min(
+            SHEDDING.MAX_ITEMS_PER_IMPACT,
+            1 + Math.floor((impactSpeed - SHEDDING.MIN_IMPACT_SPEED) / SHEDDING.SPEED_PER_ITEM)
+        );
+
+        debugInfo(`Hard impact at ${impactSpeed.toFixed(2)}m/s, shedding up to ${shedCount} items`);
+        return this.shedItems(shedCount, obstaclePosition, now);
+    }
+
+    /**
+     * Detach the most recently attached items so they can be respawned as loose items
+     * Publishes an itemShed event with each item's ejection position and velocity; the items
+     * system respawns them in response.
+     */
+    shedItems(count, obstaclePosition = null, now = getGameTime()) {
+        const attachedItems = this.group.children.filter(child => child.name !== 'core' && child.userData.isAttachedToKatamari);
+        if (attachedItems.length === 0 || count <= 0) {
+            return 0;
+        }
+
+        // Children are appended on attach, so the most recent ones are at the end
+        const itemsToShed = attachedItems.slice(-count);
+        const katamariPosition = this.getThreePosition();
+        const shedItems = [];
+        let removedVolume = 0;
+
+        for (const item of itemsToShed) {
+            // World position of the item before it is detached
+            const worldPosition = item.position.clone()
+                .applyQuaternion(this.group.quaternion)
+                .add(katamariPosition);
+
+            this.group.remove(item);
+
+            // Eject away from the obstacle (or away from the katamari centre if unknown)
+            const ejectDirection = obstaclePosition
+                ? new THREE.Vector3().subVectors(worldPosition, obstaclePosition)
+                : new THREE.Vector3().subVectors(worldPosition, katamariPosition);
+            ejectDirection.y = 0;
+            ejectDirection.normalize();
+
+            const velocity = ejectDirection.multiplyScalar(SHEDDING.EJECT_SPEED);
+            velocity.y = SHEDDING.EJECT_UP_SPEED;
+
+            removedVolume += item.userData.volumeContribution || 0;
+
+            // Restore the item to a loose, not-yet-collectable state
+            item.userData.isAttachedToKatamari = false;
+            item.userData.initialLocalPosition = null;
+            item.userData.isCollected = false;
+            item.userData.collectibleAfter = now + SHEDDING.RECOLLECT_DELAY;
+            item.scale.set(1, 1, 1);
+
+            shedItems.push({ name: item.userData.name || null, size: item.userData.size, mesh: item, position: worldPosition, velocity });
+        }
+
+        // Shrink back by the volume the shed items contributed
+        const minVolume = Math.pow(KATAMARI.INITIAL_RADIUS, 3);
+        const newVolume = Math.max(minVolume, Math.pow(this.targetRadius, 3) - removedVolume);
+        this.targetRadius = Math.cbrt(newVolume);
+        this.itemsCollectedCount = Math.max(0, this.itemsCollectedCount - itemsToShed.length);
+        this.lastShedTime = now;
+
+        debugInfo(`Shed ${itemsToShed.length} items, target radius now ${this.targetRadius.toFixed(2)}m`);
+
+        publish(GAME_EVENTS.ITEM_SHED, { items: shedItems, katamariRadius: this.radius, time: now });
+        return itemsToShed.length;
+    }
+
+    /**
+     * Consume a power-up pickup and activate its effect
+     */
+    collectPowerUp(itemThreeMesh, otherBody) {
+        const powerUpType = itemThreeMesh.userData.powerUpType;
+        activatePowerUp(powerUpType);
+
+        // Mark pickup as collected so it is not picked up twice before it is removed from the world
+        itemThreeMesh.userData.isCollected = true;
+        otherBody.userData.isCollected = true;
+
+        if (otherBody.userData.collisionHandler) {
+            otherBody.removeEventListener('collide', otherBody.userData.collisionHandler);
+        }
+
+        publish(GAME_EVENTS.ITEM_COLLECTED, {
+            item: { name: powerUpType, size: itemThreeMesh.userData.size, isPowerUp: true, mesh: itemThreeMesh },
+            katamariRadius: this.radius,
+            targetRadius: this.targetRadius,
+            itemsCollected: this.itemsCollectedCount,
+            time: getGameTime()
+        });
+
+        debugInfo(`Power-up collected: ${powerUpType}`);
+    }
+
+    /**
+     * Check whether a power-up is currently affecting the katamari
+     */
+    hasPowerUp(type) {
+        return isPowerUpActive(type);
+    }
+
     /**
      * Get the current velocity magnitude
      */
@@ -726,7 +1039,12 @@ export class Katamari {
         // More forgiving collection threshold - easier to pick up items
         // Katamari can collect items that are similar in size
         // Reduced progressive difficulty for better gameplay flow
-        const progressiveThreshold = Math.min(COLLECTION.MAX_THRESHOLD, COLLECTION.BASE_THRESHOLD + (this.radius * COLLECTION.PROGRESSIVE_SCALING));
+        let progressiveThreshold = Math.min(COLLECTION.MAX_THRESHOLD, COLLECTION.BASE_THRESHOLD + (this.radius * COLLECTION.PROGRESSIVE_SCALING));
+
+        // Sticky coating lets the katamari pick up larger items
+        if (isPowerUpActive('stickyCoating')) {
+            progressiveThreshold *= POWER_UPS.STICKY_THRESHOLD_MULTIPLIER;
+        }
         
         return this.radius >= itemSize * progressiveThreshold;
     }
@@ -738,9 +1056,24 @@ export class Katamari {
         let calculatedSuckRangeFactor = COLLECTION.MIN_ATTRACTION_RANGE_FACTOR + (this.radius * COLLECTION.ATTRACTION_RANGE_GROWTH_RATE);
         calculatedSuckRangeFactor = Math.min(COLLECTION.MAX_ATTRACTION_RANGE_FACTOR, calculatedSuckRangeFactor);
 
+        // Magnetism widens the attraction range
+        if (isPowerUpActive('magnetism')) {
+            calculatedSuckRangeFactor *= POWER_UPS.MAGNETISM_RANGE_MULTIPLIER;
+        }
+
         return this.radius * calculatedSuckRangeFactor;
     }
 
+    /**
+     * Get the strength of the force pulling nearby items towards the katamari
+     */
+    getAttractionForce() {
+        if (isPowerUpActive('vacuumBoost')) {
+            return COLLECTION.ATTRACTION_FORCE * POWER_UPS.VACUUM_FORCE_MULTIPLIER;
+        }
+        return COLLECTION.ATTRACTION_FORCE;
+    }
+
     /**
      * Cleanup resources
      */
@@ -0,0 +1,237 @@
+/**
+ * Achievements System
+ * Tracks progress towards declaratively defined goals from the game events, announces unlocks
+ * with a toast and keeps unlocks and item counts in the save data across sessions.
+ */
+
+import { debugInfo, debugWarn } from '../utils/debug.js';
+import { THEMES } from '../utils/constants.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+import { getSaveData, updateAchievementData } from './save.js';
+import { showCustomAlert } from './ui.js';
+
+/**
+ * Build the id of a per-theme achievement
+ * @param {string} prefix - Achievement id prefix
+ * @param {string} themeName - Theme name
+ * @returns {string} Id such as "complete-set-urban-jungle"
+ */
+function themeAchievementId(prefix, themeName) {
+    return `${prefix}-${themeName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+// Achievement definitions. Each type has a progress tracker in PROGRESS_TRACKERS;
+// an achievement unlocks once its progress reaches its target.
+const ACHIEVEMENT_DEFINITIONS = Object.freeze([
+    {
+        id: 'traffic-jam',
+        name: 'Traffic Jam',
+        description: 'Collect 100 cars',
+        type: 'collectItem',
+        itemName: 'Car',
+        target: 100
+    },
+    {
+        id: 'skyscraper-scale',
+        name: 'Skyscraper Scale',
+        description: 'Reach 50m in Urban Jungle',
+        type: 'reachSize',
+        themeName: 'Urban Jungle',
+        target: 50
+    },
+    {
+        id: 'smooth-roller',
+        name: 'Smooth Roller',
+        description: 'Finish a level without bouncing off anything',
+        type: 'flawlessLevel',
+        target: 1
+    },
+    ...THEMES.map(theme => ({
+        id: themeAchievementId('complete-set', theme.themeName),
+        name: `${theme.themeName} Collector`,
+        description: `Collect every kind of item in ${theme.themeName}`,
+        type: 'collectAllItems',
+        themeName: theme.themeName,
+        target: theme.items.length
+    }))
+].map(definition => Object.freeze(definition)));
+
+// Persistent state, loaded from the save data
+let unlocked = {};
+let itemCounts = {};
+
+// State of the current level
+let currentThemeName = null;
+let levelRadius = 0;
+let hasBouncedThisLevel = false;
+let flawlessLevelsCompleted = 0;
+
+let eventSubscriptions = [];
+
+// Progress of each achievement type: (definition) => progress towards definition.target
+const PROGRESS_TRACKERS = {
+    collectItem: (definition) => itemCounts[definition.itemName] || 0,
+    reachSize: (definition) => Math.max(
+        getSaveData().bestRadiusByTheme[definition.themeName] || 0,
+        currentThemeName === definition.themeName ? levelRadius : 0
+    ),
+    flawlessLevel: () => flawlessLevelsCompleted,
+    collectAllItems: (definition) => {
+        const theme = THEMES.find(t => t.themeName === definition.themeName);
+        return theme ? theme.items.filter(name => itemCounts[name] > 0).length : 0;
+    }
+};
+
+/**
+ * Initialize the achievements system from the save data and subscribe to the game events
+ * Call after the save system has been initialized.
+ */
+function initializeAchievements() {
+    const saved = getSaveData().achievements;
+    unlocked = { ...saved.unlocked };
+    itemCounts = { ...saved.itemCounts };
+    currentThemeName = null;
+    levelRadius = 0;
+    hasBouncedThisLevel = false;
+    flawlessLevelsCompleted = 0;
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, onItemCollected),
+        subscribe(GAME_EVENTS.KATAMARI_BOUNCED, onKatamariBounced),
+        subscribe(GAME_EVENTS.LEVEL_STARTED, onLevelStarted),
+        subscribe(GAME_EVENTS.LEVEL_COMPLETED, onLevelCompleted)
+    ];
+
+    debugInfo(`Achievements initialized (${Object.keys(unlocked).length}/${ACHIEVEMENT_DEFINITIONS.length} unlocked)`);
+}
+
+/**
+ * Count a collected item and track the Katamari's size in the current theme
+ * @param {Object} event - itemCollected payload {item, targetRadius}
+ */
+function onItemCollected({ item, targetRadius }) {
+    if (item.isPowerUp) return;
+
+    if (item.name) {
+        itemCounts[item.name] = (itemCounts[item.name] || 0) + 1;
+    }
+    levelRadius = Math.max(levelRadius, targetRadius);
+    checkAchievements();
+}
+
+/**
+ * Remember that the Katamari bounced off something this level
+ */
+function onKatamariBounced() {
+    hasBouncedThisLevel = true;
+}
+
+/**
+ * Start tracking a new level, saving the item counts of the previous one
+ * @param {Object} event - levelStarted payload {themeName}
+ */
+function onLevelStarted({ themeName }) {
+    currentThemeName = themeName;
+    levelRadius = 0;
+    hasBouncedThisLevel = false;
+    updateAchievementData({ itemCounts: { ...itemCounts } });
+}
+
+/**
+ * Count a flawless finish and save the level's progress
+ */
+function onLevelCompleted() {
+    if (!hasBouncedThisLevel) {
+        flawlessLevelsCompleted++;
+    }
+    checkAchievements();
+    updateAchievementData({ itemCounts: { ...itemCounts } });
+}
+
+/**
+ * Get the current progress towards an achievement
+ * @param {Object} definition - Achievement definition
+ * @returns {number} Progress, capped at the achievement's target
+ */
+function getProgress(definition) {
+    const tracker = PROGRESS_TRACKERS[definition.type];
+    if (!tracker) {
+        debugWarn(`Unknown achievement type: ${definition.type}`);
+        return 0;
+    }
+    return Math.min(definition.target, tracker(definition));
+}
+
+/**
+ * Unlock every locked achievement whose progress has reached its target
+ * @returns {Array<Object>} Definitions of the newly unlocked achievements
+ */
+function checkAchievements() {
+    const newlyUnlocked = ACHIEVEMENT_DEFINITIONS.filter(definition =>
+        !unlocked[definition.id] && getProgress(definition) >= definition.target
+    );
+    if (newlyUnlocked.length === 0) return newlyUnlocked;
+
+    const now = Date.now();
+    newlyUnlocked.forEach(definition => {
+        unlocked[definition.id] = now;
+        debugInfo(`Achievement unlocked: ${definition.name}`);
+        showCustomAlert(`Achievement unlocked: ${definition.name} - ${definition.description}`);
+    });
+    updateAchievementData({ unlocked: { ...unlocked }, itemCounts: { ...itemCounts } });
+
+    return newlyUnlocked;
+}
+
+/**
+ * Get every achievement with its progress
+ * @returns {Array<Object>} {id, name, description, progress, target, unlocked, unlockedAt} per achievement
+ */
+function getAchievements() {
+    return ACHIEVEMENT_DEFINITIONS.map(definition => ({
+        id: definition.id,
+        name: definition.name,
+        description: definition.description,
+        progress: unlocked[definition.id] ? definition.target : getProgress(definition),
+        target: definition.target,
+        unlocked: Boolean(unlocked[definition.id]),
+        unlockedAt: unlocked[definition.id] || null
+    }));
+}
+
+/**
+ * Check if an achievement has been unlocked
+ * @param {string} id - Achievement id
+ * @returns {boolean} True if unlocked
+ */
+function isAchievementUnlocked(id) {
+    return Boolean(unlocked[id]);
+}
+
+/**
+ * Clean up the achievements system
+ */
+function cleanupAchievements() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [];
+
+    unlocked = {};
+    itemCounts = {};
+    currentThemeName = null;
+    levelRadius = 0;
+    hasBouncedThisLevel = false;
+    flawlessLevelsCompleted = 0;
+
+    debugInfo("Achievements cleanup completed");
+}
+
+// Export all achievement functions
+export {
+    ACHIEVEMENT_DEFINITIONS,
+    initializeAchievements,
+    checkAchievements,
+    getAchievements,
+    isAchievementUnlocked,
+    cleanupAchievements
+};
@@ -0,0 +1,272 @@
+/**
+ * World Chunks System
+ * Streams the map in square grid chunks around the katamari. A chunk's items are generated the first
+ * time it loads, from the level seed and the chunk's coordinates with the theme's spawn table for the
+ * katamari's size at that visit. When the katamari moves away the chunk is unloaded and the items
+ * left in it are stored as records; revisiting the chunk restores them where they were left, minus
+ * the ones rolled up. Items belong to the chunk they lie in, so items knocked or shed into another
+ * chunk are stored with that chunk.
+ */
+
+import { debugInfo } from '../utils/debug.js';
+import { CHUNKS, WORLD } from '../utils/constants.js';
+import { createRandom, getSeed } from '../utils/random.js';
+import {
+    getItemsOutsideRadius,
+    getSpawnTable,
+    pickSpawnTableItem,
+    rollItemRecord,
+    getItemRecord,
+    spawnItemFromRecord,
+    despawnItem
+} from '../entities/items.js';
+
+// Chunks the level has touched, keyed by chunk key: {generated, items}, items being the records of the
+// items left in the chunk while it is unloaded
+let chunkStates = new Map();
+
+// Loaded chunks, keyed by chunk key: {x, z} chunk coordinates
+let loadedChunks = new Map();
+
+// Chunk the katamari was in at the last update
+let currentChunkKey = null;
+
+/**
+ * Initialize the chunk system
+ */
+function initializeChunkSystem() {
+    resetChunks();
+    debugInfo("Chunk system initialized");
+}
+
+/**
+ * Forget every chunk, such as when a new level starts; the items themselves are cleared by the items system
+ */
+function resetChunks() {
+    chunkStates = new Map();
+    loadedChunks = new Map();
+    currentChunkKey = null;
+}
+
+/**
+ * Get the coordinates of the chunk containing a position
+ * @param {Object} position - World position {x, z}
+ * @returns {Object} Chunk coordinates {x, z}
+ */
+function getChunkCoordinates(position) {
+    return {
+        x: Math.floor(position.x / CHUNKS.SIZE),
+        z: Math.floor(position.z / CHUNKS.SIZE)
+    };
+}
+
+/**
+ * Get the key a chunk's state is stored under
+ * @param {number} x - Chunk x coordinate
+ * @param {number} z - Chunk z coordinate
+ * @returns {string} Chunk key
+ */
+function getChunkKey(x, z) {
+    return `${x},${z}`;
+}
+
+/**
+ * Check whether any of a chunk lies inside the map
+ * @param {number} x - Chunk x coordinate
+ * @param {number} z - Chunk z coordinate
+ * @returns {boolean} True if the chunk overlaps the map
+ */
+function isChunkInMap(x, z) {
+    const overlaps = (coordinate) => (coordinate + 1) * CHUNKS.SIZE > -WORLD.MAP_BOUNDARY && coordinate * CHUNKS.SIZE < WORLD.MAP_BOUNDARY;
+    return overlaps(x) && overlaps(z);
+}
+
+/**
+ * Get a chunk's state, creating an empty one if the chunk has not been touched yet
+ * @param {string} key - Chunk key
+ * @returns {Object} Chunk state {generated, items}
+ */
+function getChunkState(key) {
+    let state = chunkStates.get(key);
+    if (!state) {
+        state = { generated: false, items: [] };
+        chunkStates.set(key, state);
+    }
+    return state;
+}
+
+/**
+ * Load and unload chunks around the katamari; called once per frame
+ * Only does work when the katamari has moved into another chunk.
+ * @param {Object} katamariPosition - Katamari position {x, z}
+ * @param {Object} theme - Theme of the current level
+ * @param {number} katamariRadius - Current katamari radius, which picks the spawn table band of newly generated chunks
+ * @returns {Object} Number of chunks loaded and unloaded and items stored by this update
+ */
+function updateChunks(katamariPosition, theme, katamariRadius) {
+    const center = getChunkCoordinates(katamariPosition);
+    const centerKey = getChunkKey(center.x, center.z);
+    if (centerKey === currentChunkKey) {
+        return { loaded: 0, unloaded: 0, stored: 0 };
+    }
+    currentChunkKey = centerKey;
+
+    let unloaded = 0;
+    for (const [key, chunk] of loadedChunks) {
+        if (Math.max(Math.abs(chunk.x - center.x), Math.abs(chunk.z - center.z)) > CHUNKS.UNLOAD_RADIUS) {
+            loadedChunks.delete(key);
+            unloaded++;
+        }
+    }
+
+    const chunksToLoad = [];
+    for (let x = center.x - CHUNKS.LOAD_RADIUS; x <= center.x + CHUNKS.LOAD_RADIUS; x++) {
+        for (let z = center.z - CHUNKS.LOAD_RADIUS; z <= center.z + CHUNKS.LOAD_RADIUS; z++) {
+            const key = getChunkKey(x, z);
+            if (!loadedChunks.has(key) && isChunkInMap(x, z)) {
+                loadedChunks.set(key, { x, z });
+                chunksToLoad.push({ key, x, z });
+            }
+        }
+    }
+
+    // Store the items lying outside the loaded chunks before spawning new ones into the world
+    const stored = storeItemsOutsideLoadedChunks(katamariPosition);
+    chunksToLoad.forEach(({ key, x, z }) => loadChunk(key, x, z, theme, katamariRadius));
+
+    debugInfo(`Chunks around (${center.x}, ${center.z}): ${chunksToLoad.length} loaded, ${unloaded} unloaded, ${stored} items stored`);
+    return { loaded: chunksToLoad.length, unloaded, stored };
+}
+
+/**
+ * Take every item lying outside the loaded chunks out of the world, recording it in its chunk's state
+ * The chunks within LOAD_RADIUS of the katamari's chunk are always loaded, so only items further than
+ * LOAD_RADIUS chunk widths from the katamari need checking.
+ * @param {Object} katamariPosition - Katamari position {x, z}
+ * @returns {number} Number of items stored
+ */
+function storeItemsOutsideLoadedChunks(katamariPosition) {
+    let stored = 0;
+
+    for (const item of getItemsOutsideRadius(katamariPosition, CHUNKS.LOAD_RADIUS * CHUNKS.SIZE)) {
+        // Collected items are removed by the items system
+        if (item.userData.isCollected) continue;
+
+        const { x, z } = getChunkCoordinates(item.position);
+        const key = getChunkKey(x, z);
+        if (loadedChunks.has(key)) continue;
+
+        getChunkState(key).items.push(getItemRecord(item));
+        despawnItem(item);
+        stored++;
+    }
+
+    return stored;
+}
+
+/**
+ * Load a chunk: generate its items on its first visit and restore the items left in it
+ * @param {string} key - Chunk key
+ * @param {number} x - Chunk x coordinate
+ * @param {number} z - Chunk z coordinate
+ * @param {Object} theme - Theme of the current level
+ * @param {number} katamariRadius - Current katamari radius
+ */
+function loadChunk(key, x, z, theme, katamariRadius) {
+    const state = getChunkState(key);
+    const records = state.items;
+    state.items = [];
+
+    if (!state.generated) {
+        state.generated = true;
+        records.unshift(...generateChunkRecords(x, z, theme, katamariRadius));
+    }
+
+    records.forEach((record, index) => spawnItemFromRecord(record, index));
+}
+
+/**
+ * Roll the items of a chunk on its first visit
+ * The chunk's own random stream, seeded from the level seed and the chunk's coordinates, keeps other
+ * chunks' rolls out of its placement. How many items it gets and which spawn table band they come
+ * from follow the katamari's radius at the visit, so the same seed lays a chunk out differently
+ * depending on how big the katamari is when it gets there.
+ * @param {number} x - Chunk x coordinate
+ * @param {number} z - Chunk z coordinate
+ * @param {Object} theme - Theme of the current level
+ * @param {number} katamariRadius - Current katamari radius
+ * @returns {Array<Object>} Item records
+ */
+function generateChunkRecords(x, z, theme, katamariRadius) {
+    const rng = createRandom(`${getSeed()}:chunk:${getChunkKey(x, z)}`);
+    const spawnTable = getSpawnTable(theme, katamariRadius);
+    if (spawnTable.itemNames.length === 0) return [];
+
+    const count = Math.min(CHUNKS.MAX_ITEM_COUNT, CHUNKS.BASE_ITEM_COUNT + Math.floor(katamariRadius * CHUNKS.ITEMS_PER_RADIUS));
+    const records = [];
+
+    for (let i = 0; i < count; i++) {
+        const itemName = pickSpawnTableItem(spawnTable, rng);
+        const position = {
+            x: (x + rng()) * CHUNKS.SIZE,
+            z: (z + rng()) * CHUNKS.SIZE
+        };
+
+        // Keep items inside the map and clear of the katamari's starting point
+        if (Math.abs(position.x) > WORLD.MAP_BOUNDARY || Math.abs(position.z) > WORLD.MAP_BOUNDARY) continue;
+        if (Math.hypot(position.x, position.z) < WORLD.MIN_SPAWN_DISTANCE) continue;
+
+        const record = rollItemRecord(itemName, position, rng);
+        if (record) records.push(record);
+    }
+
+    return records;
+}
+
+/**
+ * Get the keys of the loaded chunks
+ * @returns {Array<string>} Chunk keys
+ */
+function getLoadedChunkKeys() {
+    return [...loadedChunks.keys()];
+}
+
+/**
+ * Check whether a chunk's items have been generated
+ * @param {string} key - Chunk key
+ * @returns {boolean} True once the chunk has been loaded
+ */
+function isChunkGenerated(key) {
+    return !!chunkStates.get(key)?.generated;
+}
+
+/**
+ * Get the records of the items stored in an unloaded chunk
+ * @param {string} key - Chunk key
+ * @returns {Array<Object>} Item records (empty while the chunk is loaded)
+ */
+function getStoredChunkItems(key) {
+    const state = chunkStates.get(key);
+    return state ? state.items.map(record => ({ ...record })) : [];
+}
+
+/**
+ * Clean up the chunk system
+ */
+function cleanupChunkSystem() {
+    resetChunks();
+    debugInfo("Chunk system cleanup completed");
+}
+
+// Export all chunk functions
+export {
+    initializeChunkSystem,
+    resetChunks,
+    getChunkCoordinates,
+    getChunkKey,
+    updateChunks,
+    getLoadedChunkKeys,
+    isChunkGenerated,
+    getStoredChunkItems,
+    cleanupChunkSystem
+};
@@ -0,0 +1,141 @@
+/**
+ * Collection Log
+ * Records every item type the player has rolled up (when it was first collected, how many
+ * and the largest one) for the Katamari-pedia, and keeps the log in the save data.
+ */
+
+import { debugInfo, debugLog } from '../utils/debug.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+import { ITEM_CATALOG } from '../entities/catalog.js';
+import { getSaveData, updateCollectionLog } from './save.js';
+
+// Collection log entries keyed by item name: {firstCollectedAt, count, largestSize}
+let collectionLog = {};
+
+let eventSubscriptions = [];
+
+/**
+ * Initialize the collection log from the save data and subscribe to collection events
+ * Call after the save system has been initialized.
+ */
+function initializeCollectionLog() {
+    collectionLog = { ...getSaveData().collectionLog };
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, onItemCollected),
+        // Counts and sizes are written once per level rather than on every pickup
+        subscribe(GAME_EVENTS.LEVEL_STARTED, saveCollectionLog),
+        subscribe(GAME_EVENTS.LEVEL_COMPLETED, saveCollectionLog)
+    ];
+
+    debugInfo(`Collection log initialized (${Object.keys(collectionLog).length} item types collected)`);
+}
+
+/**
+ * Log an itemCollected event; power-up pickups are not items
+ * The event's time is game time, which stands still while paused and follows simulated time in
+ * headless runs, so the log records the real date instead.
+ * @param {Object} event - itemCollected payload {item}
+ */
+function onItemCollected({ item }) {
+    if (item.isPowerUp || !item.name) return;
+    recordCollectedItem({ name: item.name, size: item.size, time: Date.now() });
+}
+
+/**
+ * Add a collected item to the log
+ * The first item of a type is saved straight away so a discovery is never lost.
+ * @param {Object} pickup - Collected item
+ * @param {string} pickup.name - Item display name
+ * @param {number} pickup.size - Item size
+ * @param {number} pickup.time - Date the item was collected, in milliseconds since the epoch
+ * @returns {boolean} True if this was the first item of its type
+ */
+function recordCollectedItem({ name, size, time = Date.now() }) {
+    const entry = collectionLog[name];
+
+    if (!entry) {
+        collectionLog[name] = { firstCollectedAt: time, count: 1, largestSize: size };
+        debugLog(`New item type collected: ${name}`);
+        saveCollectionLog();
+        return true;
+    }
+
+    collectionLog[name] = {
+        ...entry,
+        count: entry.count + 1,
+        largestSize: Math.max(entry.largestSize, size)
+    };
+    return false;
+}
+
+/**
+ * Write the collection log to the save data
+ * @returns {boolean} True if the save data was written
+ */
+function saveCollectionLog() {
+    return updateCollectionLog({ ...collectionLog });
+}
+
+/**
+ * Get the log entry of an item type
+ * @param {string} name - Item display name
+ * @returns {Object|null} {firstCollectedAt, count, largestSize}, or null if the item was never collected
+ */
+function getCollectionEntry(name) {
+    return collectionLog[name] ? { ...collectionLog[name] } : null;
+}
+
+/**
+ * Get every catalog item with its log entry, in catalog order
+ * @returns {Array<Object>} {name, rarity, themes, collected, firstCollectedAt, count, largestSize} per item;
+ * items never collected have a count of 0 and null dates and sizes
+ */
+function getCollectionLog() {
+    return ITEM_CATALOG.map(definition => {
+        const entry = collectionLog[definition.name];
+        return {
+            name: definition.name,
+            rarity: definition.rarity || 'common',
+            themes: [...definition.themes],
+            collected: Boolean(entry),
+            firstCollectedAt: entry ? entry.firstCollectedAt : null,
+            count: entry ? entry.count : 0,
+            largestSize: entry ? entry.largestSize : null
+        };
+    });
+}
+
+/**
+ * Get how much of the catalog has been collected
+ * @returns {Object} {collected, total} item type counts
+ */
+function getCollectionProgress() {
+    return {
+        collected: ITEM_CATALOG.filter(definition => collectionLog[definition.name]).length,
+        total: ITEM_CATALOG.length
+    };
+}
+
+/**
+ * Clean up the collection log
+ */
+function cleanupCollectionLog() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [];
+    collectionLog = {};
+
+    debugInfo("Collection log cleanup completed");
+}
+
+// Export all collection log functions
+export {
+    initializeCollectionLog,
+    recordCollectedItem,
+    saveCollectionLog,
+    getCollectionEntry,
+    getCollectionLog,
+    getCollectionProgress,
+    cleanupCollectionLog
+};
@@ -1,6 +1,9 @@
 /**
  * Input Management System
- * Handles keyboard, touch, and gyroscope input for the Katamari game
+ * Handles keyboard, gamepad, mouse, touch, and gyroscope input for the Katamari game
+ * Keys and gamepad buttons are mapped to rebindable actions (INPUT.DEFAULT_BINDINGS), and
+ * movement from every device is combined into one analog vector by getMovementInput, or into
+ * left and right sides by getTankInput when the tank control scheme is selected
  * Maintains IIFE encapsulation pattern through module exports
  */
 
@@ -25,10 +28,58 @@ const inputState = {
         normalizedGamma: 0,
         normalizedBeta: 0
     },
+    gamepad: {
+        connected: false,
+        x: 0,
+        y: 0,
+        left: 0,
+        right: 0,
+        cameraX: 0,
+        cameraY: 0,
+        buttons: []
+    },
+    // Camera orbit drag (mouse or two-finger touch): pixels moved since getCameraInput was last called
+    cameraDrag: {
+        active: false,
+        lastX: 0,
+        lastY: 0,
+        x: 0,
+        y: 0
+    },
     useGyroscope: false,
     touchDeadZone: 0
 };
 
+// Action bindings: the defaults until the player's saved bindings are applied with setBindings
+let bindings = cloneBindings(INPUT.DEFAULT_BINDINGS);
+
+// Action waiting for the next key or gamepad button press to rebind it, or null
+let pendingRebind = null;
+
+// One-shot actions and the callback each one fires
+const ACTION_CALLBACKS = {
+    reset: 'onReset',
+    newLevel: 'onNewLevel',
+    pause: 'onPause',
+    camera: 'onCamera',
+    quickTurn: 'onQuickTurn'
+};
+
+// Movement actions of each control scheme; only one scheme is read at a time, so the two may share keys
+const MOVE_ACTIONS = ['moveForward', 'moveBack', 'moveLeft', 'moveRight'];
+const TANK_ACTIONS = ['leftTrackForward', 'leftTrackBack', 'rightTrackForward', 'rightTrackBack'];
+
+// Control schemes: 'standard' steers with one camera-relative vector, 'tank' with one stick per side
+const CONTROL_SCHEMES = ['standard', 'tank'];
+let controlScheme = 'standard';
+
+// Progress of the tank dash gesture (alternating opposite pushes of the two sides)
+const dashGesture = {
+    lastPattern: 0,
+    alternations: 0,
+    lastAlternationTime: 0
+};
+
 // Event handlers
 let eventHandlers = {
     onKeyDown: null,
@@ -46,7 +97,9 @@ let messageOverlay = null;
 
 /**
  * Initialize the input management system
- * @param {Object} callbacks - Callback functions for input events
+ * @param {Object} callbacks - Callback functions for input events, including the action callbacks
+ *   (onReset, onNewLevel, onPause, onCamera, onQuickTurn), the tank gesture callback onDash and
+ *   onBindingsChange, which receives the bindings to persist
  */
 function initializeInputSystem(callbacks = {}) {
     debugInfo("Initializing input management system...");
@@ -75,26 +128,16 @@ function initializeInputSystem(callbacks = {}) {
  */
 function setupEventListeners() {
     // Keyboard events
-    const handleKeyDown = (e) => {
-        inputState.keys[e.key.toLowerCase()] = true;
-        
-        // Handle special keys
-        if (e.key.toLowerCase() === ' ') {
-            if (eventHandlers.onSpaceKey) eventHandlers.onSpaceKey();
-        } else if (e.key.toLowerCase() === 'r') {
-            if (eventHandlers.onResetKey) eventHandlers.onResetKey();
-        }
-        
-        if (eventHandlers.onKeyDown) eventHandlers.onKeyDown(e);
-    };
-    
-    const handleKeyUp = (e) => {
-        inputState.keys[e.key.toLowerCase()] = false;
-        if (eventHandlers.onKeyUp) eventHandlers.onKeyUp(e);
-    };
-    
     window.addEventListener('keydown', handleKeyDown);
     window.addEventListener('keyup', handleKeyUp);
+
+    // Gamepads are polled each frame by updateGamepadInput; these only report (dis)connection
+    window.addEventListener('gamepadconnected', onGamepadConnected);
+    window.addEventListener('gamepaddisconnected', onGamepadDisconnected);
+
+    // A mouse drag started on the canvas keeps orbiting the camera until released anywhere
+    window.addEventListener('mousemove', onMouseMove);
+    window.addEventListener('mouseup', onMouseUp);
     
     // Touch events - need to get renderer from scene module
     // For now, we'll set up a method to register the canvas element
@@ -115,8 +158,416 @@ function setupEventListeners() {
 }
 
 /**
- * Register the canvas element for touch events
- * @param {HTMLCanvasElement} canvas - The canvas element to register touch events on
+ * Keyboard input handlers
+ */
+function handleKeyDown(e) {
+    const key = e.key.toLowerCase();
+
+    if (pendingRebind) {
+        const action = pendingRebind;
+        pendingRebind = null;
+        rebindAction(action, { keys: [key] });
+        return;
+    }
+
+    inputState.keys[key] = true;
+
+    // Held keys repeat keydown events; actions only fire on the initial press
+    if (!e.repeat) {
+        Object.keys(ACTION_CALLBACKS)
+            .filter(action => bindings[action].keys.includes(key))
+            .forEach(triggerAction);
+    }
+
+    if (eventHandlers.onKeyDown) eventHandlers.onKeyDown(e);
+}
+
+function handleKeyUp(e) {
+    inputState.keys[e.key.toLowerCase()] = false;
+    if (eventHandlers.onKeyUp) eventHandlers.onKeyUp(e);
+}
+
+/**
+ * Fire the callback of a one-shot action
+ * @param {string} action - Action name (a key of ACTION_CALLBACKS)
+ */
+function triggerAction(action) {
+    const callback = eventHandlers[ACTION_CALLBACKS[action]];
+    if (callback) callback();
+}
+
+/**
+ * Copy a bindings map so callers cannot mutate the live bindings
+ * @param {Object} source - Bindings keyed by action
+ * @returns {Object} Deep copy of the bindings
+ */
+function cloneBindings(source) {
+    return Object.fromEntries(
+        Object.entries(source).map(([action, binding]) => [action, { keys: [...binding.keys], buttons: [...binding.buttons] }])
+    );
+}
+
+/**
+ * Validate a binding, keeping the fallback for any field that is missing or invalid
+ * @param {Object} binding - Binding with keys and/or buttons
+ * @param {Object} fallback - Binding to take missing fields from
+ * @returns {Object} Binding with lowercase key names and gamepad button indices
+ */
+function sanitizeBinding(binding, fallback) {
+    const keys = Array.isArray(binding?.keys)
+        ? binding.keys.filter(key => typeof key === 'string' && key.length > 0).map(key => key.toLowerCase())
+        : [...fallback.keys];
+    const buttons = Array.isArray(binding?.buttons)
+        ? binding.buttons.filter(button => Number.isInteger(button) && button >= 0)
+        : [...fallback.buttons];
+
+    return { keys, buttons };
+}
+
+/**
+ * Get the current action bindings
+ * @returns {Object} Copy of the bindings keyed by action, each with keys and gamepad buttons
+ */
+function getBindings() {
+    return cloneBindings(bindings);
+}
+
+/**
+ * Replace the bindings, e.g. with the ones saved from a previous session
+ * Actions missing from the given bindings keep their defaults; unknown actions are ignored.
+ * @param {Object} savedBindings - Bindings keyed by action
+ */
+function setBindings(savedBindings = {}) {
+    bindings = cloneBindings(INPUT.DEFAULT_BINDINGS);
+
+    Object.entries(savedBindings || {}).forEach(([action, binding]) => {
+        if (!bindings[action]) {
+            debugWarn(`Ignoring bindings for unknown action: ${action}`);
+            return;
+        }
+        bindings[action] = sanitizeBinding(binding, bindings[action]);
+    });
+}
+
+/**
+ * Check if two actions may be bound to the same key or button
+ * @param {string} action - Action name
+ * @param {string} otherAction - Other action name
+ * @returns {boolean} True if the actions belong to different control schemes
+ */
+function canShareInput(action, otherAction) {
+    return (MOVE_ACTIONS.includes(action) && TANK_ACTIONS.includes(otherAction)) ||
+        (TANK_ACTIONS.includes(action) && MOVE_ACTIONS.includes(otherAction));
+}
+
+/**
+ * Bind an action to new keys and/or gamepad buttons
+ * A key or button can only drive one action, so it is removed from any other action it was bound to
+ * (except for movement actions of the other control scheme).
+ * @param {string} action - Action to rebind
+ * @param {Object} binding - New binding; a missing keys or buttons field keeps the current one
+ * @returns {boolean} True if the action was rebound
+ */
+function rebindAction(action, binding) {
+    if (!bindings[action]) {
+        debugWarn(`Cannot rebind unknown action: ${action}`);
+        return false;
+    }
+
+    const newBinding = sanitizeBinding(binding, bindings[action]);
+    Object.entries(bindings).forEach(([otherAction, otherBinding]) => {
+        if (otherAction === action || canShareInput(action, otherAction)) return;
+        otherBinding.keys = otherBinding.keys.filter(key => !newBinding.keys.includes(key));
+        otherBinding.buttons = otherBinding.buttons.filter(button => !newBinding.buttons.includes(button));
+    });
+    bindings[action] = newBinding;
+
+    debugInfo(`Rebound ${action} to keys [${newBinding.keys.join(', ')}], buttons [${newBinding.buttons.join(', ')}]`);
+    notifyBindingsChange();
+    return true;
+}
+
+/**
+ * Restore the default bindings for every action
+ */
+function resetBindings() {
+    bindings = cloneBindings(INPUT.DEFAULT_BINDINGS);
+    notifyBindingsChange();
+}
+
+/**
+ * Rebind an action to the next key or gamepad button the player presses
+ * @param {string} action - Action to rebind
+ * @returns {boolean} True if the input system is now waiting for a press
+ */
+function startRebinding(action) {
+    if (!bindings[action]) {
+        debugWarn(`Cannot rebind unknown action: ${action}`);
+        return false;
+    }
+    pendingRebind = action;
+    return true;
+}
+
+/**
+ * Stop waiting for a press started by startRebinding
+ */
+function cancelRebinding() {
+    pendingRebind = null;
+}
+
+/**
+ * Check if the input system is waiting for a press to rebind an action
+ * @returns {boolean} Whether a rebind is pending
+ */
+function isRebinding() {
+    return pendingRebind !== null;
+}
+
+/**
+ * Pass the current bindings to the onBindingsChange callback so they can be saved
+ */
+function notifyBindingsChange() {
+    if (eventHandlers.onBindingsChange) {
+        eventHandlers.onBindingsChange(getBindings());
+    }
+}
+
+/**
+ * Check if an action is held on the keyboard or gamepad
+ * @param {string} action - Action name
+ * @returns {boolean} Whether any key or gamepad button bound to the action is held
+ */
+function isActionActive(action) {
+    const binding = bindings[action];
+    if (!binding) {
+        return false;
+    }
+    return binding.keys.some(key => inputState.keys[key]) ||
+        binding.buttons.some(button => inputState.gamepad.buttons[button]);
+}
+
+/**
+ * Get a -1..1 axis value from a pair of opposing actions
+ * @param {string} negativeAction - Action pushing the axis towards -1
+ * @param {string} positiveAction - Action pushing the axis towards 1
+ * @returns {number} Axis value (opposing actions cancel out)
+ */
+function getActionAxis(negativeAction, positiveAction) {
+    return (isActionActive(positiveAction) ? 1 : 0) - (isActionActive(negativeAction) ? 1 : 0);
+}
+
+/**
+ * Select the control scheme
+ * @param {string} scheme - 'standard' or 'tank'
+ * @returns {boolean} True if the scheme was selected
+ */
+function setControlScheme(scheme) {
+    if (!CONTROL_SCHEMES.includes(scheme)) {
+        debugWarn(`Unknown control scheme: ${scheme}`);
+        return false;
+    }
+
+    controlScheme = scheme;
+    resetDashGesture();
+    debugInfo(`Control scheme: ${scheme}`);
+    return true;
+}
+
+/**
+ * Get the selected control scheme
+ * @returns {string} 'standard' or 'tank'
+ */
+function getControlScheme() {
+    return controlScheme;
+}
+
+/**
+ * Get tank-control input and track the dash gesture; call once per frame while the tank scheme is selected
+ * Fires onDash once the sides have been pushed in alternating opposite directions INPUT.DASH_ALTERNATIONS times.
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Left and right sides {left, right}, each -1 (back) to 1 (forward)
+ */
+function getTankInput(now = performance.now()) {
+    const left = THREE.MathUtils.clamp(getActionAxis('leftTrackBack', 'leftTrackForward') + inputState.gamepad.left, -1, 1);
+    const right = THREE.MathUtils.clamp(getActionAxis('rightTrackBack', 'rightTrackForward') + inputState.gamepad.right, -1, 1);
+
+    updateDashGesture(left, right, now);
+
+    return { left, right };
+}
+
+/**
+ * Count alternating opposite pushes of the two sides towards a dash
+ * @param {number} left - Left side input
+ * @param {number} right - Right side input
+ * @param {number} now - Current time in milliseconds
+ */
+function updateDashGesture(left, right, now) {
+    const threshold = INPUT.TANK_GESTURE_THRESHOLD;
+    let pattern = 0;
+    if (left > threshold && right < -threshold) {
+        pattern = 1;
+    } else if (left < -threshold && right > threshold) {
+        pattern = -1;
+    }
+
+    // Only a swap to the opposite pattern counts; holding one pattern is an ordinary turn
+    if (pattern === 0 || pattern === dashGesture.lastPattern) {
+        return;
+    }
+
+    const inWindow = now - dashGesture.lastAlternationTime <= INPUT.DASH_ALTERNATION_WINDOW;
+    dashGesture.alternations = inWindow ? dashGesture.alternations + 1 : 1;
+    dashGesture.lastPattern = pattern;
+    dashGesture.lastAlternationTime = now;
+
+    if (dashGesture.alternations >= INPUT.DASH_ALTERNATIONS) {
+        resetDashGesture();
+        debugInfo("Dash gesture");
+        if (eventHandlers.onDash) eventHandlers.onDash();
+    }
+}
+
+/**
+ * Forget any dash gesture in progress
+ */
+function resetDashGesture() {
+    dashGesture.lastPattern = 0;
+    dashGesture.alternations = 0;
+    dashGesture.lastAlternationTime = 0;
+}
+
+/**
+ * Gamepad connection handlers
+ */
+function onGamepadConnected(event) {
+    debugInfo(`Gamepad connected: ${event.gamepad.id}`);
+}
+
+function onGamepadDisconnected(event) {
+    debugInfo(`Gamepad disconnected: ${event.gamepad.id}`);
+}
+
+/**
+ * Create the state of a disconnected gamepad
+ * @returns {Object} Gamepad state with centred sticks and no buttons held
+ */
+function createGamepadState() {
+    return { connected: false, x: 0, y: 0, left: 0, right: 0, cameraX: 0, cameraY: 0, buttons: [] };
+}
+
+/**
+ * Get the first connected gamepad
+ * @returns {Gamepad|null} The gamepad, or null if none is connected or the Gamepad API is unavailable
+ */
+function getConnectedGamepad() {
+    if (typeof navigator === 'undefined' || typeof navigator.getGamepads !== 'function') {
+        return null;
+    }
+
+    try {
+        return Array.from(navigator.getGamepads()).find(gamepad => gamepad && gamepad.connected !== false) || null;
+    } catch (error) {
+        // Blocked by a permissions policy (e.g. in a sandboxed iframe)
+        return null;
+    }
+}
+
+/**
+ * Apply a dead zone to a single axis, rescaling the rest of its range to 0-1
+ * @param {number} value - Axis value (-1 to 1)
+ * @param {number} deadZone - Dead zone size (0-1)
+ * @returns {number} Axis value with the dead zone removed
+ */
+function applyAxisDeadZone(value, deadZone) {
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadZone) {
+        return 0;
+    }
+    return Math.sign(value) * Math.min(1, (magnitude - deadZone) / (1 - deadZone));
+}
+
+/**
+ * Apply a radial dead zone to a stick, rescaling the rest of its range to 0-1
+ * @param {number} x - Horizontal axis value
+ * @param {number} y - Vertical axis value
+ * @param {number} deadZone - Dead zone radius (0-1)
+ * @returns {Object} Stick vector {x, y} with a magnitude of at most 1
+ */
+function applyRadialDeadZone(x, y, deadZone) {
+    const magnitude = Math.sqrt(x * x + y * y);
+    if (magnitude <= deadZone) {
+        return { x: 0, y: 0 };
+    }
+
+    const scale = Math.min(1, (magnitude - deadZone) / (1 - deadZone)) / magnitude;
+    return { x: x * scale, y: y * scale };
+}
+
+/**
+ * Poll the connected gamepad; call once per frame
+ * Updates the movement stick and held buttons, and fires actions for newly pressed buttons.
+ */
+function updateGamepadInput() {
+    const gamepad = getConnectedGamepad();
+    if (!gamepad) {
+        inputState.gamepad = createGamepadState();
+        return;
+    }
+
+    const previousButtons = inputState.gamepad.buttons;
+    const buttons = Array.from(gamepad.buttons, button => button.pressed || button.value > INPUT.GAMEPAD_BUTTON_THRESHOLD);
+    const newlyPressed = buttons
+        .map((pressed, index) => (pressed && !previousButtons[index] ? index : -1))
+        .filter(index => index >= 0);
+
+    // Stick up reports a negative value; flip it so pushing up moves forward
+    const stick = applyRadialDeadZone(
+        gamepad.axes[INPUT.GAMEPAD_MOVE_AXES.x] || 0,
+        -(gamepad.axes[INPUT.GAMEPAD_MOVE_AXES.y] || 0),
+        INPUT.GAMEPAD_DEAD_ZONE
+    );
+
+    // Tank controls read each stick's vertical axis on its own, flipped like the movement stick;
+    // the right stick only orbits the camera with the standard scheme
+    const left = applyAxisDeadZone(-(gamepad.axes[INPUT.GAMEPAD_TANK_AXES.left] || 0), INPUT.GAMEPAD_DEAD_ZONE);
+    const right = applyAxisDeadZone(-(gamepad.axes[INPUT.GAMEPAD_TANK_AXES.right] || 0), INPUT.GAMEPAD_DEAD_ZONE);
+
+    const cameraStick = controlScheme === 'tank'
+        ? { x: 0, y: 0 }
+        : applyRadialDeadZone(
+            gamepad.axes[INPUT.GAMEPAD_CAMERA_AXES.x] || 0,
+            -(gamepad.axes[INPUT.GAMEPAD_CAMERA_AXES.y] || 0),
+            INPUT.GAMEPAD_DEAD_ZONE
+        );
+
+    inputState.gamepad = {
+        connected: true,
+        x: stick.x,
+        y: stick.y,
+        left,
+        right,
+        cameraX: cameraStick.x,
+        cameraY: cameraStick.y,
+        buttons
+    };
+
+    if (pendingRebind && newlyPressed.length > 0) {
+        const action = pendingRebind;
+        pendingRebind = null;
+        rebindAction(action, { buttons: [newlyPressed[0]] });
+        return;
+    }
+
+    Object.keys(ACTION_CALLBACKS)
+        .filter(action => bindings[action].buttons.some(button => newlyPressed.includes(button)))
+        .forEach(triggerAction);
+}
+
+/**
+ * Register the canvas element for touch and mouse events
+ * @param {HTMLCanvasElement} canvas - The canvas element to register touch and mouse events on
  */
 function registerTouchCanvas(canvas) {
     if (!canvas) {
@@ -127,15 +578,78 @@ function registerTouchCanvas(canvas) {
     canvas.addEventListener('touchstart', onTouchStart, { passive: false });
     canvas.addEventListener('touchmove', onTouchMove, { passive: false });
     canvas.addEventListener('touchend', onTouchEnd);
+    canvas.addEventListener('mousedown', onMouseDown);
     
     debugInfo("Touch events registered on canvas");
 }
 
 /**
- * Touch input handlers
+ * Start a camera orbit drag at a screen position
+ * @param {number} x - Screen x
+ * @param {number} y - Screen y
+ */
+function startCameraDrag(x, y) {
+    inputState.cameraDrag.active = true;
+    inputState.cameraDrag.lastX = x;
+    inputState.cameraDrag.lastY = y;
+}
+
+/**
+ * Accumulate camera orbit drag movement up to a screen position
+ * @param {number} x - Screen x
+ * @param {number} y - Screen y
+ */
+function moveCameraDrag(x, y) {
+    const drag = inputState.cameraDrag;
+    if (!drag.active) return;
+
+    drag.x += x - drag.lastX;
+    drag.y += y - drag.lastY;
+    drag.lastX = x;
+    drag.lastY = y;
+}
+
+/**
+ * Mouse input handlers: dragging with the primary button orbits the camera
+ */
+function onMouseDown(event) {
+    if (event.button !== 0) return;
+    startCameraDrag(event.clientX, event.clientY);
+}
+
+function onMouseMove(event) {
+    moveCameraDrag(event.clientX, event.clientY);
+}
+
+function onMouseUp() {
+    inputState.cameraDrag.active = false;
+}
+
+/**
+ * Get the midpoint of the first two touches
+ * @param {TouchList} touches - Active touches
+ * @returns {Object} Midpoint {x, y}
+ */
+function getTouchMidpoint(touches) {
+    return {
+        x: (touches[0].clientX + touches[1].clientX) / 2,
+        y: (touches[0].clientY + touches[1].clientY) / 2
+    };
+}
+
+/**
+ * Touch input handlers: one finger steers, two fingers orbit the camera
  */
 function onTouchStart(event) {
     event.preventDefault();
+
+    if (event.touches.length >= 2) {
+        inputState.touchInput.active = false;
+        const midpoint = getTouchMidpoint(event.touches);
+        startCameraDrag(midpoint.x, midpoint.y);
+        return;
+    }
+
     inputState.touchInput.active = true;
     inputState.touchInput.startX = event.touches[0].clientX;
     inputState.touchInput.startY = event.touches[0].clientY;
@@ -147,6 +661,13 @@ function onTouchStart(event) {
 
 function onTouchMove(event) {
     event.preventDefault();
+
+    if (event.touches.length >= 2) {
+        const midpoint = getTouchMidpoint(event.touches);
+        moveCameraDrag(midpoint.x, midpoint.y);
+        return;
+    }
+
     if (inputState.touchInput.active) {
         inputState.touchInput.currentX = event.touches[0].clientX;
         inputState.touchInput.currentY = event.touches[0].clientY;
@@ -156,6 +677,10 @@ function onTouchMove(event) {
 }
 
 function onTouchEnd(event) {
+    if (!event.touches || event.touches.length < 2) {
+        inputState.cameraDrag.active = false;
+    }
+
     inputState.touchInput.active = false;
     inputState.touchInput.x = 0;
     inputState.touchInput.y = 0;
@@ -275,6 +800,29 @@ function enableGyroscope() {
     }
 }
 
+/**
+ * Re-enable gyroscope controls saved from a previous session.
+ * Devices that need a permission prompt (iOS 13+) can only ask from a user gesture, so they stay off.
+ * @returns {boolean} Whether gyroscope controls are enabled
+ */
+function restoreGyroscope() {
+    if (inputState.useGyroscope) {
+        return true;
+    }
+
+    if (typeof DeviceOrientationEvent === 'undefined') {
+        return false;
+    }
+
+    if (typeof DeviceOrientationEvent.requestPermission === 'function') {
+        debugInfo("Gyroscope needs permission from a user gesture, not restoring saved setting");
+        return false;
+    }
+
+    enableGyroscope();
+    return true;
+}
+
 /**
  * Set up gyroscope button visibility based on device capabilities
  */
@@ -335,6 +883,33 @@ function getKeyboardInput() {
     return { ...inputState.keys };
 }
 
+/**
+ * Get current gamepad input state
+ * @returns {Object} Whether a gamepad is connected, its dead-zoned movement stick (x, y) and tank sides (left, right)
+ */
+function getGamepadInput() {
+    const { connected, x, y, left, right } = inputState.gamepad;
+    return { connected, x, y, left, right };
+}
+
+/**
+ * Get camera orbit input; call once per frame
+ * @returns {Object} Drag in pixels since the last call (dragX, dragY) and the camera stick (stickX, stickY)
+ */
+function getCameraInput() {
+    const { cameraDrag, gamepad } = inputState;
+    const input = {
+        dragX: cameraDrag.x,
+        dragY: cameraDrag.y,
+        stickX: gamepad.cameraX,
+        stickY: gamepad.cameraY
+    };
+
+    cameraDrag.x = 0;
+    cameraDrag.y = 0;
+    return input;
+}
+
 /**
  * Get current touch input state
  * @returns {Object} Current touch input state
@@ -360,38 +935,39 @@ function isGyroscopeEnabled() {
 }
 
 /**
- * Get movement input from all sources (keyboard, touch, gyroscope)
- * @returns {Object} Normalized movement input with x and y values
+ * Get movement input from all sources (keyboard and gamepad, then touch, then gyroscope)
+ * @returns {Object} Analog movement input: x (right), y (forward) and a magnitude of at most 1
  */
 function getMovementInput() {
-    let x = 0, y = 0;
+    // Bound keys and buttons, plus the gamepad stick
+    let x = getActionAxis('moveLeft', 'moveRight') + inputState.gamepad.x;
+    let y = getActionAxis('moveBack', 'moveForward') + inputState.gamepad.y;
     
-    // Keyboard input
-    if (inputState.keys['a'] || inputState.keys['arrowleft']) x -= 1;
-    if (inputState.keys['d'] || inputState.keys['arrowright']) x += 1;
-    if (inputState.keys['w'] || inputState.keys['arrowup']) y += 1;
-    if (inputState.keys['s'] || inputState.keys['arrowdown']) y -= 1;
-    
-    // Touch input (if active and no keyboard input)
+    // Touch input (if active and no keyboard or gamepad input)
     if (Math.abs(x) < 0.1 && Math.abs(y) < 0.1) {
         const touchInput = getNormalizedTouchInput();
         if (touchInput.active) {
-            x = touchInput.x;
-            y = touchInput.y;
+            x = touchInput.x * INPUT.TOUCH_SENSITIVITY;
+            y = touchInput.y * INPUT.TOUCH_SENSITIVITY;
         }
     }
     
-    // Gyroscope input (if enabled and no other input)
+    // Gyroscope input (if enabled and no other input); the device is held in landscape,
+    // so tilting forward (gamma) rolls forward and tilting sideways (beta) steers
     if (Math.abs(x) < 0.1 && Math.abs(y) < 0.1 && inputState.useGyroscope) {
-        x = inputState.gyro.normalizedGamma;
-        y = inputState.gyro.normalizedBeta;
+        const { normalizedGamma, normalizedBeta } = inputState.gyro;
+        if (Math.abs(normalizedGamma) > INPUT.GYRO_DEAD_ZONE || Math.abs(normalizedBeta) > INPUT.GYRO_DEAD_ZONE) {
+            x = -normalizedBeta * INPUT.GYRO_SENSITIVITY;
+            y = normalizedGamma * INPUT.GYRO_SENSITIVITY;
+        }
     }
     
     // Normalize the final input
-    const magnitude = Math.sqrt(x * x + y * y);
+    let magnitude = Math.sqrt(x * x + y * y);
     if (magnitude > 1) {
         x /= magnitude;
         y /= magnitude;
+        magnitude = 1;
     }
     
     return { x, y, magnitude };
@@ -402,8 +978,12 @@ function getMovementInput() {
  */
 function cleanupInputSystem() {
     // Remove event listeners
-    window.removeEventListener('keydown', eventHandlers.onKeyDown);
-    window.removeEventListener('keyup', eventHandlers.onKeyUp);
+    window.removeEventListener('keydown', handleKeyDown);
+    window.removeEventListener('keyup', handleKeyUp);
+    window.removeEventListener('gamepadconnected', onGamepadConnected);
+    window.removeEventListener('gamepaddisconnected', onGamepadDisconnected);
+    window.removeEventListener('mousemove', onMouseMove);
+    window.removeEventListener('mouseup', onMouseUp);
     window.removeEventListener('resize', onWindowResize);
     
     if (inputState.useGyroscope) {
@@ -426,7 +1006,13 @@ function cleanupInputSystem() {
         normalizedGamma: 0,
         normalizedBeta: 0
     };
+    inputState.gamepad = createGamepadState();
+    inputState.cameraDrag = { active: false, lastX: 0, lastY: 0, x: 0, y: 0 };
     inputState.useGyroscope = false;
+    bindings = cloneBindings(INPUT.DEFAULT_BINDINGS);
+    pendingRebind = null;
+    controlScheme = 'standard';
+    resetDashGesture();
     
     debugInfo("Input system cleaned up");
 }
@@ -438,9 +1024,24 @@ export {
     getKeyboardInput,
     getTouchInput,
     getGyroscopeInput,
+    getGamepadInput,
     getNormalizedTouchInput,
     getMovementInput,
+    getTankInput,
+    getCameraInput,
+    setControlScheme,
+    getControlScheme,
+    updateGamepadInput,
+    isActionActive,
+    getBindings,
+    setBindings,
+    rebindAction,
+    resetBindings,
+    startRebinding,
+    cancelRebinding,
+    isRebinding,
     isGyroscopeEnabled,
     toggleGyroscope,
+    restoreGyroscope,
     cleanupInputSystem
 };
\ No newline at end of file
@@ -1,39 +1,47 @@
 /**
  * Level Management System
  * Handles level generation, theming, target size calculation, and win conditions
+ * Publishes levelStarted and levelCompleted events and checks for a win on every itemCollected event
  * Maintains identical level generation behavior from the original implementation
  */
 
 import * as THREE from 'three';
 import { debugInfo, debugLog } from '../utils/debug.js';
-import { LEVEL, THEMES, WORLD, UI } from '../utils/constants.js';
+import { LEVEL, THEMES, UI, KATAMARI } from '../utils/constants.js';
 import { 
     showLoadingOverlay, 
     hideLoadingOverlay, 
-    showMessageOverlay, 
     hideMessageOverlay,
-    isMessageOverlayVisible,
-    updateHUD 
+    updateLevelSeed,
+    updateCountdown
 } from './ui.js';
 import { 
     cleanupItemsSystem, 
-    createCollectibleItems, 
-    resetLastGenerationPosition,
     resetInstancedMeshes
 } from '../entities/items.js';
+import { resetChunks, updateChunks } from './chunks.js';
 import { 
     cleanupEnvironment, 
     createEnvironment, 
     createGround, 
     setupSceneAtmosphere 
 } from '../entities/environment.js';
-import { stopRollingSound } from '../core/audio.js';
+import { setSeed } from '../utils/random.js';
+import { GAME_EVENTS, publish, subscribe } from '../utils/events.js';
 
 // Level state
 let currentLevel = 1;
 let isGeneratingLevel = false;
 let currentTheme = null;
 let targetKatamariSize = 0;
+let levelSeed = null;
+
+// Level timer state (seconds); a null time limit means the level is untimed
+let timeLimit = null;
+let elapsedTime = 0;
+let levelResults = null;
+
+let unsubscribeItemCollected = null;
 
 /**
  * Initialize the level management system
@@ -44,37 +52,52 @@ function initializeLevelSystem() {
     isGeneratingLevel = false;
     currentTheme = null;
     targetKatamariSize = 0;
+    levelSeed = null;
+    resetLevelTimer();
+
+    // The katamari can only reach the target by growing, so check for a win whenever it collects something
+    if (unsubscribeItemCollected) unsubscribeItemCollected();
+    unsubscribeItemCollected = subscribe(GAME_EVENTS.ITEM_COLLECTED, ({ targetRadius, itemsCollected }) => {
+        checkWinCondition(targetRadius, itemsCollected);
+    });
 }
 
 /**
  * Generate a new level with theme, environment, and items
  * @param {Function} createKatamariCallback - Callback to create katamari after level generation
+ * @param {Object} options - Generation options
+ * @param {number|string} options.seed - Seed to generate the level from; a fresh seed is picked if omitted
+ * @param {boolean} options.headless - Skip the loading screen (headless simulation)
  * @returns {Promise<void>}
  */
-async function generateNewLevel(createKatamariCallback = null) {
+async function generateNewLevel(createKatamariCallback = null, options = {}) {
     debugInfo("Starting generateNewLevel...");
     isGeneratingLevel = true;
     
-    stopRollingSound();
     hideMessageOverlay();
 
     // Clean up previous level with proper instanced mesh reset
     cleanupItemsSystem();
     resetInstancedMeshes(); // Reset instanced meshes for level restart
+    resetChunks();
     cleanupEnvironment();
 
+    // Seed all procedural generation so the level can be replayed exactly from its seed
+    levelSeed = setSeed(options.seed);
+    updateLevelSeed(levelSeed);
+    debugInfo(`Generating level ${currentLevel} with seed ${levelSeed}`);
+
     // Generate new theme
-    currentTheme = await generateLevelTheme();
+    currentTheme = await generateLevelTheme({ showLoading: !options.headless });
     
     // Calculate target size with difficulty scaling
     const difficultyFactor = 1 + (currentLevel - 1) * LEVEL.DIFFICULTY_FACTOR;
     targetKatamariSize = currentTheme.baseTargetSize * difficultyFactor;
 
-    // Update UI with new target size
-    updateHUD({
-        itemsCollected: 0,
-        targetSize: targetKatamariSize
-    });
+    // Start the countdown for the new level
+    resetLevelTimer();
+    timeLimit = currentTheme.timeLimit ?? null;
+    updateCountdown(timeLimit);
 
     // Set up scene atmosphere
     setupSceneAtmosphere(currentTheme);
@@ -88,50 +111,172 @@ async function generateNewLevel(createKatamariCallback = null) {
         createKatamariCallback();
     }
 
-    // Generate initial items
+    // Generate the chunks around the katamari's starting point
     debugInfo("Creating initial collectible items...");
-    const initialPosition = new THREE.Vector3(0, 0, 0);
-    createCollectibleItems(WORLD.ITEM_SPAWN_COUNT, currentTheme.items, initialPosition, WORLD.INITIAL_ITEM_SPAWN_RADIUS, true, WORLD.MIN_SPAWN_DISTANCE); // Allow on-camera for initial spawn, min 10 units from center
-    resetLastGenerationPosition(initialPosition);
+    updateChunks(new THREE.Vector3(0, 0, 0), currentTheme, KATAMARI.INITIAL_RADIUS);
 
     isGeneratingLevel = false;
     debugInfo("generateNewLevel completed");
+
+    publish(GAME_EVENTS.LEVEL_STARTED, {
+        level: currentLevel,
+        themeName: currentTheme.themeName,
+        seed: levelSeed,
+        targetSize: targetKatamariSize,
+        timeLimit
+    });
 }
 
 /**
  * Generate level theme based on current level
+ * @param {Object} options - Theme options
+ * @param {boolean} options.showLoading - Show the loading screen for the simulated loading time
  * @returns {Promise<Object>} The selected theme object
  */
-async function generateLevelTheme() {
+async function generateLevelTheme(options = {}) {
     debugInfo("Starting generateLevelTheme...");
     
     const theme = THEMES[(currentLevel - 1) % THEMES.length];
-    showLoadingOverlay(`Generating ${theme.themeName}... ✨`);
-    
-    await new Promise(r => setTimeout(r, UI.LOADING_SIMULATION_TIME)); // Simulate loading time
-    hideLoadingOverlay();
+    if (options.showLoading !== false) {
+        showLoadingOverlay(`Generating ${theme.themeName}... ✨`);
+        await new Promise(r => setTimeout(r, UI.LOADING_SIMULATION_TIME)); // Simulate loading time
+        hideLoadingOverlay();
+    }
     
     debugInfo("Finished generateLevelTheme. Selected theme:", theme.themeName);
     return theme;
 }
 
 /**
- * Check win condition and handle level completion
+ * Check win condition and handle level completion, publishing a levelCompleted event on a win
  * @param {number} katamariRadius - Current katamari radius
+ * @param {number} itemsCollected - Items collected during the level, recorded in the level results
  * @returns {boolean} True if level is complete
  */
-function checkWinCondition(katamariRadius) {
-    if (katamariRadius >= targetKatamariSize && !isMessageOverlayVisible()) {
-        showMessageOverlay(`LEVEL ${currentLevel} COMPLETE! You've grown a magnificent Katamari! Click to continue.`);
+function checkWinCondition(katamariRadius, itemsCollected = 0) {
+    if (levelResults || isGeneratingLevel) {
+        return false;
+    }
+
+    if (katamariRadius >= targetKatamariSize) {
+        recordLevelResults(true, katamariRadius, itemsCollected);
         currentLevel++;
-        
-        stopRollingSound();
-        
+
+        publish(GAME_EVENTS.LEVEL_COMPLETED, { results: levelResults });
         return true;
     }
     return false;
 }
 
+/**
+ * Check whether the level's time has run out and handle the failure
+ * @param {number} katamariRadius - Current katamari radius
+ * @param {number} itemsCollected - Items collected during the level, recorded in the level results
+ * @returns {boolean} True if the level was failed by this check
+ */
+function checkFailCondition(katamariRadius, itemsCollected = 0) {
+    if (levelResults || isGeneratingLevel || getTimeRemaining() > 0) {
+        return false;
+    }
+
+    // Reaching the target on the final frame still counts as a win
+    if (katamariRadius >= targetKatamariSize) {
+        return false;
+    }
+
+    recordLevelResults(false, katamariRadius, itemsCollected);
+
+    return true;
+}
+
+/**
+ * Store the outcome of the current level
+ * @param {boolean} completed - Whether the target size was reached
+ * @param {number} katamariRadius - Final katamari radius
+ * @param {number} itemsCollected - Items collected during the level
+ */
+function recordLevelResults(completed, katamariRadius, itemsCollected) {
+    levelResults = {
+        level: currentLevel,
+        themeName: currentTheme ? currentTheme.themeName : null,
+        seed: levelSeed,
+        completed,
+        timeUsed: elapsedTime,
+        timeLimit,
+        finalSize: katamariRadius,
+        targetSize: targetKatamariSize,
+        itemsCollected
+    };
+
+    debugInfo(`Level ${currentLevel} ${completed ? 'completed' : 'failed'} after ${elapsedTime.toFixed(1)}s`);
+}
+
+/**
+ * Advance the level countdown; called once per frame from the game loop
+ * @param {number} deltaTime - Frame time in seconds
+ * @returns {number} Seconds remaining (Infinity for untimed levels)
+ */
+function updateLevelTimer(deltaTime) {
+    if (isGeneratingLevel || levelResults || !currentTheme) {
+        return getTimeRemaining();
+    }
+
+    // Long frames (e.g. after the tab was in the background) only count up to a cap
+    elapsedTime += Math.min(Math.max(deltaTime, 0), LEVEL.MAX_TIMER_STEP);
+
+    const timeRemaining = getTimeRemaining();
+    if (timeLimit !== null) {
+        updateCountdown(timeRemaining);
+    }
+    return timeRemaining;
+}
+
+/**
+ * Get the time left to complete the current level
+ * @returns {number} Seconds remaining (Infinity for untimed levels)
+ */
+function getTimeRemaining() {
+    if (timeLimit === null) {
+        return Infinity;
+    }
+    return Math.max(0, timeLimit - elapsedTime);
+}
+
+/**
+ * Reset the countdown and clear the previous level's results
+ */
+function resetLevelTimer() {
+    timeLimit = null;
+    elapsedTime = 0;
+    levelResults = null;
+}
+
+/**
+ * Get the results of the current level once it has been completed or failed
+ * @returns {Object|null} Level, theme, seed, completion flag, time used and limit, final and target size,
+ * and items collected; null while the level is still in progress
+ */
+function getLevelResults() {
+    return levelResults;
+}
+
+/**
+ * Check whether the current level was failed
+ * @returns {boolean} True if time ran out before the target size was reached
+ */
+function isLevelFailed() {
+    return levelResults !== null && !levelResults.completed;
+}
+
+/**
+ * Regenerate the current level from the same seed after a failure
+ * @param {Function} createKatamariCallback - Callback to create katamari after level generation
+ * @returns {Promise<void>}
+ */
+function retryLevel(createKatamariCallback = null) {
+    return generateNewLevel(createKatamariCallback, { seed: levelSeed });
+}
+
 /**
  * Calculate target size for current level
  * @returns {number} Target katamari size for current level
@@ -169,6 +314,14 @@ function getTargetKatamariSize() {
     return targetKatamariSize;
 }
 
+/**
+ * Get the seed the current level was generated from
+ * @returns {number|null} Level seed or null if no level has been generated
+ */
+function getLevelSeed() {
+    return levelSeed;
+}
+
 /**
  * Check if level is currently being generated
  * @returns {boolean} True if generating level
@@ -196,6 +349,8 @@ function resetLevelSystem() {
     isGeneratingLevel = false;
     currentTheme = null;
     targetKatamariSize = 0;
+    levelSeed = null;
+    resetLevelTimer();
     debugInfo("Level system reset to initial state");
 }
 
@@ -218,6 +373,10 @@ function getLevelProgressionInfo() {
  */
 function cleanupLevelSystem() {
     debugInfo("Cleaning up level system...");
+    if (unsubscribeItemCollected) {
+        unsubscribeItemCollected();
+        unsubscribeItemCollected = null;
+    }
     resetLevelSystem();
 }
 
@@ -227,10 +386,17 @@ export {
     generateNewLevel,
     generateLevelTheme,
     checkWinCondition,
+    checkFailCondition,
+    updateLevelTimer,
+    getTimeRemaining,
+    getLevelResults,
+    isLevelFailed,
+    retryLevel,
     calculateTargetSize,
     getCurrentLevel,
     getCurrentTheme,
     getTargetKatamariSize,
+    getLevelSeed,
     isLevelGenerating,
     setCurrentLevel,
     resetLevelSystem,
@@ -0,0 +1,320 @@
+/**
+ * Katamari-pedia
+ * Panel listing every catalog item with what the collection log knows about it, and a rotating
+ * 3D preview of the selected item drawn by its own small renderer while the panel is open.
+ */
+
+import * as THREE from 'three';
+import { debugInfo, debugWarn, debugError } from '../utils/debug.js';
+import { UI } from '../utils/constants.js';
+import { getCollectionLog, getCollectionProgress } from './collection.js';
+import { createItemPreview, disposeItemPreview } from '../entities/items.js';
+
+// Panel elements
+let panel = null;
+let progressElement = null;
+let listElement = null;
+let previewContainer = null;
+let detailsElement = null;
+
+// Preview rendering, created the first time the panel opens
+let previewRenderer = null;
+let previewScene = null;
+let previewCamera = null;
+let previewItem = null;
+
+// Panel state
+let isOpen = false;
+let selectedItemName = null;
+let animationFrameId = null;
+let lastFrameTime = 0;
+
+// Callbacks for panel interactions
+let callbacks = {
+    onClose: null
+};
+
+/**
+ * Create an element with a class and text content
+ * @param {string} tagName - Element tag
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} The element
+ */
+function createElement(tagName, className, text = '') {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Initialize the Katamari-pedia panel (hidden until opened)
+ * @param {Object} options - Configuration options with callbacks
+ * @param {Function} options.onClose - Called after the panel is closed
+ */
+function initializePedia(options = {}) {
+    cleanupPedia();
+    callbacks = {
+        onClose: options.onClose || null
+    };
+
+    panel = createElement('div', 'pedia-panel');
+    panel.id = 'pedia-panel';
+
+    const header = createElement('div', 'pedia-header');
+    header.appendChild(createElement('h2', 'pedia-title', 'Katamari-pedia'));
+    progressElement = createElement('span', 'pedia-progress');
+    header.appendChild(progressElement);
+    const closeButton = createElement('button', 'pedia-close', 'Close');
+    closeButton.addEventListener('click', closePedia);
+    header.appendChild(closeButton);
+
+    listElement = createElement('ul', 'pedia-list');
+    previewContainer = createElement('div', 'pedia-preview');
+    detailsElement = createElement('div', 'pedia-details');
+
+    const body = createElement('div', 'pedia-body');
+    body.appendChild(listElement);
+    const entry = createElement('div', 'pedia-entry');
+    entry.appendChild(previewContainer);
+    entry.appendChild(detailsElement);
+    body.appendChild(entry);
+
+    panel.appendChild(header);
+    panel.appendChild(body);
+    document.body.appendChild(panel);
+
+    debugInfo("Katamari-pedia initialized");
+}
+
+/**
+ * Create the renderer, scene and camera of the item preview
+ * @returns {boolean} True if the preview can be rendered
+ */
+function ensurePreviewRenderer() {
+    if (previewRenderer) return true;
+
+    try {
+        previewRenderer = new THREE.WebGLRenderer({ antialias: true, alpha: true });
+        previewRenderer.setSize(UI.PEDIA_PREVIEW_SIZE, UI.PEDIA_PREVIEW_SIZE);
+        previewContainer.appendChild(previewRenderer.domElement);
+    } catch (error) {
+        debugError("Could not create the Katamari-pedia preview renderer:", error);
+        previewRenderer = null;
+        return false;
+    }
+
+    previewScene = new THREE.Scene();
+    previewScene.add(new THREE.AmbientLight(0xffffff, 0.6));
+    const light = new THREE.DirectionalLight(0xffffff, 0.8);
+    light.position.set(1, 2, 3);
+    previewScene.add(light);
+
+    previewCamera = new THREE.PerspectiveCamera(40, 1, 0.1, 1000);
+    return true;
+}
+
+/**
+ * Show the panel, listing the collection log and starting the preview
+ * @returns {boolean} True if the panel is open
+ */
+function openPedia() {
+    if (!panel) {
+        debugWarn("Katamari-pedia opened before it was initialized");
+        return false;
+    }
+    if (isOpen) return true;
+
+    isOpen = true;
+    panel.classList.add('open');
+    ensurePreviewRenderer();
+
+    const log = getCollectionLog();
+    renderList(log);
+    const firstCollected = log.find(item => item.collected);
+    selectPediaItem(selectedItemName || (firstCollected ? firstCollected.name : log[0]?.name));
+
+    lastFrameTime = performance.now();
+    animationFrameId = requestAnimationFrame(animatePreview);
+    return true;
+}
+
+/**
+ * Hide the panel and stop the preview
+ */
+function closePedia() {
+    if (!isOpen) return;
+
+    isOpen = false;
+    panel.classList.remove('open');
+    if (animationFrameId !== null) {
+        cancelAnimationFrame(animationFrameId);
+        animationFrameId = null;
+    }
+    clearPreviewItem();
+
+    if (callbacks.onClose) {
+        callbacks.onClose();
+    }
+}
+
+/**
+ * Open the panel if it is closed, or close it if it is open
+ * @returns {boolean} True if the panel is open afterwards
+ */
+function togglePedia() {
+    if (isOpen) {
+        closePedia();
+        return false;
+    }
+    return openPedia();
+}
+
+/**
+ * Check if the panel is open
+ * @returns {boolean} True if open
+ */
+function isPediaOpen() {
+    return isOpen;
+}
+
+/**
+ * List every catalog item, hiding the names of items not collected yet
+ * @param {Array<Object>} log - Entries from getCollectionLog
+ */
+function renderList(log) {
+    const { collected, total } = getCollectionProgress();
+    progressElement.textContent = `${collected}/${total} collected`;
+
+    listElement.replaceChildren();
+    for (const item of log) {
+        const listItem = createElement('li', item.collected ? 'pedia-item collected' : 'pedia-item', item.collected ? item.name : '???');
+        listItem.dataset.name = item.name;
+        listItem.addEventListener('click', () => selectPediaItem(item.name));
+        listElement.appendChild(listItem);
+    }
+}
+
+/**
+ * Show the details and preview of an item
+ * Items not collected yet keep their secrets: no name, details or preview.
+ * @param {string} name - Item display name
+ * @returns {boolean} True if the item is in the collection log
+ */
+function selectPediaItem(name) {
+    const item = getCollectionLog().find(entry => entry.name === name);
+    if (!item) return false;
+
+    selectedItemName = name;
+    listElement.querySelectorAll('.pedia-item').forEach(listItem => {
+        listItem.classList.toggle('selected', listItem.dataset.name === name);
+    });
+
+    detailsElement.replaceChildren();
+    clearPreviewItem();
+
+    if (!item.collected) {
+        detailsElement.appendChild(createElement('h3', 'pedia-item-name', '???'));
+        detailsElement.appendChild(createElement('p', 'pedia-hint', 'Not collected yet'));
+        return true;
+    }
+
+    detailsElement.appendChild(createElement('h3', 'pedia-item-name', item.name));
+    const stats = createElement('ul', 'pedia-stats');
+    [
+        `Rarity: ${item.rarity}`,
+        `Found in: ${item.themes.join(', ')}`,
+        `Collected: ${item.count}`,
+        `Largest: ${item.largestSize.toFixed(UI.DECIMAL_PLACES)}m`,
+        `First collected: ${new Date(item.firstCollectedAt).toLocaleDateString()}`
+    ].forEach(text => stats.appendChild(createElement('li', 'pedia-stat', text)));
+    detailsElement.appendChild(stats);
+
+    showPreviewItem(name);
+    return true;
+}
+
+/**
+ * Build the preview of an item and frame it in the preview camera
+ * @param {string} name - Item display name
+ */
+function showPreviewItem(name) {
+    if (!previewRenderer) return;
+
+    previewItem = createItemPreview(name);
+    if (!previewItem) return;
+
+    const distance = Math.max(1, previewItem.userData.size) * 3;
+    previewCamera.position.set(0, distance * 0.4, distance);
+    previewCamera.lookAt(0, 0, 0);
+    previewScene.add(previewItem);
+}
+
+/**
+ * Remove and dispose of the current preview item
+ */
+function clearPreviewItem() {
+    if (!previewItem) return;
+
+    previewScene.remove(previewItem);
+    disposeItemPreview(previewItem);
+    previewItem = null;
+}
+
+/**
+ * Turn the preview item and render it, once per animation frame while the panel is open
+ * @param {number} time - Frame timestamp in milliseconds
+ */
+function animatePreview(time = performance.now()) {
+    if (!isOpen) return;
+
+    const deltaTime = Math.max(0, time - lastFrameTime) / 1000;
+    lastFrameTime = time;
+
+    if (previewItem) {
+        previewItem.rotation.y += UI.PEDIA_ROTATION_SPEED * deltaTime;
+    }
+    if (previewRenderer) {
+        previewRenderer.render(previewScene, previewCamera);
+    }
+
+    animationFrameId = requestAnimationFrame(animatePreview);
+}
+
+/**
+ * Clean up the Katamari-pedia panel and its renderer
+ */
+function cleanupPedia() {
+    if (isOpen) {
+        isOpen = false;
+        cancelAnimationFrame(animationFrameId);
+    }
+    animationFrameId = null;
+    clearPreviewItem();
+
+    if (previewRenderer) {
+        previewRenderer.dispose();
+    }
+    if (panel && panel.parentNode) {
+        panel.parentNode.removeChild(panel);
+    }
+
+    panel = progressElement = listElement = previewContainer = detailsElement = null;
+    previewRenderer = previewScene = previewCamera = null;
+    selectedItemName = null;
+    callbacks = {
+        onClose: null
+    };
+}
+
+// Export all Katamari-pedia functions
+export {
+    initializePedia,
+    openPedia,
+    closePedia,
+    togglePedia,
+    isPediaOpen,
+    selectPediaItem,
+    cleanupPedia
+};
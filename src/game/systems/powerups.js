@@ -0,0 +1,108 @@
+/**
+ * Power-up Management System
+ * Tracks active power-ups and their expiry times so the game loop, the Katamari
+ * and the HUD all read from the same source of truth
+ */
+
+import { debugInfo, debugWarn } from '../utils/debug.js';
+import { POWER_UPS } from '../utils/constants.js';
+import { GAME_EVENTS, publish } from '../utils/events.js';
+import { getGameTime } from '../utils/clock.js';
+
+// Active power-ups keyed by type, mapped to their expiry timestamp (game time in ms)
+let activePowerUps = {};
+
+/**
+ * Initialize the power-up system
+ */
+function initializePowerUpSystem() {
+    activePowerUps = {};
+    debugInfo("Power-up system initialized");
+}
+
+/**
+ * Activate a power-up, refreshing its expiry if it is already active, and publish a powerUpActivated event
+ * @param {string} type - Power-up type from POWER_UPS.TYPES
+ * @param {number} duration - Duration in milliseconds
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} True if the power-up was activated
+ */
+function activatePowerUp(type, duration = POWER_UPS.DURATION, now = getGameTime()) {
+    if (!POWER_UPS.TYPES.includes(type)) {
+        debugWarn(`Unknown power-up type: ${type}`);
+        return false;
+    }
+
+    activePowerUps[type] = now + duration;
+    debugInfo(`Power-up activated: ${type} for ${(duration / 1000).toFixed(1)}s`);
+
+    publish(GAME_EVENTS.POWER_UP_ACTIVATED, { type, duration, expiresAt: activePowerUps[type] });
+    return true;
+}
+
+/**
+ * Remove expired power-ups; called once per frame from the game loop
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Array<string>} Types that expired during this update
+ */
+function updatePowerUps(now = getGameTime()) {
+    const expired = [];
+
+    for (const [type, expiryTime] of Object.entries(activePowerUps)) {
+        if (expiryTime <= now) {
+            delete activePowerUps[type];
+            expired.push(type);
+        }
+    }
+
+    if (expired.length > 0) {
+        debugInfo(`Power-ups expired: ${expired.join(', ')}`);
+    }
+
+    return expired;
+}
+
+/**
+ * Check whether a power-up is currently active
+ * @param {string} type - Power-up type
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} True if the power-up is active and not yet expired
+ */
+function isPowerUpActive(type, now = getGameTime()) {
+    const expiryTime = activePowerUps[type];
+    return expiryTime !== undefined && expiryTime > now;
+}
+
+/**
+ * Get the active power-up map (type -> expiry timestamp)
+ * @returns {Object} Active power-ups
+ */
+function getActivePowerUps() {
+    return activePowerUps;
+}
+
+/**
+ * Deactivate all power-ups (e.g. when a new level starts)
+ */
+function clearPowerUps() {
+    activePowerUps = {};
+}
+
+/**
+ * Cleanup power-up system resources
+ */
+function cleanupPowerUpSystem() {
+    debugInfo("Cleaning up power-up system...");
+    clearPowerUps();
+}
+
+// Export all power-up management functions
+export {
+    initializePowerUpSystem,
+    activatePowerUp,
+    updatePowerUps,
+    isPowerUpActive,
+    getActivePowerUps,
+    clearPowerUps,
+    cleanupPowerUpSystem
+};
@@ -0,0 +1,326 @@
+/**
+ * Replay System
+ * Records the katamari's position, rotation and radius every physics step of a level, with the
+ * items it rolls up, and plays the recording back on the results screen at an adjustable speed.
+ * Playback only poses the katamari's visuals and the camera; the physics world is not stepped.
+ */
+
+import { debugInfo, debugWarn } from '../utils/debug.js';
+import { REPLAY } from '../utils/constants.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+
+// Recorded values per frame: time, position (x, y, z), quaternion (x, y, z, w), radius,
+// items attached and items collected
+const FRAME_STRIDE = 11;
+
+// Recording of the current level
+let frames = new Float32Array(REPLAY.INITIAL_CAPACITY * FRAME_STRIDE);
+let frameCount = 0;
+let recordedTime = 0;
+let collections = []; // {frame, name, size} per item rolled up, in collection order
+let recordingFull = false;
+
+// Playback state
+let isPlayingBack = false;
+let playbackTime = 0;
+let playbackSpeed = REPLAY.DEFAULT_SPEED;
+let playbackFrame = 0; // Index of the recorded frame at or before playbackTime
+let collectionsReached = 0; // Collections recorded up to playbackFrame
+
+let eventSubscriptions = [];
+
+/**
+ * Initialize the replay system
+ * A new recording starts with every level; collected items are logged from the game events.
+ */
+function initializeReplaySystem() {
+    clearRecording();
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.LEVEL_STARTED, clearRecording),
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, onItemCollected)
+    ];
+
+    debugInfo("Replay system initialized");
+}
+
+/**
+ * Drop the current recording and stop any playback
+ */
+function clearRecording() {
+    stopReplay();
+    frames = new Float32Array(REPLAY.INITIAL_CAPACITY * FRAME_STRIDE);
+    frameCount = 0;
+    recordedTime = 0;
+    collections = [];
+    recordingFull = false;
+}
+
+/**
+ * Log an itemCollected event against the frame of the physics step it happened in; power-up pickups are not items
+ * @param {Object} event - itemCollected payload {item}
+ */
+function onItemCollected({ item }) {
+    if (isPlayingBack || item.isPowerUp) return;
+    collections.push({ frame: frameCount, name: item.name, size: item.size });
+}
+
+/**
+ * Record the katamari's state after a physics step
+ * @param {Object} katamari - Katamari instance
+ * @param {number} deltaTime - Time since the previous frame in seconds
+ * @returns {boolean} True if the frame was recorded
+ */
+function recordReplayFrame(katamari, deltaTime) {
+    if (isPlayingBack || !katamari) return false;
+
+    if (frameCount >= REPLAY.MAX_FRAMES) {
+        if (!recordingFull) {
+            debugWarn(`Replay recording is full (${REPLAY.MAX_FRAMES} frames); the rest of the level is not recorded`);
+            recordingFull = true;
+        }
+        return false;
+    }
+
+    // Grow the buffer by doubling, up to the frame limit
+    if ((frameCount + 1) * FRAME_STRIDE > frames.length) {
+        const grown = new Float32Array(Math.min(frames.length * 2, REPLAY.MAX_FRAMES * FRAME_STRIDE));
+        grown.set(frames);
+        frames = grown;
+    }
+
+    recordedTime += Math.max(0, deltaTime);
+
+    const position = katamari.getPosition();
+    const quaternion = katamari.group.quaternion;
+    const offset = frameCount * FRAME_STRIDE;
+    frames[offset] = recordedTime;
+    frames[offset + 1] = position.x;
+    frames[offset + 2] = position.y;
+    frames[offset + 3] = position.z;
+    frames[offset + 4] = quaternion.x;
+    frames[offset + 5] = quaternion.y;
+    frames[offset + 6] = quaternion.z;
+    frames[offset + 7] = quaternion.w;
+    frames[offset + 8] = katamari.radius;
+    frames[offset + 9] = katamari.attachmentCount;
+    frames[offset + 10] = katamari.itemsCollectedCount;
+    frameCount++;
+    return true;
+}
+
+/**
+ * Get the number of recorded frames
+ * @returns {number} Frame count
+ */
+function getRecordedFrameCount() {
+    return frameCount;
+}
+
+/**
+ * Check if there is a recording long enough to replay
+ * @returns {boolean} True if at least two frames were recorded
+ */
+function hasReplay() {
+    return frameCount >= 2;
+}
+
+/**
+ * Get the items rolled up during the recording
+ * @returns {Array<Object>} {frame, name, size} per item, frame being the index of the recorded frame it was collected in
+ */
+function getReplayCollections() {
+    return collections.map(collection => ({ ...collection }));
+}
+
+/**
+ * Start playing the recording from the beginning
+ * @param {Object} options - Playback options
+ * @param {number} options.speed - Playback speed multiplier
+ * @returns {boolean} True if playback started
+ */
+function startReplay(options = {}) {
+    if (!hasReplay()) {
+        debugWarn("No replay recorded for this level");
+        return false;
+    }
+
+    isPlayingBack = true;
+    playbackTime = frames[0];
+    playbackFrame = 0;
+    collectionsReached = 0;
+    setReplaySpeed(options.speed !== undefined ? options.speed : REPLAY.DEFAULT_SPEED);
+
+    debugInfo(`Replay started (${frameCount} frames, ${recordedTime.toFixed(1)}s)`);
+    return true;
+}
+
+/**
+ * Stop playback; the recording is kept so it can be replayed again
+ */
+function stopReplay() {
+    isPlayingBack = false;
+    playbackTime = 0;
+    playbackFrame = 0;
+    collectionsReached = 0;
+}
+
+/**
+ * Check if a replay is playing
+ * @returns {boolean} True while playing back
+ */
+function isReplaying() {
+    return isPlayingBack;
+}
+
+/**
+ * Set the playback speed
+ * @param {number} speed - Playback speed multiplier, greater than zero
+ * @returns {boolean} True if the speed was set
+ */
+function setReplaySpeed(speed) {
+    if (typeof speed !== 'number' || !(speed > 0)) {
+        debugWarn(`Invalid replay speed: ${speed}`);
+        return false;
+    }
+    playbackSpeed = speed;
+    return true;
+}
+
+/**
+ * Move to the next speed in REPLAY.SPEEDS, wrapping round to the slowest
+ * @returns {number} New playback speed
+ */
+function cycleReplaySpeed() {
+    const speeds = REPLAY.SPEEDS;
+    const index = speeds.indexOf(playbackSpeed);
+    playbackSpeed = speeds[(index + 1) % speeds.length];
+    return playbackSpeed;
+}
+
+/**
+ * Get the playback speed
+ * @returns {number} Playback speed multiplier
+ */
+function getReplaySpeed() {
+    return playbackSpeed;
+}
+
+/**
+ * Get how far playback has got through the recording
+ * @returns {number} Progress from 0 to 1
+ */
+function getReplayProgress() {
+    if (!hasReplay()) return 0;
+
+    const start = frames[0];
+    const duration = frames[(frameCount - 1) * FRAME_STRIDE] - start;
+    return duration > 0 ? Math.min(1, Math.max(0, (playbackTime - start) / duration)) : 1;
+}
+
+/**
+ * Advance playback and get the katamari's state at the new playback time
+ * Positions, rotations and radii are interpolated between the recorded frames around that time.
+ * Playback stops once it reaches the last recorded frame, which is returned as the final replay frame.
+ * @param {number} deltaTime - Time since the previous frame in seconds
+ * @returns {Object|null} Replay frame {time, position, quaternion, radius, velocity, attachedCount,
+ * itemsCollected, lastCollection}, or null if no replay is playing
+ */
+function updateReplay(deltaTime) {
+    if (!isPlayingBack) return null;
+
+    playbackTime += Math.max(0, deltaTime) * playbackSpeed;
+
+    const lastFrame = frameCount - 1;
+    while (playbackFrame < lastFrame && frames[(playbackFrame + 1) * FRAME_STRIDE] <= playbackTime) {
+        playbackFrame++;
+    }
+    while (collectionsReached < collections.length && collections[collectionsReached].frame <= playbackFrame) {
+        collectionsReached++;
+    }
+
+    const nextFrame = Math.min(playbackFrame + 1, lastFrame);
+    const frame = interpolateFrames(playbackFrame, nextFrame, playbackTime);
+
+    if (playbackFrame >= lastFrame) {
+        debugInfo("Replay finished");
+        stopReplay();
+    }
+    return frame;
+}
+
+/**
+ * Build the replay frame between two recorded frames
+ * @param {number} from - Index of the recorded frame at or before the time
+ * @param {number} to - Index of the recorded frame after the time
+ * @param {number} time - Playback time in seconds
+ * @returns {Object} Replay frame (see updateReplay)
+ */
+function interpolateFrames(from, to, time) {
+    const a = from * FRAME_STRIDE;
+    const b = to * FRAME_STRIDE;
+    const span = frames[b] - frames[a];
+    const t = span > 0 ? Math.min(1, Math.max(0, (time - frames[a]) / span)) : 1;
+    const lerp = (index) => frames[a + index] + (frames[b + index] - frames[a + index]) * t;
+
+    // Normalized lerp along the shorter arc between the two rotations
+    const sign = frames[a + 4] * frames[b + 4] + frames[a + 5] * frames[b + 5] +
+        frames[a + 6] * frames[b + 6] + frames[a + 7] * frames[b + 7] < 0 ? -1 : 1;
+    const quaternion = {};
+    ['x', 'y', 'z', 'w'].forEach((axis, i) => {
+        quaternion[axis] = frames[a + 4 + i] * (1 - t) + frames[b + 4 + i] * sign * t;
+    });
+    const length = Math.hypot(quaternion.x, quaternion.y, quaternion.z, quaternion.w) || 1;
+    ['x', 'y', 'z', 'w'].forEach(axis => { quaternion[axis] /= length; });
+
+    // Velocity over the recorded frames, in recorded (not playback) time, for the camera's auto-align
+    const velocity = span > 0
+        ? {
+            x: (frames[b + 1] - frames[a + 1]) / span,
+            y: (frames[b + 2] - frames[a + 2]) / span,
+            z: (frames[b + 3] - frames[a + 3]) / span
+        }
+        : { x: 0, y: 0, z: 0 };
+
+    return {
+        time: Math.min(time, frames[(frameCount - 1) * FRAME_STRIDE]),
+        position: { x: lerp(1), y: lerp(2), z: lerp(3) },
+        quaternion,
+        radius: lerp(8),
+        velocity,
+        attachedCount: frames[a + 9],
+        itemsCollected: frames[a + 10],
+        lastCollection: collectionsReached > 0 ? { ...collections[collectionsReached - 1] } : null
+    };
+}
+
+/**
+ * Clean up the replay system
+ */
+function cleanupReplaySystem() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [];
+    clearRecording();
+    playbackSpeed = REPLAY.DEFAULT_SPEED;
+
+    debugInfo("Replay system cleanup completed");
+}
+
+// Export all replay functions
+export {
+    initializeReplaySystem,
+    recordReplayFrame,
+    getRecordedFrameCount,
+    hasReplay,
+    getReplayCollections,
+    startReplay,
+    stopReplay,
+    isReplaying,
+    setReplaySpeed,
+    cycleReplaySpeed,
+    getReplaySpeed,
+    getReplayProgress,
+    updateReplay,
+    cleanupReplaySystem
+};
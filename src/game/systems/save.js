@@ -0,0 +1,310 @@
+/**
+ * Save Game System
+ * Persists level progression, per-theme records and player settings between sessions.
+ * Storage is injectable so tests can drive the system with a fake localStorage.
+ */
+
+import { debugInfo, debugWarn, debugError } from '../utils/debug.js';
+import { SAVE } from '../utils/constants.js';
+
+// Storage backend (localStorage in the browser, anything with getItem/setItem/removeItem in tests)
+let storage = null;
+
+// In-memory copy of the current save data
+let saveData = null;
+
+// Migrations keyed by the version they upgrade from; each returns data for the next version.
+// Version 0 is save data written before the schema was versioned.
+const migrations = {
+    0: (data) => ({
+        ...createDefaultSaveData(),
+        ...data,
+        version: 1
+    }),
+    // Version 2 added achievement unlocks and progress
+    1: (data) => ({
+        ...data,
+        achievements: { unlocked: {}, itemCounts: {} },
+        version: 2
+    }),
+    // Version 3 added the collection log of the Katamari-pedia
+    2: (data) => ({
+        ...data,
+        collectionLog: {},
+        version: 3
+    })
+};
+
+/**
+ * Create save data for a brand new player
+ * @returns {Object} Default save data at the current schema version
+ */
+function createDefaultSaveData() {
+    return {
+        version: SAVE.SCHEMA_VERSION,
+        currentLevel: 1,
+        bestRadiusByTheme: {},
+        totalItemsCollected: 0,
+        achievements: {
+            unlocked: {},
+            itemCounts: {}
+        },
+        collectionLog: {},
+        settings: {
+            gyro: false,
+            debug: true,
+            audio: true
+        }
+    };
+}
+
+/**
+ * Get the browser's localStorage if it is accessible
+ * @returns {Storage|null} localStorage or null when unavailable (e.g. privacy mode, sandboxed iframe)
+ */
+function getDefaultStorage() {
+    try {
+        return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+    } catch (error) {
+        debugWarn("localStorage is not accessible, progress will not be saved:", error);
+        return null;
+    }
+}
+
+/**
+ * Initialize the save system and load any existing save
+ * @param {Object} options - Configuration options
+ * @param {Object} options.storage - Storage backend to use instead of localStorage
+ * @returns {Object} The loaded save data
+ */
+function initializeSaveSystem(options = {}) {
+    storage = options.storage !== undefined ? options.storage : getDefaultStorage();
+    saveData = null;
+
+    const data = loadGame();
+    debugInfo(`Save system initialized (level ${data.currentLevel}, ${data.totalItemsCollected} items collected)`);
+    return data;
+}
+
+/**
+ * Upgrade save data from an older schema version to the current one
+ * @param {Object} data - Parsed save data
+ * @returns {Object|null} Migrated save data, or null if it cannot be migrated
+ */
+function migrateSaveData(data) {
+    let migrated = { ...data };
+    let version = typeof migrated.version === 'number' ? migrated.version : 0;
+
+    if (version > SAVE.SCHEMA_VERSION) {
+        debugWarn(`Save data version ${version} is newer than supported version ${SAVE.SCHEMA_VERSION}`);
+        return null;
+    }
+
+    while (version < SAVE.SCHEMA_VERSION) {
+        const migrate = migrations[version];
+        if (!migrate) {
+            debugWarn(`No save migration from version ${version}`);
+            return null;
+        }
+
+        migrated = migrate(migrated);
+        debugInfo(`Migrated save data from version ${version} to ${migrated.version}`);
+        version = migrated.version;
+    }
+
+    return migrated;
+}
+
+/**
+ * Fill in missing or invalid fields so the rest of the game can trust the save data
+ * @param {Object} data - Save data at the current schema version
+ * @returns {Object} Normalized save data
+ */
+function normalizeSaveData(data) {
+    const defaults = createDefaultSaveData();
+
+    return {
+        ...defaults,
+        ...data,
+        currentLevel: Number.isInteger(data.currentLevel) && data.currentLevel > 0 ? data.currentLevel : defaults.currentLevel,
+        totalItemsCollected: typeof data.totalItemsCollected === 'number' && data.totalItemsCollected >= 0
+            ? data.totalItemsCollected
+            : defaults.totalItemsCollected,
+        bestRadiusByTheme: { ...defaults.bestRadiusByTheme, ...data.bestRadiusByTheme },
+        achievements: {
+            unlocked: { ...data.achievements?.unlocked },
+            itemCounts: { ...data.achievements?.itemCounts }
+        },
+        collectionLog: data.collectionLog && typeof data.collectionLog === 'object' ? { ...data.collectionLog } : defaults.collectionLog,
+        settings: { ...defaults.settings, ...data.settings }
+    };
+}
+
+/**
+ * Load the save data from storage, falling back to a fresh save if none exists or it is unreadable
+ * @returns {Object} The loaded save data
+ */
+function loadGame() {
+    saveData = createDefaultSaveData();
+
+    if (!storage) {
+        return saveData;
+    }
+
+    try {
+        const raw = storage.getItem(SAVE.STORAGE_KEY);
+        if (!raw) {
+            return saveData;
+        }
+
+        const parsed = JSON.parse(raw);
+        if (!parsed || typeof parsed !== 'object') {
+            debugWarn("Ignoring malformed save data");
+            return saveData;
+        }
+
+        const migrated = migrateSaveData(parsed);
+        if (migrated) {
+            saveData = normalizeSaveData(migrated);
+        }
+    } catch (error) {
+        debugError("Error loading save data:", error);
+    }
+
+    return saveData;
+}
+
+/**
+ * Merge changes into the save data and write it to storage
+ * @param {Object} updates - Fields to update; settings are merged rather than replaced
+ * @returns {boolean} True if the save data was written
+ */
+function saveGame(updates = {}) {
+    const current = getSaveData();
+
+    saveData = {
+        ...current,
+        ...updates,
+        version: SAVE.SCHEMA_VERSION,
+        settings: { ...current.settings, ...updates.settings }
+    };
+
+    if (!storage) {
+        return false;
+    }
+
+    try {
+        storage.setItem(SAVE.STORAGE_KEY, JSON.stringify(saveData));
+        return true;
+    } catch (error) {
+        debugError("Error writing save data:", error);
+        return false;
+    }
+}
+
+/**
+ * Delete the save from storage and reset to a fresh save
+ * @returns {boolean} True if the stored save was removed
+ */
+function clearSave() {
+    saveData = createDefaultSaveData();
+
+    if (!storage) {
+        return false;
+    }
+
+    try {
+        storage.removeItem(SAVE.STORAGE_KEY);
+        debugInfo("Save data cleared");
+        return true;
+    } catch (error) {
+        debugError("Error clearing save data:", error);
+        return false;
+    }
+}
+
+/**
+ * Get the current save data, loading it on first access
+ * @returns {Object} Current save data
+ */
+function getSaveData() {
+    if (!saveData) {
+        return loadGame();
+    }
+    return saveData;
+}
+
+/**
+ * Record the result of a level run and save it
+ * @param {Object} result - Level result
+ * @param {string} result.themeName - Theme the run was played in
+ * @param {number} result.radius - Katamari radius reached
+ * @param {number} result.itemsCollected - Items collected during the run
+ * @param {number} result.nextLevel - Level the player continues from
+ * @returns {boolean} True if the save data was written
+ */
+function recordLevelProgress({ themeName, radius, itemsCollected, nextLevel }) {
+    const current = getSaveData();
+    const bestRadiusByTheme = { ...current.bestRadiusByTheme };
+
+    if (themeName && radius > (bestRadiusByTheme[themeName] || 0)) {
+        bestRadiusByTheme[themeName] = radius;
+    }
+
+    return saveGame({
+        currentLevel: nextLevel > 0 ? nextLevel : current.currentLevel,
+        bestRadiusByTheme,
+        totalItemsCollected: current.totalItemsCollected + (itemsCollected || 0)
+    });
+}
+
+/**
+ * Update one or more settings and save them
+ * @param {Object} settings - Settings to change (gyro, debug, audio, bindings, controlScheme, cameraAutoAlign)
+ * @returns {boolean} True if the save data was written
+ */
+function updateSettings(settings) {
+    return saveGame({ settings });
+}
+
+/**
+ * Update achievement unlocks and progress and save them
+ * @param {Object} achievements - Fields to change (unlocked: id -> unlock time, itemCounts: item name -> count)
+ * @returns {boolean} True if the save data was written
+ */
+function updateAchievementData(achievements) {
+    const current = getSaveData();
+    return saveGame({ achievements: { ...current.achievements, ...achievements } });
+}
+
+/**
+ * Replace the collection log and save it
+ * @param {Object} collectionLog - Collection log entries keyed by item name ({firstCollectedAt, count, largestSize})
+ * @returns {boolean} True if the save data was written
+ */
+function updateCollectionLog(collectionLog) {
+    return saveGame({ collectionLog });
+}
+
+/**
+ * Cleanup save system resources
+ */
+function cleanupSaveSystem() {
+    debugInfo("Cleaning up save system...");
+    storage = null;
+    saveData = null;
+}
+
+// Export all save game functions
+export {
+    initializeSaveSystem,
+    loadGame,
+    saveGame,
+    clearSave,
+    getSaveData,
+    recordLevelProgress,
+    updateSettings,
+    updateAchievementData,
+    updateCollectionLog,
+    cleanupSaveSystem
+};
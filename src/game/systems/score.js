@@ -0,0 +1,233 @@
+/**
+ * Score System
+ * Awards points for items the katamari rolls up, based on their size relative to the katamari
+ * and their catalog rarity, with a multiplier for quick consecutive pickups and a penalty for
+ * items knocked loose. Fed by the itemCollected and itemShed events published by the Katamari.
+ */
+
+import { debugInfo, debugLog } from '../utils/debug.js';
+import { SCORE } from '../utils/constants.js';
+import { getItemDefinition } from '../entities/catalog.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+import { getGameTime } from '../utils/clock.js';
+
+// Score of the current level
+let score = 0;
+let bestCombo = 0;
+
+// Current combo: consecutive pickups, each within SCORE.COMBO_WINDOW of the previous one
+let comboCount = 0;
+let lastPickupTime = -Infinity;
+
+// Per item type totals for the results screen, keyed by item name
+let collectedItems = new Map();
+
+// Callbacks for score changes
+let callbacks = {
+    onScoreChange: null
+};
+let eventSubscriptions = [];
+
+/**
+ * Initialize the score system and subscribe to collection, shedding and level start events
+ * @param {Object} options - Configuration options with callbacks
+ * @param {Function} options.onScoreChange - Called with the new score and combo after every change
+ */
+function initializeScoreSystem(options = {}) {
+    resetScore();
+    callbacks = {
+        onScoreChange: options.onScoreChange || null
+    };
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, onItemCollected),
+        subscribe(GAME_EVENTS.ITEM_SHED, onItemsShed),
+        // Every level and retry starts from a score of zero
+        subscribe(GAME_EVENTS.LEVEL_STARTED, resetScore)
+    ];
+
+    debugInfo("Score system initialized");
+}
+
+/**
+ * Get the point multiplier for an item's rarity
+ * @param {string} itemName - Item display name
+ * @returns {number} Multiplier from SCORE.RARITY_MULTIPLIERS (common for unknown items)
+ */
+function getRarityMultiplier(itemName) {
+    const rarity = getItemDefinition(itemName)?.rarity || 'common';
+    return SCORE.RARITY_MULTIPLIERS[rarity] ?? SCORE.RARITY_MULTIPLIERS.common;
+}
+
+/**
+ * Get the multiplier for a combo of consecutive pickups
+ * @param {number} count - Pickups in the combo
+ * @returns {number} Combo multiplier (1 for a single pickup)
+ */
+function getComboMultiplier(count) {
+    return Math.min(SCORE.MAX_COMBO_MULTIPLIER, 1 + Math.max(0, count - 1) * SCORE.COMBO_STEP);
+}
+
+/**
+ * Calculate the points an item is worth
+ * @param {number} itemSize - Item size
+ * @param {number} katamariRadius - Katamari radius when the item was collected
+ * @param {number} rarityMultiplier - Multiplier for the item's rarity
+ * @param {number} comboMultiplier - Multiplier for the current combo
+ * @returns {number} Points, at least SCORE.MIN_POINTS
+ */
+function calculateItemPoints(itemSize, katamariRadius, rarityMultiplier = 1, comboMultiplier = 1) {
+    const relativeSize = Math.min(SCORE.MAX_RELATIVE_SIZE, Math.max(SCORE.MIN_RELATIVE_SIZE, itemSize / katamariRadius));
+    return Math.max(SCORE.MIN_POINTS, Math.round(SCORE.BASE_POINTS * relativeSize * rarityMultiplier * comboMultiplier));
+}
+
+/**
+ * Award points for a collected item
+ * @param {Object} pickup - Collected item
+ * @param {string} pickup.name - Item display name
+ * @param {number} pickup.size - Item size
+ * @param {number} pickup.katamariRadius - Katamari radius before the item was collected
+ * @param {number} pickup.time - Collection time in milliseconds
+ * @returns {number} Points awarded
+ */
+function recordPickup({ name, size, katamariRadius, time = getGameTime() }) {
+    comboCount = time - lastPickupTime <= SCORE.COMBO_WINDOW ? comboCount + 1 : 1;
+    lastPickupTime = time;
+    bestCombo = Math.max(bestCombo, comboCount);
+
+    const points = calculateItemPoints(size, katamariRadius, getRarityMultiplier(name), getComboMultiplier(comboCount));
+    score += points;
+
+    const itemName = name || 'Unknown';
+    const totals = collectedItems.get(itemName) || { name: itemName, count: 0, points: 0, largestSize: 0 };
+    totals.count++;
+    totals.points += points;
+    totals.largestSize = Math.max(totals.largestSize, size);
+    collectedItems.set(itemName, totals);
+
+    debugLog(`Scored ${points} for ${itemName} (combo x${comboCount}), score ${score}`);
+    notifyScoreChange();
+    return points;
+}
+
+/**
+ * Take points off for items knocked loose and break the combo
+ * @param {number} count - Number of items shed
+ * @returns {number} Points lost
+ */
+function recordShed(count) {
+    const penalty = Math.min(score, count * SCORE.SHED_PENALTY);
+    score -= penalty;
+    comboCount = 0;
+    lastPickupTime = -Infinity;
+
+    debugLog(`Lost ${penalty} points for shedding ${count} item(s), score ${score}`);
+    notifyScoreChange();
+    return penalty;
+}
+
+/**
+ * Score an itemCollected event; power-up pickups are not worth points
+ * @param {Object} event - itemCollected payload {item, katamariRadius, time}
+ */
+function onItemCollected({ item, katamariRadius, time }) {
+    if (item.isPowerUp) return;
+    recordPickup({ name: item.name, size: item.size, katamariRadius, time });
+}
+
+/**
+ * Take the penalty for an itemShed event
+ * @param {Object} event - itemShed payload {items}
+ */
+function onItemsShed({ items }) {
+    recordShed(items.length);
+}
+
+/**
+ * Pass the new score to the onScoreChange callback
+ */
+function notifyScoreChange() {
+    if (callbacks.onScoreChange) {
+        callbacks.onScoreChange(score, getCombo());
+    }
+}
+
+/**
+ * Get the score of the current level
+ * @returns {number} Score
+ */
+function getScore() {
+    return score;
+}
+
+/**
+ * Get the current combo
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Pickups in the combo (0 once it has run out) and its multiplier
+ */
+function getCombo(now = lastPickupTime) {
+    const count = now - lastPickupTime <= SCORE.COMBO_WINDOW ? comboCount : 0;
+    return { count, multiplier: getComboMultiplier(count) };
+}
+
+/**
+ * Get the score summary for the results screen
+ * @param {number} topCount - Number of item types to list
+ * @returns {Object} Score, best combo, items collected and the top-scoring item types
+ * ({name, count, points, largestSize}, highest points first)
+ */
+function getScoreSummary(topCount = SCORE.TOP_ITEMS_COUNT) {
+    const items = [...collectedItems.values()];
+    const topItems = items
+        .sort((a, b) => b.points - a.points || b.count - a.count)
+        .slice(0, topCount)
+        .map(item => ({ ...item }));
+
+    return {
+        score,
+        bestCombo,
+        itemsCollected: items.reduce((total, item) => total + item.count, 0),
+        topItems
+    };
+}
+
+/**
+ * Reset the score for a new level
+ */
+function resetScore() {
+    score = 0;
+    bestCombo = 0;
+    comboCount = 0;
+    lastPickupTime = -Infinity;
+    collectedItems = new Map();
+}
+
+/**
+ * Clean up the score system
+ */
+function cleanupScoreSystem() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [];
+
+    resetScore();
+    callbacks = {
+        onScoreChange: null
+    };
+
+    debugInfo("Score system cleanup completed");
+}
+
+// Export all score functions
+export {
+    initializeScoreSystem,
+    calculateItemPoints,
+    getComboMultiplier,
+    recordPickup,
+    recordShed,
+    getScore,
+    getCombo,
+    getScoreSummary,
+    resetScore,
+    cleanupScoreSystem
+};
@@ -0,0 +1,175 @@
+/**
+ * Game State Machine
+ * Tracks whether the game is booting, on the title screen, playing, paused, showing
+ * a level result or replaying it, so the game loop and overlays all read from one source of truth.
+ * Leaving the page while playing pauses the game.
+ * Also keeps the play clock, which only runs while playing, so gameplay timers (power-ups, combos,
+ * cooldowns, fade-ins) stand still on the pause, title and result screens.
+ */
+
+import { debugInfo, debugWarn } from '../utils/debug.js';
+
+// Game states
+const GAME_STATES = Object.freeze({
+    BOOT: 'boot',
+    TITLE: 'title',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    LEVEL_COMPLETE: 'level-complete',
+    LEVEL_FAILED: 'level-failed',
+    REPLAY: 'replay'
+});
+
+// States each state can move to
+const TRANSITIONS = {
+    [GAME_STATES.BOOT]: [GAME_STATES.TITLE],
+    [GAME_STATES.TITLE]: [GAME_STATES.PLAYING],
+    [GAME_STATES.PLAYING]: [GAME_STATES.PAUSED, GAME_STATES.LEVEL_COMPLETE, GAME_STATES.LEVEL_FAILED],
+    [GAME_STATES.PAUSED]: [GAME_STATES.PLAYING],
+    [GAME_STATES.LEVEL_COMPLETE]: [GAME_STATES.PLAYING, GAME_STATES.REPLAY],
+    [GAME_STATES.LEVEL_FAILED]: [GAME_STATES.PLAYING, GAME_STATES.REPLAY],
+    // A replay returns to the result it was started from
+    [GAME_STATES.REPLAY]: [GAME_STATES.LEVEL_COMPLETE, GAME_STATES.LEVEL_FAILED]
+};
+
+// State machine state
+let currentState = GAME_STATES.BOOT;
+
+// Play clock: wall clock time less the time spent outside the playing state
+let stoppedTime = 0;
+let stoppedAt = Date.now(); // When play last stopped, or null while playing
+
+// Callbacks for state changes
+let callbacks = {
+    onStateChange: null
+};
+
+/**
+ * Initialize the game state machine in the boot state
+ * @param {Object} options - Configuration options with callbacks
+ * @param {Function} options.onStateChange - Called with (state, previousState) after each transition
+ */
+function initializeGameState(options = {}) {
+    currentState = GAME_STATES.BOOT;
+    resetPlayClock();
+    callbacks = {
+        onStateChange: options.onStateChange || null
+    };
+
+    document.addEventListener('visibilitychange', onVisibilityChange);
+
+    debugInfo("Game state machine initialized");
+}
+
+/**
+ * Check whether the game can move from one state to another
+ * @param {string} from - Current state
+ * @param {string} to - Next state
+ * @returns {boolean} True if the transition is allowed
+ */
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move the game to another state
+ * Setting the current state again does nothing.
+ * @param {string} nextState - State from GAME_STATES
+ * @returns {boolean} True if the game is in the requested state afterwards
+ */
+function setGameState(nextState) {
+    if (nextState === currentState) {
+        return true;
+    }
+
+    if (!canTransition(currentState, nextState)) {
+        debugWarn(`Invalid game state transition: ${currentState} -> ${nextState}`);
+        return false;
+    }
+
+    const previousState = currentState;
+    currentState = nextState;
+
+    if (nextState === GAME_STATES.PLAYING) {
+        stoppedTime += Date.now() - stoppedAt;
+        stoppedAt = null;
+    } else if (previousState === GAME_STATES.PLAYING) {
+        stoppedAt = Date.now();
+    }
+    debugInfo(`Game state: ${previousState} -> ${currentState}`);
+
+    if (callbacks.onStateChange) {
+        callbacks.onStateChange(currentState, previousState);
+    }
+    return true;
+}
+
+/**
+ * Get the current game state
+ * @returns {string} State from GAME_STATES
+ */
+function getGameState() {
+    return currentState;
+}
+
+/**
+ * Check if the game is being played, i.e. physics, audio and gameplay input should update
+ * @returns {boolean} True in the playing state
+ */
+function isPlaying() {
+    return currentState === GAME_STATES.PLAYING;
+}
+
+/**
+ * Get the play clock's time, which stands still outside the playing state
+ * Set as the game time source so gameplay timers only count down during play.
+ * @returns {number} Time in milliseconds
+ */
+function getPlayTime() {
+    return (stoppedAt ?? Date.now()) - stoppedTime;
+}
+
+/**
+ * Stop the play clock and drop the time it has been stopped for
+ */
+function resetPlayClock() {
+    stoppedTime = 0;
+    stoppedAt = Date.now();
+}
+
+/**
+ * Pause the game when the page is hidden (tab switched, window minimised)
+ */
+function onVisibilityChange() {
+    if (document.hidden && currentState === GAME_STATES.PLAYING) {
+        debugInfo("Page hidden, pausing game");
+        setGameState(GAME_STATES.PAUSED);
+    }
+}
+
+/**
+ * Clean up the game state machine
+ */
+function cleanupGameState() {
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+
+    currentState = GAME_STATES.BOOT;
+    resetPlayClock();
+    callbacks = {
+        onStateChange: null
+    };
+
+    debugInfo("Game state machine cleanup completed");
+}
+
+// Export all game state functions
+export {
+    GAME_STATES,
+    initializeGameState,
+    canTransition,
+    setGameState,
+    getGameState,
+    isPlaying,
+    getPlayTime,
+    cleanupGameState
+};
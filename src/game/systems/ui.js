@@ -6,19 +6,36 @@
 
 import { debugLog, debugWarn, debugError, debugInfo, getDebugMode } from '../utils/debug.js';
 import { UI } from '../utils/constants.js';
+import { GAME_STATES } from './state.js';
+import { GAME_EVENTS, subscribe } from '../utils/events.js';
+import { getGameTime } from '../utils/clock.js';
 
 // UI element references
 let katamariSizeUI = null;
 let katamariSpeedUI = null;
 let itemsCollectedUI = null;
+let scoreUI = null;
+let comboUI = null;
 let progressBar = null;
 let targetSizeUI = null;
+let timeRemainingUI = null;
 let messageOverlay = null;
 let loadingOverlay = null;
 let gyroButton = null;
 let debugButton = null;
+let audioButton = null;
+let controlsButton = null;
+let cameraButton = null;
+let pediaButton = null;
+let replayControls = null;
+let replayCaptionUI = null;
+let replayProgressBar = null;
+let replaySpeedButton = null;
+let replayExitButton = null;
 let powerUpStatusUI = null;
 let fpsUI = null;
+let seedInfoUI = null;
+let levelSeedUI = null;
 
 // UI state
 let isDebugMode = true;
@@ -28,8 +45,16 @@ let useGyroscope = false;
 let callbacks = {
     onMessageOverlayClick: null,
     onGyroToggle: null,
-    onDebugToggle: null
+    onDebugToggle: null,
+    onAudioToggle: null,
+    onControlsToggle: null,
+    onCameraAutoAlignToggle: null,
+    onPediaToggle: null,
+    onReplay: null,
+    onReplaySpeed: null,
+    onReplayExit: null
 };
+let eventSubscriptions = [];
 
 /**
  * Initialize the UI management system
@@ -42,21 +67,42 @@ export function initializeUISystem(options = {}) {
     callbacks = {
         onMessageOverlayClick: options.onMessageOverlayClick || null,
         onGyroToggle: options.onGyroToggle || null,
-        onDebugToggle: options.onDebugToggle || null
+        onDebugToggle: options.onDebugToggle || null,
+        onAudioToggle: options.onAudioToggle || null,
+        onControlsToggle: options.onControlsToggle || null,
+        onCameraAutoAlignToggle: options.onCameraAutoAlignToggle || null,
+        onPediaToggle: options.onPediaToggle || null,
+        onReplay: options.onReplay || null,
+        onReplaySpeed: options.onReplaySpeed || null,
+        onReplayExit: options.onReplayExit || null
     };
 
     // Get UI element references
     katamariSizeUI = document.getElementById('katamari-size');
     katamariSpeedUI = document.getElementById('katamari-speed');
     itemsCollectedUI = document.getElementById('items-collected');
+    scoreUI = document.getElementById('score');
+    comboUI = document.getElementById('combo');
     progressBar = document.getElementById('progress-bar');
     targetSizeUI = document.getElementById('target-size');
+    timeRemainingUI = document.getElementById('time-remaining');
     messageOverlay = document.getElementById('message-overlay');
     loadingOverlay = document.getElementById('loading-overlay');
     gyroButton = document.getElementById('gyro-button');
     debugButton = document.getElementById('debug-button');
+    audioButton = document.getElementById('audio-button');
+    controlsButton = document.getElementById('controls-button');
+    cameraButton = document.getElementById('camera-button');
+    pediaButton = document.getElementById('pedia-button');
+    replayControls = document.getElementById('replay-controls');
+    replayCaptionUI = document.getElementById('replay-caption');
+    replayProgressBar = document.getElementById('replay-progress-bar');
+    replaySpeedButton = document.getElementById('replay-speed-button');
+    replayExitButton = document.getElementById('replay-exit-button');
     powerUpStatusUI = document.getElementById('power-up-status');
     fpsUI = document.getElementById('fps');
+    seedInfoUI = document.getElementById('seed-info');
+    levelSeedUI = document.getElementById('level-seed');
 
     // Validate required UI elements
     if (!katamariSizeUI || !katamariSpeedUI || !itemsCollectedUI || !progressBar || 
@@ -67,6 +113,7 @@ export function initializeUISystem(options = {}) {
 
     // Set up event listeners
     setupEventListeners();
+    subscribeToGameEvents();
     
     // Set up gyroscope button visibility
     setupGyroButtonVisibility();
@@ -96,6 +143,45 @@ function setupEventListeners() {
     if (debugButton) {
         debugButton.addEventListener('click', handleDebugToggle);
     }
+
+    // Audio button listener
+    if (audioButton) {
+        audioButton.addEventListener('click', handleAudioToggle);
+    }
+
+    // Control scheme button listener
+    if (controlsButton) {
+        controlsButton.addEventListener('click', handleControlsToggle);
+    }
+
+    // Camera auto-align button listener
+    if (cameraButton) {
+        cameraButton.addEventListener('click', handleCameraAutoAlignToggle);
+    }
+
+    // Katamari-pedia button listener
+    if (pediaButton) {
+        pediaButton.addEventListener('click', handlePediaToggle);
+    }
+
+    // Replay control listeners
+    if (replaySpeedButton) {
+        replaySpeedButton.addEventListener('click', handleReplaySpeed);
+    }
+    if (replayExitButton) {
+        replayExitButton.addEventListener('click', handleReplayExit);
+    }
+}
+
+/**
+ * Keep the item count and target size in step with collections and new levels
+ */
+function subscribeToGameEvents() {
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [
+        subscribe(GAME_EVENTS.ITEM_COLLECTED, ({ itemsCollected }) => updateHUD({ itemsCollected })),
+        subscribe(GAME_EVENTS.LEVEL_STARTED, ({ targetSize }) => updateHUD({ itemsCollected: 0, targetSize }))
+    ];
 }
 
 /**
@@ -108,6 +194,8 @@ export function updateHUD(gameState) {
         katamariSpeed,
         itemsCollected,
         targetSize,
+        score,
+        combo,
         fps
     } = gameState;
 
@@ -126,6 +214,15 @@ export function updateHUD(gameState) {
         itemsCollectedUI.textContent = itemsCollected;
     }
 
+    // Update score and combo (the combo is only shown from the second pickup on)
+    if (scoreUI && score !== undefined) {
+        scoreUI.textContent = score;
+    }
+
+    if (comboUI && combo !== undefined) {
+        comboUI.textContent = combo.count > 1 ? `${combo.count} COMBO x${combo.multiplier.toFixed(UI.DECIMAL_PLACES)}` : '';
+    }
+
     // Update progress bar
     if (progressBar && katamariRadius !== undefined && targetSize !== undefined) {
         const progress = Math.min(UI.PROGRESS_MAX, (katamariRadius / targetSize) * UI.PROGRESS_MAX);
@@ -143,6 +240,49 @@ export function updateHUD(gameState) {
     }
 }
 
+/**
+ * Format a duration as minutes and seconds
+ * @param {number} seconds - Duration in seconds, rounded up to whole seconds
+ * @returns {string} Duration as m:ss
+ */
+function formatTime(seconds) {
+    const totalSeconds = Math.ceil(seconds);
+    const minutes = Math.floor(totalSeconds / 60);
+    return `${minutes}:${(totalSeconds % 60).toString().padStart(2, '0')}`;
+}
+
+/**
+ * Update the level countdown display
+ * @param {number|null} secondsRemaining - Seconds left in the level, or null for an untimed level
+ */
+export function updateCountdown(secondsRemaining) {
+    if (!timeRemainingUI) return;
+
+    if (secondsRemaining === null || secondsRemaining === undefined || !Number.isFinite(secondsRemaining)) {
+        timeRemainingUI.textContent = '--';
+        timeRemainingUI.classList.remove('warning');
+        return;
+    }
+
+    timeRemainingUI.textContent = formatTime(secondsRemaining);
+
+    if (secondsRemaining <= UI.TIMER_WARNING_THRESHOLD) {
+        timeRemainingUI.classList.add('warning');
+    } else {
+        timeRemainingUI.classList.remove('warning');
+    }
+}
+
+/**
+ * Show the seed the current level was generated from, for reproducing bug reports
+ * @param {number|null} seed - Level seed
+ */
+export function updateLevelSeed(seed) {
+    if (levelSeedUI) {
+        levelSeedUI.textContent = seed !== null && seed !== undefined ? seed : '--';
+    }
+}
+
 /**
  * Update power-up status display
  * @param {Object} activePowerUps - Currently active power-ups with expiry times
@@ -151,7 +291,7 @@ export function updatePowerUpStatus(activePowerUps) {
     if (!powerUpStatusUI) return;
 
     let powerUpStatusHTML = '';
-    const now = Date.now();
+    const now = getGameTime();
 
     for (const [type, expiryTime] of Object.entries(activePowerUps)) {
         if (expiryTime > now) {
@@ -211,6 +351,111 @@ export function isMessageOverlayVisible() {
     return messageOverlay && messageOverlay.style.display !== 'none';
 }
 
+/**
+ * Get the message overlay text for a game state
+ * @param {string} state - State from GAME_STATES
+ * @param {Object} details - Current level number and the level results, if any
+ * @returns {string|null} Overlay text, or null if the state shows no overlay
+ */
+function getGameStateMessage(state, details = {}) {
+    const { level = 1, results = null } = details;
+
+    switch (state) {
+        case GAME_STATES.TITLE:
+            return `KATAMARI! Roll up everything in sight. Level ${level} - click to start.`;
+        case GAME_STATES.PAUSED:
+            return "PAUSED. Press pause or click to resume.";
+        case GAME_STATES.LEVEL_COMPLETE:
+            return `LEVEL ${results ? results.level : level} COMPLETE! You've grown a magnificent Katamari! Click to continue.`;
+        case GAME_STATES.LEVEL_FAILED:
+            if (!results) {
+                return "TIME'S UP! Click to retry.";
+            }
+            return `TIME'S UP! Your Katamari reached ${results.finalSize.toFixed(UI.DECIMAL_PLACES)}m of ${results.targetSize.toFixed(UI.DECIMAL_PLACES)}m. Click to retry.`;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Create an element with a class and text
+ * @param {string} tagName - Element tag
+ * @param {string} className - Class name
+ * @param {string} text - Text content
+ * @returns {HTMLElement} New element
+ */
+function createTextElement(tagName, className, text) {
+    const element = document.createElement(tagName);
+    element.className = className;
+    element.textContent = text;
+    return element;
+}
+
+/**
+ * Fill the message overlay with a finished level's results: final size, time, score and the top items
+ * @param {string} message - Level complete or failed message
+ * @param {Object} results - Results of the finished level (see getLevelResults)
+ * @param {Object} score - Score summary of the level (see getScoreSummary)
+ * @param {boolean} canReplay - Whether to offer a replay of the level
+ */
+function showResultsOverlay(message, results, score, canReplay) {
+    messageOverlay.replaceChildren(createTextElement('div', 'results-heading', message));
+
+    const stats = document.createElement('ul');
+    stats.className = 'results-stats';
+    [
+        `Final size: ${results.finalSize.toFixed(UI.DECIMAL_PLACES)}m`,
+        `Time: ${formatTime(results.timeUsed)}`,
+        `Score: ${score.score}`,
+        `Best combo: ${score.bestCombo}`
+    ].forEach(text => stats.appendChild(createTextElement('li', 'results-stat', text)));
+    messageOverlay.appendChild(stats);
+
+    if (score.topItems.length > 0) {
+        const topItems = document.createElement('ol');
+        topItems.className = 'results-top-items';
+        score.topItems.forEach(item => {
+            topItems.appendChild(createTextElement('li', 'results-top-item', `${item.name} x${item.count} - ${item.points} pts`));
+        });
+        messageOverlay.appendChild(topItems);
+    }
+
+    if (canReplay && callbacks.onReplay) {
+        const replayButton = createTextElement('button', 'results-replay', 'Watch Replay');
+        replayButton.addEventListener('click', (event) => {
+            // Clicking anywhere else on the overlay continues to the next level
+            event.stopPropagation();
+            callbacks.onReplay();
+        });
+        messageOverlay.appendChild(replayButton);
+    }
+
+    messageOverlay.style.display = 'block';
+}
+
+/**
+ * Show the message overlay for a game state, or hide it for states without one (boot, playing)
+ * A finished level with a score summary shows the full results screen.
+ * @param {string} state - State from GAME_STATES
+ * @param {Object} details - Overlay details
+ * @param {number} details.level - Current level number
+ * @param {Object} details.results - Results of the finished level (see getLevelResults)
+ * @param {Object} details.score - Score summary of the finished level (see getScoreSummary)
+ * @param {boolean} details.canReplay - Whether the results screen offers a replay of the level
+ */
+export function showGameStateOverlay(state, details = {}) {
+    const message = getGameStateMessage(state, details);
+    const finished = state === GAME_STATES.LEVEL_COMPLETE || state === GAME_STATES.LEVEL_FAILED;
+
+    if (message && finished && details.results && details.score && messageOverlay) {
+        showResultsOverlay(message, details.results, details.score, Boolean(details.canReplay));
+    } else if (message) {
+        showMessageOverlay(message);
+    } else {
+        hideMessageOverlay();
+    }
+}
+
 /**
  * Display custom alert message
  * @param {string} message - Alert message
@@ -276,6 +521,12 @@ function handleDebugToggle() {
  */
 export function updateDebugButtonState(isEnabled) {
     isDebugMode = isEnabled;
+
+    // The level seed is debug information
+    if (seedInfoUI) {
+        seedInfoUI.style.display = isEnabled ? 'block' : 'none';
+    }
+
     if (debugButton) {
         if (isEnabled) {
             debugButton.classList.add('active');
@@ -287,6 +538,155 @@ export function updateDebugButtonState(isEnabled) {
     }
 }
 
+/**
+ * Handle audio toggle button click
+ */
+function handleAudioToggle() {
+    if (callbacks.onAudioToggle) {
+        const newAudioState = callbacks.onAudioToggle();
+        updateAudioButtonState(newAudioState);
+    }
+}
+
+/**
+ * Update audio button state
+ * @param {boolean} isEnabled - Whether sound is enabled
+ */
+export function updateAudioButtonState(isEnabled) {
+    if (audioButton) {
+        if (isEnabled) {
+            audioButton.classList.add('active');
+            audioButton.textContent = 'Sound ON';
+        } else {
+            audioButton.classList.remove('active');
+            audioButton.textContent = 'Sound OFF';
+        }
+    }
+}
+
+/**
+ * Handle control scheme button click
+ */
+function handleControlsToggle() {
+    if (callbacks.onControlsToggle) {
+        const tankControls = callbacks.onControlsToggle();
+        updateControlsButtonState(tankControls);
+    }
+}
+
+/**
+ * Update control scheme button state
+ * @param {boolean} tankControls - Whether tank controls are selected
+ */
+export function updateControlsButtonState(tankControls) {
+    if (controlsButton) {
+        if (tankControls) {
+            controlsButton.classList.add('active');
+            controlsButton.textContent = 'Tank Controls';
+        } else {
+            controlsButton.classList.remove('active');
+            controlsButton.textContent = 'Standard Controls';
+        }
+    }
+}
+
+/**
+ * Handle camera auto-align button click
+ */
+function handleCameraAutoAlignToggle() {
+    if (callbacks.onCameraAutoAlignToggle) {
+        const autoAlign = callbacks.onCameraAutoAlignToggle();
+        updateCameraButtonState(autoAlign);
+    }
+}
+
+/**
+ * Update camera auto-align button state
+ * @param {boolean} autoAlign - Whether the camera auto-aligns behind the direction of travel
+ */
+export function updateCameraButtonState(autoAlign) {
+    if (cameraButton) {
+        if (autoAlign) {
+            cameraButton.classList.add('active');
+            cameraButton.textContent = 'Auto Camera ON';
+        } else {
+            cameraButton.classList.remove('active');
+            cameraButton.textContent = 'Auto Camera OFF';
+        }
+    }
+}
+
+/**
+ * Handle Katamari-pedia button click
+ */
+function handlePediaToggle() {
+    if (callbacks.onPediaToggle) {
+        const isOpen = callbacks.onPediaToggle();
+        updatePediaButtonState(isOpen);
+    }
+}
+
+/**
+ * Update Katamari-pedia button state
+ * @param {boolean} isOpen - Whether the Katamari-pedia panel is open
+ */
+export function updatePediaButtonState(isOpen) {
+    if (pediaButton) {
+        pediaButton.classList.toggle('active', isOpen);
+    }
+}
+
+/**
+ * Handle replay speed button click
+ */
+function handleReplaySpeed() {
+    if (callbacks.onReplaySpeed) {
+        const speed = callbacks.onReplaySpeed();
+        if (replaySpeedButton) {
+            replaySpeedButton.textContent = `${speed}x`;
+        }
+    }
+}
+
+/**
+ * Handle replay exit button click
+ */
+function handleReplayExit() {
+    if (callbacks.onReplayExit) {
+        callbacks.onReplayExit();
+    }
+}
+
+/**
+ * Show the replay controls with the playback speed, progress and the last item rolled up, or hide them
+ * @param {Object|null} replay - Replay status, or null to hide the controls
+ * @param {number} replay.speed - Playback speed multiplier
+ * @param {number} replay.progress - Playback progress from 0 to 1
+ * @param {Object|null} replay.lastCollection - Last item rolled up so far in the replay {name, size}
+ */
+export function updateReplayControls(replay) {
+    if (!replayControls) return;
+
+    if (!replay) {
+        replayControls.classList.remove('visible');
+        return;
+    }
+
+    replayControls.classList.add('visible');
+    if (replaySpeedButton) {
+        replaySpeedButton.textContent = `${replay.speed}x`;
+    }
+    if (replayProgressBar) {
+        replayProgressBar.style.width = `${Math.min(100, Math.max(0, replay.progress * 100))}%`;
+    }
+    if (replayCaptionUI) {
+        const { lastCollection } = replay;
+        replayCaptionUI.textContent = lastCollection
+            ? `Rolled up: ${lastCollection.name} (${lastCollection.size.toFixed(UI.DECIMAL_PLACES)}m)`
+            : 'REPLAY';
+    }
+}
+
 /**
  * Initialize debug button state to match the current debug mode
  */
@@ -378,11 +778,45 @@ export function cleanupUISystem() {
         debugButton.removeEventListener('click', handleDebugToggle);
     }
 
+    if (audioButton) {
+        audioButton.removeEventListener('click', handleAudioToggle);
+    }
+
+    if (controlsButton) {
+        controlsButton.removeEventListener('click', handleControlsToggle);
+    }
+
+    if (cameraButton) {
+        cameraButton.removeEventListener('click', handleCameraAutoAlignToggle);
+    }
+
+    if (pediaButton) {
+        pediaButton.removeEventListener('click', handlePediaToggle);
+    }
+
+    if (replaySpeedButton) {
+        replaySpeedButton.removeEventListener('click', handleReplaySpeed);
+    }
+
+    if (replayExitButton) {
+        replayExitButton.removeEventListener('click', handleReplayExit);
+    }
+
+    eventSubscriptions.forEach(unsubscribe => unsubscribe());
+    eventSubscriptions = [];
+
     // Reset callbacks
     callbacks = {
         onMessageOverlayClick: null,
         onGyroToggle: null,
-        onDebugToggle: null
+        onDebugToggle: null,
+        onAudioToggle: null,
+        onControlsToggle: null,
+        onCameraAutoAlignToggle: null,
+        onPediaToggle: null,
+        onReplay: null,
+        onReplaySpeed: null,
+        onReplayExit: null
     };
 
     debugInfo("UI system cleanup completed");
@@ -394,13 +828,22 @@ export function getUIElements() {
         katamariSizeUI,
         katamariSpeedUI,
         itemsCollectedUI,
+        scoreUI,
+        comboUI,
         progressBar,
         targetSizeUI,
+        timeRemainingUI,
         messageOverlay,
         loadingOverlay,
         gyroButton,
         debugButton,
+        audioButton,
+        controlsButton,
+        cameraButton,
+        pediaButton,
+        replayControls,
         powerUpStatusUI,
-        fpsUI
+        fpsUI,
+        levelSeedUI
     };
 }
\ No newline at end of file
@@ -0,0 +1,40 @@
+/**
+ * Game Clock
+ * Time source for gameplay timers (collection and shedding cooldowns, combos, power-up expiry).
+ * Reads the wall clock by default. The game swaps in the play clock so those timers stand still
+ * while it is paused, and a headless simulation swaps in its own time source so they follow
+ * simulated time however fast the simulation runs.
+ */
+
+import { debugWarn } from './debug.js';
+
+// Replacement time source, or null to read the wall clock
+let timeSource = null;
+
+/**
+ * Current game time; drop-in replacement for Date.now
+ * @returns {number} Time in milliseconds
+ */
+function getGameTime() {
+    return timeSource ? timeSource() : Date.now();
+}
+
+/**
+ * Replace the time source read by getGameTime()
+ * @param {Function|null} source - Returns the current time in milliseconds; null restores the wall clock
+ * @returns {boolean} True if the time source was set
+ */
+function setGameTimeSource(source) {
+    if (source !== null && typeof source !== 'function') {
+        debugWarn(`Invalid time source: ${source}`);
+        return false;
+    }
+    timeSource = source;
+    return true;
+}
+
+// Export all clock functions
+export {
+    getGameTime,
+    setGameTimeSource
+};
@@ -23,7 +23,8 @@ export const PHYSICS = {
 export const KATAMARI = {
     INITIAL_RADIUS: 2, // Initial radius of the Katamari at the start of the game
     BASE_SUCK_RANGE_FACTOR: 1.5, // Multiplier for the base range at which the Katamari can 'suck in' items
-    INITIAL_TARGET_SIZE: 100 // Initial target size the Katamari needs to reach to complete a level
+    INITIAL_TARGET_SIZE: 100, // Initial target size the Katamari needs to reach to complete a level
+    SIZE_MILESTONES: [5, 10, 25, 50, 100, 200] // Radii (m) announced with a sizeMilestone event the first time the Katamari grows past them
 };
 
 // Collection mechanics constants
@@ -51,7 +52,56 @@ export const COLLECTION = {
     MIN_COMPRESSION_SCALE: 0.6, // Minimum scale an attached item can be compressed to
     ATTACHMENT_SCALE: 0.85, // Base visual scale for items once they are attached to the Katamari
     SURFACE_DISTANCE_FACTOR: 0.15, // Factor determining how close attached items sit to the Katamari's surface
-    ORBITAL_SPEED_RANGE: [0.2, 0.7] // Minimum and maximum speeds for attached items orbiting the Katamari
+    ORBITAL_SPEED_RANGE: [0.2, 0.7], // Minimum and maximum speeds for attached items orbiting the Katamari
+
+    // Collision lumps from large attached items
+    LUMP_SIZE_RATIO: 0.5, // Attached items at least this large (after compression) relative to the Katamari radius add a collision lump
+    LUMP_RADIUS_FACTOR: 0.4, // Radius of an item's collision lump as a fraction of its compressed size
+    MAX_LUMPS: 6 // Maximum number of collision lumps; the largest attached items win
+};
+
+// Shedding constants
+// Parameters governing how attached items are knocked loose when the Katamari crashes into large objects.
+export const SHEDDING = {
+    MIN_IMPACT_SPEED: 12, // Minimum impact speed against an uncollectable object before any items are shed
+    SPEED_PER_ITEM: 4, // Additional impact speed required for each extra item shed
+    MAX_ITEMS_PER_IMPACT: 5, // Maximum number of items shed by a single impact
+    COOLDOWN: 500, // Minimum time between two shedding events (milliseconds)
+    EJECT_SPEED: 8, // Outward speed given to shed items (units per second)
+    EJECT_UP_SPEED: 6, // Upward speed given to shed items so they visibly pop off (units per second)
+    RECOLLECT_DELAY: 1000 // Time before a shed item can be rolled up again (milliseconds)
+};
+
+// Score constants
+// Parameters for awarding points for collected items, combos and shedding penalties.
+export const SCORE = {
+    BASE_POINTS: 100, // Points for an item as big as the Katamari's radius, before rarity and combo multipliers
+    MIN_RELATIVE_SIZE: 0.05, // Lowest item size to Katamari radius ratio counted, so tiny items still score a little
+    MAX_RELATIVE_SIZE: 2, // Highest item size to Katamari radius ratio counted
+    MIN_POINTS: 1, // Fewest points any collected item is worth
+    RARITY_MULTIPLIERS: { common: 1, uncommon: 2, rare: 5 }, // Point multipliers for the catalog rarity of an item
+    COMBO_WINDOW: 1500, // Time after a pickup within which the next one extends the combo (milliseconds)
+    COMBO_STEP: 0.25, // Multiplier added for each consecutive pickup in a combo
+    MAX_COMBO_MULTIPLIER: 3, // Highest combo multiplier
+    SHED_PENALTY: 50, // Points lost for each item knocked loose
+    TOP_ITEMS_COUNT: 5 // Number of top-scoring item types listed on the results screen
+};
+
+// Replay constants
+// Parameters for recording the Katamari's trajectory during a level and replaying it on the results screen.
+export const REPLAY = {
+    INITIAL_CAPACITY: 1024, // Frames the recording buffer holds before it first grows
+    MAX_FRAMES: 36000, // Most frames recorded per level (10 minutes at 60 frames per second); later frames are dropped
+    SPEEDS: [0.5, 1, 2, 4], // Playback speeds cycled through by the replay speed button
+    DEFAULT_SPEED: 1 // Playback speed a replay starts at
+};
+
+// Headless simulation constants
+// Parameters for stepping the game loop without a renderer, for balance and regression tests.
+export const SIMULATION = {
+    TIME_STEP: 1 / 60, // Fixed timestep of a simulation step (seconds); each step advances physics by one physics step
+    START_TIME: 1000000, // Game time a simulation starts at (milliseconds), so cooldowns counted from zero have already run out
+    MAX_RUN_STEPS: 36000 // Most steps a single run takes (10 minutes at 60 steps per second)
 };
 
 // Level generation constants
@@ -59,7 +109,8 @@ export const COLLECTION = {
 export const LEVEL = {
     GENERATION_DISTANCE_THRESHOLD: 50, // Distance the Katamari must travel before new items are generated
     MAP_BOUNDARY: 240, // Maximum X and Z coordinate for item generation, keeping items within the playable map area
-    DIFFICULTY_FACTOR: 0.5 // Factor by which difficulty increases per level (e.g., item density, target size)
+    DIFFICULTY_FACTOR: 0.5, // Factor by which difficulty increases per level (e.g., item density, target size)
+    MAX_TIMER_STEP: 0.25 // Longest frame (seconds) counted against the level timer, so a backgrounded tab does not drain the clock
 };
 
 // Audio constants
@@ -90,14 +141,58 @@ export const RENDERING = {
 export const INPUT = {
     TOUCH_DEAD_ZONE_FACTOR: 0.05, // Factor determining the size of the touch dead zone relative to the screen size
     TOUCH_SENSITIVITY: 1.0, // Sensitivity multiplier for touch input
-    GYRO_SENSITIVITY: 0.5 // Sensitivity multiplier for gyroscope input
+    GYRO_SENSITIVITY: 2.0, // Sensitivity multiplier for gyroscope input (2.0 reaches full speed at a 45 degree tilt)
+    GYRO_DEAD_ZONE: 0.1, // Normalized tilt below which gyroscope input is ignored
+    GAMEPAD_DEAD_ZONE: 0.2, // Radial dead zone of the gamepad movement stick (0-1)
+    GAMEPAD_BUTTON_THRESHOLD: 0.5, // Analog button value above which a gamepad button counts as pressed
+    GAMEPAD_MOVE_AXES: { x: 0, y: 1 }, // Gamepad axes of the movement stick (left stick in the standard mapping)
+    GAMEPAD_CAMERA_AXES: { x: 2, y: 3 }, // Gamepad axes of the camera orbit stick (right stick in the standard mapping)
+    GAMEPAD_TANK_AXES: { left: 1, right: 3 }, // Gamepad axes driving the left and right side in tank controls (vertical axes of both sticks)
+    TANK_GESTURE_THRESHOLD: 0.5, // How far (0-1) both sides must be pushed in opposite directions to count towards a dash
+    DASH_ALTERNATIONS: 4, // Alternating opposite pushes (left up and right down, then swapped) that start a dash
+    DASH_ALTERNATION_WINDOW: 400, // Maximum time between alternating pushes for them to count towards the same dash (milliseconds)
+    DEFAULT_BINDINGS: { // Keys (lowercase KeyboardEvent.key) and standard-mapping gamepad buttons per action
+        moveForward: { keys: ['w', 'arrowup'], buttons: [12] },
+        moveBack: { keys: ['s', 'arrowdown'], buttons: [13] },
+        moveLeft: { keys: ['a', 'arrowleft'], buttons: [14] },
+        moveRight: { keys: ['d', 'arrowright'], buttons: [15] },
+        reset: { keys: ['r'], buttons: [3] },
+        newLevel: { keys: [' '], buttons: [8] },
+        pause: { keys: ['p', 'escape'], buttons: [9] },
+        camera: { keys: ['c'], buttons: [5] },
+        quickTurn: { keys: ['q'], buttons: [10, 11] },
+        // Tank controls: one key cluster per side; these may share keys with the move actions
+        leftTrackForward: { keys: ['w'], buttons: [] },
+        leftTrackBack: { keys: ['s'], buttons: [] },
+        rightTrackForward: { keys: ['i'], buttons: [] },
+        rightTrackBack: { keys: ['k'], buttons: [] }
+    }
 };
 
 // Power-up constants
-// Defines types and durations for in-game power-ups.
+// Defines types, durations, spawning and effect strengths for in-game power-ups.
 export const POWER_UPS = {
     TYPES: ['magnetism', 'speedBoost', 'stickyCoating', 'vacuumBoost'], // Array of available power-up types
-    DURATION: 5000 // Default duration for power-ups (milliseconds)
+    DURATION: 5000, // Default duration for power-ups (milliseconds)
+    SPAWN_CHANCE: 0.02, // Probability (0-1) that a spawned collectible is replaced by a power-up pickup
+    PICKUP_SIZE: 0.8, // Size of a power-up pickup; small enough for any Katamari to roll up
+    COLORS: { // Emissive color of each power-up pickup
+        magnetism: 0xFF4081,
+        speedBoost: 0xFFEB3B,
+        stickyCoating: 0x8BC34A,
+        vacuumBoost: 0x00BCD4
+    },
+    MAGNETISM_RANGE_MULTIPLIER: 2.0, // Multiplier applied to the Katamari's attraction range while magnetism is active
+    SPEED_BOOST_MULTIPLIER: 1.5, // Multiplier applied to acceleration and maximum speed while speedBoost is active
+    STICKY_THRESHOLD_MULTIPLIER: 0.75, // Multiplier applied to the collection threshold while stickyCoating is active (lower collects larger items)
+    VACUUM_FORCE_MULTIPLIER: 4.0 // Multiplier applied to the attraction force while vacuumBoost is active
+};
+
+// Save game constants
+// Parameters for persisting progression and settings between sessions.
+export const SAVE = {
+    STORAGE_KEY: 'katamari-save', // localStorage key under which the save data is stored
+    SCHEMA_VERSION: 3 // Current save data schema version; bump and add a migration when the shape changes
 };
 
 // Camera constants
@@ -109,19 +204,39 @@ export const CAMERA = {
     HEIGHT_OFFSET: 15, // Base height offset of the camera above the Katamari
     DISTANCE_MULTIPLIER: 2, // Multiplier for how much camera distance increases with Katamari size
     FOLLOW_LERP_SPEED: 0.05, // Linear interpolation speed for smoothing camera position changes
-    LOOK_AT_LERP_SPEED: 0.1 // Linear interpolation speed for smoothing the camera's look-at target
+    LOOK_AT_LERP_SPEED: 0.1, // Linear interpolation speed for smoothing the camera's look-at target
+    ZOOM_LEVELS: [1, 0.6, 1.6], // Camera distance multipliers cycled through by the camera action
+    DEFAULT_PITCH: 0.6, // Initial angle of the camera above the horizon (radians)
+    MIN_PITCH: 0.1, // Lowest orbit angle above the horizon (radians)
+    MAX_PITCH: 1.3, // Highest orbit angle above the horizon (radians)
+    DRAG_SENSITIVITY: 0.005, // Orbit rotation per pixel of mouse or two-finger drag (radians)
+    STICK_ORBIT_SPEED: 2.5, // Orbit rotation speed with the camera stick fully pushed (radians per second)
+    MIN_DISTANCE: 3, // Closest the camera is pulled in towards the Katamari by obstacles
+    COLLISION_PADDING: 1, // Gap kept between the camera and an obstacle it is pulled in front of
+    MIN_HEIGHT: 1, // Lowest height of the camera above the ground
+    AUTO_ALIGN_SPEED: 2, // Rate the camera swings behind the direction of travel or tank heading (per second)
+    AUTO_ALIGN_MIN_SPEED: 2, // Katamari speed above which auto-align follows the direction of travel
+    AUTO_ALIGN_DELAY: 1500 // Time after manual orbiting before auto-align takes over again (milliseconds)
 };
 
 // Game world constants
 // Defines global properties and boundaries of the game world.
 export const WORLD = {
     MAP_BOUNDARY: 500, // Maximum boundary for Katamari movement, preventing it from going too far out of bounds
-    ITEM_SPAWN_RADIUS: 100, // Default radius within which items are spawned around the Katamari
-    ITEM_SPAWN_COUNT: 200, // Default number of items to spawn at a time
-    INITIAL_ITEM_SPAWN_RADIUS: 180, // Radius for initial item spawning when a level begins
     MIN_SPAWN_DISTANCE: 10 // Minimum distance from the center (or Katamari) for item spawning to avoid immediate collection
 };
 
+// World chunk constants
+// The map is streamed in square grid chunks that keep their items between visits.
+export const CHUNKS = {
+    SIZE: 60, // Width and depth of a chunk (world units)
+    LOAD_RADIUS: 2, // Chunks loaded in each direction around the Katamari's chunk
+    UNLOAD_RADIUS: 3, // Chunks further than this from the Katamari's chunk are unloaded; kept above LOAD_RADIUS so rolling back and forth over a chunk edge does not reload chunks
+    BASE_ITEM_COUNT: 8, // Items generated in a chunk visited by a starting-size Katamari
+    ITEMS_PER_RADIUS: 0.25, // Extra items generated in a chunk per unit of Katamari radius at its first visit
+    MAX_ITEM_COUNT: 16 // Most items generated in a chunk
+};
+
 // Performance constants
 // Parameters for optimizing and monitoring game performance.
 export const PERFORMANCE = {
@@ -133,7 +248,10 @@ export const PERFORMANCE = {
     PERFORMANCE_DEGRADATION_THRESHOLD: 0.8, // Threshold (0-1) below which performance is considered degraded (e.g., 80% of target frame rate)
     MAX_CONSECUTIVE_LOW_FRAMES: 30, // Number of consecutive low-frame-rate frames before a performance alert is triggered
     FRAME_TIME_SMOOTHING: 0.95, // Smoothing factor for averaging frame times, used for performance monitoring
-    PHYSICS_TIME_BUDGET_RATIO: 0.5 // Maximum proportion of a frame's time budget that physics calculations should consume
+    PHYSICS_TIME_BUDGET_RATIO: 0.5, // Maximum proportion of a frame's time budget that physics calculations should consume
+    SPATIAL_CELL_SIZE: 10, // Cell width of the items' spatial index (world units), about the katamari's attraction range for most of a level
+    ITEM_POOL_SIZE: 16, // Most despawned items of one type (and color, for items built from parts) kept for reuse
+    BODY_POOL_SIZE: 256 // Most released item physics bodies kept for reuse
 };
 
 // Movement constants
@@ -148,9 +266,10 @@ export const MOVEMENT = {
     ACTIVE_ANGULAR_DAMPING: 0.05, // Angular damping applied when the Katamari is actively moving
     IDLE_LINEAR_DAMPING: 0.9, // Linear damping applied when the Katamari is not actively moving (at rest)
     IDLE_ANGULAR_DAMPING: 0.9, // Angular damping applied when the Katamari is not actively moving (at rest)
-    GYRO_SENSITIVITY: 0.8, // Sensitivity of gyroscope input for movement control
-    GYRO_THRESHOLD: 0.1, // Minimum gyroscope input required to register movement
-    TORQUE_MULTIPLIER: 0.5 // Multiplier used in calculating torque applied to the Katamari
+    TORQUE_MULTIPLIER: 0.5, // Multiplier used in calculating torque applied to the Katamari
+    TANK_TURN_SPEED: 2.5, // Heading turn rate in tank controls with both sides pushed fully in opposite directions (radians per second)
+    DASH_DURATION: 800, // How long a tank-control dash rolls forward at full throttle (milliseconds)
+    DASH_SPEED_MULTIPLIER: 1.8 // Acceleration and top speed multiplier while dashing
 };
 
 // Visual constants
@@ -181,7 +300,10 @@ export const UI = {
     PROGRESS_MAX: 100, // Maximum value for progress bars (e.g., level completion)
     POWER_UP_TIME_DECIMAL_PLACES: 1, // Decimal places for power-up countdown timer
     POWER_UP_TIME_DIVISOR: 1000, // Divisor to convert power-up duration from milliseconds to seconds
-    LOADING_SIMULATION_TIME: 1500 // Simulated loading time for UI elements (milliseconds)
+    LOADING_SIMULATION_TIME: 1500, // Simulated loading time for UI elements (milliseconds)
+    TIMER_WARNING_THRESHOLD: 10, // Seconds remaining at which the level countdown is highlighted
+    PEDIA_PREVIEW_SIZE: 240, // Width and height of the Katamari-pedia item preview (pixels)
+    PEDIA_ROTATION_SPEED: 0.8 // Turntable speed of the Katamari-pedia item preview (radians per second)
 };
 
 // Item generation constants
@@ -202,7 +324,10 @@ export const ITEM_GENERATION = {
 export const ENVIRONMENT = {
     CLOUD_COUNT: 15, // Number of clouds to generate in the environment
     MOUNTAIN_COUNT: 8, // Number of mountains to generate in the environment
-    SAFE_ZONE_RADIUS: 50 // Radius around the origin where mountains should not spawn to ensure clear play area
+    SAFE_ZONE_RADIUS: 50, // Radius around the origin where mountains should not spawn to ensure clear play area
+    MOUNTAIN_PASS_SIZE_RATIO: 1.8, // Katamari radius needed to roll through a mountain, as a multiple of the mountain's base radius
+    MOUNTAIN_PEAK_RADIUS_RATIO: 0.1, // Top radius of a mountain's physics cylinder, as a fraction of its base radius
+    MOUNTAIN_PASSED_OPACITY: 0.35 // Opacity of a mountain once the Katamari is large enough to pass through it
 };
 
 // Lighting constants
@@ -228,7 +353,8 @@ export const THEMES = [
         items: ["Rock", "Bush", "Flower", "Mushroom", "Garden Gnome", "Bird Bath", "Skateboard", "Trash Can", "Mailbox", "Bicycle", "Fire Hydrant", "Traffic Cone", "Bench", "Lamp Post", "Picnic Table", "Hot Dog Stand", "Newspaper Stand", "Shopping Cart", "Car", "Bus", "Tree", "House", "Building"], // List of items available in this theme
         groundColor: "#4CAF50", // Hex color for the ground in this theme
         skyColor: "#87CEEB", // Hex color for the sky in this theme
-        baseTargetSize: 25 // Base target size for the Katamari in this theme
+        baseTargetSize: 25, // Base target size for the Katamari in this theme
+        timeLimit: 180 // Time allowed to reach the target size in this theme (seconds)
     },
     {
         themeName: "Urban Jungle",
@@ -236,7 +362,8 @@ export const THEMES = [
         items: ["Car", "Lamp Post", "Trash Can", "Bench", "Mailbox", "Fire Hydrant", "Traffic Cone", "Hot Dog Stand", "Newspaper Stand", "Bicycle", "Skateboard", "Shopping Cart", "Bus", "Building"],
         groundColor: "#607D8B",
         skyColor: "#B0C4DE",
-        baseTargetSize: 100
+        baseTargetSize: 100,
+        timeLimit: 240
     },
     {
         themeName: "Cosmic Debris",
@@ -244,23 +371,32 @@ export const THEMES = [
         items: ["Asteroid", "Satellite", "Space Debris", "Comet Fragment", "Moon Rock", "Star Dust Cluster", "Alien Artifact", "Space Probe", "Space Station"],
         groundColor: "#2C3E50",
         skyColor: "#0A0A2A",
-        baseTargetSize: 200
+        baseTargetSize: 200,
+        timeLimit: 300
     }
 ];
 
-// Instanced item mapping
-// Maps display names of items to their corresponding instanced mesh names for rendering.
-export const INSTANCED_ITEM_MAP = {
-    'Rock': 'rock',
-    'Bush': 'bush',
-    'Flower': 'flower',
-    'Mushroom': 'mushroom',
-    'Traffic Cone': 'trafficCone',
-    'Garden Gnome': 'gardenGnome',
-    'Bird Bath': 'birdBath',
-    'Asteroid': 'asteroid',
-    'Space Debris': 'spaceDebris',
-    'Comet Fragment': 'cometFragment',
-    'Moon Rock': 'moonRock',
-    'Star Dust Cluster': 'starDustCluster'
+// Spawn tables
+// Weighted item mix of each theme, keyed to Katamari radius bands. A band's weights apply from its minRadius
+// and blend into the next band's towards that band's minRadius, so small items phase out and larger items
+// phase in as the Katamari grows. Items missing from a band have no weight in it.
+export const SPAWN_TABLES = {
+    "Our Green Earth": [
+        { minRadius: 0, weights: { "Rock": 4, "Bush": 4, "Flower": 4, "Mushroom": 3, "Garden Gnome": 3, "Traffic Cone": 3, "Skateboard": 3, "Mailbox": 2, "Fire Hydrant": 2, "Trash Can": 2, "Bird Bath": 2, "Newspaper Stand": 1, "Bicycle": 1, "Shopping Cart": 1, "Bench": 1, "Car": 1 } }, // Starting size: garden clutter and litter
+        { minRadius: 4, weights: { "Rock": 1, "Bush": 1, "Flower": 1, "Mailbox": 1, "Fire Hydrant": 2, "Trash Can": 2, "Bird Bath": 2, "Newspaper Stand": 2, "Bicycle": 3, "Shopping Cart": 3, "Bench": 3, "Car": 4, "Hot Dog Stand": 3, "Picnic Table": 3, "Tree": 3, "House": 2, "Lamp Post": 2, "Bus": 1 } }, // Street furniture and cars
+        { minRadius: 10, weights: { "Car": 3, "Hot Dog Stand": 2, "Picnic Table": 2, "Tree": 4, "House": 4, "Lamp Post": 3, "Bus": 4, "Building": 1 } }, // Trees, houses and buses
+        { minRadius: 25, weights: { "Tree": 2, "House": 3, "Lamp Post": 2, "Bus": 4, "Building": 4 } } // Buildings
+    ],
+    "Urban Jungle": [
+        { minRadius: 0, weights: { "Traffic Cone": 4, "Skateboard": 4, "Mailbox": 3, "Fire Hydrant": 3, "Trash Can": 3, "Newspaper Stand": 2, "Bicycle": 2, "Shopping Cart": 2, "Bench": 2, "Car": 1 } }, // Starting size: sidewalk clutter
+        { minRadius: 5, weights: { "Trash Can": 1, "Fire Hydrant": 1, "Newspaper Stand": 2, "Bicycle": 2, "Shopping Cart": 2, "Bench": 3, "Hot Dog Stand": 3, "Car": 4, "Lamp Post": 3, "Bus": 1 } }, // Street furniture and cars
+        { minRadius: 12, weights: { "Car": 3, "Lamp Post": 2, "Hot Dog Stand": 2, "Bus": 4, "Building": 1 } }, // Traffic
+        { minRadius: 30, weights: { "Car": 1, "Bus": 3, "Building": 5 } } // Skyscrapers
+    ],
+    "Cosmic Debris": [
+        { minRadius: 0, weights: { "Star Dust Cluster": 4, "Space Debris": 4, "Asteroid": 3, "Moon Rock": 3, "Comet Fragment": 3, "Alien Artifact": 1 } }, // Starting size: dust and rubble
+        { minRadius: 5, weights: { "Asteroid": 2, "Moon Rock": 2, "Comet Fragment": 2, "Alien Artifact": 3, "Satellite": 3, "Space Probe": 3 } }, // Artifacts and spacecraft
+        { minRadius: 15, weights: { "Alien Artifact": 1, "Satellite": 3, "Space Probe": 3, "Space Station": 1 } }, // Spacecraft
+        { minRadius: 40, weights: { "Satellite": 1, "Space Probe": 1, "Space Station": 5 } } // Space stations
+    ]
 };
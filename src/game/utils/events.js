@@ -0,0 +1,148 @@
+/**
+ * Game Event Bus
+ * Typed publish/subscribe channel between game systems. The katamari, items, level, power-up,
+ * audio, score, achievement and UI systems publish and subscribe to these events instead of calling
+ * each other from the main loop, so new features only need to subscribe.
+ */
+
+import { debugWarn, debugError } from './debug.js';
+
+// Game event types
+const GAME_EVENTS = Object.freeze({
+    ITEM_COLLECTED: 'itemCollected',
+    ITEM_SHED: 'itemShed',
+    KATAMARI_BOUNCED: 'katamariBounced',
+    LEVEL_STARTED: 'levelStarted',
+    LEVEL_COMPLETED: 'levelCompleted',
+    SIZE_MILESTONE: 'sizeMilestone',
+    POWER_UP_ACTIVATED: 'powerUpActivated'
+});
+
+// Payload fields every event must carry, with their typeof type
+const EVENT_PAYLOADS = {
+    [GAME_EVENTS.ITEM_COLLECTED]: { item: 'object', katamariRadius: 'number', targetRadius: 'number', itemsCollected: 'number', time: 'number' },
+    [GAME_EVENTS.ITEM_SHED]: { items: 'object', katamariRadius: 'number', time: 'number' },
+    [GAME_EVENTS.KATAMARI_BOUNCED]: { itemSize: 'number', katamariRadius: 'number', time: 'number' },
+    [GAME_EVENTS.LEVEL_STARTED]: { level: 'number', themeName: 'string', seed: 'number', targetSize: 'number' },
+    [GAME_EVENTS.LEVEL_COMPLETED]: { results: 'object' },
+    [GAME_EVENTS.SIZE_MILESTONE]: { milestone: 'number', radius: 'number' },
+    [GAME_EVENTS.POWER_UP_ACTIVATED]: { type: 'string', duration: 'number', expiresAt: 'number' }
+};
+
+// Subscribed handlers keyed by event type
+const subscribers = new Map();
+
+/**
+ * Check that a payload carries every field its event requires
+ * @param {string} eventType - Event type from GAME_EVENTS
+ * @param {Object} payload - Event payload
+ * @returns {string|null} Description of the first problem, or null if the payload is valid
+ */
+function validatePayload(eventType, payload) {
+    if (!payload || typeof payload !== 'object') {
+        return 'payload must be an object';
+    }
+
+    for (const [field, type] of Object.entries(EVENT_PAYLOADS[eventType])) {
+        if (payload[field] === null || typeof payload[field] !== type) {
+            return `${field} must be a ${type}`;
+        }
+    }
+    return null;
+}
+
+/**
+ * Subscribe to a game event
+ * @param {string} eventType - Event type from GAME_EVENTS
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribes the handler
+ */
+function subscribe(eventType, handler) {
+    if (!EVENT_PAYLOADS[eventType]) {
+        debugWarn(`Cannot subscribe to unknown game event: ${eventType}`);
+        return () => {};
+    }
+    if (typeof handler !== 'function') {
+        debugWarn(`Handler for ${eventType} must be a function`);
+        return () => {};
+    }
+
+    if (!subscribers.has(eventType)) {
+        subscribers.set(eventType, new Set());
+    }
+    subscribers.get(eventType).add(handler);
+
+    return () => unsubscribe(eventType, handler);
+}
+
+/**
+ * Unsubscribe a handler from a game event
+ * @param {string} eventType - Event type from GAME_EVENTS
+ * @param {Function} handler - Handler passed to subscribe
+ * @returns {boolean} True if the handler was subscribed
+ */
+function unsubscribe(eventType, handler) {
+    const handlers = subscribers.get(eventType);
+    return handlers ? handlers.delete(handler) : false;
+}
+
+/**
+ * Publish a game event to its subscribers
+ * A handler that throws is logged and does not stop the others, or the publisher.
+ * @param {string} eventType - Event type from GAME_EVENTS
+ * @param {Object} payload - Event payload with the fields the event requires
+ * @returns {boolean} True if the event was published
+ */
+function publish(eventType, payload) {
+    if (!EVENT_PAYLOADS[eventType]) {
+        debugWarn(`Cannot publish unknown game event: ${eventType}`);
+        return false;
+    }
+
+    const problem = validatePayload(eventType, payload);
+    if (problem) {
+        debugWarn(`Invalid ${eventType} event: ${problem}`);
+        return false;
+    }
+
+    // Copy so handlers can unsubscribe while the event is being delivered
+    for (const handler of [...(subscribers.get(eventType) || [])]) {
+        try {
+            handler(payload);
+        } catch (error) {
+            debugError(`Error in ${eventType} event handler:`, error);
+        }
+    }
+    return true;
+}
+
+/**
+ * Get the number of handlers subscribed to a game event
+ * @param {string} eventType - Event type from GAME_EVENTS
+ * @returns {number} Subscriber count
+ */
+function getSubscriberCount(eventType) {
+    return subscribers.get(eventType)?.size || 0;
+}
+
+/**
+ * Remove every subscriber, or those of one event type
+ * @param {string} eventType - Event type to clear; all events if omitted
+ */
+function clearSubscribers(eventType) {
+    if (eventType) {
+        subscribers.delete(eventType);
+    } else {
+        subscribers.clear();
+    }
+}
+
+// Export all event bus functions
+export {
+    GAME_EVENTS,
+    subscribe,
+    unsubscribe,
+    publish,
+    getSubscriberCount,
+    clearSubscribers
+};
@@ -59,6 +59,9 @@ let performanceState = {
     maxConsecutiveLowFrames: 30 // Alert after 30 consecutive low frames (0.5 seconds at 60fps)
 };
 
+// Object pools reported in the performance stats, keyed by name
+const trackedPools = new Map();
+
 /**
  * Initialize performance monitoring system
  * @param {Object} options - Configuration options
@@ -394,10 +397,44 @@ export function getPerformanceStats() {
         maxMemoryUsage: performanceState.maxMemoryUsage,
         consecutiveLowFrames: performanceState.consecutiveLowFrames,
         alertCount: performanceState.alertHistory.length,
-        isMonitoring: performanceState.isMonitoring
+        isMonitoring: performanceState.isMonitoring,
+        pools: getObjectPoolStats()
     };
 }
 
+/**
+ * Report an object pool's statistics in the performance stats
+ * @param {string} name - Name the pool is reported under
+ * @param {ObjectPool} pool - Pool to report
+ */
+export function trackObjectPool(name, pool) {
+    if (!pool || typeof pool.getStats !== 'function') {
+        debugWarn(`[PERFORMANCE] Cannot track object pool ${name}: not a pool`);
+        return;
+    }
+    trackedPools.set(name, pool);
+}
+
+/**
+ * Stop reporting an object pool
+ * @param {string} name - Name the pool is reported under
+ */
+export function untrackObjectPool(name) {
+    trackedPools.delete(name);
+}
+
+/**
+ * Get the statistics of the tracked object pools
+ * @returns {Object} Pool statistics keyed by pool name
+ */
+export function getObjectPoolStats() {
+    const stats = {};
+    for (const [name, pool] of trackedPools) {
+        stats[name] = pool.getStats();
+    }
+    return stats;
+}
+
 /**
  * Get performance history data
  * @param {string} type - Type of history ('fps', 'frameTime', 'physics', 'render', 'memory')
@@ -515,6 +552,7 @@ export function generatePerformanceReport() {
             currentUsage: performanceState.memoryUsage,
             maxUsage: performanceState.maxMemoryUsage
         },
+        pools: getObjectPoolStats(),
         issues: {
             consecutiveLowFrames: performanceState.consecutiveLowFrames,
             recentAlerts: recentAlerts.length,
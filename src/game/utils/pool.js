@@ -0,0 +1,103 @@
+/**
+ * Object Pool
+ * Keeps released objects for reuse so systems that spawn and despawn objects continuously (items
+ * streamed in and out with their chunks, their physics bodies) do not allocate new ones each time
+ * and leave the old ones to the garbage collector.
+ */
+
+import { debugWarn } from './debug.js';
+
+/**
+ * ObjectPool hands out reused objects when it has any and creates new ones otherwise
+ */
+export class ObjectPool {
+    /**
+     * @param {Object} options - Pool options
+     * @param {Function} options.create - Creates a new object from the arguments given to acquire()
+     * @param {Function} options.reuse - Prepares a pooled object for reuse: (object, ...acquire arguments)
+     * @param {Function} options.reset - Clears an object's state as it is released into the pool
+     * @param {Function} options.dispose - Frees an object's resources when the pool drops it
+     * @param {number} options.maxSize - Most objects kept for reuse; objects released into a full pool are disposed
+     */
+    constructor(options = {}) {
+        this.create = options.create;
+        this.reuse = options.reuse || null;
+        this.reset = options.reset || null;
+        this.dispose = options.dispose || null;
+        this.maxSize = options.maxSize ?? Infinity;
+
+        this.available = [];
+        this.stats = { created: 0, reused: 0, released: 0, discarded: 0 };
+    }
+
+    /**
+     * Get an object, reused from the pool if one is available
+     * @param {...*} args - Arguments passed to create() or reuse()
+     * @returns {*} The object
+     */
+    acquire(...args) {
+        if (this.available.length > 0) {
+            const object = this.available.pop();
+            if (this.reuse) {
+                this.reuse(object, ...args);
+            }
+            this.stats.reused++;
+            return object;
+        }
+
+        this.stats.created++;
+        return this.create(...args);
+    }
+
+    /**
+     * Return an object to the pool
+     * @param {*} object - Object acquired from this pool
+     * @returns {boolean} True if the object was kept for reuse, false if it was disposed or rejected
+     */
+    release(object) {
+        if (!object) {
+            return false;
+        }
+        if (this.available.includes(object)) {
+            debugWarn("Object released into its pool twice");
+            return false;
+        }
+
+        if (this.available.length >= this.maxSize) {
+            if (this.dispose) {
+                this.dispose(object);
+            }
+            this.stats.discarded++;
+            return false;
+        }
+
+        if (this.reset) {
+            this.reset(object);
+        }
+        this.available.push(object);
+        this.stats.released++;
+        return true;
+    }
+
+    /**
+     * Dispose of every pooled object
+     */
+    clear() {
+        if (this.dispose) {
+            this.available.forEach(object => this.dispose(object));
+        }
+        this.available.length = 0;
+    }
+
+    /**
+     * Get the pool's statistics
+     * @returns {Object} Objects available for reuse and the counts of objects created, reused,
+     * released into the pool and discarded because it was full
+     */
+    getStats() {
+        return {
+            available: this.available.length,
+            ...this.stats
+        };
+    }
+}
@@ -0,0 +1,113 @@
+/**
+ * Seeded Random Number Generation
+ * Provides a reproducible pseudo-random stream for level, item and texture generation,
+ * so any level can be regenerated exactly from its seed
+ */
+
+import { debugInfo } from './debug.js';
+
+// Seeds are unsigned 32-bit integers
+const SEED_RANGE = 0x100000000;
+
+// Seed and generator shared by all procedural generation
+let currentSeed = null;
+let generator = null;
+
+/**
+ * Convert a seed given as a number or string into an unsigned 32-bit integer
+ * Numeric strings map to their number so seeds copied from the debug UI round-trip exactly;
+ * any other text is hashed (FNV-1a)
+ * @param {number|string} seed - Seed value
+ * @returns {number|null} Normalized seed, or null if the value cannot be used as a seed
+ */
+function normalizeSeed(seed) {
+    if (typeof seed === 'number') {
+        return Number.isFinite(seed) ? Math.floor(Math.abs(seed)) % SEED_RANGE : null;
+    }
+
+    if (typeof seed === 'string') {
+        const text = seed.trim();
+        if (text === '') {
+            return null;
+        }
+
+        if (/^\d+$/.test(text)) {
+            return Number(text) % SEED_RANGE;
+        }
+
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    return null;
+}
+
+/**
+ * Pick a fresh seed for a new level
+ * @returns {number} Random unsigned 32-bit seed
+ */
+function generateSeed() {
+    return Math.floor(Math.random() * SEED_RANGE);
+}
+
+/**
+ * Create an independent seeded generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} Function returning floats in [0, 1), like Math.random
+ */
+function createRandom(seed) {
+    let state = normalizeSeed(seed) ?? generateSeed();
+
+    return function next() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / SEED_RANGE;
+    };
+}
+
+/**
+ * Reseed the shared generator
+ * @param {number|string} seed - Seed value; a fresh random seed is used if omitted or invalid
+ * @returns {number} The seed now in use
+ */
+function setSeed(seed) {
+    currentSeed = normalizeSeed(seed) ?? generateSeed();
+    generator = createRandom(currentSeed);
+    debugInfo(`Random seed set to ${currentSeed}`);
+    return currentSeed;
+}
+
+/**
+ * Get the seed of the shared generator
+ * @returns {number|null} Current seed, or null if the generator has not been seeded yet
+ */
+function getSeed() {
+    return currentSeed;
+}
+
+/**
+ * Next value from the shared generator; drop-in replacement for Math.random
+ * @returns {number} Float in [0, 1)
+ */
+function random() {
+    if (!generator) {
+        setSeed();
+    }
+    return generator();
+}
+
+// Export all random number generation functions
+export {
+    normalizeSeed,
+    generateSeed,
+    createRandom,
+    setSeed,
+    getSeed,
+    random
+};
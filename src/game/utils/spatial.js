@@ -0,0 +1,276 @@
+/**
+ * Spatial Index
+ * Uniform grid over the ground plane for proximity queries against many moving objects, such as
+ * "items within R of the katamari". Each object is filed under the grid cell its X/Z position falls
+ * in, so a query only measures the objects in the cells it overlaps instead of every object.
+ * Distances are measured in 3D from the position an object was last inserted or updated at, so the
+ * owner of the index updates it whenever its objects move.
+ */
+
+import { debugWarn } from './debug.js';
+
+// Cell coordinates are packed into one numeric key, offset so both halves are non-negative
+const CELL_OFFSET = 0x8000;
+const CELL_SPAN = 0x10000;
+
+/**
+ * Pack a cell's grid coordinates into the key it is stored under
+ * @param {number} cellX - Cell x coordinate
+ * @param {number} cellZ - Cell z coordinate
+ * @returns {number} Cell key
+ */
+function getCellKey(cellX, cellZ) {
+    return (cellX + CELL_OFFSET) * CELL_SPAN + (cellZ + CELL_OFFSET);
+}
+
+/**
+ * Check that a position can be indexed
+ * @param {Object} position - Position {x, y, z}
+ * @returns {boolean} True if x and z (and y, if given) are finite numbers
+ */
+function isValidPosition(position) {
+    return !!position &&
+        Number.isFinite(position.x) &&
+        Number.isFinite(position.z) &&
+        (position.y === undefined || Number.isFinite(position.y));
+}
+
+/**
+ * SpatialHash files objects in a uniform grid of square cells for radius queries
+ */
+export class SpatialHash {
+    /**
+     * @param {number} cellSize - Width and depth of a grid cell (world units); about the radius of the
+     * most frequent query works best
+     */
+    constructor(cellSize) {
+        if (!(cellSize > 0) || !Number.isFinite(cellSize)) {
+            debugWarn(`Invalid spatial hash cell size: ${cellSize}; using 1`);
+            cellSize = 1;
+        }
+
+        this.cellSize = cellSize;
+        this.cells = new Map(); // Cell key -> {x, z, entries}
+        this.entries = new Map(); // Object -> {object, x, y, z, cell, slot}
+    }
+
+    /**
+     * Number of objects in the index
+     * @returns {number} Object count
+     */
+    get size() {
+        return this.entries.size;
+    }
+
+    /**
+     * Add an object to the index, or move it if it is already indexed
+     * @param {Object} object - Object to index
+     * @param {Object} position - Position of the object {x, y, z}
+     * @returns {boolean} True if the object was indexed
+     */
+    insert(object, position) {
+        return this.update(object, position);
+    }
+
+    /**
+     * Record an object's new position, adding the object if it is not indexed yet
+     * @param {Object} object - Indexed object
+     * @param {Object} position - Position of the object {x, y, z}
+     * @returns {boolean} True if the object was indexed
+     */
+    update(object, position) {
+        if (!isValidPosition(position)) {
+            debugWarn("Cannot index an object without a valid position");
+            return false;
+        }
+
+        const cellX = Math.floor(position.x / this.cellSize);
+        const cellZ = Math.floor(position.z / this.cellSize);
+        let entry = this.entries.get(object);
+
+        if (!entry) {
+            entry = { object, x: 0, y: 0, z: 0, cell: null, slot: -1 };
+            this.entries.set(object, entry);
+        } else if (entry.cell.x !== cellX || entry.cell.z !== cellZ) {
+            this.removeFromCell(entry);
+        }
+
+        entry.x = position.x;
+        entry.y = position.y ?? 0;
+        entry.z = position.z;
+
+        if (!entry.cell) {
+            this.addToCell(entry, cellX, cellZ);
+        }
+        return true;
+    }
+
+    /**
+     * Remove an object from the index
+     * @param {Object} object - Indexed object
+     * @returns {boolean} True if the object was indexed
+     */
+    remove(object) {
+        const entry = this.entries.get(object);
+        if (!entry) {
+            return false;
+        }
+
+        this.removeFromCell(entry);
+        this.entries.delete(object);
+        return true;
+    }
+
+    /**
+     * Check whether an object is indexed
+     * @param {Object} object - Object to look up
+     * @returns {boolean} True if the object is indexed
+     */
+    has(object) {
+        return this.entries.has(object);
+    }
+
+    /**
+     * Remove every object from the index
+     */
+    clear() {
+        this.cells.clear();
+        this.entries.clear();
+    }
+
+    /**
+     * Find the objects within a radius of a point
+     * @param {Object} position - Query point {x, y, z}
+     * @param {number} radius - Query radius
+     * @param {Array} results - Array the objects are appended to
+     * @returns {Array} The results array
+     */
+    queryRadius(position, radius, results = []) {
+        if (!isValidPosition(position) || !(radius >= 0)) {
+            return results;
+        }
+
+        const px = position.x;
+        const py = position.y ?? 0;
+        const pz = position.z;
+        const radiusSquared = radius * radius;
+
+        const minX = Math.floor((px - radius) / this.cellSize);
+        const maxX = Math.floor((px + radius) / this.cellSize);
+        const minZ = Math.floor((pz - radius) / this.cellSize);
+        const maxZ = Math.floor((pz + radius) / this.cellSize);
+
+        const collect = (cell) => {
+            for (const entry of cell.entries) {
+                const dx = entry.x - px;
+                const dy = entry.y - py;
+                const dz = entry.z - pz;
+                if (dx * dx + dy * dy + dz * dz <= radiusSquared) {
+                    results.push(entry.object);
+                }
+            }
+        };
+
+        // A radius covering more cells than are occupied is cheaper to answer from the occupied cells
+        if ((maxX - minX + 1) * (maxZ - minZ + 1) > this.cells.size) {
+            for (const cell of this.cells.values()) {
+                if (cell.x >= minX && cell.x <= maxX && cell.z >= minZ && cell.z <= maxZ) {
+                    collect(cell);
+                }
+            }
+            return results;
+        }
+
+        for (let x = minX; x <= maxX; x++) {
+            for (let z = minZ; z <= maxZ; z++) {
+                const cell = this.cells.get(getCellKey(x, z));
+                if (cell) {
+                    collect(cell);
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * Find the objects further than a radius from a point
+     * Cells lying wholly outside the radius are taken without measuring their objects.
+     * @param {Object} position - Query point {x, y, z}
+     * @param {number} radius - Query radius
+     * @param {Array} results - Array the objects are appended to
+     * @returns {Array} The results array
+     */
+    queryOutside(position, radius, results = []) {
+        if (!isValidPosition(position) || !(radius >= 0)) {
+            return results;
+        }
+
+        const px = position.x;
+        const py = position.y ?? 0;
+        const pz = position.z;
+        const radiusSquared = radius * radius;
+
+        for (const cell of this.cells.values()) {
+            // Ground distance from the point to the nearest edge of the cell
+            const left = cell.x * this.cellSize;
+            const top = cell.z * this.cellSize;
+            const nearestX = Math.max(left - px, 0, px - (left + this.cellSize));
+            const nearestZ = Math.max(top - pz, 0, pz - (top + this.cellSize));
+
+            if (nearestX * nearestX + nearestZ * nearestZ > radiusSquared) {
+                for (const entry of cell.entries) {
+                    results.push(entry.object);
+                }
+                continue;
+            }
+
+            for (const entry of cell.entries) {
+                const dx = entry.x - px;
+                const dy = entry.y - py;
+                const dz = entry.z - pz;
+                if (dx * dx + dy * dy + dz * dz > radiusSquared) {
+                    results.push(entry.object);
+                }
+            }
+        }
+        return results;
+    }
+
+    /**
+     * File an entry in a cell, creating the cell if it is empty
+     * @param {Object} entry - Index entry
+     * @param {number} cellX - Cell x coordinate
+     * @param {number} cellZ - Cell z coordinate
+     */
+    addToCell(entry, cellX, cellZ) {
+        const key = getCellKey(cellX, cellZ);
+        let cell = this.cells.get(key);
+        if (!cell) {
+            cell = { x: cellX, z: cellZ, entries: [] };
+            this.cells.set(key, cell);
+        }
+
+        entry.cell = cell;
+        entry.slot = cell.entries.length;
+        cell.entries.push(entry);
+    }
+
+    /**
+     * Take an entry out of its cell, dropping the cell once it is empty
+     * @param {Object} entry - Index entry
+     */
+    removeFromCell(entry) {
+        const cell = entry.cell;
+        const last = cell.entries.pop();
+        if (last !== entry) {
+            cell.entries[entry.slot] = last;
+            last.slot = entry.slot;
+        }
+        if (cell.entries.length === 0) {
+            this.cells.delete(getCellKey(cell.x, cell.z));
+        }
+
+        entry.cell = null;
+        entry.slot = -1;
+    }
+}
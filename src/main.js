@@ -9,8 +9,8 @@ import * as CANNON from 'cannon-es';
 import * as Tone from 'tone';
 
 // Import game modules
-import { debugInfo, debugWarn, debugError, debugLog, toggleDebugMode } from './game/utils/debug.js';
-import { PHYSICS, KATAMARI, COLLECTION, CAMERA, WORLD, PERFORMANCE } from './game/utils/constants.js';
+import { debugInfo, debugWarn, debugError, toggleDebugMode, setDebugMode } from './game/utils/debug.js';
+import { PHYSICS, KATAMARI, WORLD, PERFORMANCE } from './game/utils/constants.js';
 import { 
     initializeScene, 
     setupLighting, 
@@ -40,51 +40,122 @@ import {
     initializeAudio,
     playRollingSound,
     stopRollingSound,
-    playCollectionSound,
-    updateAttractionHum
+    updateAttractionHum,
+    silenceAttractionHum,
+    setAudioMuted,
+    isAudioMuted
 } from './game/core/audio.js';
+import { initializeModelLoader, loadItemModels } from './game/core/models.js';
+import {
+    initializeCameraController,
+    updateCameraController,
+    cycleCameraZoom,
+    setCameraAutoAlign,
+    isCameraAutoAlignEnabled
+} from './game/core/camera.js';
+import { ITEM_CATALOG } from './game/entities/catalog.js';
 import {
     initializeItemsSystem,
     updateItemFadeIn,
-    generateItemsAroundKatamari,
-    cleanupOldItems,
     getItemsToCollect,
-    removeItemFromCollection,
-    resetLastGenerationPosition,
+    getItemSpatialIndex,
+    processPendingItems,
+    synchronizeItemsWithPhysics,
+    attractItemsToKatamari,
     resetInstancedMeshes,
-    cleanupItemsSystem,
-    getInstancedMeshById
+    cleanupItemsSystem
 } from './game/entities/items.js';
 import {
     initializeEnvironment,
-    updateEnvironment
+    updateEnvironment,
+    updateMountainPassability,
+    getMountains
 } from './game/entities/environment.js';
 import { Katamari } from './game/entities/katamari.js';
 import {
     initializeInputSystem,
     registerTouchCanvas,
-    getKeyboardInput,
-    getTouchInput,
-    getGyroscopeInput,
-    isGyroscopeEnabled,
-    toggleGyroscope
+    getMovementInput,
+    getTankInput,
+    getCameraInput,
+    setControlScheme,
+    getControlScheme,
+    updateGamepadInput,
+    setBindings,
+    toggleGyroscope,
+    restoreGyroscope
 } from './game/systems/input.js';
 import {
     initializeUISystem,
     updateHUD,
     updatePowerUpStatus,
     updateGyroButtonState,
-    updateDebugButtonState
+    updateDebugButtonState,
+    updateAudioButtonState,
+    updateControlsButtonState,
+    updateCameraButtonState,
+    updatePediaButtonState,
+    updateReplayControls,
+    showGameStateOverlay
 } from './game/systems/ui.js';
+import {
+    GAME_STATES,
+    initializeGameState,
+    setGameState,
+    getGameState,
+    isPlaying,
+    getPlayTime
+} from './game/systems/state.js';
 import {
     initializeLevelSystem,
     generateNewLevel,
-    checkWinCondition,
+    checkFailCondition,
+    updateLevelTimer,
+    getLevelResults,
+    retryLevel,
     getCurrentLevel,
     getCurrentTheme,
     getTargetKatamariSize,
-    isLevelGenerating
+    isLevelGenerating,
+    setCurrentLevel,
+    getLevelSeed
 } from './game/systems/level.js';
+import {
+    initializePowerUpSystem,
+    updatePowerUps,
+    getActivePowerUps,
+    clearPowerUps
+} from './game/systems/powerups.js';
+import {
+    initializeScoreSystem,
+    getScore,
+    getCombo,
+    getScoreSummary
+} from './game/systems/score.js';
+import { initializeChunkSystem, updateChunks } from './game/systems/chunks.js';
+import { initializeAchievements } from './game/systems/achievements.js';
+import { initializeCollectionLog } from './game/systems/collection.js';
+import { initializePedia, togglePedia } from './game/systems/pedia.js';
+import {
+    initializeReplaySystem,
+    recordReplayFrame,
+    hasReplay,
+    startReplay,
+    stopReplay,
+    isReplaying,
+    updateReplay,
+    cycleReplaySpeed,
+    getReplaySpeed,
+    getReplayProgress
+} from './game/systems/replay.js';
+import { GAME_EVENTS, subscribe } from './game/utils/events.js';
+import { getGameTime, setGameTimeSource } from './game/utils/clock.js';
+import {
+    initializeSaveSystem,
+    recordLevelProgress,
+    updateSettings,
+    clearSave
+} from './game/systems/save.js';
 
 // Import styles
 import './styles/main.css';
@@ -94,16 +165,20 @@ const gameModule = (function() {
     // Game state variables
     let scene, camera, renderer, world;
     let katamari; // Now using Katamari class
-    let cameraLookAtTarget = new THREE.Vector3();
     const clock = new THREE.Clock();
     let smoothedSpeed = 0;
 
     // Cooldowns
-    let lastCollectionSoundTime = 0;
     let lastRollingSoundTime = 0;
 
-    // Power-up variables
-    let activePowerUps = {};
+    // Whether the current katamari's run has already been written to the save
+    let progressRecorded = false;
+
+    // Result screen a replay returns to when it ends
+    let replayReturnState = null;
+
+    // Game states in which the new level action regenerates the world
+    const NEW_LEVEL_STATES = [GAME_STATES.PLAYING, GAME_STATES.LEVEL_COMPLETE, GAME_STATES.LEVEL_FAILED];
 
     // FPS Counter
     const fpsCounter = {
@@ -144,6 +219,15 @@ const gameModule = (function() {
         
         fpsCounter.init();
 
+        // Load saved progression and settings before any system reads them
+        const saveData = initializeSaveSystem();
+        setDebugMode(saveData.settings.debug);
+
+        // Start in the boot state; the title screen follows once the first level is ready
+        initializeGameState({ onStateChange: handleGameStateChange });
+        // Gameplay timers stand still while the game is paused or on the title and result screens
+        setGameTimeSource(getPlayTime);
+
         // Debugging: Check Tone object (imported as module)
         debugInfo("Tone object after module import:", Tone);
         debugInfo("Type of Tone.NoiseSynth:", typeof Tone.NoiseSynth);
@@ -160,6 +244,15 @@ const gameModule = (function() {
         camera = getCamera();
         renderer = getRenderer();
 
+        // The camera pulls in front of mountains and of items too big to roll up
+        initializeCameraController(camera, {
+            getObstacles: () => [
+                ...getMountains(),
+                ...getItemsToCollect().filter(item => katamari && !katamari.canCollectItem(item.userData.size))
+            ]
+        });
+        setCameraAutoAlign(saveData.settings.cameraAutoAlign);
+
         // Initialize physics world using physics module
         world = initializePhysicsWorld();
 
@@ -168,36 +261,126 @@ const gameModule = (function() {
 
         // Initialize audio system using the audio module
         await initializeAudio();
+        setAudioMuted(!saveData.settings.audio);
 
-        // Initialize items and environment systems
+        // Load bundled item models; items without one keep their procedural builders
+        initializeModelLoader();
+        await loadItemModels(ITEM_CATALOG);
+
+        // Initialize items, world chunk and environment systems
         initializeItemsSystem();
+        initializeChunkSystem();
         initializeEnvironment();
 
-        // Initialize level system
+        // Initialize level system and resume from the saved level
         initializeLevelSystem();
+        setCurrentLevel(saveData.currentLevel);
+
+        // Initialize power-up system
+        initializePowerUpSystem();
+
+        // Initialize score system; it scores the katamari's collection and shedding events
+        initializeScoreSystem();
+
+        // Initialize achievements from the save; they track progress from the game events
+        initializeAchievements();
+
+        // Initialize the collection log and the Katamari-pedia panel that browses it
+        initializeCollectionLog();
+        initializePedia({ onClose: () => updatePediaButtonState(false) });
+
+        // Record each level so its results screen can replay it
+        initializeReplaySystem();
+
+        // Save progress and show the results screen once the level system reports a win
+        subscribe(GAME_EVENTS.LEVEL_COMPLETED, () => {
+            saveProgress();
+            setGameState(GAME_STATES.LEVEL_COMPLETE);
+        });
 
         // Initialize UI system
         initializeUISystem({
-            onMessageOverlayClick: () => generateNewLevel(createKatamari),
+            onMessageOverlayClick: continueFromMessageOverlay,
             onGyroToggle: () => {
                 const newGyroState = toggleGyroscope();
                 return newGyroState;
             },
             onDebugToggle: () => {
                 const newDebugMode = toggleDebugMode();
+                updateSettings({ debug: newDebugMode });
                 return newDebugMode;
-            }
+            },
+            onAudioToggle: () => {
+                setAudioMuted(!isAudioMuted());
+                const audioEnabled = !isAudioMuted();
+                updateSettings({ audio: audioEnabled });
+                return audioEnabled;
+            },
+            onControlsToggle: () => {
+                const scheme = getControlScheme() === 'tank' ? 'standard' : 'tank';
+                setControlScheme(scheme);
+                updateSettings({ controlScheme: scheme });
+                return scheme === 'tank';
+            },
+            onCameraAutoAlignToggle: () => {
+                const autoAlign = !isCameraAutoAlignEnabled();
+                setCameraAutoAlign(autoAlign);
+                updateSettings({ cameraAutoAlign: autoAlign });
+                return autoAlign;
+            },
+            onPediaToggle: () => {
+                const isOpen = togglePedia();
+                // Browsing the Katamari-pedia pauses the level
+                if (isOpen && isPlaying()) {
+                    setGameState(GAME_STATES.PAUSED);
+                }
+                return isOpen;
+            },
+            onReplay: watchReplay,
+            onReplaySpeed: cycleReplaySpeed,
+            onReplayExit: exitReplay
         });
+        updateAudioButtonState(!isAudioMuted());
+        updateCameraButtonState(isCameraAutoAlignEnabled());
 
         // Initialize input system
         initializeInputSystem({
-            onSpaceKey: () => generateNewLevel(createKatamari),
-            onResetKey: resetKatamariPosition,
-            onMessageOverlayClick: () => generateNewLevel(createKatamari),
+            onNewLevel: () => {
+                if (!NEW_LEVEL_STATES.includes(getGameState()) || isLevelGenerating()) return;
+                saveProgress();
+                startLevel(() => generateNewLevel(createKatamari));
+            },
+            onReset: () => {
+                if (isPlaying()) resetKatamariPosition();
+            },
+            onPause: togglePause,
+            onCamera: cycleCameraZoom,
+            onQuickTurn: () => {
+                if (katamari && isPlaying() && getControlScheme() === 'tank') katamari.quickTurn();
+            },
+            onDash: () => {
+                if (katamari && isPlaying()) katamari.startDash();
+            },
+            onMessageOverlayClick: continueFromMessageOverlay,
             onWindowResize: () => {
                 handleWindowResize();
+            },
+            onGyroscopeToggle: (enabled) => {
+                updateSettings({ gyro: enabled });
+            },
+            onBindingsChange: (bindings) => {
+                updateSettings({ bindings });
             }
         });
+        setBindings(saveData.settings.bindings);
+        if (saveData.settings.controlScheme) {
+            setControlScheme(saveData.settings.controlScheme);
+        }
+        updateControlsButtonState(getControlScheme() === 'tank');
+
+        if (saveData.settings.gyro) {
+            updateGyroButtonState(restoreGyroscope());
+        }
 
         // Initialize performance monitoring system
         initializePerformanceMonitoring({
@@ -210,9 +393,13 @@ const gameModule = (function() {
         // Register canvas for touch events
         registerTouchCanvas(renderer.domElement);
 
+        // A ?seed= URL parameter replays a specific level, e.g. from a bug report
+        const urlSeed = new URLSearchParams(window.location.search).get('seed');
+
         debugInfo("Calling generateNewLevel from init...");
-        await generateNewLevel(createKatamari);
+        await generateNewLevel(createKatamari, { seed: urlSeed });
         debugInfo("generateNewLevel completed. Starting animation loop.");
+        setGameState(GAME_STATES.TITLE);
         
         animate();
     }
@@ -236,17 +423,139 @@ const gameModule = (function() {
         
         // Create new katamari instance
         katamari = new Katamari(scene, world);
-        
-        // Reset item generation position
-        resetLastGenerationPosition(katamari.getThreePosition());
+        progressRecorded = false;
+
+        // Power-ups do not carry over between levels
+        clearPowerUps();
         
         debugInfo("Katamari created successfully");
     }
 
+    // Write the current run's level, best radius and items collected to the save (once per katamari)
+    function saveProgress() {
+        if (!katamari || progressRecorded) return;
+
+        const theme = getCurrentTheme();
+        recordLevelProgress({
+            themeName: theme ? theme.themeName : null,
+            radius: katamari.radius,
+            itemsCollected: katamari.itemsCollectedCount,
+            nextLevel: getCurrentLevel()
+        });
+        progressRecorded = true;
+    }
+
+    // Leave the overlay of the current state: start or resume play, retry a failed level from the same seed,
+    // or move on to the next level
+    function continueFromMessageOverlay() {
+        if (isLevelGenerating()) return;
+
+        switch (getGameState()) {
+            case GAME_STATES.TITLE:
+            case GAME_STATES.PAUSED:
+                setGameState(GAME_STATES.PLAYING);
+                break;
+            case GAME_STATES.LEVEL_FAILED:
+                startLevel(() => retryLevel(createKatamari));
+                break;
+            case GAME_STATES.LEVEL_COMPLETE:
+                startLevel(() => generateNewLevel(createKatamari));
+                break;
+            case GAME_STATES.REPLAY:
+                exitReplay();
+                break;
+        }
+    }
+
+    // Replay the finished level from its recording, returning to its results screen afterwards
+    function watchReplay() {
+        const state = getGameState();
+        if (!katamari || (state !== GAME_STATES.LEVEL_COMPLETE && state !== GAME_STATES.LEVEL_FAILED)) return;
+        if (!startReplay()) return;
+
+        replayReturnState = state;
+        setGameState(GAME_STATES.REPLAY);
+    }
+
+    // Stop the replay and put the katamari back where the level ended
+    function exitReplay() {
+        if (getGameState() !== GAME_STATES.REPLAY) return;
+
+        stopReplay();
+        katamari.endReplay();
+        updateHUD({
+            katamariRadius: katamari.radius,
+            itemsCollected: katamari.itemsCollectedCount,
+            targetSize: getTargetKatamariSize()
+        });
+        setGameState(replayReturnState);
+    }
+
+    // Pose the katamari and camera from the next replay frame; the physics world stays untouched
+    function updateReplayPlayback(deltaTime) {
+        const frame = updateReplay(deltaTime);
+        if (frame) {
+            katamari.showReplayFrame(frame);
+            updateCamera(deltaTime, frame.velocity);
+            updateHUD({
+                katamariRadius: frame.radius,
+                katamariSpeed: Math.hypot(frame.velocity.x, frame.velocity.y, frame.velocity.z),
+                itemsCollected: frame.itemsCollected,
+                targetSize: getTargetKatamariSize()
+            });
+            updateReplayControls({ speed: getReplaySpeed(), progress: getReplayProgress(), lastCollection: frame.lastCollection });
+        }
+
+        if (!isReplaying()) {
+            exitReplay();
+        }
+    }
+
+    // Pause or resume play; on the title and result screens the pause button continues instead
+    function togglePause() {
+        if (isPlaying()) {
+            setGameState(GAME_STATES.PAUSED);
+        } else {
+            continueFromMessageOverlay();
+        }
+    }
+
+    // Generate a level; a finished level's result screen gives way to play once it is ready
+    async function startLevel(generate) {
+        stopRollingSound();
+        await generate();
+
+        const state = getGameState();
+        if (state === GAME_STATES.LEVEL_COMPLETE || state === GAME_STATES.LEVEL_FAILED) {
+            setGameState(GAME_STATES.PLAYING);
+        }
+    }
+
+    // Keep the overlays and audio in step with the game state
+    function handleGameStateChange(state) {
+        if (state === GAME_STATES.PLAYING) {
+            // Drop the time spent on an overlay so play resumes without a long first frame
+            clock.getDelta();
+        } else {
+            stopRollingSound();
+            silenceAttractionHum();
+        }
+
+        if (state !== GAME_STATES.REPLAY) {
+            updateReplayControls(null);
+        }
+
+        showGameStateOverlay(state, {
+            level: getCurrentLevel(),
+            results: getLevelResults(),
+            score: getScoreSummary(),
+            canReplay: hasReplay()
+        });
+    }
+
     function resetKatamariPosition() {
         if (katamari) {
             katamari.resetPosition();
-            resetLastGenerationPosition(katamari.getThreePosition());
             debugInfo("Katamari position reset.");
         }
     }
@@ -261,33 +570,57 @@ const gameModule = (function() {
         // Update performance monitoring
         updatePerformanceMonitoring(frameStartTime);
 
-        if (!isLevelGenerating() && katamari) {
+        // Poll the gamepad on every screen so its pause button can start, resume or continue
+        updateGamepadInput();
+
+        if (!isLevelGenerating() && katamari && isPlaying()) {
             // Update physics
             updatePhysics(deltaTime);
 
+            // Expire power-ups whose duration has elapsed
+            updatePowerUps();
+
             // Handle katamari movement input
-            const movementInput = {
-                keys: getKeyboardInput(),
-                touchInput: getTouchInput(),
-                gyro: getGyroscopeInput()
-            };
-            katamari.handleMovement(movementInput, camera, isGyroscopeEnabled());
+            if (getControlScheme() === 'tank') {
+                katamari.handleTankMovement(getTankInput(), deltaTime);
+            } else {
+                katamari.handleMovement(getMovementInput(), camera);
+            }
 
             // Update katamari state
             katamari.update(WORLD.MAP_BOUNDARY);
 
+            // Record this step for the level's replay
+            recordReplayFrame(katamari, deltaTime);
+
+            // Remove items collected and respawn items knocked loose during the physics step
+            processPendingItems();
+
             // Synchronize physics bodies with visual meshes
-            synchronizePhysicsWithVisuals();
+            synchronizeItemsWithPhysics();
+
+            // Stream in the chunks around the katamari and store the items of the chunks it left
+            updateChunks(katamari.getThreePosition(), getCurrentTheme(), katamari.radius);
+
+            // Pull nearby items towards the katamari
+            handleItemAttraction();
+
+            // Count down the level timer and fail the level when it runs out
+            updateLevelTimer(deltaTime);
+            if (checkFailCondition(katamari.radius, katamari.itemsCollectedCount)) {
+                saveProgress();
+                setGameState(GAME_STATES.LEVEL_FAILED);
+            }
 
-            // Handle item collection
-            handleItemCollection();
+            // Open up mountains the katamari has outgrown
+            updateMountainPassability(katamari.radius);
 
             // Calculate katamari speed for UI and audio
             const velocity = katamari.getVelocityMagnitude();
             smoothedSpeed = smoothedSpeed * PERFORMANCE.SPEED_SMOOTHING_FACTOR + velocity * PERFORMANCE.VELOCITY_SMOOTHING_FACTOR;
 
             // Update camera to follow katamari
-            updateCamera();
+            updateCamera(deltaTime);
 
             // Reduce frequency of expensive operations
             if (Math.random() < PERFORMANCE.EXPENSIVE_OPERATIONS_FREQUENCY) { // Only run 10% of the time
@@ -296,16 +629,10 @@ const gameModule = (function() {
 
                 // Manage physics body activation/deactivation based on katamari position
                 const katamariCannonPosition = katamari.getPosition();
-                managePhysicsBodyActivation(katamariCannonPosition, PHYSICS.ACTIVE_DISTANCE);
+                managePhysicsBodyActivation(katamariCannonPosition, PHYSICS.ACTIVE_DISTANCE, getItemSpatialIndex());
 
                 // Update items
                 updateItemFadeIn();
-                
-                // Generate items dynamically around katamari
-                generateItemsAroundKatamari(katamari.getThreePosition(), getCurrentTheme(), katamari.radius);
-                
-                // Clean up old items
-                cleanupOldItems(katamari.getThreePosition());
 
                 // Update environment
                 updateEnvironment(deltaTime);
@@ -326,17 +653,18 @@ const gameModule = (function() {
                     katamariSpeed: smoothedSpeed,
                     itemsCollected: katamari.itemsCollectedCount,
                     targetSize: getTargetKatamariSize(),
+                    score: getScore(),
+                    combo: getCombo(getGameTime()),
                     fps: performanceStats.fps || (fpsCounter.frames.length > 0 ? fpsCounter.frames[fpsCounter.frames.length - 1] : 0),
                     physicsStats: physicsStats,
                     performanceStats: performanceStats
                 });
 
                 // Update power-up status
-                updatePowerUpStatus(activePowerUps);
-
-                // Check for win condition using level system
-                checkWinCondition(katamari.radius);
+                updatePowerUpStatus(getActivePowerUps());
             }
+        } else if (!isLevelGenerating() && katamari && getGameState() === GAME_STATES.REPLAY) {
+            updateReplayPlayback(deltaTime);
         }
 
         // Measure render time
@@ -350,152 +678,24 @@ const gameModule = (function() {
         recordRenderTime(renderEndTime - renderStartTime);
     }
 
-    // Handle item collection logic and cleanup
-    function handleItemCollection() {
-        const itemsToCollect = getItemsToCollect();
-        const katamariPosition = katamari.getThreePosition();
-        const attractionRange = katamari.getAttractionRange();
-        
-        let itemsInRange = 0;
-        const currentTime = performance.now();
-
-        // Check for collected items (marked by collision handler) and clean them up
-        for (let i = itemsToCollect.length - 1; i >= 0; i--) {
-            const item = itemsToCollect[i];
-            
-            if (item.userData.isCollected) {
-                // Remove physics body with proper collision event cleanup
-                if (item.userData.cannonBody) {
-                    // Remove collision event handler before removing body
-                    if (item.userData.cannonBody.userData.collisionHandler) {
-                        item.userData.cannonBody.removeEventListener('collide', item.userData.cannonBody.userData.collisionHandler);
-                        debugLog(`Removed collision handler for collected item ${item.userData.cannonBody.userData.name}`);
-                    }
-                    
-                    world.removeBody(item.userData.cannonBody);
-                }
-                
-                // Remove from visual scene using improved cleanup
-                if (item.userData.isInstanced) {
-                    // Use the improved instanced mesh disposal function
-                    // Note: This will be handled by the cleanupCollectedItems function
-                    // For now, hide the instance manually
-                    const instancedMesh = getInstancedMeshById(item.userData.instancedId);
-                    if (instancedMesh && item.userData.instanceIndex !== -1) {
-                        const dummy = new THREE.Object3D();
-                        dummy.scale.set(0, 0, 0);
-                        dummy.updateMatrix();
-                        instancedMesh.setMatrixAt(item.userData.instanceIndex, dummy.matrix);
-                        instancedMesh.instanceMatrix.needsUpdate = true;
-                    }
-                } else {
-                    scene.remove(item);
-                }
-                
-                // Remove from items array
-                removeItemFromCollection(item);
-                
-                // Play collection sound with cooldown
-                if (currentTime - lastCollectionSoundTime > 100) {
-                    playCollectionSound(item.userData.size);
-                    lastCollectionSoundTime = currentTime;
-                }
-                
-                continue;
-            }
-            
-            // Handle attraction for non-collected items
-            const distance = katamariPosition.distanceTo(item.position);
-            
-            if (distance <= attractionRange) {
-                itemsInRange++;
-                
-                // Apply attraction force for items that are too big to collect immediately
-                if (!katamari.canCollectItem(item.userData.size)) {
-                    const direction = new THREE.Vector3().subVectors(katamariPosition, item.position);
-                    const attractionStrength = Math.max(0, 1 - distance / attractionRange) * COLLECTION.ATTRACTION_FORCE;
-                    direction.normalize().multiplyScalar(attractionStrength);
-                    item.position.add(direction);
-                    
-                    // Update physics body position to match
-                    if (item.userData.cannonBody) {
-                        item.userData.cannonBody.position.copy(item.position);
-                    }
-                }
-            }
-        }
-
-        // Update attraction hum based on nearby items
-        updateAttractionHum(itemsInRange, attractionRange);
-    }
-
-    // Update audio based on katamari movement
-    function updateAudioBasedOnMovement(velocity) {
-        const currentTime = performance.now();
-        const isMoving = velocity > PERFORMANCE.MOVEMENT_THRESHOLD;
-        
-        if (isMoving) {
-            // Play rolling sound with cooldown
-            if (currentTime - lastRollingSoundTime > 200) {
-                playRollingSound(velocity, katamari.radius);
-                lastRollingSoundTime = currentTime;
-            }
-        } else {
-            // Stop rolling sound when not moving
-            stopRollingSound();
-        }
+    // Pull items in attraction range towards the katamari and drive the attraction hum
+    function handleItemAttraction() {
+        const itemsInRange = attractItemsToKatamari(katamari);
+        updateAttractionHum(itemsInRange, katamari.getAttractionRange());
     }
 
-    // Synchronize physics bodies with visual meshes
-    function synchronizePhysicsWithVisuals() {
-        const itemsToCollect = getItemsToCollect();
-        
-        for (const item of itemsToCollect) {
-            const cannonBody = item.userData.cannonBody;
-            if (!cannonBody) continue;
-            
-            // Update visual mesh position to match physics body
-            item.position.copy(cannonBody.position);
-            item.quaternion.copy(cannonBody.quaternion);
-            
-            // Handle instanced mesh synchronization
-            if (item.userData.isInstanced) {
-                const instancedMesh = getInstancedMeshById(item.userData.instancedId);
-                if (instancedMesh && item.userData.instanceIndex !== -1) {
-                    const dummy = new THREE.Object3D();
-                    dummy.position.copy(cannonBody.position);
-                    dummy.quaternion.copy(cannonBody.quaternion);
-                    dummy.scale.setScalar(item.userData.size || 1);
-                    dummy.updateMatrix();
-                    instancedMesh.setMatrixAt(item.userData.instanceIndex, dummy.matrix);
-                    instancedMesh.instanceMatrix.needsUpdate = true;
-                }
-            }
-        }
-    }
-
-    // Update camera to follow katamari
-    function updateCamera() {
+    // Orbit the camera around the katamari; tank controls keep it behind the heading.
+    // A replay passes the recorded velocity, as the physics body is not moving.
+    function updateCamera(deltaTime, replayVelocity = null) {
         if (!katamari) return;
 
-        const katamariPosition = katamari.getThreePosition();
-        
-        // Calculate camera distance based on katamari size
-        const cameraDistance = CAMERA.BASE_DISTANCE + katamari.radius * CAMERA.DISTANCE_MULTIPLIER;
-        const cameraHeight = CAMERA.HEIGHT_OFFSET + katamari.radius;
-        
-        // Smooth camera following
-        const targetCameraPosition = new THREE.Vector3(
-            katamariPosition.x,
-            katamariPosition.y + cameraHeight,
-            katamariPosition.z + cameraDistance
-        );
-        
-        camera.position.lerp(targetCameraPosition, CAMERA.FOLLOW_LERP_SPEED);
-        
-        // Smooth look-at target
-        cameraLookAtTarget.lerp(katamariPosition, CAMERA.LOOK_AT_LERP_SPEED);
-        camera.lookAt(cameraLookAtTarget);
+        updateCameraController(katamari.getThreePosition(), {
+            radius: katamari.radius,
+            velocity: replayVelocity || katamari.body.velocity,
+            heading: getControlScheme() === 'tank' && !replayVelocity ? katamari.heading : null,
+            input: getCameraInput(),
+            deltaTime
+        });
     }
 
     // Input handling is now managed by the input system module
@@ -511,9 +711,17 @@ const gameModule = (function() {
         getKatamari: () => katamari,
         getCurrentLevel: () => getCurrentLevel(),
         getCurrentTheme: () => getCurrentTheme(),
+        getLevelSeed: () => getLevelSeed(),
+        getLevelResults: () => getLevelResults(),
+        getGameState: () => getGameState(),
+        getScore: () => getScore(),
+        // Regenerate the current level, optionally from a given seed
+        generateLevel: (seed) => startLevel(() => generateNewLevel(createKatamari, { seed })),
         // Expose state getters
         getKatamariRadius: () => katamari ? katamari.radius : KATAMARI.INITIAL_RADIUS,
-        getItemsCollectedCount: () => katamari ? katamari.itemsCollectedCount : 0
+        getItemsCollectedCount: () => katamari ? katamari.itemsCollectedCount : 0,
+        // Wipe saved progression and settings (takes effect on next load)
+        clearSave: () => clearSave()
     };
 })();
 
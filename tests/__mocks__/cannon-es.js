@@ -133,23 +133,30 @@ export class Body {
         this.angularVelocity = new Vec3();
         this.quaternion = new Quaternion();
         this.shapes = options.shape ? [options.shape] : [];
-        this.shapeOffsets = [new Vec3(0, 0, 0)];
-        this.shapeOrientations = [new Quaternion(0, 0, 0, 1)];
+        this.shapeOffsets = options.shape ? [new Vec3(0, 0, 0)] : [];
+        this.shapeOrientations = options.shape ? [new Quaternion(0, 0, 0, 1)] : [];
         this.type = options.type || Body.DYNAMIC;
         this.material = options.material || null;
         this.sleepState = Body.AWAKE;
     }
     
-    addShape = vi.fn((shape) => {
+    addShape = vi.fn((shape, offset = new Vec3(), orientation = new Quaternion()) => {
         this.shapes.push(shape);
+        this.shapeOffsets[this.shapes.length - 1] = offset;
+        this.shapeOrientations[this.shapes.length - 1] = orientation;
     });
     
     removeShape = vi.fn((shape) => {
         const index = this.shapes.indexOf(shape);
         if (index !== -1) {
             this.shapes.splice(index, 1);
+            this.shapeOffsets.splice(index, 1);
+            this.shapeOrientations.splice(index, 1);
         }
     });
+
+    // Plain method rather than a per-instance vi.fn: bodies are created in bulk by item tests
+    updateBoundingRadius() {}
     
     wakeUp = vi.fn();
     sleep = vi.fn();
@@ -172,6 +179,8 @@ export class Sphere {
         this.radius = radius;
         this.type = Sphere.SPHERE;
     }
+
+    updateBoundingSphereRadius() {}
     
     static SPHERE = 1;
 }
@@ -243,8 +252,44 @@ export class Quaternion {
         return this;
     });
     
+    setFromEuler = vi.fn((x, y, z) => {
+        // XYZ order, as in cannon-es
+        const c1 = Math.cos(x / 2), c2 = Math.cos(y / 2), c3 = Math.cos(z / 2);
+        const s1 = Math.sin(x / 2), s2 = Math.sin(y / 2), s3 = Math.sin(z / 2);
+        this.x = s1 * c2 * c3 + c1 * s2 * s3;
+        this.y = c1 * s2 * c3 - s1 * c2 * s3;
+        this.z = c1 * c2 * s3 + s1 * s2 * c3;
+        this.w = c1 * c2 * c3 - s1 * s2 * s3;
+        return this;
+    });
+
+    mult = vi.fn((q) => new Quaternion(
+        this.x * q.w + this.w * q.x + this.y * q.z - this.z * q.y,
+        this.y * q.w + this.w * q.y + this.z * q.x - this.x * q.z,
+        this.z * q.w + this.w * q.z + this.x * q.y - this.y * q.x,
+        this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z
+    ));
+
+    // Plain method rather than a per-instance vi.fn: every body carries several quaternions
+    set(x, y, z, w) {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+        return this;
+    }
+
     multiply = vi.fn((q) => this);
     normalize = vi.fn(() => this);
+    copy = vi.fn((q) => {
+        if (q) {
+            this.x = q.x;
+            this.y = q.y;
+            this.z = q.z;
+            this.w = q.w;
+        }
+        return this;
+    });
 }
 
 // Mock Broadphase classes
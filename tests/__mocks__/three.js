@@ -19,7 +19,15 @@ export class Vector3 {
         this.z = z;
         return this;
     });
-    
+
+    // Plain method rather than a per-instance vi.fn: Vector3 is created in bulk by item tests
+    setScalar(scalar) {
+        this.x = scalar;
+        this.y = scalar;
+        this.z = scalar;
+        return this;
+    }
+
     copy = vi.fn((vector) => {
         this.x = vector.x;
         this.y = vector.y;
@@ -146,9 +154,46 @@ export class WebGLRenderer {
     dispose = vi.fn();
 }
 
+// Mock BufferGeometry base class; plain methods rather than per-instance vi.fns, as geometries are built in bulk
+export class BufferGeometry {
+    constructor() {
+        this.attributes = {};
+    }
+    
+    setAttribute(name, attribute) {
+        this.attributes[name] = attribute;
+        return this;
+    }
+    
+    getAttribute(name) {
+        return this.attributes[name];
+    }
+    
+    deleteAttribute(name) {
+        delete this.attributes[name];
+        return this;
+    }
+}
+
+// Mock InstancedBufferAttribute class
+export class InstancedBufferAttribute {
+    constructor(array, itemSize) {
+        this.array = array;
+        this.itemSize = itemSize;
+        this.count = array.length / itemSize;
+        this.needsUpdate = false;
+    }
+    
+    setUsage(usage) {
+        this.usage = usage;
+        return this;
+    }
+}
+
 // Mock Geometry classes
-export class SphereGeometry {
+export class SphereGeometry extends BufferGeometry {
     constructor(radius = 1, widthSegments = 32, heightSegments = 16) {
+        super();
         this.type = 'SphereGeometry';
         this.parameters = {
             radius,
@@ -163,8 +208,9 @@ export class SphereGeometry {
     dispose = vi.fn();
 }
 
-export class BoxGeometry {
+export class BoxGeometry extends BufferGeometry {
     constructor(width = 1, height = 1, depth = 1) {
+        super();
         this.type = 'BoxGeometry';
         this.parameters = {
             width,
@@ -231,6 +277,14 @@ export class Quaternion {
         return this;
     });
     
+    set = vi.fn((x, y, z, w) => {
+        this.x = x;
+        this.y = y;
+        this.z = z;
+        this.w = w;
+        return this;
+    });
+    
     multiply = vi.fn((q) => this);
     normalize = vi.fn(() => this);
     copy = vi.fn((q) => {
@@ -311,10 +365,16 @@ export class Mesh {
         this.position = new Vector3();
         this.rotation = new Vector3();
         this.scale = new Vector3(1, 1, 1);
+        this.quaternion = new Quaternion();
         this.visible = true;
         this.userData = {};
     }
     
+    // Plain method rather than a per-instance vi.fn: item tests build meshes in bulk
+    traverse(callback) {
+        callback(this);
+    }
+    
     dispose = vi.fn();
 }
 
@@ -435,8 +495,9 @@ export class HemisphereLight {
 }
 
 // Mock CylinderGeometry class
-export class CylinderGeometry {
+export class CylinderGeometry extends BufferGeometry {
     constructor(radiusTop = 1, radiusBottom = 1, height = 1, radialSegments = 8) {
+        super();
         this.type = 'CylinderGeometry';
         this.parameters = {
             radiusTop,
@@ -454,8 +515,9 @@ export class CylinderGeometry {
 }
 
 // Mock ConeGeometry class
-export class ConeGeometry {
+export class ConeGeometry extends BufferGeometry {
     constructor(radius = 1, height = 1, radialSegments = 8) {
+        super();
         this.type = 'ConeGeometry';
         this.parameters = {
             radius,
@@ -471,8 +533,9 @@ export class ConeGeometry {
 }
 
 // Mock IcosahedronGeometry class
-export class IcosahedronGeometry {
+export class IcosahedronGeometry extends BufferGeometry {
     constructor(radius = 1, detail = 0) {
+        super();
         this.type = 'IcosahedronGeometry';
         this.parameters = {
             radius,
@@ -486,8 +549,9 @@ export class IcosahedronGeometry {
 }
 
 // Mock DodecahedronGeometry class
-export class DodecahedronGeometry {
+export class DodecahedronGeometry extends BufferGeometry {
     constructor(radius = 1, detail = 0) {
+        super();
         this.type = 'DodecahedronGeometry';
         this.parameters = {
             radius,
@@ -501,8 +565,9 @@ export class DodecahedronGeometry {
 }
 
 // Mock OctahedronGeometry class
-export class OctahedronGeometry {
+export class OctahedronGeometry extends BufferGeometry {
     constructor(radius = 1, detail = 0) {
+        super();
         this.type = 'OctahedronGeometry';
         this.parameters = {
             radius,
@@ -516,8 +581,9 @@ export class OctahedronGeometry {
 }
 
 // Mock TorusGeometry class
-export class TorusGeometry {
+export class TorusGeometry extends BufferGeometry {
     constructor(radius = 1, tube = 0.4, radialSegments = 8, tubularSegments = 6) {
+        super();
         this.type = 'TorusGeometry';
         this.parameters = {
             radius,
@@ -535,8 +601,9 @@ export class TorusGeometry {
 }
 
 // Mock PlaneGeometry class
-export class PlaneGeometry {
+export class PlaneGeometry extends BufferGeometry {
     constructor(width = 1, height = 1, widthSegments = 1, heightSegments = 1) {
+        super();
         this.type = 'PlaneGeometry';
         this.parameters = {
             width,
@@ -630,6 +697,8 @@ export const RepeatWrapping = 1000;
 export default {
     Vector3,
     Scene,
+    BufferGeometry,
+    InstancedBufferAttribute,
     PerspectiveCamera,
     WebGLRenderer,
     SphereGeometry,
@@ -86,53 +86,55 @@ const mockWebGLContext = {
     drawElements: vi.fn(),
 };
 
-// Mock HTMLCanvasElement.getContext
-HTMLCanvasElement.prototype.getContext = vi.fn((contextType) => {
-    if (contextType === 'webgl' || contextType === 'webgl2') {
-        return mockWebGLContext;
-    }
-    if (contextType === '2d') {
-        return {
-            fillRect: vi.fn(),
-            clearRect: vi.fn(),
-            getImageData: vi.fn(() => ({
-                data: new Uint8ClampedArray(1024 * 1024 * 4),
-                width: 1024,
-                height: 1024
-            })),
-            putImageData: vi.fn(),
-            createImageData: vi.fn(),
-            setTransform: vi.fn(),
-            drawImage: vi.fn(),
-            save: vi.fn(),
-            restore: vi.fn(),
-            beginPath: vi.fn(),
-            moveTo: vi.fn(),
-            lineTo: vi.fn(),
-            closePath: vi.fn(),
-            stroke: vi.fn(),
-            fill: vi.fn(),
-            arc: vi.fn(),
-            rect: vi.fn(),
-            translate: vi.fn(),
-            rotate: vi.fn(),
-            scale: vi.fn(),
-            createLinearGradient: vi.fn(() => ({
-                addColorStop: vi.fn()
-            })),
-            createRadialGradient: vi.fn(() => ({
-                addColorStop: vi.fn()
-            })),
-            fillStyle: '#000000',
-            strokeStyle: '#000000',
-            lineWidth: 1,
-            font: '10px sans-serif',
-            textAlign: 'start',
-            textBaseline: 'alphabetic'
-        };
-    }
-    return null;
-});
+// Mock HTMLCanvasElement.getContext (not defined in tests that run in the node environment)
+if (typeof HTMLCanvasElement !== 'undefined') {
+    HTMLCanvasElement.prototype.getContext = vi.fn((contextType) => {
+        if (contextType === 'webgl' || contextType === 'webgl2') {
+            return mockWebGLContext;
+        }
+        if (contextType === '2d') {
+            return {
+                fillRect: vi.fn(),
+                clearRect: vi.fn(),
+                getImageData: vi.fn(() => ({
+                    data: new Uint8ClampedArray(1024 * 1024 * 4),
+                    width: 1024,
+                    height: 1024
+                })),
+                putImageData: vi.fn(),
+                createImageData: vi.fn(),
+                setTransform: vi.fn(),
+                drawImage: vi.fn(),
+                save: vi.fn(),
+                restore: vi.fn(),
+                beginPath: vi.fn(),
+                moveTo: vi.fn(),
+                lineTo: vi.fn(),
+                closePath: vi.fn(),
+                stroke: vi.fn(),
+                fill: vi.fn(),
+                arc: vi.fn(),
+                rect: vi.fn(),
+                translate: vi.fn(),
+                rotate: vi.fn(),
+                scale: vi.fn(),
+                createLinearGradient: vi.fn(() => ({
+                    addColorStop: vi.fn()
+                })),
+                createRadialGradient: vi.fn(() => ({
+                    addColorStop: vi.fn()
+                })),
+                fillStyle: '#000000',
+                strokeStyle: '#000000',
+                lineWidth: 1,
+                font: '10px sans-serif',
+                textAlign: 'start',
+                textBaseline: 'alphabetic'
+            };
+        }
+        return null;
+    });
+}
 
 // Mock DeviceOrientationEvent for gyroscope testing
 global.DeviceOrientationEvent = class DeviceOrientationEvent extends Event {
@@ -0,0 +1,152 @@
+/**
+ * Integration tests for the headless game simulation
+ * Runs real cannon-es physics and Three.js scene code in Node, with no DOM, renderer or audio
+ * @vitest-environment node
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { GameSimulation } from '../../src/game/core/simulation.js';
+import { getRenderer } from '../../src/game/core/scene.js';
+import { getItemsToCollect } from '../../src/game/entities/items.js';
+import { updateChunks, getChunkCoordinates } from '../../src/game/systems/chunks.js';
+import { getCurrentTheme } from '../../src/game/systems/level.js';
+import { getGameTime } from '../../src/game/utils/clock.js';
+import { KATAMARI, SIMULATION } from '../../src/game/utils/constants.js';
+
+// Mock dependencies
+vi.mock('../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugLog: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+/**
+ * Scripted input that steers the katamari at the nearest item it can roll up
+ * The camera starts behind the katamari on the +Z side, so forward input (y) rolls towards -Z
+ */
+function steerToNearestItem(time, simulation) {
+    const katamari = simulation.katamari;
+    const position = katamari.getThreePosition();
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (const item of getItemsToCollect()) {
+        if (item.userData.isPowerUp || !katamari.canCollectItem(item.userData.size)) continue;
+
+        const distance = position.distanceTo(item.position);
+        if (distance < nearestDistance) {
+            nearest = item;
+            nearestDistance = distance;
+        }
+    }
+    if (!nearest) return null;
+
+    const dx = nearest.position.x - position.x;
+    const dz = nearest.position.z - position.z;
+    const length = Math.hypot(dx, dz) || 1;
+    return { x: dx / length, y: -dz / length };
+}
+
+describe('Game Simulation Integration', () => {
+    let simulation;
+
+    afterEach(() => {
+        if (simulation) {
+            simulation.dispose();
+            simulation = null;
+        }
+    });
+
+    it('should generate a level without a DOM or renderer', async () => {
+        simulation = new GameSimulation({ seed: 12345 });
+
+        const snapshot = await simulation.start();
+
+        expect(typeof document).toBe('undefined');
+        expect(getRenderer()).toBeNull();
+        expect(snapshot).toMatchObject({
+            step: 0,
+            level: 1,
+            seed: 12345,
+            themeName: 'Our Green Earth',
+            results: null
+        });
+        expect(snapshot.katamari.radius).toBe(KATAMARI.INITIAL_RADIUS);
+        expect(snapshot.itemsInWorld).toBeGreaterThan(0);
+    });
+
+    it('should roll the katamari with scripted input on a fixed timestep', async () => {
+        simulation = new GameSimulation({ seed: 12345, input: [{ duration: 1, input: { x: 0, y: 1 } }] });
+        await simulation.start();
+
+        const snapshots = simulation.run({ duration: 1, snapshotInterval: 30 });
+
+        expect(snapshots.map(snapshot => snapshot.step)).toEqual([30, 60]);
+        expect(snapshots[1].time).toBeCloseTo(60 * SIMULATION.TIME_STEP);
+        expect(snapshots[1].katamari.position.z).toBeLessThan(-1);
+        expect(snapshots[1].timeRemaining).toBeCloseTo(179);
+    });
+
+    it('should roll up items and score them', async () => {
+        simulation = new GameSimulation({ seed: 1, input: steerToNearestItem });
+        await simulation.start();
+
+        const snapshot = simulation.run({ duration: 5, until: state => state.katamari.itemsCollected >= 1 }).at(-1);
+
+        expect(snapshot.katamari.itemsCollected).toBe(1);
+        expect(snapshot.katamari.radius).toBeGreaterThan(KATAMARI.INITIAL_RADIUS);
+        expect(snapshot.score).toBeGreaterThan(0);
+    });
+
+    it('should produce the same snapshots for the same seed and input', async () => {
+        const runOnce = async () => {
+            simulation = new GameSimulation({ seed: 2, input: steerToNearestItem });
+            await simulation.start();
+            const snapshots = simulation.run({ duration: 1.5, snapshotInterval: 15 });
+            simulation.dispose();
+            simulation = null;
+            return snapshots;
+        };
+
+        const first = await runOnce();
+        const second = await runOnce();
+
+        expect(first).toHaveLength(6);
+        expect(second).toEqual(first);
+    });
+
+    it('should restore the items of a chunk the katamari comes back to', async () => {
+        simulation = new GameSimulation({ seed: 3 });
+        await simulation.start();
+
+        const inStartChunk = item => getChunkCoordinates(item.position).x === 0 && getChunkCoordinates(item.position).z === 0;
+        const describeItems = () => getItemsToCollect()
+            .filter(inStartChunk)
+            .map(item => `${item.userData.name}@${item.position.x.toFixed(3)},${item.position.z.toFixed(3)}`)
+            .sort();
+        const before = describeItems();
+
+        updateChunks({ x: 400, z: 400 }, getCurrentTheme(), KATAMARI.INITIAL_RADIUS);
+        expect(describeItems()).toEqual([]);
+
+        updateChunks({ x: 0, z: 0 }, getCurrentTheme(), KATAMARI.INITIAL_RADIUS);
+
+        expect(before.length).toBeGreaterThan(0);
+        expect(describeItems()).toEqual(before);
+    });
+
+    it('should run gameplay timers on simulated time until disposed', async () => {
+        simulation = new GameSimulation({ seed: 12345 });
+        await simulation.start();
+
+        simulation.run({ steps: 6 });
+
+        expect(getGameTime()).toBeCloseTo(SIMULATION.START_TIME + 100);
+
+        simulation.dispose();
+        simulation = null;
+
+        expect(Math.abs(getGameTime() - Date.now())).toBeLessThan(1000);
+    });
+});
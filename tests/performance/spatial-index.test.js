@@ -0,0 +1,131 @@
+/**
+ * Spatial Index Performance Tests
+ * Benchmarks the items' spatial index against scanning every item, as attraction, chunk unloading and
+ * body activation did, for worlds of 1000+ items
+ */
+
+import { describe, it, expect } from 'vitest';
+import { benchmark } from '../helpers/performance-helpers.js';
+import { SpatialHash } from '../../src/game/utils/spatial.js';
+import { createRandom } from '../../src/game/utils/random.js';
+
+// Items spread over a 5 by 5 block of 60-unit chunks, as streamed around the katamari
+const WORLD_HALF_WIDTH = 150;
+const CELL_SIZE = 10;
+const QUERIES_PER_FRAME = 50;
+
+/**
+ * Scatter items over the world, indexed in a spatial hash
+ * @param {number} count - Number of items
+ * @returns {Object} {items, index}
+ */
+function createWorld(count) {
+    const rng = createRandom('spatial-benchmark');
+    const index = new SpatialHash(CELL_SIZE);
+    const items = [];
+
+    for (let i = 0; i < count; i++) {
+        const item = {
+            position: {
+                x: (rng() * 2 - 1) * WORLD_HALF_WIDTH,
+                y: rng() * 2,
+                z: (rng() * 2 - 1) * WORLD_HALF_WIDTH
+            }
+        };
+        index.insert(item, item.position);
+        items.push(item);
+    }
+
+    return { items, index };
+}
+
+/**
+ * Find the items within a radius by measuring the distance to every item
+ */
+function scanWithinRadius(items, point, radius) {
+    const results = [];
+    for (const item of items) {
+        const dx = item.position.x - point.x;
+        const dy = item.position.y - point.y;
+        const dz = item.position.z - point.z;
+        if (Math.sqrt(dx * dx + dy * dy + dz * dz) <= radius) {
+            results.push(item);
+        }
+    }
+    return results;
+}
+
+/**
+ * Query points along the katamari's path over a frame's worth of queries
+ */
+function createQueryPoints() {
+    const rng = createRandom('spatial-benchmark-queries');
+    return Array.from({ length: QUERIES_PER_FRAME }, () => ({
+        x: (rng() * 2 - 1) * WORLD_HALF_WIDTH,
+        y: 1,
+        z: (rng() * 2 - 1) * WORLD_HALF_WIDTH
+    }));
+}
+
+describe('Spatial Index Performance Tests', () => {
+    describe('Items Within A Radius', () => {
+        [1000, 2000, 5000].forEach(count => {
+            it(`should answer attraction-range queries faster than a full scan at ${count} items`, async () => {
+                const { items, index } = createWorld(count);
+                const points = createQueryPoints();
+                const radius = 8;
+
+                // Both find the same items
+                points.forEach(point => {
+                    expect(new Set(index.queryRadius(point, radius))).toEqual(new Set(scanWithinRadius(items, point, radius)));
+                });
+
+                const scan = await benchmark(() => {
+                    points.forEach(point => scanWithinRadius(items, point, radius));
+                }, { iterations: 40, warmupIterations: 10 });
+                const indexed = await benchmark(() => {
+                    points.forEach(point => index.queryRadius(point, radius));
+                }, { iterations: 40, warmupIterations: 10 });
+
+                expect(indexed.median * 3).toBeLessThan(scan.median);
+            });
+        });
+    });
+
+    describe('Items Outside A Radius', () => {
+        it('should find the items outside the loaded area of a 1000 item world at no more than the cost of a full scan', async () => {
+            const { items, index } = createWorld(1000);
+            const point = { x: 10, y: 1, z: -20 };
+            const radius = 120;
+
+            const scanOutside = () => items.filter(item => Math.hypot(
+                item.position.x - point.x,
+                item.position.y - point.y,
+                item.position.z - point.z
+            ) > radius);
+
+            expect(new Set(index.queryOutside(point, radius))).toEqual(new Set(scanOutside()));
+
+            const scan = await benchmark(scanOutside, { iterations: 100, warmupIterations: 20 });
+            const indexed = await benchmark(() => index.queryOutside(point, radius), { iterations: 100, warmupIterations: 20 });
+
+            expect(indexed.median).toBeLessThan(scan.median * 2);
+        });
+    });
+
+    describe('Index Maintenance', () => {
+        it('should update 5000 moving items within a frame budget', async () => {
+            const { items, index } = createWorld(5000);
+
+            const result = await benchmark(() => {
+                for (const item of items) {
+                    item.position.x += 0.05;
+                    index.update(item, item.position);
+                }
+            }, { iterations: 30, warmupIterations: 5 });
+
+            expect(index.size).toBe(5000);
+            expect(result.median).toBeLessThan(16.67);
+        });
+    });
+});
@@ -20,12 +20,16 @@ import {
     playCollectionSound,
     playShedSound,
     updateAttractionHum,
+    silenceAttractionHum,
     isAudioReady,
     cleanupAudio,
     getAudioSynthesizers,
     resetAudioState,
-    resetAudioInitializationState
+    resetAudioInitializationState,
+    setAudioMuted,
+    isAudioMuted
 } from '../../../src/game/core/audio.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
 
 // Mock the debug module
 vi.mock('../../../src/game/utils/debug.js', () => ({
@@ -49,7 +53,8 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         COLLECTION_SYNTH_VOLUME: -10,
         SHED_SOUND_VOLUME: -15,
         ATTRACTION_HUM_VOLUME: -40,
-        COLLECTION_SOUND_COOLDOWN: 0.05
+        COLLECTION_SOUND_COOLDOWN: 0.05,
+        SHED_COOLDOWN: 1000
     }
 }));
 
@@ -316,6 +321,47 @@ describe('Audio System', () => {
         });
     });
 
+    describe('Game Events', () => {
+        const collected = { item: { name: 'Rock', size: 2, isPowerUp: false, mesh: null }, katamariRadius: 3, targetRadius: 3.1, itemsCollected: 1, time: 0 };
+        const shed = (time) => ({ items: [], katamariRadius: 3, time });
+
+        beforeEach(async () => {
+            resetAudioState();
+            await initializeAudio();
+        });
+
+        it('should play the collection sound for collected items', () => {
+            publish(GAME_EVENTS.ITEM_COLLECTED, collected);
+
+            expect(getAudioSynthesizers().collectionSynth.triggerAttackRelease).toHaveBeenCalledTimes(1);
+        });
+
+        it('should play the shed sound once per cooldown', () => {
+            publish(GAME_EVENTS.ITEM_SHED, shed(5000));
+            publish(GAME_EVENTS.ITEM_SHED, shed(5500));
+            publish(GAME_EVENTS.ITEM_SHED, shed(6500));
+
+            expect(getAudioSynthesizers().shedSound.triggerAttackRelease).toHaveBeenCalledTimes(2);
+        });
+
+        it('should stop the rolling sound when a level is completed', () => {
+            playRollingSound(10);
+
+            publish(GAME_EVENTS.LEVEL_COMPLETED, { results: {} });
+
+            expect(getAudioSynthesizers().rollingSynth.triggerRelease).toHaveBeenCalled();
+        });
+
+        it('should stop listening after cleanup', () => {
+            const { collectionSynth } = getAudioSynthesizers();
+            cleanupAudio();
+
+            publish(GAME_EVENTS.ITEM_COLLECTED, collected);
+
+            expect(collectionSynth.triggerAttackRelease).not.toHaveBeenCalled();
+        });
+    });
+
     describe('Attraction Hum', () => {
         beforeEach(async () => {
             await initializeAudio();
@@ -360,10 +406,21 @@ describe('Audio System', () => {
             expect(highVol).toBeGreaterThan(lowVol);
         });
 
+        it('should silence the attraction hum until it is updated again', () => {
+            updateAttractionHum(3, 150);
+
+            silenceAttractionHum();
+            expect(getAudioSynthesizers().attractionHum.volume.value).toBe(-Infinity);
+
+            updateAttractionHum(0, 0);
+            expect(getAudioSynthesizers().attractionHum.volume.value).toBe(-40);
+        });
+
         it('should handle uninitialized audio system', () => {
             cleanupAudio();
             
             expect(() => updateAttractionHum(1, 50)).not.toThrow();
+            expect(() => silenceAttractionHum()).not.toThrow();
         });
     });
 
@@ -470,6 +527,22 @@ describe('Audio System', () => {
         });
     });
 
+    describe('Mute Control', () => {
+        afterEach(() => {
+            setAudioMuted(false);
+        });
+
+        it('should mute and unmute the audio destination', () => {
+            setAudioMuted(true);
+            expect(isAudioMuted()).toBe(true);
+            expect(Tone.Destination.mute).toBe(true);
+
+            setAudioMuted(false);
+            expect(isAudioMuted()).toBe(false);
+            expect(Tone.Destination.mute).toBe(false);
+        });
+    });
+
     describe('Error Handling', () => {
         it('should handle missing Tone.js gracefully', async () => {
             // The current implementation checks for Tone existence at the module level
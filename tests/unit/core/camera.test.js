@@ -0,0 +1,215 @@
+/**
+ * Unit tests for the camera controller
+ * Tests orbit distance scaling, player orbit input, obstacle pull-in
+ * and aligning behind the direction of travel or the tank heading
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import {
+    initializeCameraController,
+    updateCameraController,
+    getCameraDistance,
+    cycleCameraZoom,
+    setCameraAutoAlign,
+    isCameraAutoAlignEnabled,
+    getCameraOrbit
+} from '../../../src/game/core/camera.js';
+import { CAMERA } from '../../../src/game/utils/constants.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+/**
+ * Create a wall obstacle facing the +Z side of the origin
+ */
+function createWall(z, size) {
+    const wall = new THREE.Mesh(new THREE.BoxGeometry(100, 100, 1), new THREE.MeshBasicMaterial());
+    wall.position.set(0, 0, z);
+    if (size !== undefined) {
+        wall.userData.size = size;
+    }
+    wall.updateMatrixWorld(true);
+    return wall;
+}
+
+/**
+ * Run the controller for a number of frames at 60 FPS
+ */
+function runFrames(count, target, options = {}) {
+    for (let i = 0; i < count; i++) {
+        updateCameraController(target, { deltaTime: 1 / 60, now: 0, ...options });
+    }
+}
+
+describe('Camera Controller', () => {
+    let camera;
+    let obstacles;
+    const origin = new THREE.Vector3(0, 0, 0);
+
+    beforeEach(() => {
+        camera = new THREE.PerspectiveCamera();
+        obstacles = [];
+        initializeCameraController(camera, { getObstacles: () => obstacles });
+        setCameraAutoAlign(false);
+
+        // Start with the focus on the origin so the orbit is centred there from the first frame
+        runFrames(1, origin);
+    });
+
+    describe('Distance', () => {
+        it('should grow with the katamari radius', () => {
+            expect(getCameraDistance(5)).toBeGreaterThan(getCameraDistance(1));
+        });
+
+        it('should scale with the zoom level', () => {
+            const defaultDistance = getCameraDistance(1);
+
+            expect(cycleCameraZoom()).toBe(1);
+            expect(getCameraDistance(1)).toBeCloseTo(defaultDistance * CAMERA.ZOOM_LEVELS[1]);
+        });
+
+        it('should wrap around to the first zoom level', () => {
+            CAMERA.ZOOM_LEVELS.forEach(() => cycleCameraZoom());
+
+            expect(getCameraOrbit().zoomIndex).toBe(0);
+        });
+
+        it('should place the camera at the orbit distance and look at the katamari', () => {
+            runFrames(1, origin);
+
+            expect(camera.position.length()).toBeCloseTo(getCameraDistance(1));
+            expect(camera.position.z).toBeGreaterThan(0);
+
+            const viewDirection = camera.getWorldDirection(new THREE.Vector3());
+            expect(viewDirection.dot(camera.position.clone().normalize())).toBeCloseTo(-1);
+        });
+    });
+
+    describe('Orbit Input', () => {
+        it('should turn the orbit with a horizontal drag', () => {
+            runFrames(1, origin, { input: { dragX: 100 } });
+
+            expect(getCameraOrbit().yaw).toBeCloseTo(-100 * CAMERA.DRAG_SENSITIVITY);
+        });
+
+        it('should turn the orbit with the camera stick over time', () => {
+            runFrames(60, origin, { input: { stickX: 1 } });
+
+            expect(getCameraOrbit().yaw).toBeCloseTo(-CAMERA.STICK_ORBIT_SPEED);
+        });
+
+        it('should clamp the pitch', () => {
+            runFrames(1, origin, { input: { dragY: 100000 } });
+            expect(getCameraOrbit().pitch).toBe(CAMERA.MAX_PITCH);
+
+            runFrames(1, origin, { input: { dragY: -100000 } });
+            expect(getCameraOrbit().pitch).toBe(CAMERA.MIN_PITCH);
+        });
+
+        it('should keep the camera above the minimum height', () => {
+            runFrames(1, origin, { input: { dragY: -100000 } });
+
+            expect(camera.position.y).toBeGreaterThanOrEqual(CAMERA.MIN_HEIGHT);
+        });
+    });
+
+    describe('Obstacle Avoidance', () => {
+        it('should pull the camera in front of an obstacle', () => {
+            obstacles = [createWall(10)];
+
+            runFrames(1, origin);
+
+            expect(getCameraOrbit().distance).toBeLessThan(getCameraDistance(1));
+            expect(camera.position.z).toBeLessThan(10);
+        });
+
+        it('should not pull in closer than the minimum distance', () => {
+            obstacles = [createWall(1)];
+
+            runFrames(1, origin);
+
+            expect(getCameraOrbit().distance).toBe(CAMERA.MIN_DISTANCE);
+        });
+
+        it('should pull in front of sized obstacles such as large items', () => {
+            obstacles = [createWall(10, 2)];
+
+            runFrames(1, origin);
+
+            expect(getCameraOrbit().distance).toBeLessThan(getCameraDistance(1));
+        });
+
+        it('should ease back out once the obstacle is gone', () => {
+            obstacles = [createWall(10)];
+            runFrames(1, origin);
+            const pulledIn = getCameraOrbit().distance;
+
+            obstacles = [];
+            runFrames(1, origin);
+            const easing = getCameraOrbit().distance;
+
+            expect(easing).toBeGreaterThan(pulledIn);
+            expect(easing).toBeLessThan(getCameraDistance(1));
+        });
+    });
+
+    describe('Auto-Align', () => {
+        const movingRight = { x: 10, y: 0, z: 0 };
+
+        it('should be toggled by setCameraAutoAlign', () => {
+            expect(isCameraAutoAlignEnabled()).toBe(false);
+
+            setCameraAutoAlign(true);
+            expect(isCameraAutoAlignEnabled()).toBe(true);
+        });
+
+        it('should not follow the direction of travel while disabled', () => {
+            runFrames(60, origin, { velocity: movingRight, now: 10000 });
+
+            expect(getCameraOrbit().yaw).toBe(0);
+        });
+
+        it('should swing behind the direction of travel while enabled', () => {
+            setCameraAutoAlign(true);
+
+            runFrames(300, origin, { velocity: movingRight, now: 10000 });
+
+            // Moving towards +X puts the camera on the -X side
+            expect(getCameraOrbit().yaw).toBeCloseTo(-Math.PI / 2, 2);
+            expect(camera.position.x).toBeLessThan(0);
+        });
+
+        it('should ignore slow movement', () => {
+            setCameraAutoAlign(true);
+
+            runFrames(60, origin, { velocity: { x: CAMERA.AUTO_ALIGN_MIN_SPEED / 2, y: 0, z: 0 }, now: 10000 });
+
+            expect(getCameraOrbit().yaw).toBe(0);
+        });
+
+        it('should wait after manual orbiting before aligning again', () => {
+            setCameraAutoAlign(true);
+            runFrames(1, origin, { input: { dragX: 100 }, now: 10000 });
+            const yaw = getCameraOrbit().yaw;
+
+            runFrames(10, origin, { velocity: movingRight, now: 10000 + CAMERA.AUTO_ALIGN_DELAY / 2 });
+            expect(getCameraOrbit().yaw).toBe(yaw);
+
+            runFrames(10, origin, { velocity: movingRight, now: 10000 + CAMERA.AUTO_ALIGN_DELAY * 2 });
+            expect(getCameraOrbit().yaw).not.toBe(yaw);
+        });
+
+        it('should keep the camera behind the tank heading', () => {
+            runFrames(300, origin, { heading: Math.PI / 2 });
+
+            // Heading PI / 2 faces -X, so the camera sits on the +X side
+            expect(getCameraOrbit().yaw).toBeCloseTo(Math.PI / 2, 2);
+            expect(camera.position.x).toBeGreaterThan(0);
+        });
+    });
+});
@@ -0,0 +1,169 @@
+/**
+ * Unit tests for the instanced item manager
+ * Tests allocating and freeing instance slots, the compacted draw count, and the per-instance
+ * opacity attribute and shader
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import * as THREE from 'three';
+import { InstancedItemManager, INSTANCE_OPACITY_ATTRIBUTE } from '../../../src/game/core/instances.js';
+import { debugWarn } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugWarn: vi.fn()
+}));
+
+/**
+ * Get the scale an instance is drawn at
+ */
+function getInstanceScale(mesh, slot) {
+    const matrix = new THREE.Matrix4();
+    mesh.getMatrixAt(slot, matrix);
+    return new THREE.Vector3().setFromMatrixScale(matrix).x;
+}
+
+describe('Instanced Item Manager', () => {
+    let mesh;
+    let instances;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        mesh = new THREE.InstancedMesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshStandardMaterial({ transparent: true, opacity: 0 }), 4);
+        instances = new InstancedItemManager(mesh);
+    });
+
+    describe('Slots', () => {
+        it('should start with nothing drawn', () => {
+            expect(instances.capacity).toBe(4);
+            expect(mesh.count).toBe(0);
+        });
+
+        it('should hand out distinct slots and draw up to the highest', () => {
+            const slots = [instances.allocate(), instances.allocate(), instances.allocate()];
+
+            expect(slots).toEqual([0, 1, 2]);
+            expect(mesh.count).toBe(3);
+            expect(instances.activeCount).toBe(3);
+        });
+
+        it('should reuse freed slots before growing the draw count', () => {
+            instances.allocate();
+            const freed = instances.allocate();
+            instances.allocate();
+
+            instances.free(freed);
+
+            expect(instances.allocate()).toBe(freed);
+            expect(mesh.count).toBe(3);
+        });
+
+        it('should never hand out a slot twice', () => {
+            const slots = [instances.allocate(), instances.allocate(), instances.allocate()];
+            instances.free(slots[0]);
+            instances.free(slots[2]);
+            instances.free(slots[1]);
+
+            const reallocated = [instances.allocate(), instances.allocate(), instances.allocate(), instances.allocate()];
+
+            expect(new Set(reallocated).size).toBe(4);
+            expect(instances.allocate()).toBe(-1);
+            expect(debugWarn).toHaveBeenCalled();
+        });
+
+        it('should stop drawing free slots at the end of the range', () => {
+            const [first, second, third] = [instances.allocate(), instances.allocate(), instances.allocate()];
+
+            instances.free(second);
+            expect(mesh.count).toBe(3);
+
+            instances.free(third);
+            expect(mesh.count).toBe(1);
+            expect(instances.isInUse(first)).toBe(true);
+            expect(instances.allocate()).toBe(1);
+        });
+
+        it('should hide freed instances', () => {
+            const slot = instances.allocate();
+            instances.allocate();
+            instances.setTransform(slot, new THREE.Vector3(1, 2, 3), new THREE.Quaternion(), 2);
+            expect(getInstanceScale(mesh, slot)).toBeCloseTo(2);
+
+            instances.free(slot);
+
+            expect(getInstanceScale(mesh, slot)).toBe(0);
+            expect(instances.getOpacity(slot)).toBe(0);
+        });
+
+        it('should refuse slots that are not in use', () => {
+            const slot = instances.allocate();
+            instances.free(slot);
+
+            expect(instances.free(slot)).toBe(false);
+            expect(instances.free(3)).toBe(false);
+            expect(instances.free(-1)).toBe(false);
+            expect(instances.activeCount).toBe(0);
+        });
+
+        it('should free every slot on reset', () => {
+            instances.allocate();
+            instances.allocate();
+
+            instances.reset();
+
+            expect(mesh.count).toBe(0);
+            expect(instances.activeCount).toBe(0);
+            expect(instances.allocate()).toBe(0);
+        });
+    });
+
+    describe('Per-instance Opacity', () => {
+        it('should add an opacity attribute to the geometry', () => {
+            const attribute = mesh.geometry.getAttribute(INSTANCE_OPACITY_ATTRIBUTE);
+
+            expect(attribute).toBeInstanceOf(THREE.InstancedBufferAttribute);
+            expect(attribute.count).toBe(4);
+        });
+
+        it('should fade each instance independently', () => {
+            const fading = instances.allocate();
+            const visible = instances.allocate();
+            instances.setOpacity(visible, 1);
+
+            instances.setOpacity(fading, 0.25);
+
+            expect(instances.getOpacity(fading)).toBe(0.25);
+            expect(instances.getOpacity(visible)).toBe(1);
+            expect(mesh.material.opacity).toBe(1);
+        });
+
+        it('should start new instances fully transparent', () => {
+            const slot = instances.allocate();
+            instances.allocate();
+            instances.setOpacity(slot, 1);
+            instances.free(slot);
+
+            expect(instances.allocate()).toBe(slot);
+            expect(instances.getOpacity(slot)).toBe(0);
+        });
+
+        it('should multiply the material opacity by the instance opacity in the shader', () => {
+            const shader = {
+                vertexShader: THREE.ShaderLib.standard.vertexShader,
+                fragmentShader: THREE.ShaderLib.standard.fragmentShader
+            };
+
+            mesh.material.onBeforeCompile(shader);
+
+            expect(shader.vertexShader).toContain(`attribute float ${INSTANCE_OPACITY_ATTRIBUTE};`);
+            expect(shader.vertexShader).toContain(`vInstanceOpacity = ${INSTANCE_OPACITY_ATTRIBUTE};`);
+            expect(shader.fragmentShader).toContain('diffuseColor.a *= vInstanceOpacity;');
+        });
+
+        it('should remove the attribute from the geometry on dispose', () => {
+            instances.dispose();
+
+            expect(mesh.geometry.getAttribute(INSTANCE_OPACITY_ATTRIBUTE)).toBeUndefined();
+        });
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Unit tests for the item model loader
+ * Tests loading bundled models through a fake glTF loader, the derived
+ * geometry and collision data, caching and the procedural fallbacks
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import {
+    initializeModelLoader,
+    loadItemModels,
+    extractModelData,
+    getModelData,
+    getModelGeometry,
+    clearModelCache
+} from '../../../src/game/core/models.js';
+import { debugWarn, debugError } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+/**
+ * Create a model scene with one box mesh per entry of `positions`
+ */
+function createModelScene(positions = [[0, 2, 0]]) {
+    const scene = new THREE.Group();
+    for (const [x, y, z] of positions) {
+        const mesh = new THREE.Mesh(new THREE.BoxGeometry(2, 4, 6), new THREE.MeshStandardMaterial());
+        mesh.position.set(x, y, z);
+        scene.add(mesh);
+    }
+    return scene;
+}
+
+/**
+ * Create a fake glTF loader that resolves every URL to the given scene factory
+ */
+function createFakeLoader(createScene = () => createModelScene()) {
+    return {
+        loadAsync: vi.fn(async () => ({ scene: createScene() }))
+    };
+}
+
+describe('Model Loader', () => {
+    let loader;
+
+    beforeEach(() => {
+        loader = createFakeLoader();
+        initializeModelLoader({ loader, urls: { 'car.glb': '/assets/car.glb' } });
+    });
+
+    afterEach(() => {
+        clearModelCache();
+    });
+
+    describe('Loading', () => {
+        it('should load and cache models referenced by item definitions', async () => {
+            const loaded = await loadItemModels([
+                { name: 'Car', model: 'car.glb' },
+                { name: 'Taxi', model: 'car.glb' },
+                { name: 'Rock' }
+            ]);
+
+            expect(loaded).toBe(1);
+            expect(loader.loadAsync).toHaveBeenCalledTimes(1);
+            expect(loader.loadAsync).toHaveBeenCalledWith('/assets/car.glb');
+            expect(getModelData('car.glb')).not.toBeNull();
+        });
+
+        it('should not reload models that are already cached', async () => {
+            await loadItemModels([{ name: 'Car', model: 'car.glb' }]);
+            await loadItemModels([{ name: 'Car', model: 'car.glb' }]);
+
+            expect(loader.loadAsync).toHaveBeenCalledTimes(1);
+        });
+
+        it('should fall back when a model is not bundled', async () => {
+            const loaded = await loadItemModels([{ name: 'Bus', model: 'bus.glb' }]);
+
+            expect(loaded).toBe(0);
+            expect(loader.loadAsync).not.toHaveBeenCalled();
+            expect(getModelData('bus.glb')).toBeNull();
+            expect(debugWarn).toHaveBeenCalled();
+        });
+
+        it('should fall back when a model fails to load', async () => {
+            loader.loadAsync.mockRejectedValue(new Error('404'));
+
+            const loaded = await loadItemModels([{ name: 'Car', model: 'car.glb' }]);
+
+            expect(loaded).toBe(0);
+            expect(getModelData('car.glb')).toBeNull();
+            expect(debugError).toHaveBeenCalled();
+        });
+
+        it('should return null for items without a model', () => {
+            expect(getModelData(undefined)).toBeNull();
+            expect(getModelGeometry('car.glb')).toBeNull();
+        });
+    });
+
+    describe('Model Data', () => {
+        it('should derive a box collision from the model bounds', () => {
+            const data = extractModelData(createModelScene());
+
+            expect(data.collision.type).toBe('box');
+            expect(data.collision.halfExtents[0]).toBeCloseTo(1);
+            expect(data.collision.halfExtents[1]).toBeCloseTo(2);
+            expect(data.collision.halfExtents[2]).toBeCloseTo(3);
+        });
+
+        it('should centre single-mesh geometry on its bounds for instancing', () => {
+            const data = extractModelData(createModelScene());
+
+            data.geometry.computeBoundingBox();
+            const center = data.geometry.boundingBox.getCenter(new THREE.Vector3());
+
+            expect(data.meshCount).toBe(1);
+            expect(center.length()).toBeCloseTo(0);
+        });
+
+        it('should centre the model scene on its bounds', () => {
+            const data = extractModelData(createModelScene([[10, 0, 0], [14, 0, 0]]));
+            const center = new THREE.Box3().setFromObject(data.scene).getCenter(new THREE.Vector3());
+
+            expect(center.length()).toBeCloseTo(0);
+        });
+
+        it('should not provide instancing geometry for multi-mesh models', () => {
+            const data = extractModelData(createModelScene([[0, 0, 0], [3, 0, 0]]));
+
+            expect(data.meshCount).toBe(2);
+            expect(data.geometry).toBeNull();
+            expect(data.collision.halfExtents[0]).toBeCloseTo(2.5);
+        });
+
+        it('should reject models without meshes', () => {
+            expect(extractModelData(new THREE.Group())).toBeNull();
+        });
+    });
+});
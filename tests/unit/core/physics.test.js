@@ -22,6 +22,8 @@ import {
     getPhysicsWorld,
     addPhysicsBody,
     removePhysicsBody,
+    acquirePooledBody,
+    releasePooledBody,
     getPhysicsBodies,
     clearPhysicsBodies,
     createSphereBody,
@@ -29,6 +31,7 @@ import {
     createPlaneBody,
     createKatamariBody,
     updateKatamariPhysics,
+    setKatamariLumps,
     applyImpulseToBody,
     checkBodyCollision,
     setBodyPosition,
@@ -48,7 +51,8 @@ vi.mock('../../../src/game/utils/debug.js', () => ({
 
 // Mock the performance module
 vi.mock('../../../src/game/utils/performance.js', () => ({
-    recordPhysicsStepTime: vi.fn()
+    recordPhysicsStepTime: vi.fn(),
+    trackObjectPool: vi.fn()
 }));
 
 // Mock the constants module
@@ -62,6 +66,9 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         SOLVER_ITERATIONS: 10,
         FIXED_TIME_STEP: 1/60,
         ACTIVE_DISTANCE: 50
+    },
+    PERFORMANCE: {
+        BODY_POOL_SIZE: 2
     }
 }));
 
@@ -259,6 +266,67 @@ describe('Physics System', () => {
         it('should handle null katamari body gracefully', () => {
             expect(() => updateKatamariPhysics(null, 2)).not.toThrow();
         });
+
+        it('should add lump spheres around the katamari core', () => {
+            const katamariBody = createKatamariBody(2, new CANNON.Vec3(0, 2, 0));
+            const coreShape = katamariBody.shapes[0];
+
+            setKatamariLumps(katamariBody, [
+                { radius: 0.5, offset: { x: 2.2, y: 0, z: 0 } },
+                { radius: 0.3, offset: { x: 0, y: -2.1, z: 0 } }
+            ]);
+
+            expect(katamariBody.shapes).toHaveLength(3);
+            expect(katamariBody.shapes[0]).toBe(coreShape);
+            expect(katamariBody.shapes[1].radius).toBe(0.5);
+            expect(katamariBody.shapeOffsets[1].x).toBe(2.2);
+            expect(katamariBody.shapeOffsets[2].y).toBe(-2.1);
+            expect(katamariBody.updateMassProperties).toHaveBeenCalled();
+        });
+
+        it('should reuse lump shapes as they move and remove merged ones', () => {
+            const katamariBody = createKatamariBody(2, new CANNON.Vec3(0, 2, 0));
+            setKatamariLumps(katamariBody, [
+                { radius: 0.5, offset: { x: 2.2, y: 0, z: 0 } },
+                { radius: 0.3, offset: { x: 0, y: -2.1, z: 0 } }
+            ]);
+            const firstLump = katamariBody.shapes[1];
+
+            setKatamariLumps(katamariBody, [{ radius: 0.4, offset: { x: 0, y: 0, z: 2.3 } }]);
+
+            expect(katamariBody.shapes).toHaveLength(2);
+            expect(katamariBody.shapes[1]).toBe(firstLump);
+            expect(firstLump.radius).toBe(0.4);
+            expect(katamariBody.shapeOffsets[1].z).toBe(2.3);
+
+            setKatamariLumps(katamariBody, []);
+            expect(katamariBody.shapes).toHaveLength(1);
+        });
+
+        it('should keep the lump shapes when the katamari grows', () => {
+            const katamariBody = createKatamariBody(2, new CANNON.Vec3(0, 2, 0));
+            const coreShape = katamariBody.shapes[0];
+            setKatamariLumps(katamariBody, [
+                { radius: 0.5, offset: { x: 2.2, y: 0, z: 0 } },
+                { radius: 0.3, offset: { x: 0, y: -2.1, z: 0 } }
+            ]);
+            const lumpShapes = katamariBody.shapes.slice(1);
+            const lumpOffsets = katamariBody.shapeOffsets.slice(1);
+
+            updateKatamariPhysics(katamariBody, 2.5);
+
+            expect(katamariBody.shapes).toHaveLength(3);
+            expect(katamariBody.shapes[0]).toBe(coreShape);
+            expect(coreShape.radius).toBe(2.5);
+            expect(katamariBody.shapes[1]).toBe(lumpShapes[0]);
+            expect(katamariBody.shapes[2]).toBe(lumpShapes[1]);
+            expect(katamariBody.shapeOffsets.slice(1)).toEqual(lumpOffsets);
+            expect(katamariBody.mass).toBe(12.5 * Math.pow(2.5, 3));
+        });
+
+        it('should handle a null body when setting lumps', () => {
+            expect(() => setKatamariLumps(null, [])).not.toThrow();
+        });
     });
 
     describe('Physics Simulation', () => {
@@ -391,6 +459,33 @@ describe('Physics System', () => {
             Math.random = originalRandom;
         });
 
+        it('should query a spatial index of the bodies when given one', () => {
+            const originalRandom = Math.random;
+            Math.random = vi.fn(() => 0.05);
+
+            const referencePosition = new CANNON.Vec3(0, 0, 0);
+            const nearBody = createSphereBody(1, 10, new CANNON.Vec3(10, 0, 0), {});
+            nearBody.sleepState = CANNON.Body.SLEEPING;
+            const farBody = createSphereBody(1, 10, new CANNON.Vec3(200, 0, 0), {});
+            farBody.sleepState = CANNON.Body.AWAKE;
+            farBody.velocity = new CANNON.Vec3(0, 0, 0);
+            const near = { userData: { cannonBody: nearBody } };
+            const far = { userData: { cannonBody: farBody } };
+            const bodyIndex = {
+                queryRadius: vi.fn(() => [near]),
+                queryOutside: vi.fn(() => [far])
+            };
+
+            managePhysicsBodyActivation(referencePosition, 50, bodyIndex);
+
+            expect(bodyIndex.queryRadius).toHaveBeenCalledWith(referencePosition, 50);
+            expect(bodyIndex.queryOutside).toHaveBeenCalledWith(referencePosition, 100);
+            expect(nearBody.wakeUp).toHaveBeenCalled();
+            expect(farBody.sleep).toHaveBeenCalled();
+
+            Math.random = originalRandom;
+        });
+
         it('should skip static and katamari bodies', () => {
             const referencePosition = new CANNON.Vec3(0, 0, 0);
             const staticBody = createPlaneBody(new CANNON.Vec3(0, 0, 0), { isStatic: true });
@@ -418,6 +513,7 @@ describe('Physics System', () => {
             expect(stats).toHaveProperty('stepCount');
             expect(stats).toHaveProperty('activeBodiesCount');
             expect(stats).toHaveProperty('sleepingBodiesCount');
+            expect(stats.bodyPool).toMatchObject({ available: expect.any(Number), created: expect.any(Number) });
         });
 
         it('should reset performance statistics', () => {
@@ -429,6 +525,47 @@ describe('Physics System', () => {
         });
     });
 
+    describe('Physics Body Pool', () => {
+        beforeEach(() => {
+            initializePhysicsWorld();
+        });
+
+        it('should reuse released bodies', () => {
+            const body = acquirePooledBody();
+            body.addShape(new CANNON.Sphere(1));
+            addPhysicsBody(body);
+
+            expect(releasePooledBody(body)).toBe(true);
+            expect(getPhysicsBodies()).not.toContain(body);
+            expect(acquirePooledBody()).toBe(body);
+        });
+
+        it('should clear the state of released bodies', () => {
+            const body = acquirePooledBody();
+            body.addShape(new CANNON.Box(new CANNON.Vec3(1, 1, 1)));
+            body.material = new CANNON.Material('item');
+            body.userData = { collisionHandler: vi.fn() };
+            body.sleepState = CANNON.Body.SLEEPING;
+
+            releasePooledBody(body);
+
+            expect(body.shapes).toHaveLength(0);
+            expect(body.material).toBeNull();
+            expect(body.userData).toBeNull();
+            expect(body.sleepState).toBe(CANNON.Body.AWAKE);
+            expect(body.velocity.set).toHaveBeenCalledWith(0, 0, 0);
+            acquirePooledBody();
+        });
+
+        it('should keep no more bodies than the pool size', () => {
+            const bodies = [acquirePooledBody(), acquirePooledBody(), acquirePooledBody()];
+            const { discarded } = getPhysicsPerformanceStats().bodyPool;
+
+            expect(bodies.map(releasePooledBody)).toEqual([true, true, false]);
+            expect(getPhysicsPerformanceStats().bodyPool).toMatchObject({ available: 2, discarded: discarded + 1 });
+        });
+    });
+
     describe('Physics Body Cleanup', () => {
         let world;
 
@@ -17,6 +17,7 @@ import {
     initializeScene,
     setupLighting,
     getInstancedMesh,
+    removeInstancedMesh,
     updateInstancedMesh,
     performFrustumCulling,
     handleWindowResize,
@@ -28,6 +29,7 @@ import {
     getFrustum,
     getInstancedMeshes
 } from '../../../src/game/core/scene.js';
+import { getModelGeometry } from '../../../src/game/core/models.js';
 
 // Mock the debug module
 vi.mock('../../../src/game/utils/debug.js', () => ({
@@ -37,6 +39,11 @@ vi.mock('../../../src/game/utils/debug.js', () => ({
     debugInfo: vi.fn()
 }));
 
+// Mock the model loader
+vi.mock('../../../src/game/core/models.js', () => ({
+    getModelGeometry: vi.fn()
+}));
+
 // Mock the constants module
 vi.mock('../../../src/game/utils/constants.js', () => ({
     CAMERA: {
@@ -141,6 +148,17 @@ describe('Scene Management', () => {
             // Verify renderer was created with antialias
             expect(renderer).toBeInstanceOf(THREE.WebGLRenderer);
         });
+
+        it('should create the scene and camera without a renderer when headless', () => {
+            const childCount = document.body.children.length;
+
+            initializeScene({ headless: true });
+
+            expect(getScene()).toBeInstanceOf(THREE.Scene);
+            expect(getCamera().aspect).toBe(1);
+            expect(getRenderer()).toBeNull();
+            expect(document.body.children.length).toBe(childCount);
+        });
     });
 
     describe('Lighting Setup', () => {
@@ -320,6 +338,38 @@ describe('Scene Management', () => {
             expect(instancedMesh.castShadow).toBe(true);
             expect(instancedMesh.receiveShadow).toBe(true);
         });
+
+        it('should create model instanced mesh from the loaded model geometry', () => {
+            const geometry = new THREE.BoxGeometry(1, 1, 1);
+            getModelGeometry.mockReturnValue(geometry);
+            const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+
+            const instancedMesh = getInstancedMesh('model', { model: 'car.glb' }, material, 10);
+
+            expect(getModelGeometry).toHaveBeenCalledWith('car.glb');
+            expect(instancedMesh.geometry).toBe(geometry);
+        });
+
+        it('should return null for a model that is not loaded', () => {
+            getModelGeometry.mockReturnValue(null);
+            const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+
+            expect(getInstancedMesh('model', { model: 'missing.glb' }, material, 10)).toBeNull();
+        });
+
+        it('should remove instanced meshes without disposing model geometry', () => {
+            const geometry = new THREE.BoxGeometry(1, 1, 1);
+            getModelGeometry.mockReturnValue(geometry);
+            const material = new THREE.MeshBasicMaterial({ color: 0xff0000 });
+            const instancedMesh = getInstancedMesh('model', { model: 'car.glb' }, material, 10);
+
+            removeInstancedMesh('model', { model: 'car.glb' });
+
+            expect(getScene().remove).toHaveBeenCalledWith(instancedMesh);
+            expect(material.dispose).toHaveBeenCalled();
+            expect(geometry.dispose).not.toHaveBeenCalled();
+            expect(getInstancedMesh('model', { model: 'car.glb' }, material, 10)).not.toBe(instancedMesh);
+        });
     });
 
     describe('Instanced Mesh Updates', () => {
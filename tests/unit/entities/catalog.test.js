@@ -0,0 +1,198 @@
+/**
+ * Unit tests for the item catalog
+ * Tests the shipped catalog against the schema and themes, the validator,
+ * lookups and the derived instanced item map
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+    ITEM_CATALOG,
+    INSTANCED_ITEM_MAP,
+    toInstancedId,
+    validateItemDefinition,
+    validateCatalog,
+    getItemDefinition,
+    getItemNamesForTheme
+} from '../../../src/game/entities/catalog.js';
+import { THEMES } from '../../../src/game/utils/constants.js';
+
+/**
+ * Create a minimal valid item definition
+ */
+function createDefinition(overrides = {}) {
+    return {
+        name: 'Test Crate',
+        themes: ['Test Theme'],
+        sizeRange: [1, 2],
+        sizeScale: 1,
+        collision: { type: 'box', halfExtents: [0.5, 0.5, 0.5] },
+        parts: [{ primitive: 'box', dimensions: [1, 1, 1] }],
+        ...overrides
+    };
+}
+
+describe('Item Catalog', () => {
+    describe('Shipped Catalog', () => {
+        it('should pass validation against the game themes', () => {
+            expect(validateCatalog()).toEqual([]);
+        });
+
+        it('should contain every item used by a theme', () => {
+            THEMES.flatMap(theme => theme.items).forEach(itemName => {
+                expect(getItemDefinition(itemName)).not.toBeNull();
+            });
+        });
+
+        it('should list theme items from the catalog theme tags', () => {
+            THEMES.forEach(theme => {
+                expect(getItemNamesForTheme(theme.themeName).sort()).toEqual([...theme.items].sort());
+            });
+        });
+    });
+
+    describe('Validation', () => {
+        it('should accept a valid definition', () => {
+            expect(validateItemDefinition(createDefinition())).toEqual([]);
+        });
+
+        it('should reject definitions with missing fields', () => {
+            const errors = validateItemDefinition({ name: 'Broken' });
+
+            expect(errors.length).toBeGreaterThan(0);
+            expect(errors.every(error => error.startsWith('Broken:'))).toBe(true);
+        });
+
+        it('should reject unknown primitives and wrong dimension counts', () => {
+            const errors = validateItemDefinition(createDefinition({
+                parts: [
+                    { primitive: 'teapot', dimensions: [1] },
+                    { primitive: 'cylinder', dimensions: [1, 1] }
+                ]
+            }));
+
+            expect(errors).toHaveLength(2);
+        });
+
+        it('should reject invalid size ranges and collision shapes', () => {
+            expect(validateItemDefinition(createDefinition({ sizeRange: [2, 1] }))).toHaveLength(1);
+            expect(validateItemDefinition(createDefinition({ collision: { type: 'sphere' } }))).toHaveLength(1);
+            expect(validateItemDefinition(createDefinition({ collision: { type: 'capsule' } }))).toHaveLength(1);
+        });
+
+        it('should require instanced items to be a single untransformed part', () => {
+            const errors = validateItemDefinition(createDefinition({
+                instanced: true,
+                parts: [{ primitive: 'box', dimensions: [1, 1, 1], position: [0, 1, 0] }]
+            }));
+
+            expect(errors).toHaveLength(1);
+        });
+
+        it('should restrict compound collision to regular items with colliding parts', () => {
+            const compound = { type: 'compound' };
+
+            expect(validateItemDefinition(createDefinition({ collision: compound }))).toEqual([]);
+            expect(validateItemDefinition(createDefinition({ collision: compound, instanced: true }))).toHaveLength(1);
+            expect(validateItemDefinition(createDefinition({
+                collision: compound,
+                parts: [{ primitive: 'box', dimensions: [1, 1, 1], collides: false }]
+            }))).toHaveLength(1);
+        });
+
+        it('should validate optional model fields', () => {
+            expect(validateItemDefinition(createDefinition({ model: 'crate.glb', modelScale: 0.5 }))).toEqual([]);
+            expect(validateItemDefinition(createDefinition({ model: 'crate.obj' }))).toHaveLength(1);
+            expect(validateItemDefinition(createDefinition({ model: 'crate.gltf', modelScale: 0 }))).toHaveLength(1);
+        });
+
+        it('should validate the optional rarity', () => {
+            expect(validateItemDefinition(createDefinition({ rarity: 'rare' }))).toEqual([]);
+            expect(validateItemDefinition(createDefinition({ rarity: 'legendary' }))).toHaveLength(1);
+        });
+
+        it('should report duplicate names', () => {
+            const errors = validateCatalog([createDefinition(), createDefinition()], []);
+
+            expect(errors).toEqual(['Test Crate: duplicate item name']);
+        });
+
+        it('should report mismatches between theme item lists and theme tags', () => {
+            const themes = [{ themeName: 'Test Theme', items: ['Missing Item'] }];
+            const errors = validateCatalog([createDefinition()], themes);
+
+            expect(errors).toContain('Test Theme: item "Missing Item" is not in the catalog');
+            expect(errors).toContain('Test Crate: tagged for "Test Theme" but not in its item list');
+        });
+
+        it('should report spawn tables that disagree with their theme', () => {
+            const themes = [{ themeName: 'Test Theme', items: ['Test Crate'] }];
+            const spawnTables = {
+                'Test Theme': [
+                    { minRadius: 5, weights: { 'Missing Item': 1 } },
+                    { minRadius: 5, weights: { 'Test Crate': 0 } }
+                ]
+            };
+            const errors = validateCatalog([createDefinition()], themes, spawnTables);
+
+            expect(errors).toEqual([
+                'Test Theme spawn table: item "Missing Item" is not in the theme\'s item list',
+                'Test Theme spawn table: band 1 minRadius must be greater than the previous band\'s',
+                'Test Theme spawn table: weight of "Test Crate" in band 1 must be a positive number',
+                'Test Theme spawn table: item "Test Crate" never spawns'
+            ]);
+        });
+    });
+
+    describe('Lookups', () => {
+        it('should find definitions by name', () => {
+            expect(getItemDefinition('Car').parts.length).toBeGreaterThan(1);
+            expect(getItemDefinition('Unknown Item')).toBeNull();
+        });
+
+        it('should return no items for an unknown theme', () => {
+            expect(getItemNamesForTheme('Unknown Theme')).toEqual([]);
+        });
+    });
+
+    describe('Instanced Item Map', () => {
+        it('should have valid instanced item mapping', () => {
+            expect(typeof INSTANCED_ITEM_MAP).toBe('object');
+            expect(Object.keys(INSTANCED_ITEM_MAP).length).toBeGreaterThan(0);
+        });
+
+        it('should have valid mapping entries', () => {
+            Object.entries(INSTANCED_ITEM_MAP).forEach(([key, value]) => {
+                expect(typeof key).toBe('string');
+                expect(key.length).toBeGreaterThan(0);
+
+                expect(typeof value).toBe('string');
+                expect(value.length).toBeGreaterThan(0);
+
+                // Value should be camelCase identifier
+                expect(value).toMatch(/^[a-z][a-zA-Z0-9]*$/);
+            });
+        });
+
+        it('should map items that exist in themes', () => {
+            const allThemeItems = THEMES.flatMap(theme => theme.items);
+
+            Object.keys(INSTANCED_ITEM_MAP).forEach(itemName => {
+                expect(allThemeItems).toContain(itemName);
+            });
+        });
+
+        it('should have unique mapping values', () => {
+            const mappingValues = Object.values(INSTANCED_ITEM_MAP);
+            const uniqueValues = [...new Set(mappingValues)];
+            expect(uniqueValues.length).toBe(mappingValues.length);
+        });
+
+        it('should be derived from the instanced flag in the catalog', () => {
+            const instancedNames = ITEM_CATALOG.filter(definition => definition.instanced).map(definition => definition.name);
+
+            expect(Object.keys(INSTANCED_ITEM_MAP)).toEqual(instancedNames);
+            expect(INSTANCED_ITEM_MAP['Traffic Cone']).toBe('trafficCone');
+            expect(toInstancedId('Star Dust Cluster')).toBe('starDustCluster');
+        });
+    });
+});
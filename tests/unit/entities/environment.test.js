@@ -11,12 +11,14 @@ import {
     createGround,
     updateEnvironment,
     checkMountainCollisions,
+    updateMountainPassability,
     getMountains,
     getGround,
     getGroundBody,
     cleanupEnvironment,
     setupSceneAtmosphere
 } from '../../../src/game/entities/environment.js';
+import { setSeed } from '../../../src/game/utils/random.js';
 
 // Mock the dependencies
 vi.mock('three', () => import('../../__mocks__/three.js'));
@@ -326,6 +328,90 @@ describe('Environment System', () => {
         });
     });
 
+    describe('Mountain Physics and Passability', () => {
+        const mockTheme = {
+            themeName: 'earth',
+            groundColor: 0x4a5d23,
+            skyColor: 0x87ceeb
+        };
+
+        it('should give every mountain a static physics body', () => {
+            createEnvironment(mockTheme);
+
+            getMountains().forEach(mountain => {
+                const body = mountain.userData.cannonBody;
+                expect(body).toBeDefined();
+                expect(body.mass).toBe(0);
+                expect(body.userData.isMountain).toBe(true);
+                expect(body.userData.threeMesh).toBe(mountain);
+                expect(body.shapes[0].radiusBottom).toBe(mountain.userData.size);
+                expect(body.position.x).toBe(mountain.position.x);
+                expect(body.position.z).toBe(mountain.position.z);
+            });
+        });
+
+        it('should remove mountain bodies when the environment is rebuilt', () => {
+            createEnvironment(mockTheme);
+            const oldBodies = getMountains().map(mountain => mountain.userData.cannonBody);
+
+            createEnvironment(mockTheme);
+
+            oldBodies.forEach(body => {
+                expect(mockWorld.removeBody).toHaveBeenCalledWith(body);
+            });
+        });
+
+        it('should keep mountains solid while the katamari is too small', () => {
+            createEnvironment(mockTheme);
+
+            expect(updateMountainPassability(1)).toBe(0);
+            getMountains().forEach(mountain => {
+                expect(mountain.userData.isPassable).toBe(false);
+                expect(mountain.userData.cannonBody.collisionResponse).not.toBe(false);
+            });
+        });
+
+        it('should let the katamari pass through mountains it has outgrown', () => {
+            createEnvironment(mockTheme);
+            const mountains = getMountains();
+            const sorted = [...mountains].sort((a, b) => a.userData.minSizeToPass - b.userData.minSizeToPass);
+            const smallest = sorted[0];
+
+            const passed = updateMountainPassability(smallest.userData.minSizeToPass);
+
+            expect(passed).toBeGreaterThanOrEqual(1);
+            expect(smallest.userData.isPassable).toBe(true);
+            expect(smallest.userData.cannonBody.collisionResponse).toBe(false);
+            expect(smallest.userData.cannonBody.userData.isPassable).toBe(true);
+            expect(smallest.material.transparent).toBe(true);
+            expect(smallest.material.opacity).toBeLessThan(1);
+
+            mountains
+                .filter(mountain => mountain.userData.minSizeToPass > smallest.userData.minSizeToPass)
+                .forEach(mountain => expect(mountain.userData.isPassable).toBe(false));
+        });
+
+        it('should only report each mountain as newly passable once', () => {
+            createEnvironment(mockTheme);
+
+            expect(updateMountainPassability(Infinity)).toBe(getMountains().length);
+            expect(updateMountainPassability(Infinity)).toBe(0);
+        });
+
+        it('should not report collisions with passable mountains', () => {
+            createEnvironment(mockTheme);
+            updateMountainPassability(Infinity);
+
+            const katamariPosition = {
+                distanceTo: vi.fn(() => 0),
+                clone: vi.fn()
+            };
+
+            // Even a shrunken katamari keeps passing mountains it has already opened up
+            expect(checkMountainCollisions(katamariPosition, 1).collided).toBe(false);
+        });
+    });
+
     describe('Scene Atmosphere Setup', () => {
         let mockTheme;
 
@@ -519,6 +605,26 @@ describe('Environment System', () => {
             });
         });
 
+        it('should place mountains identically for the same seed', () => {
+            const theme = { themeName: 'earth', groundColor: 0x4a5d23, skyColor: 0x87ceeb };
+            const describeMountains = () => getMountains().map(mountain => ({
+                x: mountain.position.x,
+                z: mountain.position.z,
+                size: mountain.userData.size
+            }));
+
+            setSeed(4242);
+            createEnvironment(theme);
+            const firstLayout = describeMountains();
+
+            cleanupEnvironment();
+
+            setSeed(4242);
+            createEnvironment(theme);
+
+            expect(describeMountains()).toEqual(firstLayout);
+        });
+
         it('should create consistent mountain count across themes', () => {
             const theme1 = { themeName: 'earth', groundColor: 0x4a5d23, skyColor: 0x87ceeb };
             const theme2 = { themeName: 'space', groundColor: 0x111111, skyColor: 0x000011 };
@@ -9,11 +9,34 @@ import {
     initializeItemsSystem,
     createCollectibleItems,
     updateItemFadeIn,
-    generateItemsAroundKatamari,
-    cleanupOldItems,
+    getSpawnTable,
+    pickSpawnTableItem,
+    rollItemRecord,
+    getItemRecord,
+    spawnItemFromRecord,
+    despawnItem,
     getItemsToCollect,
+    getItemsWithinRadius,
+    getItemsOutsideRadius,
+    synchronizeItemsWithPhysics,
+    getPowerUpItems,
+    removeItemFromCollection,
+    getInstancedMeshById,
+    respawnShedItems,
+    processPendingItems,
+    createItemPreview,
+    disposeItemPreview,
+    getItemPoolStats,
     cleanupItemsSystem
 } from '../../../src/game/entities/items.js';
+import * as THREE from 'three';
+import * as CANNON from 'cannon-es';
+import { getPhysicsWorld, addPhysicsBody, acquirePooledBody, releasePooledBody } from '../../../src/game/core/physics.js';
+import { random, createRandom } from '../../../src/game/utils/random.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+import { setGameTimeSource } from '../../../src/game/utils/clock.js';
+import { INSTANCE_OPACITY_ATTRIBUTE } from '../../../src/game/core/instances.js';
+import { Katamari } from '../../../src/game/entities/katamari.js';
 
 // Mock the dependencies
 vi.mock('three', () => import('../../__mocks__/three.js'));
@@ -27,6 +50,7 @@ vi.mock('../../../src/game/core/scene.js', () => ({
         children: []
     })),
     getInstancedMesh: vi.fn(),
+    removeInstancedMesh: vi.fn(),
     updateInstancedMesh: vi.fn(),
     getCamera: vi.fn(() => ({
         getWorldDirection: vi.fn(() => ({ x: 0, y: 0, z: -1, normalize: vi.fn() })),
@@ -37,20 +61,31 @@ vi.mock('../../../src/game/core/scene.js', () => ({
 }));
 
 // Mock the physics module
-vi.mock('../../../src/game/core/physics.js', () => ({
-    getPhysicsWorld: vi.fn(() => ({
-        addBody: vi.fn(),
-        removeBody: vi.fn(),
-        bodies: []
-    })),
-    addPhysicsBody: vi.fn(),
-    removePhysicsBody: vi.fn(),
-    removeAllPhysicsBodies: vi.fn(),
-    removePhysicsBodiesByCondition: vi.fn(),
-    validateAndFixPhysicsWorld: vi.fn()
-}));
+vi.mock('../../../src/game/core/physics.js', async () => {
+    const { Body } = await import('../../__mocks__/cannon-es.js');
+    return {
+        getPhysicsWorld: vi.fn(() => ({
+            addBody: vi.fn(),
+            removeBody: vi.fn(),
+            bodies: []
+        })),
+        addPhysicsBody: vi.fn(),
+        removePhysicsBody: vi.fn(),
+        acquirePooledBody: vi.fn(() => new Body({ mass: 1 })),
+        releasePooledBody: vi.fn(),
+        removeAllPhysicsBodies: vi.fn(),
+        removePhysicsBodiesByCondition: vi.fn(),
+        validateAndFixPhysicsWorld: vi.fn()
+    };
+});
 
 // Mock the debug module
+// Keep the real seeded generator but allow individual tests to force spawn rolls
+vi.mock('../../../src/game/utils/random.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return { ...actual, random: vi.fn(actual.random) };
+});
+
 vi.mock('../../../src/game/utils/debug.js', () => ({
     debugInfo: vi.fn(),
     debugWarn: vi.fn(),
@@ -60,11 +95,11 @@ vi.mock('../../../src/game/utils/debug.js', () => ({
 
 // Mock the constants module
 vi.mock('../../../src/game/utils/constants.js', () => ({
+    SCORE: {
+        RARITY_MULTIPLIERS: { common: 1, uncommon: 2, rare: 5 }
+    },
     WORLD: {
         MAP_BOUNDARY: 500,
-        ITEM_SPAWN_RADIUS: 100,
-        ITEM_SPAWN_COUNT: 200,
-        INITIAL_ITEM_SPAWN_RADIUS: 180,
         MIN_SPAWN_DISTANCE: 10
     },
     ITEM_GENERATION: {
@@ -77,22 +112,32 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         SPHERE_HEIGHT_SEGMENTS: 6,
         CYLINDER_RADIAL_SEGMENTS: 8
     },
-    INSTANCED_ITEM_MAP: {
-        'Rock': 'sphere',
-        'Bush': 'sphere',
-        'Flower': 'cylinder',
-        'Mushroom': 'cylinder',
-        'Traffic Cone': 'cone',
-        'Garden Gnome': 'sphere',
-        'Bird Bath': 'cylinder',
-        'Asteroid': 'sphere',
-        'Space Debris': 'box',
-        'Comet Fragment': 'sphere',
-        'Moon Rock': 'sphere',
-        'Star Dust Cluster': 'sphere'
+    THEMES: [],
+    SPAWN_TABLES: {
+        'Test Theme': [
+            { minRadius: 0, weights: { 'Rock': 3, 'Car': 1 } },
+            { minRadius: 10, weights: { 'Car': 1, 'Bus': 1 } }
+        ]
     },
     RENDERING: {
-        MAX_INSTANCES: 1000
+        MAX_INSTANCES: 1000,
+        ITEM_FADE_DURATION: 500
+    },
+    PERFORMANCE: {
+        SPATIAL_CELL_SIZE: 10,
+        ITEM_POOL_SIZE: 4
+    },
+    POWER_UPS: {
+        TYPES: ['magnetism', 'speedBoost', 'stickyCoating', 'vacuumBoost'],
+        DURATION: 5000,
+        SPAWN_CHANCE: 0.02,
+        PICKUP_SIZE: 0.8,
+        COLORS: {
+            magnetism: 0xFF4081,
+            speedBoost: 0xFFEB3B,
+            stickyCoating: 0x8BC34A,
+            vacuumBoost: 0x00BCD4
+        }
     }
 }));
 
@@ -245,74 +290,181 @@ describe('Items System', () => {
         });
     });
 
-    describe('Procedural Item Spawning', () => {
-        it('should generate items around katamari position', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 100) };
-            const currentTheme = {
-                items: ['Rock', 'Bush', 'Flower']
-            };
-            
-            expect(() => {
-                generateItemsAroundKatamari(katamariPosition, currentTheme);
-            }).not.toThrow();
+    describe('Item Records', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            // Mid-range rolls and no power-up replacements
+            random.mockReturnValue(0.5);
         });
 
-        it('should not generate items if katamari hasnt moved far enough', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 10) };
-            const currentTheme = {
-                items: ['Rock', 'Bush', 'Flower']
-            };
-            
-            expect(() => {
-                generateItemsAroundKatamari(katamariPosition, currentTheme);
-            }).not.toThrow();
+        it('should roll the same record from the same random stream', () => {
+            const first = rollItemRecord('Car', { x: 10, z: -5 }, createRandom('chunk'));
+            const second = rollItemRecord('Car', { x: 10, z: -5 }, createRandom('chunk'));
+
+            expect(first).toEqual(second);
+            expect(first).toMatchObject({ name: 'Car', position: { x: 10, z: -5 }, quaternion: null });
         });
 
-        it('should handle theme with no items', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 100) };
-            const currentTheme = {
-                items: []
-            };
-            
-            expect(() => {
-                generateItemsAroundKatamari(katamariPosition, currentTheme);
-            }).not.toThrow();
+        it('should not roll records for items missing from the catalog', () => {
+            expect(rollItemRecord('UnknownItem', { x: 0, z: 0 })).toBeNull();
         });
 
-        it('should handle undefined theme', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 100) };
-            
-            // The function should throw when theme is undefined
-            // This is expected behavior, not an error in the test
-            expect(() => {
-                generateItemsAroundKatamari(katamariPosition, undefined);
-            }).toThrow('Cannot read properties of undefined (reading \'items\')');
+        it('should spawn an item again from the record of where it was left', () => {
+            const record = rollItemRecord('Car', { x: 10, z: -5 });
+            const car = spawnItemFromRecord(record);
+            car.position.set(20, 1, 30);
+
+            const leftRecord = getItemRecord(car);
+            despawnItem(car);
+            const restored = spawnItemFromRecord(leftRecord);
+
+            expect(getItemsToCollect()).toEqual([restored]);
+            expect(restored.position).toMatchObject({ x: 20, z: 30 });
+            expect(restored.userData.size).toBeCloseTo(car.userData.size);
+            expect(restored.userData.color).toBe(car.userData.color);
+        });
+
+        it('should keep the size of a shed instanced item through its record', () => {
+            const rock = spawnItemFromRecord(rollItemRecord('Rock', { x: 0, z: 0 }));
+            const { baseScale, color, size } = rock.userData;
+            // Collected instanced items are attached to the katamari as a mesh of their own
+            const shed = Katamari.prototype.createAttachedItemMesh(rock);
+            despawnItem(rock);
+            respawnShedItems([{ mesh: shed, position: new THREE.Vector3(4, 1, 4), velocity: new THREE.Vector3() }]);
+
+            const record = getItemRecord(shed);
+            despawnItem(shed);
+            const restored = spawnItemFromRecord(record);
+
+            expect(record.scale).toBe(baseScale);
+            expect(record.color).toBe(color);
+            expect(restored.userData.size).toBeCloseTo(size);
+            expect(restored.userData.instanceScale).toBeGreaterThan(0);
+            expect(restored.userData.instanceIndex).not.toBe(-1);
+        });
+
+        it('should respawn power-up pickups from their records', () => {
+            random.mockReturnValue(0);
+            const pickup = spawnItemFromRecord(rollItemRecord('Car', { x: 0, z: 0 }));
+            random.mockReturnValue(0.5);
+
+            const restored = spawnItemFromRecord(getItemRecord(pickup));
+
+            expect(restored.userData.powerUpType).toBe('magnetism');
+            expect(getPowerUpItems()).toContain(restored);
+        });
+
+        it('should take despawned items out of the world', () => {
+            const item = spawnItemFromRecord(rollItemRecord('Bench', { x: 0, z: 0 }));
+            const body = item.userData.cannonBody;
+
+            despawnItem(item);
+
+            expect(releasePooledBody).toHaveBeenCalledWith(body);
+            expect(item.userData.cannonBody).toBeUndefined();
+            expect(getItemsToCollect()).not.toContain(item);
         });
     });
 
-    describe('Item Cleanup', () => {
-        it('should cleanup items far from katamari', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 200) };
-            
-            expect(() => {
-                cleanupOldItems(katamariPosition);
-            }).not.toThrow();
+    describe('Spatial Index', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            random.mockReturnValue(0.5);
         });
 
-        it('should not cleanup items close to katamari', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 50) };
-            
-            expect(() => {
-                cleanupOldItems(katamariPosition);
-            }).not.toThrow();
+        const spawnAt = (x, z) => spawnItemFromRecord(rollItemRecord('Car', { x, z }));
+
+        it('should find the items within a radius of a point', () => {
+            const near = spawnAt(3, 4);
+            const far = spawnAt(40, 0);
+
+            expect(getItemsWithinRadius({ x: 0, y: near.position.y, z: 0 }, 6)).toEqual([near]);
+            expect(getItemsOutsideRadius({ x: 0, y: near.position.y, z: 0 }, 6)).toEqual([far]);
         });
 
-        it('should handle cleanup with no items', () => {
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 200) };
-            
-            expect(() => {
-                cleanupOldItems(katamariPosition);
-            }).not.toThrow();
+        it('should follow items to their physics bodies', () => {
+            const item = spawnAt(3, 4);
+            item.userData.cannonBody.position.set(80, item.position.y, -60);
+
+            synchronizeItemsWithPhysics();
+
+            expect(getItemsWithinRadius({ x: 0, y: 0, z: 0 }, 10)).toEqual([]);
+            expect(getItemsWithinRadius({ x: 80, y: item.position.y, z: -60 }, 1)).toEqual([item]);
+        });
+
+        it('should drop items taken out of the world', () => {
+            const item = spawnAt(3, 4);
+            const removed = spawnAt(4, 3);
+
+            despawnItem(removed);
+
+            expect(getItemsWithinRadius({ x: 0, y: 0, z: 0 }, 20)).toEqual([item]);
+        });
+
+        it('should be emptied with the items system', () => {
+            spawnAt(3, 4);
+
+            cleanupItemsSystem();
+
+            expect(getItemsOutsideRadius({ x: 0, y: 0, z: 0 }, 0)).toEqual([]);
+        });
+    });
+
+    describe('Item Pools', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            cleanupItemsSystem();
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            random.mockReturnValue(0.5);
+        });
+
+        it('should reuse a despawned item for the next item of the same type and color', () => {
+            const bench = spawnItemFromRecord(rollItemRecord('Bench', { x: 0, z: 0 }));
+            bench.userData.isCollected = true;
+            despawnItem(bench);
+
+            const next = spawnItemFromRecord(rollItemRecord('Bench', { x: 5, z: 5 }));
+
+            expect(next).toBe(bench);
+            expect(next.userData.isCollected).toBeUndefined();
+            expect(next.userData.name).toBe('Bench');
+            expect(next.position).toMatchObject({ x: 5, z: 5 });
+            expect(getItemPoolStats()).toMatchObject({ created: 1, reused: 1, released: 1, available: 0 });
+        });
+
+        it('should take item bodies from the body pool', () => {
+            const bench = spawnItemFromRecord(rollItemRecord('Bench', { x: 0, z: 0 }));
+
+            expect(acquirePooledBody).toHaveBeenCalled();
+            expect(bench.userData.cannonBody.shapes.length).toBeGreaterThan(0);
+            expect(bench.userData.cannonBody.mass).toBeGreaterThan(0);
+        });
+
+        it('should dispose of items released into a full pool', () => {
+            const benches = Array.from({ length: 6 }, (_, i) => spawnItemFromRecord(rollItemRecord('Bench', { x: i * 3, z: 0 })));
+
+            benches.forEach(despawnItem);
+
+            expect(getItemPoolStats()).toMatchObject({ pools: 1, available: 4, released: 4, discarded: 2 });
+        });
+
+        it('should drop every pool when the items system is cleaned up', () => {
+            despawnItem(spawnItemFromRecord(rollItemRecord('Bench', { x: 0, z: 0 })));
+
+            cleanupItemsSystem();
+
+            expect(getItemPoolStats()).toMatchObject({ pools: 0, available: 0 });
         });
     });
 
@@ -345,6 +497,87 @@ describe('Items System', () => {
         }, 15000); // Increase timeout to 15 seconds
     });
 
+    describe('Instance Slots', () => {
+        let trackedWorld;
+        let gameTime;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            random.mockReturnValue(0.5);
+            gameTime = 0;
+            setGameTimeSource(() => gameTime);
+        });
+
+        afterEach(() => {
+            setGameTimeSource(null);
+        });
+
+        const spawnRock = (x) => spawnItemFromRecord(rollItemRecord('Rock', { x, z: 0 }));
+        const getInstanceOpacity = (item) => getInstancedMeshById(item.userData.instancedId)
+            .geometry.getAttribute(INSTANCE_OPACITY_ATTRIBUTE).array[item.userData.instanceIndex];
+
+        it('should give every live instanced item its own slot', () => {
+            const rocks = [spawnRock(0), spawnRock(5), spawnRock(10)];
+            despawnItem(rocks[1]);
+            rocks.push(spawnRock(15), spawnRock(20));
+
+            const liveSlots = getItemsToCollect().map(item => item.userData.instanceIndex);
+            expect(new Set(liveSlots).size).toBe(4);
+        });
+
+        it('should reuse the slot of a despawned item', () => {
+            const rocks = [spawnRock(0), spawnRock(5), spawnRock(10)];
+            const freedSlot = rocks[1].userData.instanceIndex;
+            despawnItem(rocks[1]);
+
+            const next = spawnRock(15);
+
+            expect(next.userData.instanceIndex).toBe(freedSlot);
+            expect(getInstancedMeshById('rock').count).toBe(3);
+        });
+
+        it('should stop drawing the slots of items despawned at the end of the range', () => {
+            const rocks = [spawnRock(0), spawnRock(5), spawnRock(10)];
+
+            despawnItem(rocks[2]);
+            despawnItem(rocks[1]);
+
+            expect(getInstancedMeshById('rock').count).toBe(1);
+        });
+
+        it('should free the slot of a collected item', () => {
+            const rock = spawnRock(0);
+            const slot = rock.userData.instanceIndex;
+            publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: 'Rock', size: rock.userData.size, isPowerUp: false, mesh: rock },
+                katamariRadius: 2,
+                targetRadius: 2.1,
+                itemsCollected: 1,
+                time: 0
+            });
+
+            processPendingItems();
+
+            expect(rock.userData.instanceIndex).toBe(-1);
+            expect(spawnRock(5).userData.instanceIndex).toBe(slot);
+        });
+
+        it('should fade each instance in independently', () => {
+            const early = spawnRock(0);
+            gameTime = 250;
+            const late = spawnRock(5);
+            gameTime = 375;
+
+            updateItemFadeIn();
+
+            expect(getInstanceOpacity(early)).toBeCloseTo(0.75);
+            expect(getInstanceOpacity(late)).toBeCloseTo(0.25);
+            expect(getInstancedMeshById('rock').material.opacity).toBe(1);
+        });
+    });
+
     describe('Item Collection Logic', () => {
         it('should create items with collectible properties', () => {
             const itemNames = ['Rock', 'Car'];
@@ -438,18 +671,329 @@ describe('Items System', () => {
         });
     });
 
+    describe('Power-up Spawning', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            // Track bodies so spawned items are accepted into the collection
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+        });
+
+        it('should spawn power-up pickups when the spawn roll succeeds', () => {
+            random.mockReturnValue(0);
+
+            createCollectibleItems(1, ['Car']);
+
+            const powerUps = getPowerUpItems();
+            expect(powerUps).toHaveLength(1);
+            expect(powerUps[0].userData.isPowerUp).toBe(true);
+            expect(powerUps[0].userData.powerUpType).toBe('magnetism');
+            expect(powerUps[0].userData.isCollectible).toBe(true);
+            expect(getItemsToCollect()).toContain(powerUps[0]);
+            expect(powerUps[0].userData.cannonBody.userData.name).toBe('powerUp-magnetism-0');
+        });
+
+        it('should spawn regular items when the spawn roll fails', () => {
+            random.mockReturnValue(0.5);
+
+            createCollectibleItems(3, ['Car']);
+
+            expect(getPowerUpItems()).toHaveLength(0);
+            expect(getItemsToCollect()).toHaveLength(3);
+        });
+
+        it('should forget power-ups removed from the collection', () => {
+            random.mockReturnValue(0);
+            createCollectibleItems(1, ['Rock']);
+            const [pickup] = getPowerUpItems();
+
+            removeItemFromCollection(pickup);
+
+            expect(getPowerUpItems()).toHaveLength(0);
+            expect(getItemsToCollect()).not.toContain(pickup);
+        });
+    });
+
+    describe('Spawn Tables', () => {
+        const testTheme = { themeName: 'Test Theme', items: ['Rock', 'Car', 'Bus'] };
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            // Mid-range rolls and no power-up replacements
+            random.mockReturnValue(0.5);
+        });
+
+        it('should use the band for the katamari radius', () => {
+            expect(getSpawnTable(testTheme, 0)).toEqual({ itemNames: ['Rock', 'Car'], weights: [3, 1] });
+            expect(getSpawnTable(testTheme, 50)).toEqual({ itemNames: ['Car', 'Bus'], weights: [1, 1] });
+        });
+
+        it('should phase items out and in between bands', () => {
+            const { itemNames, weights } = getSpawnTable(testTheme, 5);
+
+            expect(itemNames).toEqual(['Rock', 'Car', 'Bus']);
+            expect(weights[0]).toBeCloseTo(1.5);
+            expect(weights[1]).toBeCloseTo(1);
+            expect(weights[2]).toBeCloseTo(0.5);
+        });
+
+        it('should spawn every theme item equally without a spawn table', () => {
+            const theme = { themeName: 'Untabled Theme', items: ['Rock', 'Bush'] };
+
+            expect(getSpawnTable(theme, 5)).toEqual({ itemNames: ['Rock', 'Bush'], weights: null });
+        });
+
+        it('should pick items in proportion to their weights', () => {
+            createCollectibleItems(2, ['Rock', 'Car'], undefined, 50, false, 0, [3, 1]);
+            createCollectibleItems(2, ['Rock', 'Car'], undefined, 50, false, 0, [1, 3]);
+
+            expect(getItemsToCollect().map(item => item.userData.name)).toEqual(['Rock', 'Rock', 'Car', 'Car']);
+        });
+
+        it('should pick items uniformly when the weights do not match the items', () => {
+            createCollectibleItems(1, ['Rock', 'Car'], undefined, 50, false, 0, [1]);
+
+            expect(getItemsToCollect().map(item => item.userData.name)).toEqual(['Car']);
+        });
+
+        it('should pick spawn table items with the given random stream', () => {
+            const spawnTable = getSpawnTable(testTheme, 50);
+
+            expect(pickSpawnTableItem(spawnTable, () => 0.25)).toBe('Car');
+            expect(pickSpawnTableItem(spawnTable, () => 0.75)).toBe('Bus');
+        });
+    });
+
+    describe('Catalog Items', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+            // Mid-range size rolls and no power-up replacements
+            random.mockReturnValue(0.5);
+        });
+
+        it('should build regular items from their catalog parts', () => {
+            createCollectibleItems(1, ['Car']);
+
+            const [car] = getItemsToCollect();
+            expect(car.userData.name).toBe('Car');
+            // Body, cabin and four wheels, in the group scaled to the item's size
+            expect(car.children[0].children).toHaveLength(6);
+            // Base size 1.55 from the [0.8, 2.3] range, scaled by 1.2
+            expect(car.userData.size).toBeCloseTo(1.86);
+        });
+
+        it('should scale body mass by the catalog mass factor', () => {
+            createCollectibleItems(1, ['Car']);
+
+            const [car] = getItemsToCollect();
+            expect(car.userData.massFactor).toBe(5);
+            expect(car.userData.cannonBody.mass).toBeCloseTo(car.userData.size * 5);
+        });
+
+        it('should give multi-part items one collision shape per part', () => {
+            createCollectibleItems(1, ['Car']);
+
+            const body = getItemsToCollect()[0].userData.cannonBody;
+            // Body, cabin and four wheels
+            expect(body.addShape).toHaveBeenCalledTimes(6);
+
+            const [cabinShape, cabinOffset] = body.addShape.mock.calls[1];
+            expect(cabinShape).toBeInstanceOf(CANNON.Box);
+            expect(cabinOffset.y).toBeCloseTo(0.7 * 1.55);
+
+            const [wheelShape, wheelOffset, wheelOrientation] = body.addShape.mock.calls[2];
+            expect(wheelShape).toBeInstanceOf(CANNON.Cylinder);
+            expect(wheelShape.radiusTop).toBeCloseTo(0.25 * 1.55);
+            expect(wheelOffset.x).toBeCloseTo(0.7 * 1.55);
+            expect(wheelOffset.y).toBeCloseTo(-0.2 * 1.55);
+            // Rolled onto its side like the wheel meshes
+            expect(wheelOrientation.z).toBeCloseTo(Math.SQRT1_2);
+        });
+
+        it('should leave non-colliding parts out of compound shapes', () => {
+            createCollectibleItems(1, ['Newspaper Stand']);
+
+            const body = getItemsToCollect()[0].userData.cannonBody;
+            expect(body.addShape).toHaveBeenCalledTimes(1);
+        });
+
+        it('should render instanced items through a placeholder mesh', () => {
+            createCollectibleItems(1, ['Traffic Cone']);
+
+            const [cone] = getItemsToCollect();
+            expect(cone.userData.isInstanced).toBe(true);
+            expect(cone.userData.instancedId).toBe('trafficCone');
+            expect(cone.userData.instanceScale).toBeCloseTo(1);
+            expect(cone.userData.size).toBeCloseTo(0.5);
+            expect(getInstancedMeshById('trafficCone')).toBeDefined();
+        });
+
+        it('should skip items missing from the catalog', () => {
+            createCollectibleItems(2, ['UnknownItem']);
+
+            expect(getItemsToCollect()).toHaveLength(0);
+        });
+    });
+
+    describe('Shed Item Respawning', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+        });
+
+        const createShedEntry = (size = 1.2) => {
+            const mesh = new THREE.Group();
+            mesh.userData = { size, isCollectible: true, isCollected: false };
+            return {
+                mesh,
+                position: new THREE.Vector3(10, 3, -4),
+                velocity: new THREE.Vector3(8, 6, 0)
+            };
+        };
+
+        it('should return zero when nothing was shed', () => {
+            expect(respawnShedItems([])).toBe(0);
+            expect(respawnShedItems(undefined)).toBe(0);
+        });
+
+        it('should add shed items back into the world as loose collectibles', () => {
+            const entry = createShedEntry();
+
+            expect(respawnShedItems([entry])).toBe(1);
+
+            const body = entry.mesh.userData.cannonBody;
+            expect(trackedWorld.bodies).toContain(body);
+            expect(body.position.x).toBe(10);
+            expect(body.position.z).toBe(-4);
+            expect(body.velocity.x).toBe(8);
+            expect(body.velocity.y).toBe(6);
+            expect(getItemsToCollect()).toContain(entry.mesh);
+        });
+
+        it('should reuse the original collision shape when available', () => {
+            const entry = createShedEntry();
+            const originalShape = { radius: 0.6 };
+            entry.mesh.userData.cannonBody = { shapes: [originalShape] };
+
+            respawnShedItems([entry]);
+
+            expect(entry.mesh.userData.cannonBody.shapes[0]).toBe(originalShape);
+        });
+
+        it('should reuse every shape of a compound body with its offset', () => {
+            const entry = createShedEntry();
+            const shapes = [{ radius: 0.6 }, { radius: 0.3 }];
+            const offsets = [new CANNON.Vec3(0, 0, 0), new CANNON.Vec3(1, 0, 0)];
+            const orientations = [new CANNON.Quaternion(), new CANNON.Quaternion()];
+            entry.mesh.userData.cannonBody = { shapes, shapeOffsets: offsets, shapeOrientations: orientations };
+
+            respawnShedItems([entry]);
+
+            const body = entry.mesh.userData.cannonBody;
+            expect(body.addShape).toHaveBeenCalledTimes(2);
+            expect(body.addShape).toHaveBeenCalledWith(shapes[1], offsets[1], orientations[1]);
+        });
+    });
+
+    describe('Pending Item Processing', () => {
+        let trackedWorld;
+
+        beforeEach(() => {
+            trackedWorld = { addBody: vi.fn(), removeBody: vi.fn(), bodies: [] };
+            getPhysicsWorld.mockReturnValue(trackedWorld);
+            addPhysicsBody.mockImplementation(body => trackedWorld.bodies.push(body));
+        });
+
+        it('should remove items collected during the physics step on the next flush', () => {
+            const item = new THREE.Group();
+            item.userData = { size: 1, isCollectible: true, isCollected: false };
+            respawnShedItems([{ mesh: item, position: new THREE.Vector3(), velocity: new THREE.Vector3() }]);
+            const body = item.userData.cannonBody;
+
+            publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: item.userData.name, size: item.userData.size, isPowerUp: false, mesh: item },
+                katamariRadius: 2,
+                targetRadius: 2.1,
+                itemsCollected: 1,
+                time: 0
+            });
+            expect(trackedWorld.removeBody).not.toHaveBeenCalled();
+
+            expect(processPendingItems()).toEqual({ removed: 1, respawned: 0 });
+            expect(trackedWorld.removeBody).toHaveBeenCalledWith(body);
+            expect(getItemsToCollect()).not.toContain(item);
+        });
+
+        it('should respawn shed items on the next flush', () => {
+            const mesh = new THREE.Group();
+            mesh.userData = { size: 1.2, isCollectible: true, isCollected: false };
+
+            publish(GAME_EVENTS.ITEM_SHED, {
+                items: [{ name: 'Rock', size: 1.2, mesh, position: new THREE.Vector3(), velocity: new THREE.Vector3() }],
+                katamariRadius: 3,
+                time: 0
+            });
+
+            expect(processPendingItems()).toEqual({ removed: 0, respawned: 1 });
+            expect(getItemsToCollect()).toContain(mesh);
+            expect(processPendingItems()).toEqual({ removed: 0, respawned: 0 });
+        });
+    });
+
+    describe('Item Previews', () => {
+        it('should build an opaque item outside the world', () => {
+            const preview = createItemPreview('Car');
+
+            expect(preview.userData.name).toBe('Car');
+            expect(preview.children.length).toBeGreaterThan(0);
+            preview.children[0].children.forEach(child => expect(child.material.opacity).toBe(1));
+            expect(addPhysicsBody).not.toHaveBeenCalled();
+            expect(getItemsToCollect()).not.toContain(preview);
+        });
+
+        it('should not draw from the seeded random', () => {
+            createItemPreview('Car');
+
+            expect(random).not.toHaveBeenCalled();
+        });
+
+        it('should return null for unknown items', () => {
+            expect(createItemPreview('Teacup')).toBeNull();
+        });
+
+        it('should dispose of preview resources', () => {
+            const preview = createItemPreview('Car');
+            const material = preview.children[0].children[0].material;
+
+            disposeItemPreview(preview);
+
+            expect(material.dispose).toHaveBeenCalled();
+        });
+    });
+
     describe('Resource Management', () => {
         it('should handle resource disposal during cleanup', () => {
             // Create items first
             const itemNames = ['Rock', 'Car'];
             createCollectibleItems(2, itemNames);
             
-            // Then cleanup
-            const katamariPosition = { x: 0, y: 0, z: 0, distanceTo: vi.fn(() => 200) };
-            
+            // Then despawn them
             expect(() => {
-                cleanupOldItems(katamariPosition);
+                [...getItemsToCollect()].forEach(despawnItem);
             }).not.toThrow();
+            expect(getItemsToCollect()).toHaveLength(0);
         });
 
         it('should clear all items when requested', () => {
@@ -5,7 +5,11 @@
  */
 
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import * as THREE from 'three';
 import { Katamari } from '../../../src/game/entities/katamari.js';
+import { activatePowerUp, clearPowerUps } from '../../../src/game/systems/powerups.js';
+import { setKatamariLumps } from '../../../src/game/core/physics.js';
+import { GAME_EVENTS, subscribe, clearSubscribers } from '../../../src/game/utils/events.js';
 
 // Mock the dependencies
 vi.mock('three', () => import('../../__mocks__/three.js'));
@@ -49,6 +53,7 @@ vi.mock('../../../src/game/core/physics.js', () => ({
         return body;
     }),
     updateKatamariPhysics: vi.fn(),
+    setKatamariLumps: vi.fn(),
     removePhysicsBody: vi.fn(),
     addPhysicsBody: vi.fn()
 }));
@@ -75,7 +80,8 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         VOLUME_CONTRIBUTION_FACTOR: 0.3,
         DIFFICULTY_SCALE_FACTOR: 0.02,
         SIZE_RATIO_MULTIPLIER: 2.0,
-        MIN_DIFFICULTY_SCALE: 0.1
+        MIN_DIFFICULTY_SCALE: 0.1,
+        SIZE_MILESTONES: [5, 10, 25]
     },
     COLLECTION: {
         BASE_THRESHOLD: 0.9,
@@ -93,7 +99,19 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         MIN_COMPRESSION_SCALE: 0.6,
         ATTACHMENT_SCALE: 0.85,
         SURFACE_DISTANCE_FACTOR: 0.15,
-        ORBITAL_SPEED_RANGE: [0.2, 0.7]
+        ORBITAL_SPEED_RANGE: [0.2, 0.7],
+        LUMP_SIZE_RATIO: 0.5,
+        LUMP_RADIUS_FACTOR: 0.4,
+        MAX_LUMPS: 6
+    },
+    SHEDDING: {
+        MIN_IMPACT_SPEED: 12,
+        SPEED_PER_ITEM: 4,
+        MAX_ITEMS_PER_IMPACT: 5,
+        COOLDOWN: 500,
+        EJECT_SPEED: 8,
+        EJECT_UP_SPEED: 6,
+        RECOLLECT_DELAY: 1000
     },
     MOVEMENT: {
         BASE_ACCELERATION: 80,
@@ -103,9 +121,18 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
         ACTIVE_ANGULAR_DAMPING: 0.05,
         IDLE_LINEAR_DAMPING: 0.9,
         IDLE_ANGULAR_DAMPING: 0.9,
-        GYRO_SENSITIVITY: 0.8,
-        GYRO_THRESHOLD: 0.1,
-        TORQUE_MULTIPLIER: 0.5
+        TORQUE_MULTIPLIER: 0.5,
+        TANK_TURN_SPEED: 2.5,
+        DASH_DURATION: 800,
+        DASH_SPEED_MULTIPLIER: 1.8
+    },
+    POWER_UPS: {
+        TYPES: ['magnetism', 'speedBoost', 'stickyCoating', 'vacuumBoost'],
+        DURATION: 5000,
+        MAGNETISM_RANGE_MULTIPLIER: 2.0,
+        SPEED_BOOST_MULTIPLIER: 1.5,
+        STICKY_THRESHOLD_MULTIPLIER: 0.75,
+        VACUUM_FORCE_MULTIPLIER: 4.0
     }
 }));
 
@@ -137,6 +164,8 @@ describe('Katamari Entity', () => {
         if (katamari) {
             katamari.dispose();
         }
+        clearPowerUps();
+        clearSubscribers();
         vi.clearAllMocks();
     });
 
@@ -176,76 +205,121 @@ describe('Katamari Entity', () => {
                 getWorldDirection: vi.fn(() => ({ x: 0, y: 0, z: -1, normalize: vi.fn() }))
             };
 
-            mockMovementInput = {
-                keys: {},
-                touchInput: { active: false },
-                gyro: {}
-            };
+            mockMovementInput = { x: 0, y: 0, magnitude: 0 };
         });
 
         it('should handle keyboard input correctly', () => {
-            mockMovementInput.keys = { 'w': true };
+            mockMovementInput = { x: 0, y: 1, magnitude: 1 };
             
-            katamari.handleMovement(mockMovementInput, mockCamera, false);
+            katamari.handleMovement(mockMovementInput, mockCamera);
             
             expect(katamari.isMovingInput).toBe(true);
             expect(katamari.body.applyTorque).toHaveBeenCalled();
         });
 
         it('should handle multiple key combinations', () => {
-            mockMovementInput.keys = { 'w': true, 'd': true };
+            mockMovementInput = { x: Math.SQRT1_2, y: Math.SQRT1_2, magnitude: 1 };
             
-            katamari.handleMovement(mockMovementInput, mockCamera, false);
+            katamari.handleMovement(mockMovementInput, mockCamera);
             
             expect(katamari.isMovingInput).toBe(true);
             expect(katamari.body.applyTorque).toHaveBeenCalled();
         });
 
-        it('should handle touch input when active', () => {
-            mockMovementInput.touchInput = {
-                active: true,
-                startX: 100,
-                startY: 100,
-                currentX: 150,
-                currentY: 120
-            };
-            
-            katamari.handleMovement(mockMovementInput, mockCamera, false);
-            
-            expect(katamari.isMovingInput).toBe(true);
-            expect(katamari.body.applyTorque).toHaveBeenCalled();
+        it('should scale torque with analog input', () => {
+            mockCamera.getWorldDirection = vi.fn((target) => target.set(0, 0, -1));
+
+            katamari.handleMovement({ x: 0, y: 1, magnitude: 1 }, mockCamera);
+            katamari.handleMovement({ x: 0, y: 0.5, magnitude: 0.5 }, mockCamera);
+
+            const [fullTorque] = katamari.body.applyTorque.mock.calls[0];
+            const [halfTorque] = katamari.body.applyTorque.mock.calls[1];
+            expect(fullTorque.length()).toBeGreaterThan(0);
+            expect(halfTorque.length()).toBeCloseTo(fullTorque.length() / 2);
         });
 
-        it('should handle gyroscope input when enabled', () => {
-            mockMovementInput.gyro = {
-                normalizedGamma: 0.5,
-                normalizedBeta: 0.3
-            };
-            
-            katamari.handleMovement(mockMovementInput, mockCamera, true);
-            
-            expect(katamari.isMovingInput).toBe(true);
-            expect(katamari.body.applyTorque).toHaveBeenCalled();
+        it('should roll forward along the camera direction', () => {
+            mockCamera.getWorldDirection = vi.fn((target) => target.set(0, 0, -1));
+
+            katamari.handleMovement({ x: 0, y: 1, magnitude: 1 }, mockCamera);
+
+            // Rolling towards -Z spins the katamari about -X
+            const [torque] = katamari.body.applyTorque.mock.calls[0];
+            expect(torque.x).toBeLessThan(0);
+            expect(torque.z).toBeCloseTo(0);
         });
 
         it('should not move when no input is provided', () => {
-            katamari.handleMovement(mockMovementInput, mockCamera, false);
+            katamari.handleMovement(mockMovementInput, mockCamera);
             
             expect(katamari.isMovingInput).toBe(false);
+            expect(katamari.body.applyTorque).not.toHaveBeenCalled();
             expect(katamari.body.linearDamping).toBe(0.9);
             expect(katamari.body.angularDamping).toBe(0.9);
         });
 
         it('should adjust damping when moving', () => {
-            mockMovementInput.keys = { 'w': true };
+            mockMovementInput = { x: 0, y: 1, magnitude: 1 };
             
-            katamari.handleMovement(mockMovementInput, mockCamera, false);
+            katamari.handleMovement(mockMovementInput, mockCamera);
             
             expect(katamari.body.linearDamping).toBe(0.05);
             expect(katamari.body.angularDamping).toBe(0.05);
         });
     });
 
+    describe('Tank Controls', () => {
+        it('should roll along the heading when both sides push forward', () => {
+            katamari.handleTankMovement({ left: 1, right: 1 }, 1 / 60);
+
+            // Facing -Z, rolling forward spins the katamari about -X
+            const [torque] = katamari.body.applyTorque.mock.calls[0];
+            expect(katamari.isMovingInput).toBe(true);
+            expect(torque.x).toBeLessThan(0);
+            expect(torque.z).toBeCloseTo(0);
+            expect(katamari.heading).toBe(0);
+        });
+
+        it('should turn in place when the sides push in opposite directions', () => {
+            katamari.handleTankMovement({ left: 1, right: -1 }, 0.5);
+
+            // Left forward and right back turns clockwise (right)
+            expect(katamari.heading).toBeCloseTo(-1.25);
+            expect(katamari.isMovingInput).toBe(false);
+            expect(katamari.body.applyTorque).not.toHaveBeenCalled();
+        });
+
+        it('should face along the heading', () => {
+            katamari.heading = Math.PI / 2;
+
+            const direction = katamari.getHeadingDirection();
+            expect(direction.x).toBeCloseTo(-1);
+            expect(direction.z).toBeCloseTo(0);
+        });
+
+        it('should turn around on a quick turn', () => {
+            katamari.quickTurn();
+
+            expect(katamari.heading).toBeCloseTo(Math.PI);
+            expect(katamari.getHeadingDirection().z).toBeCloseTo(1);
+        });
+
+        it('should roll forward at a raised speed while dashing', () => {
+            katamari.handleTankMovement({ left: 0, right: 0 }, 1 / 60);
+            const baseAcceleration = katamari.currentAcceleration;
+
+            katamari.startDash();
+            katamari.handleTankMovement({ left: 0, right: 0 }, 0.5);
+
+            expect(katamari.isDashing()).toBe(true);
+            expect(katamari.isMovingInput).toBe(true);
+            expect(katamari.currentAcceleration).toBeCloseTo(baseAcceleration * 1.8);
+
+            katamari.handleTankMovement({ left: 0, right: 0 }, 0.5);
+            expect(katamari.isDashing()).toBe(false);
+        });
+    });
+
     describe('Size Updates and Growth', () => {
         it('should collect items and increase target size', () => {
             const initialRadius = katamari.radius;
@@ -277,6 +351,36 @@ describe('Katamari Entity', () => {
             expect(katamari.targetRadius).toBeCloseTo(expectedNewRadius, 2);
         });
 
+        it('should publish an itemCollected event with the item and the size before growing', () => {
+            const listener = vi.fn();
+            subscribe(GAME_EVENTS.ITEM_COLLECTED, listener);
+            const itemMesh = new THREE.Group();
+            itemMesh.userData.name = 'Teacup';
+
+            katamari.collectItem(1.5, 0.8, itemMesh);
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            const event = listener.mock.calls[0][0];
+            expect(event.item).toEqual({ name: 'Teacup', size: 1.5, isPowerUp: false, mesh: itemMesh });
+            expect(event.katamariRadius).toBe(2.0);
+            expect(event.targetRadius).toBe(katamari.targetRadius);
+            expect(event.itemsCollected).toBe(1);
+            expect(event.time).toEqual(expect.any(Number));
+        });
+
+        it('should publish each size milestone once as the katamari grows past it', () => {
+            const listener = vi.fn();
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, listener);
+            katamari.targetRadius = katamari.radius = 12;
+
+            katamari.update(100);
+            katamari.update(100);
+
+            expect(listener).toHaveBeenCalledTimes(2);
+            expect(listener.mock.calls.map(([event]) => event.milestone)).toEqual([5, 10]);
+            expect(listener.mock.calls[1][0].radius).toBe(12);
+        });
+
         it('should animate size growth smoothly', () => {
             katamari.targetRadius = 3.0;
             const initialRadius = katamari.radius;
@@ -350,6 +454,16 @@ describe('Katamari Entity', () => {
             expect(katamari.body.applyImpulse).toHaveBeenCalled(); // Should bounce
         });
 
+        it('should publish a katamariBounced event when bouncing off an item', () => {
+            const listener = vi.fn();
+            subscribe(GAME_EVENTS.KATAMARI_BOUNCED, listener);
+            katamari.radius = 0.4;
+
+            katamari.handleCollision(mockCollisionEvent);
+
+            expect(listener).toHaveBeenCalledWith({ itemSize: 1.0, katamariRadius: 0.4, time: expect.any(Number) });
+        });
+
         it('should ignore collisions with ground', () => {
             mockOtherBody.userData.isGround = true;
             
@@ -452,6 +566,120 @@ describe('Katamari Entity', () => {
         });
     });
 
+    describe('Collision Lumps', () => {
+        const attachLumpItem = (size) => {
+            const item = new THREE.Group();
+            item.userData.size = size;
+            katamari.attachItem(item, new THREE.Vector3(5, 2, 0));
+            return item;
+        };
+
+        beforeEach(() => {
+            katamari.targetRadius = katamari.radius = 2.0;
+        });
+
+        it('should add a lump for large attached items', () => {
+            const item = attachLumpItem(2.0);
+
+            katamari.updateLumps();
+
+            const [body, lumps] = setKatamariLumps.mock.calls.at(-1);
+            expect(body).toBe(katamari.body);
+            expect(lumps).toHaveLength(1);
+            expect(lumps[0].radius).toBeCloseTo(2.0 * item.scale.x * 0.4);
+            expect(lumps[0].offset).toBe(item.position);
+        });
+
+        it('should leave small attached items to the core sphere', () => {
+            attachLumpItem(0.3);
+
+            katamari.updateLumps();
+
+            expect(setKatamariLumps).toHaveBeenLastCalledWith(katamari.body, []);
+        });
+
+        it('should merge lumps back once the katamari outgrows the item', () => {
+            attachLumpItem(2.0);
+            katamari.radius = 10;
+
+            katamari.updateLumps();
+
+            expect(setKatamariLumps).toHaveBeenLastCalledWith(katamari.body, []);
+        });
+
+        it('should keep only the largest lumps', () => {
+            for (let i = 0; i < 8; i++) {
+                attachLumpItem(2 + i * 0.1);
+            }
+
+            katamari.updateLumps();
+
+            const lumps = setKatamariLumps.mock.calls.at(-1)[1];
+            expect(lumps).toHaveLength(6);
+            expect(lumps[0].radius).toBeGreaterThan(lumps[5].radius);
+        });
+    });
+
+    describe('Replay', () => {
+        const attachReplayItem = () => {
+            const item = new THREE.Group();
+            item.userData.size = 1.0;
+            katamari.attachItem(item, new THREE.Vector3(5, 2, 0));
+            return item;
+        };
+
+        const replayFrame = (overrides = {}) => ({
+            position: { x: 4, y: 3, z: -2 },
+            quaternion: { x: 0, y: 0.6, z: 0, w: 0.8 },
+            radius: 2.5,
+            attachedCount: 0,
+            ...overrides
+        });
+
+        it('should number attached items in attach order', () => {
+            const first = attachReplayItem();
+            const second = attachReplayItem();
+
+            expect(first.userData.attachIndex).toBe(0);
+            expect(second.userData.attachIndex).toBe(1);
+            expect(katamari.attachmentCount).toBe(2);
+        });
+
+        it('should pose the visuals from a replay frame without moving the physics body', () => {
+            katamari.body.position = { x: 10, y: 2, z: 10 };
+
+            katamari.showReplayFrame(replayFrame());
+
+            expect(katamari.group.position).toMatchObject({ x: 4, y: 3, z: -2 });
+            expect(katamari.group.quaternion).toMatchObject({ x: 0, y: 0.6, z: 0, w: 0.8 });
+            expect(katamari.radius).toBe(2.5);
+            expect(katamari.body.position).toEqual({ x: 10, y: 2, z: 10 });
+        });
+
+        it('should hide items attached after the replay frame', () => {
+            const first = attachReplayItem();
+            const second = attachReplayItem();
+
+            katamari.showReplayFrame(replayFrame({ attachedCount: 1 }));
+
+            expect(first.visible).toBe(true);
+            expect(second.visible).toBe(false);
+        });
+
+        it('should return to the physics body at full size after a replay', () => {
+            const item = attachReplayItem();
+            katamari.targetRadius = 4;
+            katamari.body.position = { x: 10, y: 4, z: 10 };
+            katamari.showReplayFrame(replayFrame());
+
+            katamari.endReplay();
+
+            expect(katamari.group.position).toMatchObject({ x: 10, y: 4, z: 10 });
+            expect(katamari.radius).toBe(4);
+            expect(item.visible).toBe(true);
+        });
+    });
+
     describe('Utility Methods', () => {
         it('should return correct velocity magnitude', () => {
             katamari.body.velocity = { length: vi.fn(() => 5.5) };
@@ -498,6 +726,290 @@ describe('Katamari Entity', () => {
         });
     });
 
+    describe('Item Shedding', () => {
+        const attachTestItem = (name, volumeContribution = 1) => {
+            const item = new THREE.Group();
+            item.name = name;
+            item.userData.size = 1.0;
+            katamari.attachItem(item, new THREE.Vector3(5, 2, 0));
+            item.userData.volumeContribution = volumeContribution;
+            return item;
+        };
+
+        let shedEvents;
+
+        beforeEach(() => {
+            vi.spyOn(Date, 'now').mockReturnValue(10000);
+            katamari.targetRadius = katamari.radius = 3.0;
+            katamari.itemsCollectedCount = 3;
+            shedEvents = [];
+            subscribe(GAME_EVENTS.ITEM_SHED, event => shedEvents.push(event));
+        });
+
+        const shedItemCount = () => shedEvents.reduce((total, event) => total + event.items.length, 0);
+
+        it('should detach the most recently attached items first', () => {
+            const first = attachTestItem('first');
+            const second = attachTestItem('second');
+            const third = attachTestItem('third');
+
+            const shedCount = katamari.shedItems(2);
+
+            expect(shedCount).toBe(2);
+            expect(katamari.group.children).toContain(first);
+            expect(katamari.group.children).not.toContain(second);
+            expect(katamari.group.children).not.toContain(third);
+            expect(katamari.itemsCollectedCount).toBe(1);
+        });
+
+        it('should hand shed items on for respawn with an ejection velocity', () => {
+            const item = attachTestItem('item');
+
+            katamari.shedItems(1);
+
+            expect(shedEvents).toHaveLength(1);
+            const shedItems = shedEvents[0].items;
+            expect(shedItems).toHaveLength(1);
+            expect(shedItems[0].mesh).toBe(item);
+            expect(shedItems[0].velocity.y).toBe(6);
+            expect(item.userData.isAttachedToKatamari).toBe(false);
+            expect(item.userData.isCollected).toBe(false);
+            expect(item.userData.collectibleAfter).toBe(11000);
+        });
+
+        it('should shrink the target radius by the shed volume', () => {
+            attachTestItem('item', 7);
+
+            katamari.shedItems(1);
+
+            expect(katamari.targetRadius).toBeCloseTo(Math.cbrt(27 - 7));
+        });
+
+        it('should publish an itemShed event listing the shed items', () => {
+            const item = attachTestItem('item');
+            item.userData.name = 'Teacup';
+
+            katamari.shedItems(1);
+
+            expect(shedEvents).toEqual([{
+                items: [expect.objectContaining({ name: 'Teacup', size: 1.0 })],
+                katamariRadius: 3.0,
+                time: 10000
+            }]);
+        });
+
+        it('should never shrink below the initial radius', () => {
+            attachTestItem('item', 1000);
+
+            katamari.shedItems(1);
+
+            expect(katamari.targetRadius).toBe(2);
+        });
+
+        it('should animate shrinking towards a smaller target radius', () => {
+            katamari.targetRadius = 2.5;
+
+            katamari.update(100);
+
+            expect(katamari.radius).toBeLessThan(3.0);
+            expect(katamari.radius).toBeGreaterThanOrEqual(2.5);
+        });
+
+        it('should ignore soft impacts', () => {
+            attachTestItem('item');
+
+            const contact = { getImpactVelocityAlongNormal: vi.fn(() => -5) };
+
+            expect(katamari.handleImpact(contact, new THREE.Vector3())).toBe(0);
+            expect(shedItemCount()).toBe(0);
+        });
+
+        it('should shed more items on harder impacts', () => {
+            for (let i = 0; i < 6; i++) attachTestItem(`item-${i}`);
+
+            const contact = { getImpactVelocityAlongNormal: vi.fn(() => -20) };
+
+            // 1 item at 12m/s plus one more for every 4m/s above that
+            expect(katamari.handleImpact(contact, new THREE.Vector3())).toBe(3);
+        });
+
+        it('should respect the shedding cooldown', () => {
+            for (let i = 0; i < 4; i++) attachTestItem(`item-${i}`);
+            const contact = { getImpactVelocityAlongNormal: vi.fn(() => -12) };
+
+            expect(katamari.handleImpact(contact, new THREE.Vector3())).toBe(1);
+            Date.now.mockReturnValue(10200);
+            expect(katamari.handleImpact(contact, new THREE.Vector3())).toBe(0);
+            Date.now.mockReturnValue(10600);
+            expect(katamari.handleImpact(contact, new THREE.Vector3())).toBe(1);
+        });
+
+        it('should shed items when bouncing off a large item at speed', () => {
+            attachTestItem('item');
+            katamari.body.velocity.length = vi.fn(() => 15);
+            const largeItem = {
+                userData: { size: 10, isCollectible: true, isCollected: false },
+                position: new THREE.Vector3(5, 2, 0)
+            };
+
+            katamari.handleCollision({
+                contact: {},
+                target: katamari.body,
+                body: { userData: { threeMesh: largeItem, name: 'large-item' } }
+            });
+
+            expect(katamari.body.applyImpulse).toHaveBeenCalled();
+            expect(shedItemCount()).toBe(1);
+        });
+
+        it('should locate contacts on the part of an item that was hit', () => {
+            const itemBody = {
+                position: { x: 5, y: 2, z: 0 },
+                userData: { threeMesh: { position: new THREE.Vector3(5, 2, 0) } }
+            };
+            const contact = { bi: itemBody, bj: katamari.body, ri: { x: -3, y: 0, z: 4 }, rj: { x: 1, y: 0, z: 0 } };
+
+            const point = katamari.getContactPoint(contact, itemBody);
+
+            expect(point.x).toBe(2);
+            expect(point.y).toBe(2);
+            expect(point.z).toBe(4);
+        });
+
+        it('should fall back to the item position for contacts without geometry', () => {
+            const itemBody = { userData: { threeMesh: { position: new THREE.Vector3(5, 2, 0) } } };
+
+            const point = katamari.getContactPoint({}, itemBody);
+
+            expect(point.x).toBe(5);
+            expect(point.z).toBe(0);
+        });
+
+        it('should shed items when crashing into a mountain', () => {
+            attachTestItem('item');
+            katamari.body.velocity.length = vi.fn(() => 15);
+            const mountain = { userData: { size: 30 }, position: new THREE.Vector3(40, 15, 0) };
+
+            katamari.handleCollision({
+                contact: {},
+                target: katamari.body,
+                body: { userData: { threeMesh: mountain, name: 'mountain', isMountain: true } }
+            });
+
+            expect(shedItemCount()).toBe(1);
+            expect(katamari.itemsCollectedCount).toBe(2);
+        });
+
+        it('should roll through a passable mountain without shedding', () => {
+            attachTestItem('item');
+            katamari.body.velocity.length = vi.fn(() => 15);
+            const mountain = { userData: { size: 30, isPassable: true }, position: new THREE.Vector3(40, 15, 0) };
+
+            katamari.handleCollision({
+                contact: {},
+                target: katamari.body,
+                body: { userData: { threeMesh: mountain, name: 'mountain', isMountain: true, isPassable: true } }
+            });
+
+            expect(shedItemCount()).toBe(0);
+            expect(katamari.body.applyImpulse).not.toHaveBeenCalled();
+        });
+
+        it('should not immediately recollect a shed item', () => {
+            const shedItem = {
+                userData: { size: 1.0, isCollectible: true, isCollected: false, collectibleAfter: 10500 },
+                position: new THREE.Vector3(5, 2, 0)
+            };
+
+            katamari.handleCollision({
+                contact: {},
+                target: katamari.body,
+                body: { userData: { threeMesh: shedItem, name: 'shed-item' } }
+            });
+
+            expect(shedItem.userData.isCollected).toBe(false);
+        });
+    });
+
+    describe('Power-ups', () => {
+        let mockCamera;
+
+        beforeEach(() => {
+            mockCamera = {
+                getWorldDirection: vi.fn(() => ({ x: 0, y: 0, z: -1, normalize: vi.fn() }))
+            };
+        });
+
+        it('should consume power-up pickups on contact regardless of size', () => {
+            const pickupMesh = {
+                userData: { size: 10, isCollectible: true, isCollected: false, isPowerUp: true, powerUpType: 'magnetism' }
+            };
+            const pickupBody = {
+                userData: { threeMesh: pickupMesh, name: 'powerUp-magnetism-0', collisionHandler: vi.fn() },
+                removeEventListener: vi.fn()
+            };
+
+            const listener = vi.fn();
+            subscribe(GAME_EVENTS.ITEM_COLLECTED, listener);
+
+            katamari.handleCollision({ contact: {}, target: katamari.body, body: pickupBody });
+
+            expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+                item: { name: 'magnetism', size: 10, isPowerUp: true, mesh: pickupMesh }
+            }));
+            expect(pickupMesh.userData.isCollected).toBe(true);
+            expect(pickupBody.removeEventListener).toHaveBeenCalledWith('collide', pickupBody.userData.collisionHandler);
+            expect(katamari.hasPowerUp('magnetism')).toBe(true);
+            expect(katamari.itemsCollectedCount).toBe(0);
+            expect(katamari.body.applyImpulse).not.toHaveBeenCalled();
+        });
+
+        it('should widen the attraction range while magnetism is active', () => {
+            katamari.radius = 3.0;
+            const baseRange = katamari.getAttractionRange();
+
+            activatePowerUp('magnetism');
+
+            expect(katamari.getAttractionRange()).toBeCloseTo(baseRange * 2.0);
+        });
+
+        it('should collect larger items while sticky coating is active', () => {
+            katamari.radius = 2.0;
+            expect(katamari.canCollectItem(2.5)).toBe(false);
+
+            activatePowerUp('stickyCoating');
+
+            expect(katamari.canCollectItem(2.5)).toBe(true); // 2.0 >= 2.5 * 0.94 * 0.75
+        });
+
+        it('should boost acceleration while speed boost is active', () => {
+            const movementInput = { x: 0, y: 1, magnitude: 1 };
+
+            katamari.handleMovement(movementInput, mockCamera);
+            const baseAcceleration = katamari.currentAcceleration;
+
+            activatePowerUp('speedBoost');
+            katamari.handleMovement(movementInput, mockCamera);
+
+            expect(katamari.currentAcceleration).toBeCloseTo(baseAcceleration * 1.5);
+        });
+
+        it('should strengthen the attraction force while vacuum boost is active', () => {
+            expect(katamari.getAttractionForce()).toBeCloseTo(0.08);
+
+            activatePowerUp('vacuumBoost');
+
+            expect(katamari.getAttractionForce()).toBeCloseTo(0.32);
+        });
+
+        it('should lose effects once power-ups are cleared', () => {
+            activatePowerUp('magnetism');
+            clearPowerUps();
+
+            expect(katamari.hasPowerUp('magnetism')).toBe(false);
+        });
+    });
+
     describe('Disposal', () => {
         it('should properly dispose of resources', () => {
             const mockGeometry = { dispose: vi.fn() };
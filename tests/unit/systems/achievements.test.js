@@ -0,0 +1,228 @@
+/**
+ * Unit tests for the achievements system
+ * Tests progress tracking from game events, unlock toasts and persistence of unlocks
+ * and item counts through the save system
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeAchievements,
+    getAchievements,
+    isAchievementUnlocked,
+    cleanupAchievements
+} from '../../../src/game/systems/achievements.js';
+import { initializeSaveSystem, getSaveData, recordLevelProgress, cleanupSaveSystem } from '../../../src/game/systems/save.js';
+import { showCustomAlert } from '../../../src/game/systems/ui.js';
+import { THEMES } from '../../../src/game/utils/constants.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/systems/ui.js', () => ({
+    showCustomAlert: vi.fn()
+}));
+
+/**
+ * Create an in-memory stand-in for localStorage
+ */
+function createFakeStorage() {
+    const data = {};
+    return {
+        data,
+        getItem: vi.fn((key) => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        removeItem: vi.fn((key) => { delete data[key]; })
+    };
+}
+
+/**
+ * Publish an itemCollected event as the Katamari does
+ */
+function collect(name, targetRadius = 3) {
+    publish(GAME_EVENTS.ITEM_COLLECTED, {
+        item: { name, size: 1, isPowerUp: false, mesh: null },
+        katamariRadius: targetRadius,
+        targetRadius,
+        itemsCollected: 1,
+        time: 0
+    });
+}
+
+function startLevel(themeName) {
+    publish(GAME_EVENTS.LEVEL_STARTED, { level: 1, themeName, seed: 1, targetSize: 25, timeLimit: 180 });
+}
+
+function completeLevel() {
+    publish(GAME_EVENTS.LEVEL_COMPLETED, { results: {} });
+}
+
+function getAchievement(id) {
+    return getAchievements().find(achievement => achievement.id === id);
+}
+
+describe('Achievements System', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createFakeStorage();
+        initializeSaveSystem({ storage });
+        initializeAchievements();
+    });
+
+    afterEach(() => {
+        cleanupAchievements();
+        cleanupSaveSystem();
+        vi.clearAllMocks();
+    });
+
+    describe('Definitions', () => {
+        it('should define a complete-set achievement for every theme', () => {
+            THEMES.forEach(theme => {
+                const achievement = getAchievements().find(a => a.name === `${theme.themeName} Collector`);
+                expect(achievement.target).toBe(theme.items.length);
+            });
+        });
+
+        it('should start with nothing unlocked and no progress', () => {
+            getAchievements().forEach(achievement => {
+                expect(achievement.unlocked).toBe(false);
+                expect(achievement.unlockedAt).toBeNull();
+                expect(achievement.progress).toBe(0);
+            });
+        });
+    });
+
+    describe('Progress Tracking', () => {
+        it('should count collected items towards item achievements', () => {
+            collect('Car');
+            collect('Car');
+            collect('Bus');
+
+            expect(getAchievement('traffic-jam').progress).toBe(2);
+        });
+
+        it('should unlock an item achievement at its target and show a toast', () => {
+            for (let i = 0; i < 100; i++) collect('Car');
+
+            expect(isAchievementUnlocked('traffic-jam')).toBe(true);
+            expect(showCustomAlert).toHaveBeenCalledTimes(1);
+            expect(showCustomAlert).toHaveBeenCalledWith(expect.stringContaining('Traffic Jam'));
+        });
+
+        it('should not count power-up pickups', () => {
+            publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: 'Car', size: 1, isPowerUp: true, mesh: null },
+                katamariRadius: 2,
+                targetRadius: 2,
+                itemsCollected: 0,
+                time: 0
+            });
+
+            expect(getAchievement('traffic-jam').progress).toBe(0);
+        });
+
+        it('should only count size reached in the achievement theme', () => {
+            startLevel('Our Green Earth');
+            collect('Rock', 60);
+
+            expect(isAchievementUnlocked('skyscraper-scale')).toBe(false);
+
+            startLevel('Urban Jungle');
+            collect('Car', 30);
+            expect(getAchievement('skyscraper-scale').progress).toBe(30);
+
+            collect('Car', 50);
+            expect(isAchievementUnlocked('skyscraper-scale')).toBe(true);
+        });
+
+        it('should include the best saved radius in size progress', () => {
+            recordLevelProgress({ themeName: 'Urban Jungle', radius: 42, itemsCollected: 0, nextLevel: 2 });
+
+            expect(getAchievement('skyscraper-scale').progress).toBe(42);
+        });
+
+        it('should unlock the flawless achievement for a level finished without bouncing', () => {
+            startLevel('Our Green Earth');
+            completeLevel();
+
+            expect(isAchievementUnlocked('smooth-roller')).toBe(true);
+        });
+
+        it('should not unlock the flawless achievement after a bounce', () => {
+            startLevel('Our Green Earth');
+            publish(GAME_EVENTS.KATAMARI_BOUNCED, { itemSize: 5, katamariRadius: 2, time: 0 });
+            completeLevel();
+
+            expect(isAchievementUnlocked('smooth-roller')).toBe(false);
+
+            startLevel('Our Green Earth');
+            completeLevel();
+
+            expect(isAchievementUnlocked('smooth-roller')).toBe(true);
+        });
+
+        it('should unlock a complete set once every item type of the theme has been collected', () => {
+            const theme = THEMES.find(t => t.themeName === 'Cosmic Debris');
+            const id = 'complete-set-cosmic-debris';
+
+            theme.items.slice(1).forEach(name => collect(name));
+            expect(getAchievement(id).progress).toBe(theme.items.length - 1);
+            expect(isAchievementUnlocked(id)).toBe(false);
+
+            collect(theme.items[0]);
+            expect(isAchievementUnlocked(id)).toBe(true);
+        });
+
+        it('should stop tracking after cleanup', () => {
+            cleanupAchievements();
+
+            collect('Car');
+            initializeAchievements();
+
+            expect(getAchievement('traffic-jam').progress).toBe(0);
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should save unlocks with their unlock time', () => {
+            vi.spyOn(Date, 'now').mockReturnValue(12345);
+
+            startLevel('Our Green Earth');
+            completeLevel();
+
+            expect(getSaveData().achievements.unlocked).toEqual({ 'smooth-roller': 12345 });
+            expect(getAchievement('smooth-roller').unlockedAt).toBe(12345);
+            vi.restoreAllMocks();
+        });
+
+        it('should restore unlocks and item counts in a new session', () => {
+            for (let i = 0; i < 100; i++) collect('Car');
+            collect('Bus');
+            startLevel('Urban Jungle');
+
+            cleanupAchievements();
+            initializeSaveSystem({ storage });
+            initializeAchievements();
+
+            expect(isAchievementUnlocked('traffic-jam')).toBe(true);
+            expect(getSaveData().achievements.itemCounts).toEqual({ Car: 100, Bus: 1 });
+        });
+
+        it('should not announce achievements unlocked in an earlier session again', () => {
+            for (let i = 0; i < 100; i++) collect('Car');
+            cleanupAchievements();
+            initializeSaveSystem({ storage });
+            initializeAchievements();
+            showCustomAlert.mockClear();
+
+            collect('Car');
+
+            expect(showCustomAlert).not.toHaveBeenCalled();
+        });
+    });
+});
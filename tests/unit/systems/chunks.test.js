@@ -0,0 +1,220 @@
+/**
+ * Unit tests for the world chunk system
+ * Tests loading and unloading chunks around the katamari, generating a chunk's items the same way
+ * whatever order chunks are visited in, and restoring the items left in a chunk when it is revisited
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeChunkSystem,
+    resetChunks,
+    getChunkCoordinates,
+    getChunkKey,
+    updateChunks,
+    getLoadedChunkKeys,
+    isChunkGenerated,
+    getStoredChunkItems,
+    cleanupChunkSystem
+} from '../../../src/game/systems/chunks.js';
+import { getItemsToCollect, getSpawnTable, spawnItemFromRecord } from '../../../src/game/entities/items.js';
+import { setSeed } from '../../../src/game/utils/random.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/utils/constants.js', () => ({
+    CHUNKS: {
+        SIZE: 10,
+        LOAD_RADIUS: 1,
+        UNLOAD_RADIUS: 2,
+        BASE_ITEM_COUNT: 4,
+        ITEMS_PER_RADIUS: 0.5,
+        MAX_ITEM_COUNT: 6
+    },
+    WORLD: {
+        MAP_BOUNDARY: 100,
+        MIN_SPAWN_DISTANCE: 0
+    }
+}));
+
+// Stand-in for the items system: items are plain objects in a world list
+vi.mock('../../../src/game/entities/items.js', () => {
+    const world = [];
+    return {
+        getItemsToCollect: vi.fn(() => world),
+        getItemsOutsideRadius: vi.fn((position, radius) => world.filter(item => Math.hypot(item.position.x - position.x, item.position.z - position.z) > radius)),
+        getSpawnTable: vi.fn(theme => ({ itemNames: theme.items, weights: null })),
+        pickSpawnTableItem: vi.fn((spawnTable, rng) => spawnTable.itemNames[Math.floor(rng() * spawnTable.itemNames.length)]),
+        rollItemRecord: vi.fn((name, position, rng) => ({ name, scale: rng(), position: { x: position.x, y: 0, z: position.z } })),
+        getItemRecord: vi.fn(item => ({ ...item.record, position: { ...item.position } })),
+        spawnItemFromRecord: vi.fn(record => {
+            const item = { record, position: { ...record.position }, userData: { name: record.name } };
+            world.push(item);
+            return item;
+        }),
+        despawnItem: vi.fn(item => world.splice(world.indexOf(item), 1))
+    };
+});
+
+const theme = { themeName: 'Test Theme', items: ['Rock', 'Car', 'Bus'] };
+
+/**
+ * Get the items lying in a chunk, as plain records
+ */
+function itemsInChunk(x, z) {
+    return getItemsToCollect()
+        .filter(item => getChunkKey(getChunkCoordinates(item.position).x, getChunkCoordinates(item.position).z) === getChunkKey(x, z))
+        .map(item => ({ name: item.record.name, scale: item.record.scale, position: { ...item.position } }));
+}
+
+describe('Chunk System', () => {
+    beforeEach(() => {
+        getItemsToCollect().length = 0;
+        setSeed(42);
+        initializeChunkSystem();
+    });
+
+    afterEach(() => {
+        cleanupChunkSystem();
+        vi.clearAllMocks();
+    });
+
+    describe('Coordinates', () => {
+        it('should find the chunk containing a position', () => {
+            expect(getChunkCoordinates({ x: 5, z: 19 })).toEqual({ x: 0, z: 1 });
+            expect(getChunkCoordinates({ x: -0.5, z: -10 })).toEqual({ x: -1, z: -1 });
+        });
+    });
+
+    describe('Loading', () => {
+        it('should load and generate the chunks around the katamari', () => {
+            const result = updateChunks({ x: 5, z: 5 }, theme, 2);
+
+            expect(result).toEqual({ loaded: 9, unloaded: 0, stored: 0 });
+            expect(getLoadedChunkKeys()).toHaveLength(9);
+            expect(isChunkGenerated('1,1')).toBe(true);
+            expect(getItemsToCollect()).toHaveLength(9 * 5);
+        });
+
+        it('should pick the item mix for the katamari radius at the first visit', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 8);
+
+            expect(getSpawnTable).toHaveBeenCalledWith(theme, 8);
+            expect(getItemsToCollect()).toHaveLength(9 * 6);
+        });
+
+        it('should do nothing while the katamari stays in its chunk', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            spawnItemFromRecord.mockClear();
+
+            expect(updateChunks({ x: 9, z: 1 }, theme, 2)).toEqual({ loaded: 0, unloaded: 0, stored: 0 });
+            expect(spawnItemFromRecord).not.toHaveBeenCalled();
+        });
+
+        it('should not load chunks outside the map', () => {
+            updateChunks({ x: 95, z: 95 }, theme, 2);
+
+            expect(getLoadedChunkKeys().sort()).toEqual(['8,8', '8,9', '9,8', '9,9']);
+        });
+
+        it('should generate a chunk the same way whatever way the katamari reaches it', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            updateChunks({ x: 15, z: 5 }, theme, 2);
+            const reachedByRolling = itemsInChunk(2, 0);
+
+            getItemsToCollect().length = 0;
+            resetChunks();
+            updateChunks({ x: 25, z: 5 }, theme, 2);
+
+            expect(reachedByRolling).toHaveLength(5);
+            expect(itemsInChunk(2, 0)).toEqual(reachedByRolling);
+        });
+
+        it('should generate a different layout for another level seed', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            const firstLayout = itemsInChunk(0, 0);
+
+            getItemsToCollect().length = 0;
+            resetChunks();
+            setSeed(43);
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+
+            expect(itemsInChunk(0, 0)).not.toEqual(firstLayout);
+        });
+    });
+
+    describe('Unloading', () => {
+        it('should store the items of chunks the katamari has left behind', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            const leftBehind = itemsInChunk(-1, 0);
+
+            const result = updateChunks({ x: 35, z: 5 }, theme, 2);
+
+            expect(result.unloaded).toBe(6);
+            expect(getLoadedChunkKeys()).not.toContain('-1,0');
+            expect(itemsInChunk(-1, 0)).toEqual([]);
+            expect(getStoredChunkItems('-1,0').map(record => record.position)).toEqual(leftBehind.map(item => item.position));
+        });
+
+        it('should keep chunks loaded until the katamari is past the unload radius', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+
+            expect(updateChunks({ x: 15, z: 5 }, theme, 2).unloaded).toBe(0);
+            expect(getLoadedChunkKeys()).toContain('-1,0');
+        });
+
+        it('should restore the items left in a chunk, minus those rolled up, where they were left', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            const [collected, moved, ...rest] = getItemsToCollect().filter(item => getChunkCoordinates(item.position).x === -1 && getChunkCoordinates(item.position).z === 0);
+            getItemsToCollect().splice(getItemsToCollect().indexOf(collected), 1);
+            moved.position.x = -9.5;
+
+            updateChunks({ x: 35, z: 5 }, theme, 2);
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+
+            const restored = itemsInChunk(-1, 0);
+            expect(restored).toHaveLength(1 + rest.length);
+            expect(restored.map(item => item.position)).toContainEqual(expect.objectContaining({ x: -9.5 }));
+            expect(restored.map(item => item.position)).not.toContainEqual(collected.position);
+            expect(isChunkGenerated('-1,0')).toBe(true);
+        });
+
+        it('should store items knocked into unloaded chunks with the chunk they lie in', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            getItemsToCollect()[0].position = { x: -25, y: 0, z: 5 };
+
+            updateChunks({ x: 15, z: 5 }, theme, 2);
+
+            expect(getStoredChunkItems('-3,0')).toHaveLength(1);
+            expect(isChunkGenerated('-3,0')).toBe(false);
+        });
+
+        it('should leave items being rolled up to the items system', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            const item = getItemsToCollect().find(candidate => getChunkCoordinates(candidate.position).x === -1);
+            item.userData.isCollected = true;
+
+            updateChunks({ x: 35, z: 5 }, theme, 2);
+
+            expect(getItemsToCollect()).toContain(item);
+            expect(getStoredChunkItems('-1,0').map(record => record.position)).not.toContainEqual(item.position);
+        });
+    });
+
+    describe('Reset', () => {
+        it('should forget every chunk', () => {
+            updateChunks({ x: 5, z: 5 }, theme, 2);
+            updateChunks({ x: 35, z: 5 }, theme, 2);
+
+            resetChunks();
+
+            expect(getLoadedChunkKeys()).toEqual([]);
+            expect(isChunkGenerated('0,0')).toBe(false);
+            expect(getStoredChunkItems('-1,0')).toEqual([]);
+        });
+    });
+});
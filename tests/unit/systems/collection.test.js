@@ -0,0 +1,176 @@
+/**
+ * Unit tests for the collection log
+ * Tests logging collected items from game events, the catalog view of the log
+ * and persistence through the save system
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeCollectionLog,
+    recordCollectedItem,
+    getCollectionEntry,
+    getCollectionLog,
+    getCollectionProgress,
+    cleanupCollectionLog
+} from '../../../src/game/systems/collection.js';
+import { initializeSaveSystem, getSaveData, cleanupSaveSystem } from '../../../src/game/systems/save.js';
+import { ITEM_CATALOG } from '../../../src/game/entities/catalog.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+import { getGameTime, setGameTimeSource } from '../../../src/game/utils/clock.js';
+import { GAME_STATES, initializeGameState, setGameState, getPlayTime, cleanupGameState } from '../../../src/game/systems/state.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugLog: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+/**
+ * Create an in-memory stand-in for localStorage
+ */
+function createFakeStorage() {
+    const data = {};
+    return {
+        data,
+        getItem: vi.fn((key) => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        removeItem: vi.fn((key) => { delete data[key]; })
+    };
+}
+
+/**
+ * Publish an itemCollected event as the Katamari does, at the current game time
+ */
+function collect(name, size, isPowerUp = false) {
+    publish(GAME_EVENTS.ITEM_COLLECTED, {
+        item: { name, size, isPowerUp, mesh: null },
+        katamariRadius: 2,
+        targetRadius: 2,
+        itemsCollected: 1,
+        time: getGameTime()
+    });
+}
+
+describe('Collection Log', () => {
+    let storage;
+
+    beforeEach(() => {
+        vi.useFakeTimers();
+        vi.setSystemTime(0);
+        storage = createFakeStorage();
+        initializeSaveSystem({ storage });
+        initializeCollectionLog();
+    });
+
+    afterEach(() => {
+        cleanupCollectionLog();
+        cleanupSaveSystem();
+        vi.useRealTimers();
+    });
+
+    describe('Recording', () => {
+        it('should log the first collection date, count and largest size of an item type', () => {
+            vi.setSystemTime(1000);
+            collect('Car', 1.5);
+            vi.setSystemTime(5000);
+            collect('Car', 2.2);
+            collect('Car', 0.9);
+
+            expect(getCollectionEntry('Car')).toEqual({ firstCollectedAt: 1000, count: 3, largestSize: 2.2 });
+        });
+
+        it('should log the real date of a collection after a pause', () => {
+            initializeGameState();
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            setGameTimeSource(getPlayTime);
+            vi.advanceTimersByTime(1000);
+            setGameState(GAME_STATES.PAUSED);
+            vi.advanceTimersByTime(60 * 60 * 1000);
+            setGameState(GAME_STATES.PLAYING);
+
+            collect('Car', 1.5);
+            setGameTimeSource(null);
+            cleanupGameState();
+
+            expect(getCollectionEntry('Car').firstCollectedAt).toBe(Date.now());
+        });
+
+        it('should report whether an item type is new', () => {
+            expect(recordCollectedItem({ name: 'Rock', size: 0.5, time: 0 })).toBe(true);
+            expect(recordCollectedItem({ name: 'Rock', size: 0.5, time: 10 })).toBe(false);
+        });
+
+        it('should ignore power-ups and unnamed items', () => {
+            collect('magnetism', 0.8, true);
+            collect(null, 1);
+
+            expect(getCollectionProgress().collected).toBe(0);
+        });
+
+        it('should return null for items never collected', () => {
+            expect(getCollectionEntry('Bus')).toBeNull();
+        });
+    });
+
+    describe('Catalog View', () => {
+        it('should list every catalog item in catalog order', () => {
+            collect('Car', 1.5);
+
+            const log = getCollectionLog();
+
+            expect(log.map(item => item.name)).toEqual(ITEM_CATALOG.map(definition => definition.name));
+            expect(log.find(item => item.name === 'Car')).toMatchObject({ collected: true, count: 1, largestSize: 1.5 });
+            expect(log.find(item => item.name === 'Bus')).toMatchObject({ collected: false, count: 0, firstCollectedAt: null });
+        });
+
+        it('should count collected item types against the catalog', () => {
+            collect('Car', 1);
+            collect('Car', 1);
+            collect('Rock', 1);
+
+            expect(getCollectionProgress()).toEqual({ collected: 2, total: ITEM_CATALOG.length });
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should save new item types straight away', () => {
+            vi.setSystemTime(4000);
+            collect('Satellite', 3);
+
+            expect(getSaveData().collectionLog.Satellite).toEqual({ firstCollectedAt: 4000, count: 1, largestSize: 3 });
+        });
+
+        it('should save counts when a level starts or completes', () => {
+            collect('Car', 1);
+            collect('Car', 1.8);
+            expect(getSaveData().collectionLog.Car.count).toBe(1);
+
+            publish(GAME_EVENTS.LEVEL_COMPLETED, { results: {} });
+
+            expect(getSaveData().collectionLog.Car).toEqual({ firstCollectedAt: 0, count: 2, largestSize: 1.8 });
+        });
+
+        it('should restore the log in a new session', () => {
+            vi.setSystemTime(1000);
+            collect('Car', 1);
+            publish(GAME_EVENTS.LEVEL_STARTED, { level: 2, themeName: 'Urban Jungle', seed: 1, targetSize: 100, timeLimit: 240 });
+
+            cleanupCollectionLog();
+            initializeSaveSystem({ storage });
+            initializeCollectionLog();
+
+            expect(getCollectionEntry('Car')).toEqual({ firstCollectedAt: 1000, count: 1, largestSize: 1 });
+        });
+
+        it('should stop logging after cleanup', () => {
+            cleanupCollectionLog();
+
+            collect('Car', 1);
+
+            expect(getCollectionEntry('Car')).toBeNull();
+        });
+    });
+});
@@ -1,6 +1,6 @@
 /**
  * Unit tests for the input handling system
- * Tests keyboard, touch, and gyroscope input detection and processing
+ * Tests keyboard, mouse, touch, gamepad, and gyroscope input detection and processing
  */
 
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -10,10 +10,24 @@ import {
     getKeyboardInput,
     getTouchInput,
     getGyroscopeInput,
+    getGamepadInput,
     getNormalizedTouchInput,
     getMovementInput,
+    getTankInput,
+    getCameraInput,
+    setControlScheme,
+    getControlScheme,
+    updateGamepadInput,
+    isActionActive,
+    getBindings,
+    setBindings,
+    rebindAction,
+    resetBindings,
+    startRebinding,
+    isRebinding,
     isGyroscopeEnabled,
     toggleGyroscope,
+    restoreGyroscope,
     cleanupInputSystem
 } from '../../../src/game/systems/input.js';
 import { createMockInputEvent, createMockGameState } from '../../helpers/game-helpers.js';
@@ -38,8 +52,13 @@ describe('Input System', () => {
 
         // Create mock callbacks
         mockCallbacks = {
-            onSpaceKey: vi.fn(),
-            onResetKey: vi.fn(),
+            onNewLevel: vi.fn(),
+            onReset: vi.fn(),
+            onPause: vi.fn(),
+            onCamera: vi.fn(),
+            onQuickTurn: vi.fn(),
+            onDash: vi.fn(),
+            onBindingsChange: vi.fn(),
             onMessageOverlayClick: vi.fn(),
             onWindowResize: vi.fn(),
             onKeyDown: vi.fn(),
@@ -206,16 +225,31 @@ describe('Input System', () => {
             expect(keyboardInput.arrowright).toBe(true);
         });
 
-        it('should trigger space key callback', () => {
+        it('should trigger the new level action on space', () => {
             window.dispatchEvent(new KeyboardEvent('keydown', { key: ' ' }));
             
-            expect(mockCallbacks.onSpaceKey).toHaveBeenCalled();
+            expect(mockCallbacks.onNewLevel).toHaveBeenCalled();
         });
 
-        it('should trigger reset key callback', () => {
+        it('should trigger the reset action on r', () => {
             window.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
             
-            expect(mockCallbacks.onResetKey).toHaveBeenCalled();
+            expect(mockCallbacks.onReset).toHaveBeenCalled();
+        });
+
+        it('should trigger the pause and camera actions', () => {
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'c' }));
+            
+            expect(mockCallbacks.onPause).toHaveBeenCalledTimes(1);
+            expect(mockCallbacks.onCamera).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not repeat actions while a key is held', () => {
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'r', repeat: true }));
+            
+            expect(mockCallbacks.onReset).toHaveBeenCalledTimes(1);
         });
 
         it('should normalize key names to lowercase', () => {
@@ -457,6 +491,21 @@ describe('Input System', () => {
             expect(isGyroscopeEnabled()).toBe(false);
         });
 
+        it('should restore gyroscope without a permission prompt where none is needed', () => {
+            delete global.DeviceOrientationEvent.requestPermission;
+            
+            expect(restoreGyroscope()).toBe(true);
+            expect(isGyroscopeEnabled()).toBe(true);
+            expect(mockCallbacks.onGyroscopeToggle).toHaveBeenCalledWith(true);
+        });
+
+        it('should not restore gyroscope when a permission prompt is required', () => {
+            expect(restoreGyroscope()).toBe(false);
+            
+            expect(global.DeviceOrientationEvent.requestPermission).not.toHaveBeenCalled();
+            expect(isGyroscopeEnabled()).toBe(false);
+        });
+
         it('should trigger gyroscope toggle callback', async () => {
             await toggleGyroscope();
             
@@ -523,8 +572,21 @@ describe('Input System', () => {
             window.dispatchEvent(orientationEvent);
             
             const movement = getMovementInput();
-            expect(movement.x).toBeCloseTo(45 / 90, 1); // Normalized gamma
-            expect(movement.y).toBeCloseTo(30 / 90, 1); // Normalized beta
+            // Landscape tilt: gamma rolls forward, beta steers; the scaled tilt exceeds 1 and is normalized
+            const x = -(30 / 90) * 2;
+            const y = (45 / 90) * 2;
+            const length = Math.sqrt(x * x + y * y);
+            expect(movement.x).toBeCloseTo(x / length, 3);
+            expect(movement.y).toBeCloseTo(y / length, 3);
+            expect(movement.magnitude).toBe(1);
+        });
+
+        it('should ignore small gyroscope tilts', async () => {
+            await toggleGyroscope();
+
+            window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { beta: 5, gamma: -5 }));
+
+            expect(getMovementInput()).toEqual({ x: 0, y: 0, magnitude: 0 });
         });
 
         it('should normalize movement input magnitude', () => {
@@ -550,6 +612,431 @@ describe('Input System', () => {
         });
     });
 
+    describe('Action Bindings', () => {
+        beforeEach(() => {
+            initializeInputSystem(mockCallbacks);
+        });
+
+        it('should map the default keys to actions', () => {
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+
+            expect(isActionActive('moveForward')).toBe(true);
+            expect(isActionActive('moveBack')).toBe(false);
+            expect(isActionActive('unknown')).toBe(false);
+        });
+
+        it('should move and trigger actions through rebound keys', () => {
+            expect(rebindAction('moveForward', { keys: ['i'] })).toBe(true);
+            expect(rebindAction('newLevel', { keys: ['N'] })).toBe(true);
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'w' }));
+            expect(getMovementInput().y).toBe(0);
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'i' }));
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'n' }));
+            expect(getMovementInput().y).toBe(1);
+            expect(mockCallbacks.onNewLevel).toHaveBeenCalledTimes(1);
+        });
+
+        it('should keep the gamepad buttons when only keys are rebound', () => {
+            rebindAction('reset', { keys: ['t'] });
+
+            expect(getBindings().reset).toEqual({ keys: ['t'], buttons: [3] });
+        });
+
+        it('should take a key away from the action it was bound to', () => {
+            rebindAction('camera', { keys: ['r'] });
+
+            expect(getBindings().reset.keys).toEqual([]);
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'r' }));
+            expect(mockCallbacks.onCamera).toHaveBeenCalled();
+            expect(mockCallbacks.onReset).not.toHaveBeenCalled();
+        });
+
+        it('should report changed bindings so they can be saved', () => {
+            rebindAction('pause', { keys: ['q'] });
+
+            expect(mockCallbacks.onBindingsChange).toHaveBeenCalledWith(getBindings());
+        });
+
+        it('should reject unknown actions', () => {
+            expect(rebindAction('jump', { keys: ['j'] })).toBe(false);
+            expect(startRebinding('jump')).toBe(false);
+            expect(mockCallbacks.onBindingsChange).not.toHaveBeenCalled();
+        });
+
+        it('should rebind an action to the next key pressed', () => {
+            startRebinding('reset');
+            expect(isRebinding()).toBe(true);
+
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'g' }));
+
+            expect(isRebinding()).toBe(false);
+            expect(getBindings().reset.keys).toEqual(['g']);
+            expect(mockCallbacks.onReset).not.toHaveBeenCalled();
+        });
+
+        it('should apply saved bindings over the defaults', () => {
+            setBindings({
+                moveLeft: { keys: ['j'] },
+                moveRight: { keys: ['l', 42], buttons: [1.5, 7] },
+                jump: { keys: ['space'] }
+            });
+
+            const bindings = getBindings();
+            expect(bindings.moveLeft).toEqual({ keys: ['j'], buttons: [14] });
+            expect(bindings.moveRight).toEqual({ keys: ['l'], buttons: [7] });
+            expect(bindings.moveForward.keys).toEqual(['w', 'arrowup']);
+            expect(bindings.jump).toBeUndefined();
+        });
+
+        it('should restore the default bindings', () => {
+            rebindAction('moveForward', { keys: ['i'] });
+
+            resetBindings();
+
+            expect(getBindings().moveForward.keys).toEqual(['w', 'arrowup']);
+            expect(mockCallbacks.onBindingsChange).toHaveBeenCalledTimes(2);
+        });
+
+        it('should not expose the live bindings', () => {
+            getBindings().moveForward.keys.push('x');
+
+            expect(getBindings().moveForward.keys).toEqual(['w', 'arrowup']);
+        });
+    });
+
+    describe('Gamepad Input', () => {
+        let gamepad;
+        let originalGetGamepads;
+
+        /**
+         * Create a standard-mapping gamepad with the given stick position and pressed buttons
+         */
+        function createGamepad(axes = [0, 0, 0, 0], pressed = []) {
+            return {
+                id: 'Test Gamepad',
+                connected: true,
+                axes,
+                buttons: Array.from({ length: 17 }, (_, index) => ({
+                    pressed: pressed.includes(index),
+                    value: pressed.includes(index) ? 1 : 0
+                }))
+            };
+        }
+
+        beforeEach(() => {
+            originalGetGamepads = navigator.getGamepads;
+            gamepad = createGamepad();
+            navigator.getGamepads = vi.fn(() => [null, gamepad]);
+            initializeInputSystem(mockCallbacks);
+        });
+
+        afterEach(() => {
+            navigator.getGamepads = originalGetGamepads;
+        });
+
+        it('should report a connected gamepad', () => {
+            updateGamepadInput();
+
+            expect(getGamepadInput()).toEqual({ connected: true, x: 0, y: 0, left: 0, right: 0 });
+        });
+
+        it('should ignore stick movement inside the dead zone', () => {
+            gamepad = createGamepad([0.1, -0.15]);
+            updateGamepadInput();
+
+            expect(getMovementInput()).toEqual({ x: 0, y: 0, magnitude: 0 });
+        });
+
+        it('should rescale the stick outside the dead zone to an analog vector', () => {
+            gamepad = createGamepad([0, -0.6]);
+            updateGamepadInput();
+
+            const movement = getMovementInput();
+            expect(movement.x).toBe(0);
+            expect(movement.y).toBeCloseTo((0.6 - 0.2) / 0.8);
+            expect(movement.magnitude).toBeCloseTo(0.5);
+        });
+
+        it('should clamp a fully pushed stick to a magnitude of 1', () => {
+            gamepad = createGamepad([1, -1]);
+            updateGamepadInput();
+
+            const movement = getMovementInput();
+            expect(movement.magnitude).toBeCloseTo(1);
+            expect(movement.x).toBeCloseTo(Math.SQRT1_2);
+            expect(movement.y).toBeCloseTo(Math.SQRT1_2);
+        });
+
+        it('should move with the d-pad through the move bindings', () => {
+            gamepad = createGamepad([0, 0], [14]);
+            updateGamepadInput();
+
+            expect(isActionActive('moveLeft')).toBe(true);
+            expect(getMovementInput().x).toBe(-1);
+        });
+
+        it('should trigger actions once per button press', () => {
+            gamepad = createGamepad([0, 0], [9]);
+            updateGamepadInput();
+            updateGamepadInput();
+
+            gamepad = createGamepad();
+            updateGamepadInput();
+            gamepad = createGamepad([0, 0], [9]);
+            updateGamepadInput();
+
+            expect(mockCallbacks.onPause).toHaveBeenCalledTimes(2);
+        });
+
+        it('should rebind an action to the next button pressed', () => {
+            startRebinding('camera');
+
+            gamepad = createGamepad([0, 0], [4]);
+            updateGamepadInput();
+
+            expect(getBindings().camera).toEqual({ keys: ['c'], buttons: [4] });
+            expect(mockCallbacks.onCamera).not.toHaveBeenCalled();
+        });
+
+        it('should reset the gamepad state when it disconnects', () => {
+            gamepad = createGamepad([1, 0], [12]);
+            updateGamepadInput();
+
+            gamepad = null;
+            updateGamepadInput();
+
+            expect(getGamepadInput().connected).toBe(false);
+            expect(getMovementInput().magnitude).toBe(0);
+        });
+
+        it('should work without the Gamepad API', () => {
+            navigator.getGamepads = undefined;
+
+            expect(() => updateGamepadInput()).not.toThrow();
+            expect(getGamepadInput().connected).toBe(false);
+        });
+    });
+
+    describe('Camera Input', () => {
+        /**
+         * Get the handler registered on the canvas for an event type
+         */
+        function getCanvasHandler(type) {
+            return mockCanvas.addEventListener.mock.calls.find(call => call[0] === type)[1];
+        }
+
+        /**
+         * Create a touch event with one touch per [x, y] point
+         */
+        function createTouchEvent(points) {
+            return {
+                preventDefault: vi.fn(),
+                touches: points.map(([clientX, clientY]) => ({ clientX, clientY }))
+            };
+        }
+
+        beforeEach(() => {
+            initializeInputSystem(mockCallbacks);
+            registerTouchCanvas(mockCanvas);
+        });
+
+        it('should report no orbit input by default', () => {
+            expect(getCameraInput()).toEqual({ dragX: 0, dragY: 0, stickX: 0, stickY: 0 });
+        });
+
+        it('should accumulate a mouse drag started on the canvas', () => {
+            getCanvasHandler('mousedown')({ button: 0, clientX: 100, clientY: 100 });
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 130, clientY: 90 }));
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 150, clientY: 80 }));
+
+            expect(getCameraInput()).toMatchObject({ dragX: 50, dragY: -20 });
+        });
+
+        it('should reset the drag once it has been read', () => {
+            getCanvasHandler('mousedown')({ button: 0, clientX: 100, clientY: 100 });
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 130, clientY: 100 }));
+            getCameraInput();
+
+            expect(getCameraInput()).toMatchObject({ dragX: 0, dragY: 0 });
+        });
+
+        it('should stop orbiting when the mouse button is released', () => {
+            getCanvasHandler('mousedown')({ button: 0, clientX: 100, clientY: 100 });
+            window.dispatchEvent(new MouseEvent('mouseup'));
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 200, clientY: 200 }));
+
+            expect(getCameraInput()).toMatchObject({ dragX: 0, dragY: 0 });
+        });
+
+        it('should ignore mouse movement without a drag or with other buttons', () => {
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 200, clientY: 200 }));
+            getCanvasHandler('mousedown')({ button: 2, clientX: 200, clientY: 200 });
+            window.dispatchEvent(new MouseEvent('mousemove', { clientX: 300, clientY: 300 }));
+
+            expect(getCameraInput()).toMatchObject({ dragX: 0, dragY: 0 });
+        });
+
+        it('should orbit with a two-finger drag instead of steering', () => {
+            getCanvasHandler('touchstart')(createTouchEvent([[100, 100]]));
+            getCanvasHandler('touchstart')(createTouchEvent([[100, 100], [200, 100]]));
+            getCanvasHandler('touchmove')(createTouchEvent([[140, 120], [240, 120]]));
+
+            expect(getTouchInput().active).toBe(false);
+            expect(getCameraInput()).toMatchObject({ dragX: 40, dragY: 20 });
+        });
+
+        it('should stop orbiting when a finger is lifted', () => {
+            getCanvasHandler('touchstart')(createTouchEvent([[100, 100], [200, 100]]));
+            getCanvasHandler('touchend')(createTouchEvent([[100, 100]]));
+            getCanvasHandler('touchmove')(createTouchEvent([[140, 120]]));
+
+            expect(getCameraInput()).toMatchObject({ dragX: 0, dragY: 0 });
+        });
+
+        describe('Camera Stick', () => {
+            let originalGetGamepads;
+
+            beforeEach(() => {
+                originalGetGamepads = navigator.getGamepads;
+                navigator.getGamepads = vi.fn(() => [{
+                    id: 'Test Gamepad',
+                    connected: true,
+                    axes: [0, 0, 1, -1],
+                    buttons: []
+                }]);
+            });
+
+            afterEach(() => {
+                navigator.getGamepads = originalGetGamepads;
+            });
+
+            it('should read the right stick with up as positive', () => {
+                updateGamepadInput();
+
+                const { stickX, stickY } = getCameraInput();
+                expect(stickX).toBeCloseTo(Math.SQRT1_2);
+                expect(stickY).toBeCloseTo(Math.SQRT1_2);
+            });
+
+            it('should ignore the right stick with tank controls', () => {
+                setControlScheme('tank');
+                updateGamepadInput();
+
+                expect(getCameraInput()).toMatchObject({ stickX: 0, stickY: 0 });
+            });
+        });
+    });
+
+    describe('Tank Controls', () => {
+        let originalGetGamepads;
+        let gamepad;
+
+        beforeEach(() => {
+            originalGetGamepads = navigator.getGamepads;
+            gamepad = null;
+            navigator.getGamepads = vi.fn(() => [gamepad]);
+            initializeInputSystem(mockCallbacks);
+            setControlScheme('tank');
+        });
+
+        afterEach(() => {
+            navigator.getGamepads = originalGetGamepads;
+        });
+
+        /**
+         * Press or release the keys of the given tank actions
+         */
+        function setTankKeys({ left = 0, right = 0 }) {
+            const keys = { w: left > 0, s: left < 0, i: right > 0, k: right < 0 };
+            Object.entries(keys).forEach(([key, pressed]) => {
+                window.dispatchEvent(new KeyboardEvent(pressed ? 'keydown' : 'keyup', { key }));
+            });
+        }
+
+        it('should select a known control scheme', () => {
+            expect(getControlScheme()).toBe('tank');
+            expect(setControlScheme('joystick')).toBe(false);
+            expect(getControlScheme()).toBe('tank');
+        });
+
+        it('should drive each side with its own key cluster', () => {
+            setTankKeys({ left: 1, right: -1 });
+
+            expect(getTankInput(0)).toEqual({ left: 1, right: -1 });
+        });
+
+        it('should drive each side with the vertical axis of its stick', () => {
+            gamepad = {
+                connected: true,
+                axes: [0.9, -1, 0, 0.6],
+                buttons: []
+            };
+            updateGamepadInput();
+
+            const { left, right } = getTankInput(0);
+            expect(left).toBe(1);
+            expect(right).toBeCloseTo(-(0.6 - 0.2) / 0.8);
+        });
+
+        it('should share the W and S keys with the standard move actions', () => {
+            expect(getBindings().leftTrackForward.keys).toEqual(['w']);
+
+            rebindAction('leftTrackBack', { keys: ['arrowdown'] });
+
+            expect(getBindings().moveBack.keys).toEqual(['s', 'arrowdown']);
+            expect(getBindings().rightTrackBack.keys).toEqual(['k']);
+        });
+
+        it('should dash after quickly alternating the sides', () => {
+            const pushes = [{ left: 1, right: -1 }, { left: -1, right: 1 }, { left: 1, right: -1 }, { left: -1, right: 1 }];
+            pushes.forEach((push, index) => {
+                setTankKeys(push);
+                getTankInput(index * 200);
+            });
+
+            expect(mockCallbacks.onDash).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not dash while turning in place', () => {
+            setTankKeys({ left: 1, right: -1 });
+            for (let time = 0; time < 2000; time += 100) {
+                getTankInput(time);
+            }
+
+            expect(mockCallbacks.onDash).not.toHaveBeenCalled();
+        });
+
+        it('should not dash when the alternations are too slow', () => {
+            const pushes = [{ left: 1, right: -1 }, { left: -1, right: 1 }, { left: 1, right: -1 }, { left: -1, right: 1 }];
+            pushes.forEach((push, index) => {
+                setTankKeys(push);
+                getTankInput(index * 1000);
+            });
+
+            expect(mockCallbacks.onDash).not.toHaveBeenCalled();
+        });
+
+        it('should trigger a quick turn from either stick click', () => {
+            window.dispatchEvent(new KeyboardEvent('keydown', { key: 'q' }));
+            gamepad = {
+                connected: true,
+                axes: [0, 0, 0, 0],
+                buttons: Array.from({ length: 12 }, (_, index) => ({ pressed: index === 11, value: 0 }))
+            };
+            updateGamepadInput();
+
+            expect(mockCallbacks.onQuickTurn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should return to the standard scheme on cleanup', () => {
+            cleanupInputSystem();
+
+            expect(getControlScheme()).toBe('standard');
+        });
+    });
+
     describe('Window Resize Handling', () => {
         beforeEach(() => {
             initializeInputSystem(mockCallbacks);
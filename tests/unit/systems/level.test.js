@@ -9,34 +9,42 @@ import {
     generateNewLevel,
     generateLevelTheme,
     checkWinCondition,
+    checkFailCondition,
+    updateLevelTimer,
+    getTimeRemaining,
+    getLevelResults,
+    isLevelFailed,
+    retryLevel,
     calculateTargetSize,
     getCurrentLevel,
     getCurrentTheme,
     getTargetKatamariSize,
+    getLevelSeed,
     isLevelGenerating,
     setCurrentLevel,
     resetLevelSystem,
     getLevelProgressionInfo,
     cleanupLevelSystem
 } from '../../../src/game/systems/level.js';
+import { GAME_EVENTS, publish, subscribe } from '../../../src/game/utils/events.js';
 import { createMockGameState } from '../../helpers/game-helpers.js';
 import { createSystemMocks } from '../../helpers/mock-helpers.js';
 
 // Mock dependencies
 vi.mock('../../../src/game/utils/debug.js', () => ({
     debugInfo: vi.fn(),
-    debugLog: vi.fn()
+    debugLog: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
 }));
 
 vi.mock('../../../src/game/utils/constants.js', () => ({
     UI: {
-        LOADING_SIMULATION_TIME: 1500
+        LOADING_SIMULATION_TIME: 1500,
+        DECIMAL_PLACES: 2
     },
     WORLD: {
         MAP_BOUNDARY: 500,
-        ITEM_SPAWN_RADIUS: 100,
-        ITEM_SPAWN_COUNT: 200,
-        INITIAL_ITEM_SPAWN_RADIUS: 180,
         MIN_SPAWN_DISTANCE: 10
     },
     THEMES: [
@@ -46,7 +54,8 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
             items: ["Car", "Tree", "House", "Rock", "Bush"],
             groundColor: "#4CAF50",
             skyColor: "#87CEEB",
-            baseTargetSize: 25
+            baseTargetSize: 25,
+            timeLimit: 180
         },
         {
             themeName: "Urban Jungle",
@@ -54,7 +63,8 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
             items: ["Car", "Lamp Post", "Trash Can", "Bench"],
             groundColor: "#607D8B",
             skyColor: "#B0C4DE",
-            baseTargetSize: 100
+            baseTargetSize: 100,
+            timeLimit: 240
         },
         {
             themeName: "Cosmic Debris",
@@ -62,11 +72,16 @@ vi.mock('../../../src/game/utils/constants.js', () => ({
             items: ["Asteroid", "Satellite", "Space Debris"],
             groundColor: "#2C3E50",
             skyColor: "#0A0A2A",
-            baseTargetSize: 200
+            baseTargetSize: 200,
+            timeLimit: 300
         }
     ],
     LEVEL: {
-        DIFFICULTY_FACTOR: 0.5
+        DIFFICULTY_FACTOR: 0.5,
+        MAX_TIMER_STEP: 0.25
+    },
+    KATAMARI: {
+        INITIAL_RADIUS: 2
     }
 }));
 
@@ -75,17 +90,21 @@ vi.mock('../../../src/game/systems/ui.js', () => ({
     hideLoadingOverlay: vi.fn(),
     showMessageOverlay: vi.fn(),
     hideMessageOverlay: vi.fn(),
-    isMessageOverlayVisible: vi.fn(() => false),
-    updateHUD: vi.fn()
+    updateHUD: vi.fn(),
+    updateLevelSeed: vi.fn(),
+    updateCountdown: vi.fn()
 }));
 
 vi.mock('../../../src/game/entities/items.js', () => ({
     cleanupItemsSystem: vi.fn(),
-    createCollectibleItems: vi.fn(),
-    resetLastGenerationPosition: vi.fn(),
     resetInstancedMeshes: vi.fn()
 }));
 
+vi.mock('../../../src/game/systems/chunks.js', () => ({
+    resetChunks: vi.fn(),
+    updateChunks: vi.fn()
+}));
+
 vi.mock('../../../src/game/entities/environment.js', () => ({
     cleanupEnvironment: vi.fn(),
     createEnvironment: vi.fn(),
@@ -93,10 +112,6 @@ vi.mock('../../../src/game/entities/environment.js', () => ({
     setupSceneAtmosphere: vi.fn()
 }));
 
-vi.mock('../../../src/game/core/audio.js', () => ({
-    stopRollingSound: vi.fn()
-}));
-
 describe('Level Management System', () => {
     let mockCreateKatamariCallback;
 
@@ -231,32 +246,33 @@ describe('Level Management System', () => {
             expect(createGround).toHaveBeenCalledWith(getCurrentTheme());
         });
 
-        it('should create initial collectible items', async () => {
-            const { createCollectibleItems, resetLastGenerationPosition } = await import('../../../src/game/entities/items.js');
+        it('should load the chunks around the starting point for a starting-size katamari', async () => {
+            const { resetChunks, updateChunks } = await import('../../../src/game/systems/chunks.js');
             
             await generateNewLevel(mockCreateKatamariCallback);
             
-            expect(createCollectibleItems).toHaveBeenCalledWith(
-                200,
-                getCurrentTheme().items,
+            expect(resetChunks).toHaveBeenCalled();
+            expect(updateChunks).toHaveBeenCalledWith(
                 expect.objectContaining({ x: 0, y: 0, z: 0 }),
-                180,
-                true,
-                10
-            );
-            expect(resetLastGenerationPosition).toHaveBeenCalledWith(
-                expect.objectContaining({ x: 0, y: 0, z: 0 })
+                getCurrentTheme(),
+                2
             );
+            expect(resetChunks.mock.invocationCallOrder[0]).toBeLessThan(updateChunks.mock.invocationCallOrder[0]);
         });
 
-        it('should update HUD with new target size', async () => {
-            const { updateHUD } = await import('../../../src/game/systems/ui.js');
+        it('should publish a levelStarted event once the level is ready', async () => {
+            const handler = vi.fn(() => expect(isLevelGenerating()).toBe(false));
+            const unsubscribe = subscribe(GAME_EVENTS.LEVEL_STARTED, handler);
             
-            await generateNewLevel(mockCreateKatamariCallback);
+            await generateNewLevel(mockCreateKatamariCallback, { seed: 42 });
+            unsubscribe();
             
-            expect(updateHUD).toHaveBeenCalledWith({
-                itemsCollected: 0,
-                targetSize: getTargetKatamariSize()
+            expect(handler).toHaveBeenCalledWith({
+                level: 1,
+                themeName: 'Our Green Earth',
+                seed: 42,
+                targetSize: getTargetKatamariSize(),
+                timeLimit: 180
             });
         });
 
@@ -269,12 +285,15 @@ describe('Level Management System', () => {
             expect(hideLoadingOverlay).toHaveBeenCalled();
         });
 
-        it('should stop rolling sound during level generation', async () => {
-            const { stopRollingSound } = await import('../../../src/game/core/audio.js');
+        it('should skip the loading screen when generating headless', async () => {
+            const { showLoadingOverlay } = await import('../../../src/game/systems/ui.js');
+            const startTime = Date.now();
             
-            await generateNewLevel(mockCreateKatamariCallback);
+            await generateNewLevel(mockCreateKatamariCallback, { headless: true });
             
-            expect(stopRollingSound).toHaveBeenCalled();
+            expect(showLoadingOverlay).not.toHaveBeenCalled();
+            expect(Date.now() - startTime).toBeLessThan(1000);
+            expect(getCurrentTheme().themeName).toBe('Our Green Earth');
         });
 
         it('should hide message overlay during level generation', async () => {
@@ -284,6 +303,29 @@ describe('Level Management System', () => {
             
             expect(hideMessageOverlay).toHaveBeenCalled();
         });
+
+        it('should generate the level from a requested seed and show it in the UI', async () => {
+            const { updateLevelSeed } = await import('../../../src/game/systems/ui.js');
+            
+            await generateNewLevel(mockCreateKatamariCallback, { seed: '1234' });
+            
+            expect(getLevelSeed()).toBe(1234);
+            expect(updateLevelSeed).toHaveBeenCalledWith(1234);
+        });
+
+        it('should pick a fresh seed when none is requested', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            
+            expect(Number.isInteger(getLevelSeed())).toBe(true);
+        });
+
+        it('should clear the level seed on reset', async () => {
+            await generateNewLevel(mockCreateKatamariCallback, { seed: 99 });
+            
+            resetLevelSystem();
+            
+            expect(getLevelSeed()).toBeNull();
+        });
     });
 
     describe('Theme Generation', () => {
@@ -358,7 +400,7 @@ describe('Level Management System', () => {
             expect(result).toBe(true);
         });
 
-        it('should show message overlay on win condition', async () => {
+        it('should record the completed level without showing an overlay itself', async () => {
             const { showMessageOverlay } = await import('../../../src/game/systems/ui.js');
             
             await generateNewLevel(mockCreateKatamariCallback);
@@ -366,9 +408,8 @@ describe('Level Management System', () => {
             
             checkWinCondition(targetSize);
             
-            expect(showMessageOverlay).toHaveBeenCalledWith(
-                'LEVEL 1 COMPLETE! You\'ve grown a magnificent Katamari! Click to continue.'
-            );
+            expect(getLevelResults()).toMatchObject({ level: 1, completed: true });
+            expect(showMessageOverlay).not.toHaveBeenCalled();
         });
 
         it('should increment level on win condition', async () => {
@@ -381,30 +422,187 @@ describe('Level Management System', () => {
             expect(getCurrentLevel()).toBe(initialLevel + 1);
         });
 
-        it('should stop rolling sound on win condition', async () => {
-            const { stopRollingSound } = await import('../../../src/game/core/audio.js');
+        it('should publish a levelCompleted event with the results', async () => {
+            const handler = vi.fn();
+            const unsubscribe = subscribe(GAME_EVENTS.LEVEL_COMPLETED, handler);
             
             await generateNewLevel(mockCreateKatamariCallback);
-            const targetSize = getTargetKatamariSize();
-            
-            checkWinCondition(targetSize);
+            checkWinCondition(getTargetKatamariSize() - 1);
+            checkWinCondition(getTargetKatamariSize());
+            unsubscribe();
             
-            expect(stopRollingSound).toHaveBeenCalled();
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler).toHaveBeenCalledWith({ results: getLevelResults() });
         });
 
-        it('should not trigger win condition if message overlay is visible', async () => {
-            const { isMessageOverlayVisible } = await import('../../../src/game/systems/ui.js');
-            isMessageOverlayVisible.mockReturnValue(true);
-            
+        it('should complete the level when a collected item grows the katamari past the target', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            const collected = (targetRadius) => publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: 'Rock', size: 1, isPowerUp: false, mesh: null },
+                katamariRadius: targetRadius - 0.1,
+                targetRadius,
+                itemsCollected: 12,
+                time: 0
+            });
+
+            collected(getTargetKatamariSize() - 1);
+            expect(getLevelResults()).toBeNull();
+
+            collected(getTargetKatamariSize());
+            expect(getLevelResults()).toMatchObject({ completed: true, finalSize: 25, itemsCollected: 12 });
+        });
+
+        it('should stop checking collected items after cleanup', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            cleanupLevelSystem();
+
+            publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: 'Rock', size: 1, isPowerUp: false, mesh: null },
+                katamariRadius: 100,
+                targetRadius: 100,
+                itemsCollected: 1,
+                time: 0
+            });
+
+            expect(getLevelResults()).toBeNull();
+        });
+
+        it('should not trigger win condition while a level is generating', async () => {
             await generateNewLevel(mockCreateKatamariCallback);
             const targetSize = getTargetKatamariSize();
             
+            const generating = generateNewLevel(mockCreateKatamariCallback);
             const result = checkWinCondition(targetSize);
+            await generating;
             
             expect(result).toBe(false);
         });
     });
 
+    describe('Level Timer and Results', () => {
+        /**
+         * Run the level timer forward in frame-sized steps
+         */
+        function advanceTimer(seconds, step = 0.25) {
+            for (let elapsed = 0; elapsed < seconds; elapsed += step) {
+                updateLevelTimer(step);
+            }
+        }
+
+        beforeEach(() => {
+            initializeLevelSystem();
+        });
+
+        it('should start the countdown from the theme time limit', async () => {
+            const { updateCountdown } = await import('../../../src/game/systems/ui.js');
+            
+            await generateNewLevel(mockCreateKatamariCallback);
+            
+            expect(getTimeRemaining()).toBe(180);
+            expect(updateCountdown).toHaveBeenCalledWith(180);
+        });
+
+        it('should count down by the frame time', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            
+            advanceTimer(10);
+            
+            expect(getTimeRemaining()).toBeCloseTo(170);
+        });
+
+        it('should cap long frames so a backgrounded tab does not drain the timer', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            
+            updateLevelTimer(30);
+            
+            expect(getTimeRemaining()).toBeCloseTo(179.75);
+        });
+
+        it('should not fail the level while time remains', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            advanceTimer(60);
+            
+            expect(checkFailCondition(5, 10)).toBe(false);
+            expect(getLevelResults()).toBeNull();
+        });
+
+        it('should fail the level when time runs out', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            
+            advanceTimer(180);
+            
+            expect(checkFailCondition(12, 40)).toBe(true);
+            expect(isLevelFailed()).toBe(true);
+            expect(getCurrentLevel()).toBe(1);
+        });
+
+        it('should return level results after a failure', async () => {
+            await generateNewLevel(mockCreateKatamariCallback, { seed: 77 });
+            advanceTimer(180);
+            
+            checkFailCondition(12, 40);
+            
+            expect(getLevelResults()).toEqual({
+                level: 1,
+                themeName: 'Our Green Earth',
+                seed: 77,
+                completed: false,
+                timeUsed: 180,
+                timeLimit: 180,
+                finalSize: 12,
+                targetSize: 25,
+                itemsCollected: 40
+            });
+        });
+
+        it('should return level results after a win', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            advanceTimer(30);
+            
+            checkWinCondition(26, 55);
+            
+            const results = getLevelResults();
+            expect(results.completed).toBe(true);
+            expect(results.level).toBe(1);
+            expect(results.timeUsed).toBeCloseTo(30);
+            expect(results.finalSize).toBe(26);
+            expect(results.itemsCollected).toBe(55);
+            expect(isLevelFailed()).toBe(false);
+        });
+
+        it('should stop the timer once the level is decided', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            checkWinCondition(30);
+            const remaining = getTimeRemaining();
+            
+            advanceTimer(20);
+            
+            expect(getTimeRemaining()).toBe(remaining);
+            expect(checkFailCondition(30)).toBe(false);
+        });
+
+        it('should not fail a level whose target was reached on the final frame', async () => {
+            await generateNewLevel(mockCreateKatamariCallback);
+            advanceTimer(180);
+            
+            expect(checkFailCondition(25)).toBe(false);
+            expect(checkWinCondition(25)).toBe(true);
+        });
+
+        it('should retry a failed level with the same seed and a fresh timer', async () => {
+            await generateNewLevel(mockCreateKatamariCallback, { seed: 31337 });
+            advanceTimer(180);
+            checkFailCondition(5);
+            
+            await retryLevel(mockCreateKatamariCallback);
+            
+            expect(getLevelSeed()).toBe(31337);
+            expect(getCurrentLevel()).toBe(1);
+            expect(getTimeRemaining()).toBe(180);
+            expect(getLevelResults()).toBeNull();
+        });
+    });
+
     describe('Target Size Calculation', () => {
         beforeEach(() => {
             initializeLevelSystem();
@@ -675,27 +873,24 @@ describe('Level Management System', () => {
         });
 
         it('should integrate with UI system for overlays', async () => {
-            const { showLoadingOverlay, hideLoadingOverlay, showMessageOverlay, hideMessageOverlay } = await import('../../../src/game/systems/ui.js');
+            const { showLoadingOverlay, hideLoadingOverlay, hideMessageOverlay } = await import('../../../src/game/systems/ui.js');
             
             await generateNewLevel(mockCreateKatamariCallback);
             
             expect(hideMessageOverlay).toHaveBeenCalled();
             expect(showLoadingOverlay).toHaveBeenCalled();
             expect(hideLoadingOverlay).toHaveBeenCalled();
-            
-            checkWinCondition(getTargetKatamariSize());
-            expect(showMessageOverlay).toHaveBeenCalled();
         });
 
         it('should integrate with items system for cleanup and generation', async () => {
-            const { cleanupItemsSystem, resetInstancedMeshes, createCollectibleItems, resetLastGenerationPosition } = await import('../../../src/game/entities/items.js');
+            const { cleanupItemsSystem, resetInstancedMeshes } = await import('../../../src/game/entities/items.js');
+            const { updateChunks } = await import('../../../src/game/systems/chunks.js');
             
             await generateNewLevel(mockCreateKatamariCallback);
             
             expect(cleanupItemsSystem).toHaveBeenCalled();
             expect(resetInstancedMeshes).toHaveBeenCalled();
-            expect(createCollectibleItems).toHaveBeenCalled();
-            expect(resetLastGenerationPosition).toHaveBeenCalled();
+            expect(updateChunks).toHaveBeenCalled();
         });
 
         it('should integrate with environment system for scene setup', async () => {
@@ -708,15 +903,5 @@ describe('Level Management System', () => {
             expect(createEnvironment).toHaveBeenCalled();
             expect(createGround).toHaveBeenCalled();
         });
-
-        it('should integrate with audio system for sound management', async () => {
-            const { stopRollingSound } = await import('../../../src/game/core/audio.js');
-            
-            await generateNewLevel(mockCreateKatamariCallback);
-            expect(stopRollingSound).toHaveBeenCalled();
-            
-            checkWinCondition(getTargetKatamariSize());
-            expect(stopRollingSound).toHaveBeenCalledTimes(2);
-        });
     });
 });
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Unit tests for the Katamari-pedia panel
+ * Tests opening and closing the panel, listing the collection log, item details
+ * and the rotating item preview
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import * as THREE from 'three';
+import {
+    initializePedia,
+    openPedia,
+    closePedia,
+    togglePedia,
+    isPediaOpen,
+    selectPediaItem,
+    cleanupPedia
+} from '../../../src/game/systems/pedia.js';
+import { initializeCollectionLog, recordCollectedItem, cleanupCollectionLog } from '../../../src/game/systems/collection.js';
+import { initializeSaveSystem, cleanupSaveSystem } from '../../../src/game/systems/save.js';
+import { createItemPreview, disposeItemPreview } from '../../../src/game/entities/items.js';
+import { ITEM_CATALOG } from '../../../src/game/entities/catalog.js';
+
+// Mock dependencies
+vi.mock('three', () => import('../../__mocks__/three.js'));
+
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugLog: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/entities/items.js', () => ({
+    createItemPreview: vi.fn((name) => {
+        const preview = new THREE.Group();
+        preview.userData = { name, size: 1.5 };
+        return preview;
+    }),
+    disposeItemPreview: vi.fn()
+}));
+
+describe('Katamari-pedia', () => {
+    let onClose;
+    let frameCallbacks;
+
+    beforeEach(() => {
+        frameCallbacks = [];
+        vi.stubGlobal('requestAnimationFrame', vi.fn((callback) => frameCallbacks.push(callback)));
+        vi.stubGlobal('cancelAnimationFrame', vi.fn());
+
+        initializeSaveSystem({ storage: null });
+        initializeCollectionLog();
+        onClose = vi.fn();
+        initializePedia({ onClose });
+    });
+
+    afterEach(() => {
+        cleanupPedia();
+        cleanupCollectionLog();
+        cleanupSaveSystem();
+        vi.unstubAllGlobals();
+        vi.clearAllMocks();
+    });
+
+    const getPanel = () => document.getElementById('pedia-panel');
+
+    describe('Opening and Closing', () => {
+        it('should start hidden', () => {
+            expect(getPanel()).not.toBeNull();
+            expect(isPediaOpen()).toBe(false);
+            expect(getPanel().classList.contains('open')).toBe(false);
+        });
+
+        it('should open and close', () => {
+            expect(openPedia()).toBe(true);
+            expect(getPanel().classList.contains('open')).toBe(true);
+
+            closePedia();
+
+            expect(isPediaOpen()).toBe(false);
+            expect(getPanel().classList.contains('open')).toBe(false);
+            expect(onClose).toHaveBeenCalledTimes(1);
+        });
+
+        it('should toggle', () => {
+            expect(togglePedia()).toBe(true);
+            expect(togglePedia()).toBe(false);
+        });
+
+        it('should close from its close button', () => {
+            openPedia();
+
+            getPanel().querySelector('.pedia-close').click();
+
+            expect(isPediaOpen()).toBe(false);
+        });
+
+        it('should remove the panel on cleanup', () => {
+            cleanupPedia();
+
+            expect(getPanel()).toBeNull();
+            expect(openPedia()).toBe(false);
+        });
+    });
+
+    describe('Collection List', () => {
+        it('should list every catalog item, hiding the names of uncollected ones', () => {
+            recordCollectedItem({ name: 'Car', size: 1.5, time: 0 });
+
+            openPedia();
+
+            const items = getPanel().querySelectorAll('.pedia-item');
+            expect(items).toHaveLength(ITEM_CATALOG.length);
+            expect(getPanel().querySelector('.pedia-item[data-name="Car"]').textContent).toBe('Car');
+            expect(getPanel().querySelector('.pedia-item[data-name="Bus"]').textContent).toBe('???');
+            expect(getPanel().querySelector('.pedia-progress').textContent).toBe(`1/${ITEM_CATALOG.length} collected`);
+        });
+
+        it('should select the first collected item when opened', () => {
+            recordCollectedItem({ name: 'Car', size: 1.5, time: 0 });
+
+            openPedia();
+
+            expect(getPanel().querySelector('.pedia-item.selected').dataset.name).toBe('Car');
+            expect(getPanel().querySelector('.pedia-item-name').textContent).toBe('Car');
+        });
+
+        it('should show the log entry of a collected item', () => {
+            recordCollectedItem({ name: 'Car', size: 1.5, time: 0 });
+            recordCollectedItem({ name: 'Car', size: 2.25, time: 10 });
+            openPedia();
+
+            const stats = [...getPanel().querySelectorAll('.pedia-stat')].map(stat => stat.textContent);
+
+            expect(stats).toContain('Collected: 2');
+            expect(stats).toContain('Largest: 2.25m');
+        });
+
+        it('should keep the details of uncollected items hidden', () => {
+            openPedia();
+
+            expect(selectPediaItem('Bus')).toBe(true);
+
+            expect(getPanel().querySelector('.pedia-item-name').textContent).toBe('???');
+            expect(createItemPreview).not.toHaveBeenCalled();
+        });
+
+        it('should select items clicked in the list', () => {
+            recordCollectedItem({ name: 'Car', size: 1.5, time: 0 });
+            recordCollectedItem({ name: 'Rock', size: 0.5, time: 0 });
+            openPedia();
+
+            getPanel().querySelector('.pedia-item[data-name="Rock"]').click();
+
+            expect(getPanel().querySelector('.pedia-item-name').textContent).toBe('Rock');
+        });
+
+        it('should reject items missing from the catalog', () => {
+            openPedia();
+
+            expect(selectPediaItem('Teacup')).toBe(false);
+        });
+    });
+
+    describe('Item Preview', () => {
+        beforeEach(() => {
+            recordCollectedItem({ name: 'Car', size: 1.5, time: 0 });
+        });
+
+        it('should preview the selected item with its item builder', () => {
+            openPedia();
+
+            expect(createItemPreview).toHaveBeenCalledWith('Car');
+            expect(getPanel().querySelector('.pedia-preview canvas')).not.toBeNull();
+        });
+
+        it('should turn the preview every frame while open', () => {
+            openPedia();
+            const preview = createItemPreview.mock.results[0].value;
+
+            frameCallbacks.shift()(performance.now() + 1000);
+
+            expect(preview.rotation.y).toBeGreaterThan(0);
+            expect(frameCallbacks).toHaveLength(1);
+        });
+
+        it('should dispose of the previous preview when another item is selected', () => {
+            recordCollectedItem({ name: 'Rock', size: 0.5, time: 0 });
+            openPedia();
+            selectPediaItem('Car');
+            const carPreview = createItemPreview.mock.results.at(-1).value;
+
+            selectPediaItem('Rock');
+
+            expect(disposeItemPreview).toHaveBeenCalledWith(carPreview);
+            expect(createItemPreview).toHaveBeenLastCalledWith('Rock');
+        });
+
+        it('should stop animating and dispose of the preview when closed', () => {
+            openPedia();
+            const preview = createItemPreview.mock.results[0].value;
+
+            closePedia();
+
+            expect(cancelAnimationFrame).toHaveBeenCalled();
+            expect(disposeItemPreview).toHaveBeenCalledWith(preview);
+        });
+    });
+});
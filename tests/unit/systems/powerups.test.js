@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the power-up system
+ * Tests activation, expiry tracking, and state reset
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import {
+    initializePowerUpSystem,
+    activatePowerUp,
+    updatePowerUps,
+    isPowerUpActive,
+    getActivePowerUps,
+    clearPowerUps,
+    cleanupPowerUpSystem
+} from '../../../src/game/systems/powerups.js';
+import { GAME_EVENTS, subscribe, clearSubscribers } from '../../../src/game/utils/events.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/utils/constants.js', () => ({
+    POWER_UPS: {
+        TYPES: ['magnetism', 'speedBoost', 'stickyCoating', 'vacuumBoost'],
+        DURATION: 5000
+    }
+}));
+
+describe('Power-up System', () => {
+    beforeEach(() => {
+        initializePowerUpSystem();
+    });
+
+    describe('Activation', () => {
+        it('should activate a known power-up with the default duration', () => {
+            expect(activatePowerUp('magnetism', undefined, 1000)).toBe(true);
+            expect(getActivePowerUps()).toEqual({ magnetism: 6000 });
+        });
+
+        it('should accept a custom duration', () => {
+            activatePowerUp('speedBoost', 2000, 1000);
+            expect(getActivePowerUps().speedBoost).toBe(3000);
+        });
+
+        it('should refresh the expiry when collected again', () => {
+            activatePowerUp('magnetism', 5000, 1000);
+            activatePowerUp('magnetism', 5000, 4000);
+            expect(getActivePowerUps().magnetism).toBe(9000);
+        });
+
+        it('should reject unknown power-up types', () => {
+            expect(activatePowerUp('invincibility', 5000, 1000)).toBe(false);
+            expect(getActivePowerUps()).toEqual({});
+        });
+
+        it('should publish a powerUpActivated event', () => {
+            const handler = vi.fn();
+            subscribe(GAME_EVENTS.POWER_UP_ACTIVATED, handler);
+
+            activatePowerUp('vacuumBoost', 2000, 1000);
+            activatePowerUp('invincibility', 2000, 1000);
+            clearSubscribers();
+
+            expect(handler).toHaveBeenCalledTimes(1);
+            expect(handler).toHaveBeenCalledWith({ type: 'vacuumBoost', duration: 2000, expiresAt: 3000 });
+        });
+    });
+
+    describe('Expiry Tracking', () => {
+        it('should report active power-ups until they expire', () => {
+            activatePowerUp('stickyCoating', 5000, 1000);
+
+            expect(isPowerUpActive('stickyCoating', 5999)).toBe(true);
+            expect(isPowerUpActive('stickyCoating', 6000)).toBe(false);
+            expect(isPowerUpActive('vacuumBoost', 1000)).toBe(false);
+        });
+
+        it('should remove expired power-ups on update and return their types', () => {
+            activatePowerUp('magnetism', 1000, 0);
+            activatePowerUp('vacuumBoost', 5000, 0);
+
+            expect(updatePowerUps(500)).toEqual([]);
+            expect(updatePowerUps(1000)).toEqual(['magnetism']);
+            expect(getActivePowerUps()).toEqual({ vacuumBoost: 5000 });
+        });
+    });
+
+    describe('Reset', () => {
+        it('should clear all power-ups', () => {
+            activatePowerUp('magnetism', 5000, 0);
+            activatePowerUp('speedBoost', 5000, 0);
+
+            clearPowerUps();
+
+            expect(getActivePowerUps()).toEqual({});
+        });
+
+        it('should clear power-ups on cleanup', () => {
+            activatePowerUp('magnetism', 5000, 0);
+
+            cleanupPowerUpSystem();
+
+            expect(isPowerUpActive('magnetism', 0)).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit tests for the replay system
+ * Tests recording the katamari per physics step, logging collections from game events
+ * and playing the recording back at different speeds
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeReplaySystem,
+    recordReplayFrame,
+    getRecordedFrameCount,
+    hasReplay,
+    getReplayCollections,
+    startReplay,
+    stopReplay,
+    isReplaying,
+    setReplaySpeed,
+    cycleReplaySpeed,
+    getReplaySpeed,
+    getReplayProgress,
+    updateReplay,
+    cleanupReplaySystem
+} from '../../../src/game/systems/replay.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/utils/constants.js', () => ({
+    REPLAY: {
+        INITIAL_CAPACITY: 4,
+        MAX_FRAMES: 10,
+        SPEEDS: [0.5, 1, 2],
+        DEFAULT_SPEED: 1
+    }
+}));
+
+/**
+ * Create a stand-in for the Katamari with the state the recorder reads
+ */
+function createFakeKatamari() {
+    return {
+        position: { x: 0, y: 2, z: 0 },
+        group: { quaternion: { x: 0, y: 0, z: 0, w: 1 } },
+        radius: 2,
+        attachmentCount: 0,
+        itemsCollectedCount: 0,
+        getPosition() {
+            return this.position;
+        }
+    };
+}
+
+/**
+ * Publish an itemCollected event as the Katamari does
+ */
+function collect(name, size, isPowerUp = false) {
+    publish(GAME_EVENTS.ITEM_COLLECTED, {
+        item: { name, size, isPowerUp, mesh: null },
+        katamariRadius: 2,
+        targetRadius: 2,
+        itemsCollected: 1,
+        time: 0
+    });
+}
+
+describe('Replay System', () => {
+    let katamari;
+
+    // Record a straight roll along x: one frame per 0.1s, moving 1m and growing 0.1m each frame
+    const recordRoll = (frameCount) => {
+        for (let i = 0; i < frameCount; i++) {
+            katamari.position = { x: i, y: 2, z: 0 };
+            katamari.radius = 2 + i * 0.1;
+            recordReplayFrame(katamari, 0.1);
+        }
+    };
+
+    beforeEach(() => {
+        katamari = createFakeKatamari();
+        initializeReplaySystem();
+    });
+
+    afterEach(() => {
+        cleanupReplaySystem();
+    });
+
+    describe('Recording', () => {
+        it('should record a frame per physics step', () => {
+            recordRoll(3);
+
+            expect(getRecordedFrameCount()).toBe(3);
+            expect(hasReplay()).toBe(true);
+        });
+
+        it('should grow the buffer past its initial capacity and stop at the frame limit', () => {
+            recordRoll(12);
+
+            expect(getRecordedFrameCount()).toBe(10);
+            expect(recordReplayFrame(katamari, 0.1)).toBe(false);
+        });
+
+        it('should log collections against the frame they happened in', () => {
+            recordRoll(2);
+            collect('Car', 1.5);
+            collect('magnetism', 0.8, true);
+            recordRoll(1);
+
+            expect(getReplayCollections()).toEqual([{ frame: 2, name: 'Car', size: 1.5 }]);
+        });
+
+        it('should start a new recording when a level starts', () => {
+            recordRoll(3);
+            collect('Car', 1.5);
+
+            publish(GAME_EVENTS.LEVEL_STARTED, { level: 2, themeName: 'Urban Jungle', seed: 1, targetSize: 100 });
+
+            expect(getRecordedFrameCount()).toBe(0);
+            expect(getReplayCollections()).toEqual([]);
+        });
+
+        it('should not replay a recording shorter than two frames', () => {
+            recordRoll(1);
+
+            expect(startReplay()).toBe(false);
+            expect(isReplaying()).toBe(false);
+        });
+    });
+
+    describe('Playback', () => {
+        beforeEach(() => {
+            recordRoll(5);
+        });
+
+        it('should interpolate position and radius between recorded frames', () => {
+            startReplay();
+
+            const frame = updateReplay(0.15);
+
+            expect(frame.position.x).toBeCloseTo(1.5);
+            expect(frame.radius).toBeCloseTo(2.15);
+            expect(frame.velocity.x).toBeCloseTo(10);
+            expect(frame.quaternion).toEqual({ x: 0, y: 0, z: 0, w: 1 });
+        });
+
+        it('should play back faster at a higher speed', () => {
+            startReplay({ speed: 2 });
+
+            const frame = updateReplay(0.1);
+
+            expect(frame.position.x).toBeCloseTo(2);
+            expect(getReplayProgress()).toBeCloseTo(0.5);
+        });
+
+        it('should report the last item rolled up so far', () => {
+            collect('Car', 1.5);
+            recordRoll(1);
+            startReplay();
+
+            expect(updateReplay(0.1).lastCollection).toBeNull();
+            expect(updateReplay(0.45).lastCollection).toEqual({ frame: 5, name: 'Car', size: 1.5 });
+        });
+
+        it('should stop playback on request', () => {
+            startReplay();
+
+            stopReplay();
+
+            expect(isReplaying()).toBe(false);
+            expect(updateReplay(0.1)).toBeNull();
+        });
+
+        it('should not record while playing back', () => {
+            startReplay();
+
+            expect(recordReplayFrame(katamari, 0.1)).toBe(false);
+            expect(getRecordedFrameCount()).toBe(5);
+        });
+
+        it('should stop at the end of the recording and keep it for another replay', () => {
+            startReplay();
+
+            const frame = updateReplay(10);
+
+            expect(frame.position.x).toBe(4);
+            expect(isReplaying()).toBe(false);
+            expect(updateReplay(0.1)).toBeNull();
+            expect(startReplay()).toBe(true);
+        });
+    });
+
+    describe('Speed', () => {
+        it('should cycle through the replay speeds', () => {
+            expect(getReplaySpeed()).toBe(1);
+            expect(cycleReplaySpeed()).toBe(2);
+            expect(cycleReplaySpeed()).toBe(0.5);
+        });
+
+        it('should reject speeds that are not positive numbers', () => {
+            expect(setReplaySpeed(0)).toBe(false);
+            expect(setReplaySpeed('fast')).toBe(false);
+            expect(setReplaySpeed(3)).toBe(true);
+            expect(getReplaySpeed()).toBe(3);
+        });
+    });
+});
@@ -0,0 +1,242 @@
+/**
+ * Unit tests for the save game system
+ * Tests loading, saving, clearing, schema migration and progress recording
+ * against an in-memory storage backend
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeSaveSystem,
+    loadGame,
+    saveGame,
+    clearSave,
+    getSaveData,
+    recordLevelProgress,
+    updateSettings,
+    updateAchievementData,
+    updateCollectionLog,
+    cleanupSaveSystem
+} from '../../../src/game/systems/save.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+vi.mock('../../../src/game/utils/constants.js', () => ({
+    SAVE: {
+        STORAGE_KEY: 'katamari-save',
+        SCHEMA_VERSION: 3
+    }
+}));
+
+/**
+ * Create an in-memory stand-in for localStorage
+ */
+function createFakeStorage(initial = {}) {
+    const data = { ...initial };
+    return {
+        data,
+        getItem: vi.fn((key) => (key in data ? data[key] : null)),
+        setItem: vi.fn((key, value) => { data[key] = String(value); }),
+        removeItem: vi.fn((key) => { delete data[key]; })
+    };
+}
+
+describe('Save System', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createFakeStorage();
+        initializeSaveSystem({ storage });
+    });
+
+    afterEach(() => {
+        cleanupSaveSystem();
+    });
+
+    describe('Loading', () => {
+        it('should start a fresh save when storage is empty', () => {
+            const data = loadGame();
+
+            expect(data).toEqual({
+                version: 3,
+                currentLevel: 1,
+                bestRadiusByTheme: {},
+                totalItemsCollected: 0,
+                achievements: { unlocked: {}, itemCounts: {} },
+                collectionLog: {},
+                settings: { gyro: false, debug: true, audio: true }
+            });
+        });
+
+        it('should restore previously saved data', () => {
+            saveGame({ currentLevel: 3, totalItemsCollected: 42 });
+
+            const reloaded = initializeSaveSystem({ storage });
+
+            expect(reloaded.currentLevel).toBe(3);
+            expect(reloaded.totalItemsCollected).toBe(42);
+        });
+
+        it('should fall back to a fresh save when the stored data is corrupt', () => {
+            storage = createFakeStorage({ 'katamari-save': '{not json' });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.currentLevel).toBe(1);
+        });
+
+        it('should replace invalid fields with defaults', () => {
+            storage = createFakeStorage({
+                'katamari-save': JSON.stringify({ version: 3, currentLevel: -4, totalItemsCollected: 'lots', settings: { gyro: true } })
+            });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.currentLevel).toBe(1);
+            expect(data.totalItemsCollected).toBe(0);
+            expect(data.settings).toEqual({ gyro: true, debug: true, audio: true });
+        });
+
+        it('should work without any storage backend', () => {
+            initializeSaveSystem({ storage: null });
+
+            expect(saveGame({ currentLevel: 2 })).toBe(false);
+            expect(getSaveData().currentLevel).toBe(2);
+            expect(clearSave()).toBe(false);
+        });
+
+        it('should survive storage that throws', () => {
+            storage.getItem.mockImplementation(() => { throw new Error('SecurityError'); });
+            storage.setItem.mockImplementation(() => { throw new Error('QuotaExceededError'); });
+
+            expect(loadGame().currentLevel).toBe(1);
+            expect(saveGame({ currentLevel: 2 })).toBe(false);
+        });
+    });
+
+    describe('Schema Migration', () => {
+        it('should migrate unversioned save data to the current schema', () => {
+            storage = createFakeStorage({
+                'katamari-save': JSON.stringify({ currentLevel: 4, totalItemsCollected: 10 })
+            });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.version).toBe(3);
+            expect(data.currentLevel).toBe(4);
+            expect(data.totalItemsCollected).toBe(10);
+            expect(data.bestRadiusByTheme).toEqual({});
+            expect(data.settings.audio).toBe(true);
+        });
+
+        it('should add empty achievement data to version 1 saves', () => {
+            storage = createFakeStorage({
+                'katamari-save': JSON.stringify({ version: 1, currentLevel: 3, bestRadiusByTheme: { 'Urban Jungle': 40 } })
+            });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.version).toBe(3);
+            expect(data.currentLevel).toBe(3);
+            expect(data.bestRadiusByTheme['Urban Jungle']).toBe(40);
+            expect(data.achievements).toEqual({ unlocked: {}, itemCounts: {} });
+            expect(data.collectionLog).toEqual({});
+        });
+
+        it('should add an empty collection log to version 2 saves', () => {
+            storage = createFakeStorage({
+                'katamari-save': JSON.stringify({ version: 2, achievements: { unlocked: { 'traffic-jam': 5 }, itemCounts: {} } })
+            });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.version).toBe(3);
+            expect(data.achievements.unlocked).toEqual({ 'traffic-jam': 5 });
+            expect(data.collectionLog).toEqual({});
+        });
+
+        it('should ignore save data from a newer schema', () => {
+            storage = createFakeStorage({
+                'katamari-save': JSON.stringify({ version: 99, currentLevel: 7 })
+            });
+
+            const data = initializeSaveSystem({ storage });
+
+            expect(data.currentLevel).toBe(1);
+            // The newer save is left untouched in storage
+            expect(JSON.parse(storage.data['katamari-save']).version).toBe(99);
+        });
+    });
+
+    describe('Saving', () => {
+        it('should write the save data as JSON under the storage key', () => {
+            expect(saveGame({ currentLevel: 2 })).toBe(true);
+
+            const stored = JSON.parse(storage.data['katamari-save']);
+            expect(stored.currentLevel).toBe(2);
+            expect(stored.version).toBe(3);
+        });
+
+        it('should merge settings instead of replacing them', () => {
+            updateSettings({ gyro: true });
+            updateSettings({ audio: false });
+
+            expect(getSaveData().settings).toEqual({ gyro: true, debug: true, audio: false });
+        });
+
+        it('should merge achievement data and persist it', () => {
+            updateAchievementData({ itemCounts: { Car: 3 } });
+            updateAchievementData({ unlocked: { 'traffic-jam': 1000 } });
+
+            const reloaded = initializeSaveSystem({ storage });
+            expect(reloaded.achievements).toEqual({ unlocked: { 'traffic-jam': 1000 }, itemCounts: { Car: 3 } });
+        });
+
+        it('should persist the collection log', () => {
+            const collectionLog = { Car: { firstCollectedAt: 1000, count: 2, largestSize: 1.8 } };
+
+            expect(updateCollectionLog(collectionLog)).toBe(true);
+
+            expect(initializeSaveSystem({ storage }).collectionLog).toEqual(collectionLog);
+        });
+
+        it('should clear the stored save and reset to defaults', () => {
+            saveGame({ currentLevel: 5 });
+
+            expect(clearSave()).toBe(true);
+
+            expect(storage.data['katamari-save']).toBeUndefined();
+            expect(getSaveData().currentLevel).toBe(1);
+        });
+    });
+
+    describe('Progress Recording', () => {
+        it('should record the next level and accumulate items collected', () => {
+            recordLevelProgress({ themeName: 'Our Green Earth', radius: 25, itemsCollected: 30, nextLevel: 2 });
+            recordLevelProgress({ themeName: 'Urban Jungle', radius: 100, itemsCollected: 70, nextLevel: 3 });
+
+            const data = getSaveData();
+            expect(data.currentLevel).toBe(3);
+            expect(data.totalItemsCollected).toBe(100);
+        });
+
+        it('should only keep the best radius per theme', () => {
+            recordLevelProgress({ themeName: 'Our Green Earth', radius: 25, itemsCollected: 0, nextLevel: 2 });
+            recordLevelProgress({ themeName: 'Our Green Earth', radius: 12, itemsCollected: 0, nextLevel: 2 });
+
+            expect(getSaveData().bestRadiusByTheme).toEqual({ 'Our Green Earth': 25 });
+        });
+
+        it('should persist recorded progress to storage', () => {
+            recordLevelProgress({ themeName: 'Cosmic Debris', radius: 200, itemsCollected: 5, nextLevel: 4 });
+
+            const reloaded = initializeSaveSystem({ storage });
+            expect(reloaded.currentLevel).toBe(4);
+            expect(reloaded.bestRadiusByTheme['Cosmic Debris']).toBe(200);
+        });
+    });
+});
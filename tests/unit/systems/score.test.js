@@ -0,0 +1,208 @@
+/**
+ * Unit tests for the score system
+ * Tests item points, combo multipliers, shedding penalties, the results summary
+ * and scoring from the katamari's collection events
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    initializeScoreSystem,
+    calculateItemPoints,
+    getComboMultiplier,
+    recordPickup,
+    recordShed,
+    getScore,
+    getCombo,
+    getScoreSummary,
+    resetScore,
+    cleanupScoreSystem
+} from '../../../src/game/systems/score.js';
+import { SCORE } from '../../../src/game/utils/constants.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugLog: vi.fn(),
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+/**
+ * Publish an itemCollected event as the Katamari does
+ */
+function collect(name, size, katamariRadius, time, isPowerUp = false) {
+    publish(GAME_EVENTS.ITEM_COLLECTED, {
+        item: { name, size, isPowerUp, mesh: null },
+        katamariRadius,
+        targetRadius: katamariRadius,
+        itemsCollected: 1,
+        time
+    });
+}
+
+describe('Score System', () => {
+    let onScoreChange;
+
+    beforeEach(() => {
+        onScoreChange = vi.fn();
+        initializeScoreSystem({ onScoreChange });
+    });
+
+    afterEach(() => {
+        cleanupScoreSystem();
+    });
+
+    describe('Item Points', () => {
+        it('should award base points for an item as big as the katamari', () => {
+            expect(calculateItemPoints(2, 2)).toBe(SCORE.BASE_POINTS);
+        });
+
+        it('should award more points for items that are large relative to the katamari', () => {
+            expect(calculateItemPoints(1, 2)).toBeGreaterThan(calculateItemPoints(1, 4));
+        });
+
+        it('should clamp the relative size', () => {
+            expect(calculateItemPoints(100, 1)).toBe(SCORE.BASE_POINTS * SCORE.MAX_RELATIVE_SIZE);
+            expect(calculateItemPoints(0.001, 100)).toBe(Math.round(SCORE.BASE_POINTS * SCORE.MIN_RELATIVE_SIZE));
+        });
+
+        it('should apply the rarity and combo multipliers', () => {
+            expect(calculateItemPoints(2, 2, SCORE.RARITY_MULTIPLIERS.rare, 2)).toBe(SCORE.BASE_POINTS * SCORE.RARITY_MULTIPLIERS.rare * 2);
+        });
+
+        it('should use the catalog rarity of collected items', () => {
+            const common = recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 0 });
+            const rare = recordPickup({ name: 'Alien Artifact', size: 1, katamariRadius: 1, time: 10000 });
+
+            expect(rare).toBe(common * SCORE.RARITY_MULTIPLIERS.rare);
+        });
+
+        it('should score unknown items as common', () => {
+            expect(recordPickup({ name: 'Mystery', size: 1, katamariRadius: 1, time: 0 })).toBe(SCORE.BASE_POINTS);
+        });
+    });
+
+    describe('Combos', () => {
+        it('should grow the multiplier with each pickup up to the maximum', () => {
+            expect(getComboMultiplier(1)).toBe(1);
+            expect(getComboMultiplier(2)).toBe(1 + SCORE.COMBO_STEP);
+            expect(getComboMultiplier(1000)).toBe(SCORE.MAX_COMBO_MULTIPLIER);
+        });
+
+        it('should continue the combo for pickups within the window', () => {
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 1000 });
+            const points = recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 1000 + SCORE.COMBO_WINDOW });
+
+            expect(points).toBe(Math.round(SCORE.BASE_POINTS * getComboMultiplier(2)));
+            expect(getCombo().count).toBe(2);
+        });
+
+        it('should start a new combo after the window', () => {
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 1000 });
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 1000 + SCORE.COMBO_WINDOW + 1 });
+
+            expect(getCombo().count).toBe(1);
+            expect(getScore()).toBe(SCORE.BASE_POINTS * 2);
+        });
+
+        it('should report no combo once the window has run out', () => {
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 1000 });
+
+            expect(getCombo(1000 + SCORE.COMBO_WINDOW + 1)).toEqual({ count: 0, multiplier: 1 });
+        });
+
+        it('should remember the best combo', () => {
+            [0, 100, 200].forEach(time => recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time }));
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 10000 });
+
+            expect(getScoreSummary().bestCombo).toBe(3);
+        });
+    });
+
+    describe('Shedding', () => {
+        it('should take a penalty per shed item and break the combo', () => {
+            recordPickup({ name: 'Rock', size: 2, katamariRadius: 1, time: 0 });
+
+            expect(recordShed(2)).toBe(SCORE.SHED_PENALTY * 2);
+            expect(getScore()).toBe(SCORE.BASE_POINTS * 2 - SCORE.SHED_PENALTY * 2);
+            expect(getCombo(0).count).toBe(0);
+        });
+
+        it('should not take the score below zero', () => {
+            recordShed(5);
+
+            expect(getScore()).toBe(0);
+        });
+    });
+
+    describe('Summary', () => {
+        it('should list the top-scoring item types first', () => {
+            recordPickup({ name: 'Rock', size: 0.5, katamariRadius: 1, time: 0 });
+            recordPickup({ name: 'Rock', size: 0.8, katamariRadius: 1, time: 10000 });
+            recordPickup({ name: 'Satellite', size: 1, katamariRadius: 1, time: 20000 });
+
+            const summary = getScoreSummary();
+
+            expect(summary.itemsCollected).toBe(3);
+            expect(summary.topItems.map(item => item.name)).toEqual(['Satellite', 'Rock']);
+            expect(summary.topItems[1]).toEqual({ name: 'Rock', count: 2, points: 130, largestSize: 0.8 });
+        });
+
+        it('should limit the number of top items', () => {
+            ['Rock', 'Satellite', 'Alien Artifact'].forEach((name, i) => {
+                recordPickup({ name, size: 1, katamariRadius: 1, time: i * 10000 });
+            });
+
+            expect(getScoreSummary(2).topItems).toHaveLength(2);
+        });
+
+        it('should start over after a reset', () => {
+            recordPickup({ name: 'Rock', size: 1, katamariRadius: 1, time: 0 });
+
+            resetScore();
+
+            expect(getScoreSummary()).toEqual({ score: 0, bestCombo: 0, itemsCollected: 0, topItems: [] });
+        });
+    });
+
+    describe('Game Events', () => {
+        it('should score itemCollected events', () => {
+            collect('Rock', 1, 1, 0);
+
+            expect(getScore()).toBe(SCORE.BASE_POINTS);
+            expect(onScoreChange).toHaveBeenCalledWith(SCORE.BASE_POINTS, { count: 1, multiplier: 1 });
+        });
+
+        it('should not score power-up pickups', () => {
+            collect('magnetism', 1, 1, 0, true);
+
+            expect(getScore()).toBe(0);
+        });
+
+        it('should penalise itemShed events', () => {
+            collect('Rock', 2, 1, 0);
+
+            publish(GAME_EVENTS.ITEM_SHED, { items: [{ name: 'Rock', size: 2 }], katamariRadius: 3, time: 100 });
+
+            expect(getScore()).toBe(SCORE.BASE_POINTS * 2 - SCORE.SHED_PENALTY);
+        });
+
+        it('should start over when a level starts', () => {
+            collect('Rock', 1, 1, 0);
+
+            publish(GAME_EVENTS.LEVEL_STARTED, { level: 2, themeName: 'Space', seed: 42, targetSize: 100, timeLimit: null });
+
+            expect(getScore()).toBe(0);
+        });
+
+        it('should stop listening after cleanup', () => {
+            cleanupScoreSystem();
+
+            collect('Rock', 1, 1, 0);
+
+            expect(getScore()).toBe(0);
+            expect(onScoreChange).not.toHaveBeenCalled();
+        });
+    });
+});
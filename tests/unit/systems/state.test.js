@@ -0,0 +1,233 @@
+/**
+ * Unit tests for the game state machine
+ * Tests allowed transitions, state change callbacks, pausing when the page is hidden, and the play clock
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import {
+    GAME_STATES,
+    initializeGameState,
+    canTransition,
+    setGameState,
+    getGameState,
+    isPlaying,
+    getPlayTime,
+    cleanupGameState
+} from '../../../src/game/systems/state.js';
+import { activatePowerUp, isPowerUpActive, updatePowerUps, cleanupPowerUpSystem } from '../../../src/game/systems/powerups.js';
+import { setGameTimeSource } from '../../../src/game/utils/clock.js';
+import { debugWarn } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn(),
+    debugWarn: vi.fn()
+}));
+
+vi.mock('../../../src/game/utils/constants.js', () => ({
+    POWER_UPS: {
+        TYPES: ['magnetism', 'speedBoost', 'stickyCoating', 'vacuumBoost'],
+        DURATION: 5000
+    }
+}));
+
+/**
+ * Set document.hidden and fire a visibilitychange event
+ */
+function setPageHidden(hidden) {
+    Object.defineProperty(document, 'hidden', { value: hidden, configurable: true });
+    document.dispatchEvent(new Event('visibilitychange'));
+}
+
+describe('Game State Machine', () => {
+    let onStateChange;
+
+    beforeEach(() => {
+        onStateChange = vi.fn();
+        initializeGameState({ onStateChange });
+    });
+
+    afterEach(() => {
+        cleanupGameState();
+        setPageHidden(false);
+    });
+
+    describe('Transitions', () => {
+        it('should start in the boot state', () => {
+            expect(getGameState()).toBe(GAME_STATES.BOOT);
+            expect(isPlaying()).toBe(false);
+        });
+
+        it('should move through the title screen into play', () => {
+            expect(setGameState(GAME_STATES.TITLE)).toBe(true);
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(true);
+
+            expect(getGameState()).toBe(GAME_STATES.PLAYING);
+            expect(isPlaying()).toBe(true);
+        });
+
+        it('should pause and resume', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+
+            expect(setGameState(GAME_STATES.PAUSED)).toBe(true);
+            expect(isPlaying()).toBe(false);
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(true);
+        });
+
+        it('should return to play after a level result', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            setGameState(GAME_STATES.LEVEL_FAILED);
+
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(true);
+            expect(setGameState(GAME_STATES.LEVEL_COMPLETE)).toBe(true);
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(true);
+        });
+
+        it('should replay a level result and return to it', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            setGameState(GAME_STATES.LEVEL_COMPLETE);
+
+            expect(setGameState(GAME_STATES.REPLAY)).toBe(true);
+            expect(isPlaying()).toBe(false);
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(false);
+            expect(setGameState(GAME_STATES.LEVEL_COMPLETE)).toBe(true);
+        });
+
+        it('should reject transitions that skip a state', () => {
+            expect(setGameState(GAME_STATES.PLAYING)).toBe(false);
+
+            expect(getGameState()).toBe(GAME_STATES.BOOT);
+            expect(debugWarn).toHaveBeenCalledWith(expect.stringContaining('boot -> playing'));
+        });
+
+        it('should not complete a level while paused', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            setGameState(GAME_STATES.PAUSED);
+
+            expect(setGameState(GAME_STATES.LEVEL_COMPLETE)).toBe(false);
+            expect(getGameState()).toBe(GAME_STATES.PAUSED);
+        });
+
+        it('should reject unknown states', () => {
+            expect(setGameState('cutscene')).toBe(false);
+            expect(canTransition('cutscene', GAME_STATES.PLAYING)).toBe(false);
+        });
+
+        it('should report allowed transitions', () => {
+            expect(canTransition(GAME_STATES.PLAYING, GAME_STATES.PAUSED)).toBe(true);
+            expect(canTransition(GAME_STATES.TITLE, GAME_STATES.PAUSED)).toBe(false);
+        });
+    });
+
+    describe('State Change Callback', () => {
+        it('should be called with the new and previous state', () => {
+            setGameState(GAME_STATES.TITLE);
+
+            expect(onStateChange).toHaveBeenCalledWith(GAME_STATES.TITLE, GAME_STATES.BOOT);
+        });
+
+        it('should not be called for rejected transitions', () => {
+            setGameState(GAME_STATES.PAUSED);
+
+            expect(onStateChange).not.toHaveBeenCalled();
+        });
+
+        it('should not be called when setting the current state again', () => {
+            setGameState(GAME_STATES.TITLE);
+
+            expect(setGameState(GAME_STATES.TITLE)).toBe(true);
+            expect(onStateChange).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Page Visibility', () => {
+        it('should pause when the page is hidden during play', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+
+            setPageHidden(true);
+
+            expect(getGameState()).toBe(GAME_STATES.PAUSED);
+            expect(onStateChange).toHaveBeenLastCalledWith(GAME_STATES.PAUSED, GAME_STATES.PLAYING);
+        });
+
+        it('should stay paused when the page is shown again', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            setPageHidden(true);
+
+            setPageHidden(false);
+
+            expect(getGameState()).toBe(GAME_STATES.PAUSED);
+        });
+
+        it('should leave other states alone', () => {
+            setGameState(GAME_STATES.TITLE);
+
+            setPageHidden(true);
+
+            expect(getGameState()).toBe(GAME_STATES.TITLE);
+        });
+
+        it('should stop listening after cleanup', () => {
+            setGameState(GAME_STATES.TITLE);
+            setGameState(GAME_STATES.PLAYING);
+            cleanupGameState();
+
+            setPageHidden(true);
+
+            expect(getGameState()).toBe(GAME_STATES.BOOT);
+            expect(onStateChange).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Play Clock', () => {
+        beforeEach(() => {
+            vi.useFakeTimers();
+            setGameState(GAME_STATES.TITLE);
+        });
+
+        afterEach(() => {
+            setGameTimeSource(null);
+            cleanupPowerUpSystem();
+            vi.useRealTimers();
+        });
+
+        it('should only run while playing', () => {
+            const start = getPlayTime();
+            vi.advanceTimersByTime(1000);
+            expect(getPlayTime()).toBe(start);
+
+            setGameState(GAME_STATES.PLAYING);
+            vi.advanceTimersByTime(250);
+            expect(getPlayTime()).toBe(start + 250);
+
+            setGameState(GAME_STATES.LEVEL_COMPLETE);
+            vi.advanceTimersByTime(1000);
+            setGameState(GAME_STATES.PLAYING);
+            expect(getPlayTime()).toBe(start + 250);
+        });
+
+        it('should keep a power-up active through a pause', () => {
+            setGameTimeSource(getPlayTime);
+            setGameState(GAME_STATES.PLAYING);
+            activatePowerUp('magnetism', 5000);
+            vi.advanceTimersByTime(4000);
+
+            setPageHidden(true);
+            vi.advanceTimersByTime(60000);
+            updatePowerUps();
+            setGameState(GAME_STATES.PLAYING);
+            updatePowerUps();
+
+            expect(isPowerUpActive('magnetism')).toBe(true);
+
+            vi.advanceTimersByTime(1000);
+            expect(updatePowerUps()).toEqual(['magnetism']);
+        });
+    });
+});
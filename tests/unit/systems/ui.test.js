@@ -12,15 +12,26 @@ import {
     hideLoadingOverlay,
     showMessageOverlay,
     hideMessageOverlay,
+    showGameStateOverlay,
     isMessageOverlayVisible,
     showCustomAlert,
     updateGyroButtonState,
     updateDebugButtonState,
+    updateAudioButtonState,
+    updateControlsButtonState,
+    updateCameraButtonState,
+    updatePediaButtonState,
+    updateReplayControls,
+    updateLevelSeed,
+    updateCountdown,
     requestGyroscopePermission,
     getUIState,
     cleanupUISystem,
     getUIElements
 } from '../../../src/game/systems/ui.js';
+import { GAME_STATES } from '../../../src/game/systems/state.js';
+import { GAME_EVENTS, publish } from '../../../src/game/utils/events.js';
+import { setGameTimeSource } from '../../../src/game/utils/clock.js';
 import { createMockGameState, createMockPerformanceMetrics } from '../../helpers/game-helpers.js';
 
 describe('UI System', () => {
@@ -35,23 +46,45 @@ describe('UI System', () => {
                 <div>Size: <span id="katamari-size">2.00m</span></div>
                 <div>Speed: <span id="katamari-speed">0.00m/s</span></div>
                 <div>Items Collected: <span id="items-collected">0</span></div>
+                <div>Score: <span id="score">0</span> <span id="combo"></span></div>
                 <div>FPS: <span id="fps">--</span></div>
+                <div id="seed-info">Seed: <span id="level-seed">--</span></div>
                 <div id="progress-container">
                     <div id="progress-bar" style="width: 0%;"></div>
                 </div>
                 <div>Target Size: <span id="target-size">100.00m</span></div>
+                <div>Time: <span id="time-remaining">--</span></div>
                 <div id="power-up-status"></div>
                 <button id="gyro-button">Toggle Gyro</button>
                 <button id="debug-button">Toggle Debug</button>
+                <button id="audio-button" class="active">Sound ON</button>
+                <button id="controls-button">Standard Controls</button>
+                <button id="camera-button">Auto Camera OFF</button>
+                <button id="pedia-button">Katamari-pedia</button>
             </div>
             <div id="message-overlay" style="display: none;"></div>
+            <div id="replay-controls">
+                <div id="replay-caption"></div>
+                <div id="replay-progress-container">
+                    <div id="replay-progress-bar"></div>
+                </div>
+                <button id="replay-speed-button">1x</button>
+                <button id="replay-exit-button">Exit Replay</button>
+            </div>
         `;
 
         // Create mock callbacks
         mockCallbacks = {
             onMessageOverlayClick: vi.fn(),
             onGyroToggle: vi.fn(() => true),
-            onDebugToggle: vi.fn(() => true)
+            onDebugToggle: vi.fn(() => true),
+            onAudioToggle: vi.fn(() => false),
+            onControlsToggle: vi.fn(() => true),
+            onCameraAutoAlignToggle: vi.fn(() => true),
+            onPediaToggle: vi.fn(() => true),
+            onReplay: vi.fn(),
+            onReplaySpeed: vi.fn(() => 2),
+            onReplayExit: vi.fn()
         };
 
         // Store original document methods
@@ -207,6 +240,46 @@ describe('UI System', () => {
             expect(itemsElement.textContent).toBe('42');
         });
 
+        it('should update the score and show combos from the second pickup', () => {
+            updateHUD({ score: 1250, combo: { count: 3, multiplier: 1.5 } });
+
+            expect(document.getElementById('score').textContent).toBe('1250');
+            expect(document.getElementById('combo').textContent).toBe('3 COMBO x1.50');
+
+            updateHUD({ score: 1250, combo: { count: 1, multiplier: 1 } });
+
+            expect(document.getElementById('combo').textContent).toBe('');
+        });
+
+        it('should update the item count when an item is collected', () => {
+            publish(GAME_EVENTS.ITEM_COLLECTED, {
+                item: { name: 'Rock', size: 1, isPowerUp: false, mesh: null },
+                katamariRadius: 2,
+                targetRadius: 2.1,
+                itemsCollected: 7,
+                time: 0
+            });
+
+            expect(document.getElementById('items-collected').textContent).toBe('7');
+        });
+
+        it('should show the new target size and reset the item count when a level starts', () => {
+            document.getElementById('items-collected').textContent = '42';
+
+            publish(GAME_EVENTS.LEVEL_STARTED, { level: 2, themeName: 'Urban Jungle', seed: 7, targetSize: 150, timeLimit: 240 });
+
+            expect(document.getElementById('items-collected').textContent).toBe('0');
+            expect(document.getElementById('target-size').textContent).toBe('150.00m');
+        });
+
+        it('should stop following game events after cleanup', () => {
+            cleanupUISystem();
+
+            publish(GAME_EVENTS.LEVEL_STARTED, { level: 2, themeName: 'Urban Jungle', seed: 7, targetSize: 150, timeLimit: 240 });
+
+            expect(document.getElementById('target-size').textContent).toBe('100.00m');
+        });
+
         it('should update progress bar based on katamari size and target', () => {
             const gameState = {
                 katamariRadius: 25,
@@ -299,6 +372,38 @@ describe('UI System', () => {
         });
     });
 
+    describe('Level Countdown', () => {
+        beforeEach(() => {
+            initializeUISystem(mockCallbacks);
+        });
+
+        it('should display the remaining time as minutes and seconds', () => {
+            updateCountdown(125.2);
+            
+            expect(document.getElementById('time-remaining').textContent).toBe('2:06');
+        });
+
+        it('should highlight the countdown when time is nearly up', () => {
+            const timeRemaining = document.getElementById('time-remaining');
+            
+            updateCountdown(30);
+            expect(timeRemaining.classList.contains('warning')).toBe(false);
+            
+            updateCountdown(9);
+            expect(timeRemaining.textContent).toBe('0:09');
+            expect(timeRemaining.classList.contains('warning')).toBe(true);
+        });
+
+        it('should show a placeholder for untimed levels', () => {
+            updateCountdown(5);
+            updateCountdown(null);
+            
+            const timeRemaining = document.getElementById('time-remaining');
+            expect(timeRemaining.textContent).toBe('--');
+            expect(timeRemaining.classList.contains('warning')).toBe(false);
+        });
+    });
+
     describe('Power-up Status Updates', () => {
         beforeEach(() => {
             initializeUISystem(mockCallbacks);
@@ -334,6 +439,15 @@ describe('UI System', () => {
             expect(statusElement.innerHTML).toContain('Magnet');
         });
 
+        it('should count down in game time', () => {
+            setGameTimeSource(() => 1000);
+
+            updatePowerUpStatus({ 'Speed Boost': 3500 });
+            setGameTimeSource(null);
+
+            expect(document.getElementById('power-up-status').innerHTML).toContain('Speed Boost: 2.5s');
+        });
+
         it('should clear display when no active power-ups', () => {
             const activePowerUps = {};
             
@@ -443,6 +557,143 @@ describe('UI System', () => {
         });
     });
 
+    describe('Game State Overlay', () => {
+        const results = { level: 3, completed: false, finalSize: 12.5, targetSize: 20 };
+
+        beforeEach(() => {
+            initializeUISystem(mockCallbacks);
+        });
+
+        it('should show the title screen with the current level', () => {
+            showGameStateOverlay(GAME_STATES.TITLE, { level: 4 });
+            
+            expect(isMessageOverlayVisible()).toBe(true);
+            expect(document.getElementById('message-overlay').textContent).toContain('Level 4');
+        });
+
+        it('should show the pause message', () => {
+            showGameStateOverlay(GAME_STATES.PAUSED);
+            
+            expect(document.getElementById('message-overlay').textContent).toBe('PAUSED. Press pause or click to resume.');
+        });
+
+        it('should show the completed level from the results', () => {
+            showGameStateOverlay(GAME_STATES.LEVEL_COMPLETE, { level: 4, results: { ...results, completed: true } });
+            
+            expect(document.getElementById('message-overlay').textContent).toBe(
+                'LEVEL 3 COMPLETE! You\'ve grown a magnificent Katamari! Click to continue.'
+            );
+        });
+
+        it('should show the final and target size of a failed level', () => {
+            showGameStateOverlay(GAME_STATES.LEVEL_FAILED, { level: 3, results });
+            
+            expect(document.getElementById('message-overlay').textContent).toBe(
+                'TIME\'S UP! Your Katamari reached 12.50m of 20.00m. Click to retry.'
+            );
+        });
+
+        it('should show the results screen when a score summary is given', () => {
+            const score = {
+                score: 4200,
+                bestCombo: 7,
+                itemsCollected: 12,
+                topItems: [
+                    { name: 'Satellite', count: 2, points: 800, largestSize: 4 },
+                    { name: 'Rock', count: 10, points: 300, largestSize: 1 }
+                ]
+            };
+
+            showGameStateOverlay(GAME_STATES.LEVEL_COMPLETE, { results: { ...results, completed: true, timeUsed: 95.2 }, score });
+
+            const overlay = document.getElementById('message-overlay');
+            expect(isMessageOverlayVisible()).toBe(true);
+            expect(overlay.querySelector('.results-heading').textContent).toContain('LEVEL 3 COMPLETE!');
+            expect([...overlay.querySelectorAll('.results-stat')].map(stat => stat.textContent)).toEqual([
+                'Final size: 12.50m',
+                'Time: 1:36',
+                'Score: 4200',
+                'Best combo: 7'
+            ]);
+            expect([...overlay.querySelectorAll('.results-top-item')].map(item => item.textContent)).toEqual([
+                'Satellite x2 - 800 pts',
+                'Rock x10 - 300 pts'
+            ]);
+        });
+
+        it('should leave out the top items when nothing was collected', () => {
+            const score = { score: 0, bestCombo: 0, itemsCollected: 0, topItems: [] };
+
+            showGameStateOverlay(GAME_STATES.LEVEL_FAILED, { results: { ...results, timeUsed: 60 }, score });
+
+            const overlay = document.getElementById('message-overlay');
+            expect(overlay.querySelector('.results-heading').textContent).toContain('TIME\'S UP!');
+            expect(overlay.querySelector('.results-top-items')).toBeNull();
+        });
+
+        it('should hide the overlay while playing', () => {
+            showGameStateOverlay(GAME_STATES.PAUSED);
+            showGameStateOverlay(GAME_STATES.PLAYING);
+            
+            expect(isMessageOverlayVisible()).toBe(false);
+        });
+
+        it('should offer a replay on the results screen without continuing', () => {
+            const score = { score: 0, bestCombo: 0, itemsCollected: 0, topItems: [] };
+            showGameStateOverlay(GAME_STATES.LEVEL_COMPLETE, { results: { ...results, timeUsed: 60 }, score, canReplay: true });
+
+            document.querySelector('#message-overlay .results-replay').click();
+
+            expect(mockCallbacks.onReplay).toHaveBeenCalledTimes(1);
+            expect(mockCallbacks.onMessageOverlayClick).not.toHaveBeenCalled();
+        });
+
+        it('should not offer a replay when none was recorded', () => {
+            const score = { score: 0, bestCombo: 0, itemsCollected: 0, topItems: [] };
+            showGameStateOverlay(GAME_STATES.LEVEL_FAILED, { results: { ...results, timeUsed: 60 }, score, canReplay: false });
+
+            expect(document.querySelector('#message-overlay .results-replay')).toBeNull();
+        });
+
+        it('should hide the overlay during a replay', () => {
+            showGameStateOverlay(GAME_STATES.LEVEL_COMPLETE, { results });
+            showGameStateOverlay(GAME_STATES.REPLAY);
+
+            expect(isMessageOverlayVisible()).toBe(false);
+        });
+    });
+
+    describe('Replay Controls', () => {
+        beforeEach(() => {
+            initializeUISystem(mockCallbacks);
+        });
+
+        it('should show the playback speed, progress and last item rolled up', () => {
+            updateReplayControls({ speed: 0.5, progress: 0.25, lastCollection: { name: 'Car', size: 1.5 } });
+
+            expect(document.getElementById('replay-controls').classList.contains('visible')).toBe(true);
+            expect(document.getElementById('replay-speed-button').textContent).toBe('0.5x');
+            expect(document.getElementById('replay-progress-bar').style.width).toBe('25%');
+            expect(document.getElementById('replay-caption').textContent).toBe('Rolled up: Car (1.50m)');
+        });
+
+        it('should hide the controls', () => {
+            updateReplayControls({ speed: 1, progress: 0, lastCollection: null });
+            updateReplayControls(null);
+
+            expect(document.getElementById('replay-controls').classList.contains('visible')).toBe(false);
+        });
+
+        it('should change speed and exit from the control buttons', () => {
+            document.getElementById('replay-speed-button').click();
+            document.getElementById('replay-exit-button').click();
+
+            expect(mockCallbacks.onReplaySpeed).toHaveBeenCalledTimes(1);
+            expect(document.getElementById('replay-speed-button').textContent).toBe('2x');
+            expect(mockCallbacks.onReplayExit).toHaveBeenCalledTimes(1);
+        });
+    });
+
     describe('Custom Alert System', () => {
         beforeEach(() => {
             initializeUISystem(mockCallbacks);
@@ -531,6 +782,81 @@ describe('UI System', () => {
             expect(debugButton.textContent).toBe('Toggle Debug');
         });
 
+        it('should update audio button to enabled state', () => {
+            updateAudioButtonState(true);
+            
+            const audioButton = document.getElementById('audio-button');
+            expect(audioButton.classList.contains('active')).toBe(true);
+            expect(audioButton.textContent).toBe('Sound ON');
+        });
+
+        it('should update audio button to muted state when clicked', () => {
+            const audioButton = document.getElementById('audio-button');
+            audioButton.click();
+            
+            expect(mockCallbacks.onAudioToggle).toHaveBeenCalled();
+            expect(audioButton.classList.contains('active')).toBe(false);
+            expect(audioButton.textContent).toBe('Sound OFF');
+        });
+
+        it('should update controls button to tank controls when clicked', () => {
+            const controlsButton = document.getElementById('controls-button');
+            controlsButton.click();
+            
+            expect(mockCallbacks.onControlsToggle).toHaveBeenCalled();
+            expect(controlsButton.classList.contains('active')).toBe(true);
+            expect(controlsButton.textContent).toBe('Tank Controls');
+        });
+
+        it('should update controls button to standard controls', () => {
+            updateControlsButtonState(false);
+            
+            const controlsButton = document.getElementById('controls-button');
+            expect(controlsButton.classList.contains('active')).toBe(false);
+            expect(controlsButton.textContent).toBe('Standard Controls');
+        });
+
+        it('should update camera button to auto camera when clicked', () => {
+            const cameraButton = document.getElementById('camera-button');
+            cameraButton.click();
+            
+            expect(mockCallbacks.onCameraAutoAlignToggle).toHaveBeenCalled();
+            expect(cameraButton.classList.contains('active')).toBe(true);
+            expect(cameraButton.textContent).toBe('Auto Camera ON');
+        });
+
+        it('should update camera button to manual camera', () => {
+            updateCameraButtonState(false);
+            
+            const cameraButton = document.getElementById('camera-button');
+            expect(cameraButton.classList.contains('active')).toBe(false);
+            expect(cameraButton.textContent).toBe('Auto Camera OFF');
+        });
+
+        it('should highlight the Katamari-pedia button while the panel is open', () => {
+            const pediaButton = document.getElementById('pedia-button');
+            pediaButton.click();
+
+            expect(mockCallbacks.onPediaToggle).toHaveBeenCalled();
+            expect(pediaButton.classList.contains('active')).toBe(true);
+
+            updatePediaButtonState(false);
+            expect(pediaButton.classList.contains('active')).toBe(false);
+        });
+
+        it('should show the level seed only in debug mode', () => {
+            updateLevelSeed(123456);
+            
+            const seedInfo = document.getElementById('seed-info');
+            expect(document.getElementById('level-seed').textContent).toBe('123456');
+            
+            updateDebugButtonState(false);
+            expect(seedInfo.style.display).toBe('none');
+            
+            updateDebugButtonState(true);
+            expect(seedInfo.style.display).toBe('block');
+        });
+
         it('should handle missing button elements gracefully', () => {
             document.getElementById('gyro-button').remove();
             document.getElementById('debug-button').remove();
@@ -641,12 +967,19 @@ describe('UI System', () => {
             expect(elements.katamariSizeUI).toBe(document.getElementById('katamari-size'));
             expect(elements.katamariSpeedUI).toBe(document.getElementById('katamari-speed'));
             expect(elements.itemsCollectedUI).toBe(document.getElementById('items-collected'));
+            expect(elements.scoreUI).toBe(document.getElementById('score'));
+            expect(elements.comboUI).toBe(document.getElementById('combo'));
             expect(elements.progressBar).toBe(document.getElementById('progress-bar'));
             expect(elements.targetSizeUI).toBe(document.getElementById('target-size'));
             expect(elements.messageOverlay).toBe(document.getElementById('message-overlay'));
             expect(elements.loadingOverlay).toBe(document.getElementById('loading-overlay'));
             expect(elements.gyroButton).toBe(document.getElementById('gyro-button'));
             expect(elements.debugButton).toBe(document.getElementById('debug-button'));
+            expect(elements.audioButton).toBe(document.getElementById('audio-button'));
+            expect(elements.controlsButton).toBe(document.getElementById('controls-button'));
+            expect(elements.cameraButton).toBe(document.getElementById('camera-button'));
+            expect(elements.pediaButton).toBe(document.getElementById('pedia-button'));
+            expect(elements.replayControls).toBe(document.getElementById('replay-controls'));
             expect(elements.powerUpStatusUI).toBe(document.getElementById('power-up-status'));
             expect(elements.fpsUI).toBe(document.getElementById('fps'));
         });
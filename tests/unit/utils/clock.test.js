@@ -0,0 +1,47 @@
+/**
+ * Unit tests for the game clock
+ * Tests reading the wall clock and swapping in a simulated time source
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getGameTime, setGameTimeSource } from '../../../src/game/utils/clock.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugWarn: vi.fn()
+}));
+
+describe('Game Clock', () => {
+    afterEach(() => {
+        setGameTimeSource(null);
+    });
+
+    it('should read the wall clock by default', () => {
+        vi.spyOn(Date, 'now').mockReturnValue(123456);
+
+        expect(getGameTime()).toBe(123456);
+    });
+
+    it('should read a replacement time source', () => {
+        let simulatedTime = 1000;
+        setGameTimeSource(() => simulatedTime);
+
+        expect(getGameTime()).toBe(1000);
+        simulatedTime += 16;
+        expect(getGameTime()).toBe(1016);
+    });
+
+    it('should go back to the wall clock when the time source is cleared', () => {
+        setGameTimeSource(() => 5);
+        vi.spyOn(Date, 'now').mockReturnValue(99);
+
+        setGameTimeSource(null);
+
+        expect(getGameTime()).toBe(99);
+    });
+
+    it('should reject time sources that are not functions', () => {
+        expect(setGameTimeSource(5)).toBe(false);
+        expect(setGameTimeSource(undefined)).toBe(false);
+    });
+});
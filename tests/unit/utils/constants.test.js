@@ -15,7 +15,6 @@ import {
     ENVIRONMENT,
     LIGHTING,
     THEMES,
-    INSTANCED_ITEM_MAP,
     ITEM_GENERATION
 } from '../../../src/game/utils/constants.js';
 
@@ -244,6 +243,32 @@ describe('Game Constants', () => {
             expect(INPUT.TOUCH_SENSITIVITY).toBeLessThanOrEqual(10);
             expect(INPUT.GYRO_SENSITIVITY).toBeLessThanOrEqual(10);
         });
+
+        it('should have dead zones between 0 and 1', () => {
+            expect(INPUT.GYRO_DEAD_ZONE).toBeGreaterThanOrEqual(0);
+            expect(INPUT.GYRO_DEAD_ZONE).toBeLessThan(1);
+            expect(INPUT.GAMEPAD_DEAD_ZONE).toBeGreaterThanOrEqual(0);
+            expect(INPUT.GAMEPAD_DEAD_ZONE).toBeLessThan(1);
+        });
+
+        it('should bind every action to lowercase keys and gamepad buttons', () => {
+            const moveActions = ['moveForward', 'moveBack', 'moveLeft', 'moveRight'];
+            const tankActions = ['leftTrackForward', 'leftTrackBack', 'rightTrackForward', 'rightTrackBack'];
+            const oneShotActions = ['reset', 'newLevel', 'pause', 'camera', 'quickTurn'];
+            expect(Object.keys(INPUT.DEFAULT_BINDINGS).sort())
+                .toEqual([...moveActions, ...tankActions, ...oneShotActions].sort());
+
+            Object.values(INPUT.DEFAULT_BINDINGS).forEach(binding => {
+                binding.keys.forEach(key => expect(key).toBe(key.toLowerCase()));
+                binding.buttons.forEach(button => expect(Number.isInteger(button)).toBe(true));
+            });
+
+            // Each key drives a single action within a control scheme
+            [moveActions, tankActions].forEach(schemeActions => {
+                const keys = [...schemeActions, ...oneShotActions].flatMap(action => INPUT.DEFAULT_BINDINGS[action].keys);
+                expect(new Set(keys).size).toBe(keys.length);
+            });
+        });
     });
 
     describe('Power-up Constants', () => {
@@ -404,6 +429,8 @@ describe('Game Constants', () => {
                 expect(theme).toHaveProperty('groundColor');
                 expect(theme).toHaveProperty('skyColor');
                 expect(theme).toHaveProperty('baseTargetSize');
+                expect(theme).toHaveProperty('timeLimit');
+                expect(theme.timeLimit).toBeGreaterThan(0);
                 
                 expect(typeof theme.themeName).toBe('string');
                 expect(theme.themeName.length).toBeGreaterThan(0);
@@ -448,40 +475,6 @@ describe('Game Constants', () => {
         });
     });
 
-    describe('Instanced Item Map', () => {
-        it('should have valid instanced item mapping', () => {
-            expect(typeof INSTANCED_ITEM_MAP).toBe('object');
-            expect(Object.keys(INSTANCED_ITEM_MAP).length).toBeGreaterThan(0);
-        });
-
-        it('should have valid mapping entries', () => {
-            Object.entries(INSTANCED_ITEM_MAP).forEach(([key, value]) => {
-                expect(typeof key).toBe('string');
-                expect(key.length).toBeGreaterThan(0);
-                
-                expect(typeof value).toBe('string');
-                expect(value.length).toBeGreaterThan(0);
-                
-                // Value should be camelCase identifier
-                expect(value).toMatch(/^[a-z][a-zA-Z0-9]*$/);
-            });
-        });
-
-        it('should map items that exist in themes', () => {
-            const allThemeItems = THEMES.flatMap(theme => theme.items);
-            
-            Object.keys(INSTANCED_ITEM_MAP).forEach(itemName => {
-                expect(allThemeItems).toContain(itemName);
-            });
-        });
-
-        it('should have unique mapping values', () => {
-            const mappingValues = Object.values(INSTANCED_ITEM_MAP);
-            const uniqueValues = [...new Set(mappingValues)];
-            expect(uniqueValues.length).toBe(mappingValues.length);
-        });
-    });
-
     describe('Constant Integrity and Dependencies', () => {
         it('should have consistent physics and rendering relationships', () => {
             // Physics active distance should be reasonable relative to rendering distances
@@ -530,7 +523,6 @@ describe('Game Constants', () => {
             expect(ENVIRONMENT).toBeDefined();
             expect(LIGHTING).toBeDefined();
             expect(THEMES).toBeDefined();
-            expect(INSTANCED_ITEM_MAP).toBeDefined();
         });
     });
 
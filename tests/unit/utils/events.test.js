@@ -0,0 +1,121 @@
+/**
+ * Unit tests for the game event bus
+ * Tests subscribing, unsubscribing, payload validation and handler error isolation
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+    GAME_EVENTS,
+    subscribe,
+    unsubscribe,
+    publish,
+    getSubscriberCount,
+    clearSubscribers
+} from '../../../src/game/utils/events.js';
+import { debugWarn, debugError } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugWarn: vi.fn(),
+    debugError: vi.fn()
+}));
+
+const milestone = { milestone: 5, radius: 5.2 };
+
+describe('Game Event Bus', () => {
+    afterEach(() => {
+        clearSubscribers();
+        vi.clearAllMocks();
+    });
+
+    describe('Subscribing', () => {
+        it('should deliver published payloads to subscribers', () => {
+            const handler = vi.fn();
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, handler);
+
+            expect(publish(GAME_EVENTS.SIZE_MILESTONE, milestone)).toBe(true);
+
+            expect(handler).toHaveBeenCalledWith(milestone);
+        });
+
+        it('should only deliver events of the subscribed type', () => {
+            const handler = vi.fn();
+            subscribe(GAME_EVENTS.LEVEL_COMPLETED, handler);
+
+            publish(GAME_EVENTS.SIZE_MILESTONE, milestone);
+
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('should stop delivering after unsubscribing', () => {
+            const handler = vi.fn();
+            const unsubscribeHandler = subscribe(GAME_EVENTS.SIZE_MILESTONE, handler);
+
+            unsubscribeHandler();
+            publish(GAME_EVENTS.SIZE_MILESTONE, milestone);
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(unsubscribe(GAME_EVENTS.SIZE_MILESTONE, handler)).toBe(false);
+        });
+
+        it('should count subscribers per event type', () => {
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, vi.fn());
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, vi.fn());
+
+            expect(getSubscriberCount(GAME_EVENTS.SIZE_MILESTONE)).toBe(2);
+            expect(getSubscriberCount(GAME_EVENTS.ITEM_SHED)).toBe(0);
+
+            clearSubscribers(GAME_EVENTS.SIZE_MILESTONE);
+
+            expect(getSubscriberCount(GAME_EVENTS.SIZE_MILESTONE)).toBe(0);
+        });
+
+        it('should reject unknown event types and non-function handlers', () => {
+            expect(subscribe('itemEaten', vi.fn())).toEqual(expect.any(Function));
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, 'not a handler');
+
+            expect(debugWarn).toHaveBeenCalledTimes(2);
+            expect(getSubscriberCount(GAME_EVENTS.SIZE_MILESTONE)).toBe(0);
+        });
+    });
+
+    describe('Publishing', () => {
+        it('should reject unknown event types', () => {
+            expect(publish('itemEaten', {})).toBe(false);
+            expect(debugWarn).toHaveBeenCalledWith(expect.stringContaining('itemEaten'));
+        });
+
+        it('should reject payloads missing a required field', () => {
+            const handler = vi.fn();
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, handler);
+
+            expect(publish(GAME_EVENTS.SIZE_MILESTONE, { milestone: 5 })).toBe(false);
+            expect(publish(GAME_EVENTS.SIZE_MILESTONE, null)).toBe(false);
+
+            expect(handler).not.toHaveBeenCalled();
+            expect(debugWarn).toHaveBeenCalledWith(expect.stringContaining('radius must be a number'));
+        });
+
+        it('should keep delivering when a handler throws', () => {
+            const handler = vi.fn();
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, () => { throw new Error('boom'); });
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, handler);
+
+            expect(publish(GAME_EVENTS.SIZE_MILESTONE, milestone)).toBe(true);
+
+            expect(handler).toHaveBeenCalled();
+            expect(debugError).toHaveBeenCalledWith(expect.stringContaining('sizeMilestone'), expect.any(Error));
+        });
+
+        it('should let handlers unsubscribe while an event is delivered', () => {
+            const second = vi.fn();
+            const unsubscribeFirst = subscribe(GAME_EVENTS.SIZE_MILESTONE, () => unsubscribeFirst());
+            subscribe(GAME_EVENTS.SIZE_MILESTONE, second);
+
+            publish(GAME_EVENTS.SIZE_MILESTONE, milestone);
+
+            expect(second).toHaveBeenCalledTimes(1);
+            expect(getSubscriberCount(GAME_EVENTS.SIZE_MILESTONE)).toBe(1);
+        });
+    });
+});
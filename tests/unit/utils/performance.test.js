@@ -18,8 +18,12 @@ import {
     resetPerformanceStats,
     setPerformanceMonitoring,
     isPerformanceMonitoringEnabled,
-    generatePerformanceReport
+    generatePerformanceReport,
+    trackObjectPool,
+    untrackObjectPool,
+    getObjectPoolStats
 } from '../../../src/game/utils/performance.js';
+import { ObjectPool } from '../../../src/game/utils/pool.js';
 
 // Mock the debug utilities
 vi.mock('../../../src/game/utils/debug.js', () => ({
@@ -514,6 +518,39 @@ describe('Performance Monitoring Utilities', () => {
         });
     });
 
+    describe('Object Pool Tracking', () => {
+        afterEach(() => {
+            untrackObjectPool('test');
+        });
+
+        it('should report tracked pools in the performance stats and report', () => {
+            const pool = new ObjectPool({ create: () => ({}) });
+            pool.release(pool.acquire());
+            trackObjectPool('test', pool);
+
+            expect(getObjectPoolStats().test).toEqual(pool.getStats());
+            expect(getPerformanceStats().pools.test).toMatchObject({ created: 1, released: 1, available: 1 });
+            expect(generatePerformanceReport().pools.test).toMatchObject({ created: 1 });
+        });
+
+        it('should stop reporting untracked pools', () => {
+            trackObjectPool('test', new ObjectPool({ create: () => ({}) }));
+
+            untrackObjectPool('test');
+
+            expect(getObjectPoolStats()).not.toHaveProperty('test');
+        });
+
+        it('should refuse objects that are not pools', async () => {
+            const { debugWarn } = await import('../../../src/game/utils/debug.js');
+
+            trackObjectPool('test', {});
+
+            expect(getObjectPoolStats()).not.toHaveProperty('test');
+            expect(debugWarn).toHaveBeenCalled();
+        });
+    });
+
     describe('Performance Monitoring Control', () => {
         it('should enable and disable monitoring', () => {
             setPerformanceMonitoring(true);
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the object pool
+ * Tests reusing released objects, resetting and disposing of them, the pool size limit and statistics
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { ObjectPool } from '../../../src/game/utils/pool.js';
+import { debugWarn } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugWarn: vi.fn()
+}));
+
+describe('Object Pool', () => {
+    let create;
+    let reuse;
+    let reset;
+    let dispose;
+    let pool;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        create = vi.fn(size => ({ size }));
+        reuse = vi.fn((object, size) => {
+            object.size = size;
+        });
+        reset = vi.fn(object => {
+            object.used = false;
+        });
+        dispose = vi.fn();
+        pool = new ObjectPool({ create, reuse, reset, dispose, maxSize: 2 });
+    });
+
+    describe('Acquiring', () => {
+        it('should create objects while the pool is empty', () => {
+            const object = pool.acquire(3);
+
+            expect(object).toEqual({ size: 3 });
+            expect(create).toHaveBeenCalledWith(3);
+            expect(reuse).not.toHaveBeenCalled();
+        });
+
+        it('should reuse released objects with the new arguments', () => {
+            const object = pool.acquire(3);
+            pool.release(object);
+
+            const reused = pool.acquire(5);
+
+            expect(reused).toBe(object);
+            expect(reused.size).toBe(5);
+            expect(reuse).toHaveBeenCalledWith(object, 5);
+            expect(create).toHaveBeenCalledTimes(1);
+        });
+
+        it('should work without a reuse callback', () => {
+            const plain = new ObjectPool({ create: () => ({}) });
+            const object = plain.acquire();
+            plain.release(object);
+
+            expect(plain.acquire()).toBe(object);
+        });
+    });
+
+    describe('Releasing', () => {
+        it('should reset released objects', () => {
+            const object = pool.acquire(1);
+            object.used = true;
+
+            expect(pool.release(object)).toBe(true);
+            expect(object.used).toBe(false);
+        });
+
+        it('should dispose of objects released into a full pool', () => {
+            const objects = [pool.acquire(1), pool.acquire(2), pool.acquire(3)];
+
+            expect(objects.map(object => pool.release(object))).toEqual([true, true, false]);
+            expect(dispose).toHaveBeenCalledWith(objects[2]);
+            expect(reset).toHaveBeenCalledTimes(2);
+        });
+
+        it('should refuse objects released twice', () => {
+            const object = pool.acquire(1);
+            pool.release(object);
+
+            expect(pool.release(object)).toBe(false);
+            expect(pool.getStats().available).toBe(1);
+            expect(debugWarn).toHaveBeenCalled();
+        });
+
+        it('should ignore missing objects', () => {
+            expect(pool.release(null)).toBe(false);
+            expect(pool.getStats().released).toBe(0);
+        });
+    });
+
+    describe('Clearing', () => {
+        it('should dispose of every pooled object', () => {
+            const objects = [pool.acquire(1), pool.acquire(2)];
+            objects.forEach(object => pool.release(object));
+
+            pool.clear();
+
+            expect(dispose).toHaveBeenCalledTimes(2);
+            expect(pool.getStats().available).toBe(0);
+            expect(pool.acquire(4)).not.toBe(objects[0]);
+        });
+    });
+
+    describe('Statistics', () => {
+        it('should count objects created, reused, released and discarded', () => {
+            const [first, second, third] = [pool.acquire(1), pool.acquire(2), pool.acquire(3)];
+            [first, second, third].forEach(object => pool.release(object));
+            pool.acquire(4);
+
+            expect(pool.getStats()).toEqual({ available: 1, created: 3, reused: 1, released: 2, discarded: 1 });
+        });
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for the seeded random number generator
+ * Tests determinism, seed normalization and the shared generator
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+    normalizeSeed,
+    generateSeed,
+    createRandom,
+    setSeed,
+    getSeed,
+    random
+} from '../../../src/game/utils/random.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugInfo: vi.fn()
+}));
+
+/**
+ * Draw a number of values from a generator
+ */
+function drawValues(next, count = 5) {
+    return Array.from({ length: count }, () => next());
+}
+
+describe('Seeded Random', () => {
+    describe('Generators', () => {
+        it('should produce the same sequence for the same seed', () => {
+            expect(drawValues(createRandom(12345))).toEqual(drawValues(createRandom(12345)));
+        });
+
+        it('should produce different sequences for different seeds', () => {
+            expect(drawValues(createRandom(1))).not.toEqual(drawValues(createRandom(2)));
+        });
+
+        it('should produce values in the range [0, 1)', () => {
+            const next = createRandom(42);
+            for (let i = 0; i < 1000; i++) {
+                const value = next();
+                expect(value).toBeGreaterThanOrEqual(0);
+                expect(value).toBeLessThan(1);
+            }
+        });
+    });
+
+    describe('Seed Normalization', () => {
+        it('should accept numbers and numeric strings interchangeably', () => {
+            expect(normalizeSeed(987654)).toBe(987654);
+            expect(normalizeSeed('987654')).toBe(987654);
+            expect(normalizeSeed(' 987654 ')).toBe(987654);
+        });
+
+        it('should hash text seeds consistently', () => {
+            const seed = normalizeSeed('bug-report');
+
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(normalizeSeed('bug-report')).toBe(seed);
+            expect(normalizeSeed('other-report')).not.toBe(seed);
+        });
+
+        it('should keep seeds within 32 bits', () => {
+            expect(normalizeSeed(2 ** 32 + 5)).toBe(5);
+            expect(normalizeSeed(-7.9)).toBe(7);
+        });
+
+        it('should reject unusable seeds', () => {
+            expect(normalizeSeed(null)).toBeNull();
+            expect(normalizeSeed(undefined)).toBeNull();
+            expect(normalizeSeed('')).toBeNull();
+            expect(normalizeSeed(NaN)).toBeNull();
+        });
+
+        it('should generate valid seeds', () => {
+            const seed = generateSeed();
+            expect(normalizeSeed(seed)).toBe(seed);
+        });
+    });
+
+    describe('Shared Generator', () => {
+        it('should replay the same values after reseeding', () => {
+            setSeed(2024);
+            const first = drawValues(random);
+
+            setSeed(2024);
+            expect(drawValues(random)).toEqual(first);
+        });
+
+        it('should report the seed in use', () => {
+            expect(setSeed('314')).toBe(314);
+            expect(getSeed()).toBe(314);
+        });
+
+        it('should pick a fresh seed when none is given', () => {
+            const seed = setSeed();
+
+            expect(Number.isInteger(seed)).toBe(true);
+            expect(getSeed()).toBe(seed);
+        });
+    });
+});
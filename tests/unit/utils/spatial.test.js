@@ -0,0 +1,150 @@
+/**
+ * Unit tests for the spatial index
+ * Tests filing objects in grid cells, moving and removing them, and radius queries
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { SpatialHash } from '../../../src/game/utils/spatial.js';
+import { debugWarn } from '../../../src/game/utils/debug.js';
+
+// Mock dependencies
+vi.mock('../../../src/game/utils/debug.js', () => ({
+    debugWarn: vi.fn()
+}));
+
+describe('Spatial Hash', () => {
+    let index;
+
+    beforeEach(() => {
+        vi.clearAllMocks();
+        index = new SpatialHash(10);
+    });
+
+    describe('Indexing', () => {
+        it('should index objects by their position', () => {
+            const object = {};
+
+            expect(index.insert(object, { x: 5, y: 0, z: -5 })).toBe(true);
+            expect(index.has(object)).toBe(true);
+            expect(index.size).toBe(1);
+        });
+
+        it('should refuse positions that are not finite', () => {
+            expect(index.insert({}, { x: NaN, y: 0, z: 0 })).toBe(false);
+            expect(index.insert({}, null)).toBe(false);
+            expect(index.size).toBe(0);
+            expect(debugWarn).toHaveBeenCalled();
+        });
+
+        it('should fall back to a usable cell size', () => {
+            const fallback = new SpatialHash(0);
+
+            expect(fallback.cellSize).toBe(1);
+            expect(debugWarn).toHaveBeenCalled();
+        });
+
+        it('should move objects to the cell of their new position', () => {
+            const object = {};
+            index.insert(object, { x: 1, y: 0, z: 1 });
+
+            index.update(object, { x: 95, y: 0, z: -42 });
+
+            expect(index.size).toBe(1);
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 5)).toEqual([]);
+            expect(index.queryRadius({ x: 95, y: 0, z: -42 }, 1)).toEqual([object]);
+        });
+
+        it('should remove objects and drop empty cells', () => {
+            const kept = {};
+            const removed = {};
+            index.insert(kept, { x: 1, y: 0, z: 1 });
+            index.insert(removed, { x: 2, y: 0, z: 2 });
+            index.insert({}, { x: 50, y: 0, z: 50 });
+
+            expect(index.remove(removed)).toBe(true);
+            expect(index.remove(removed)).toBe(false);
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 10)).toEqual([kept]);
+
+            index.remove(kept);
+            expect(index.cells.size).toBe(1);
+        });
+
+        it('should clear every object', () => {
+            index.insert({}, { x: 1, y: 0, z: 1 });
+
+            index.clear();
+
+            expect(index.size).toBe(0);
+            expect(index.queryOutside({ x: 0, y: 0, z: 0 }, 0)).toEqual([]);
+        });
+    });
+
+    describe('Queries', () => {
+        const scatter = (count) => {
+            const objects = [];
+            for (let i = 0; i < count; i++) {
+                const object = { position: { x: (i * 37) % 200 - 100, y: i % 3, z: (i * 53) % 200 - 100 } };
+                index.insert(object, object.position);
+                objects.push(object);
+            }
+            return objects;
+        };
+
+        const distance = (object, point) => Math.hypot(
+            object.position.x - point.x,
+            object.position.y - point.y,
+            object.position.z - point.z
+        );
+
+        it('should find the same objects within a radius as a full scan', () => {
+            const objects = scatter(300);
+            const point = { x: 12, y: 1, z: -7 };
+
+            const found = index.queryRadius(point, 25);
+
+            expect(found.length).toBeGreaterThan(0);
+            expect(new Set(found)).toEqual(new Set(objects.filter(object => distance(object, point) <= 25)));
+        });
+
+        it('should find the same objects outside a radius as a full scan', () => {
+            const objects = scatter(300);
+            const point = { x: -30, y: 0, z: 44 };
+
+            const found = index.queryOutside(point, 60);
+
+            expect(found.length).toBeGreaterThan(0);
+            expect(new Set(found)).toEqual(new Set(objects.filter(object => distance(object, point) > 60)));
+        });
+
+        it('should answer radii wider than the occupied cells', () => {
+            const objects = scatter(20);
+
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 10000)).toHaveLength(objects.length);
+        });
+
+        it('should measure height as well as ground distance', () => {
+            const high = {};
+            index.insert(high, { x: 0, y: 8, z: 0 });
+
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 5)).toEqual([]);
+            expect(index.queryOutside({ x: 0, y: 0, z: 0 }, 5)).toEqual([high]);
+        });
+
+        it('should append to a given results array', () => {
+            const object = {};
+            index.insert(object, { x: 0, y: 0, z: 0 });
+            const results = ['existing'];
+
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, 1, results)).toBe(results);
+            expect(results).toEqual(['existing', object]);
+        });
+
+        it('should return nothing for invalid queries', () => {
+            index.insert({}, { x: 0, y: 0, z: 0 });
+
+            expect(index.queryRadius(null, 5)).toEqual([]);
+            expect(index.queryRadius({ x: 0, y: 0, z: 0 }, -1)).toEqual([]);
+            expect(index.queryOutside({ x: 0, y: 0, z: 0 }, NaN)).toEqual([]);
+        });
+    });
+});